@@ -1,159 +1,1753 @@
 // API configuration
-import { OPENROUTER_API_URL, MODEL_NAME, DEFAULT_API_KEY } from './env.js';
+import { createProvider, PROVIDERS } from './providers.js';
+import { findHost, hostOrigins, HOST_TYPES } from './hosts.js';
+import { applyPrivacyFilters, buildDiffContext, estimateTokens, formatDiffs, prepareFileDiffs } from './diff.js';
+import { planChunks } from './chunking.js';
+import { applyTemplateStructure, fetchCachedTemplate, fetchPullRequestTemplate, findMissingHeadings, looksLikeTemplate } from './templates.js';
+import { parsePartialResponse, parseResponse, repairPrompt, responseFormat, templateInstructions } from './response.js';
+import { exportProfiles, importProfiles, mergeProfiles, renderSystemPrompt, renderUserPrompt, selectProfile, usesTemplateVariable } from './profiles.js';
+import { applyChangelog, conventionalTitle, followsConvention, groupChangelog, parseConventionalCommit, renderChangelog } from './conventional.js';
+import { addLinkedIssues, fetchIssueTitles, findIssueReferences, formatIssueContext } from './issues.js';
+import { buildReviewPrompt, cacheReview, formatReviewComment, getCachedReview, parseReview, renderReview, reviewCacheKey, REVIEW_SYSTEM_PROMPT } from './review.js';
+import { createRedactor, DETECTORS, redactPromptInputs } from './redaction.js';
+import { cacheResponse, clearResponseCache, createRequestDeduplicator, getCachedResponse, getCacheStats, hashRequest, recordCacheLookup } from './cache.js';
+import { addGeneration, clearHistory, deleteGeneration, historyKey, listGenerations, openHistoryDatabase } from './history.js';
+import { checkBudget, clearUsage, estimateCost, getUsageRecords, recordUsage, summarizeUsage, usageToCsv } from './usage.js';
+import { exportSettings, findRepositoryOverride, importSettings, loadSettings, resetSettings, saveSettings } from './settings.js';
+import { BATCH_CONCURRENCY, findBatchCandidates, MAX_BATCH_SIZE } from './batch.js';
+import { createQueue } from './queue.js';
+import { buildSuggestions, fetchCodeowners } from './suggestions.js';
+import { buildRebasePlan, buildRewritePrompt, LINT_SYSTEM_PROMPT, lintCommits, parseRewrites } from './commitlint.js';
+import { clearVault, getSecret, getVaultStatus, GITHUB_SECRET, hostSecret, isSecretName, lockVault, providerSecret, setPassphrase, setSecrets, unlockVault } from './vault.js';
 
-// Get API key from storage
-async function getApiKey() {
+// Prompt budget. The diff gets whatever is left of the provider's context
+// window after the instructions, commits and the reply, capped so requests
+// stay fast. Profiles can set their own reply size.
+const MAX_OUTPUT_TOKENS = 1000;
+const MAX_DIFF_TOKENS = 16000;
+const MAX_LISTED_FILES = 100;
+
+// Pull requests whose commits or diff don't fit in one prompt are summarised
+// in chunks of this size, and the partial summaries merged in a final call.
+// Small context windows get smaller chunks, and fewer of them so that the
+// summaries fit in the final prompt.
+const MAX_SINGLE_PASS_COMMIT_TOKENS = 6000;
+const CHUNK_TOKENS = 12000;
+const MAX_CHUNKS = 8;
+const MAX_SUMMARY_TOKENS = 500;
+// Room for the instructions around a chunk or the merged summaries
+const CHUNK_PROMPT_TOKENS = 500;
+
+// Reply size for review briefings
+const MAX_REVIEW_TOKENS = 1500;
+
+// Reply size for the summary at the top of release notes
+const MAX_RELEASE_SUMMARY_TOKENS = 400;
+
+// Reply size for rewriting a selection, which may be longer than the selection
+const MAX_REWRITE_TOKENS = 2000;
+
+// Reply size for new commit subjects, and the part of the diff they are written from
+const MAX_LINT_TOKENS = 1000;
+const MAX_LINT_DIFF_TOKENS = 6000;
+
+// Context menu entries for the selected text of the description, and what the
+// model is asked to do with it
+const REWRITE_MODES = {
+  concise: {
+    title: 'Rewrite selection more concisely',
+    prompt: 'Rewrite this part of a pull request description more concisely. Keep every fact, name and link, and the Markdown formatting.'
+  },
+  bullets: {
+    title: 'Expand into bullet points',
+    prompt: 'Rewrite this part of a pull request description as a Markdown bullet list, one point per change or detail.'
+  },
+  testing: {
+    title: 'Generate testing section',
+    prompt: 'Write a "## Testing" section for the pull request this text describes: a short Markdown checklist of how the changes were or should be tested.'
+  }
+};
+
+// The pages the content script runs on, for the context menu
+const PAGE_PATTERNS = chrome.runtime.getManifest().content_scripts[0].matches;
+
+// API keys and tokens from the credential vault (see vault.js). They are
+// only ever used here, never sent to the popup, options page or content script.
+function readSecret(name) {
+  return getSecret(chrome.storage.local, chrome.storage.session, name);
+}
+
+function storeSecrets(secrets) {
+  return setSecrets(chrome.storage.local, chrome.storage.session, secrets);
+}
+
+// Load the settings, migrating ones stored by older versions first (which
+// moves their API keys and tokens into the vault)
+async function getSettings() {
+  return loadSettings(chrome.storage.sync, { saveSecrets: storeSecrets });
+}
+
+// Whether the selected provider can be used: it has an API key or needs none
+async function isConfigured() {
+  const settings = await getSettings();
+  const status = await getVaultStatus(chrome.storage.local, chrome.storage.session);
+  const provider = PROVIDERS[settings.llmProvider];
+
+  return {
+    configured: !provider.requiresKey || status.secrets.includes(providerSecret(settings.llmProvider)),
+    locked: status.locked,
+    provider: provider.label
+  };
+}
+
+// Create the adapter for the selected provider, or for the provider and
+// model a repository override picks
+async function getProvider({ provider, model } = {}) {
+  const settings = await getSettings();
+  provider = provider || settings.llmProvider;
+
+  const config = settings.providerSettings[provider] || {};
+  const apiKey = await readSecret(providerSecret(provider));
+
+  return createProvider({ ...config, model: model || config.model, provider, apiKey }, {
+    timeout: settings.network.timeoutSeconds * 1000,
+    retries: settings.network.maxRetries
+  });
+}
+
+// The code hosts with their tokens from the vault, for findHost()
+async function getHostCredentials() {
+  const { hosts } = await getSettings();
+
+  return {
+    hosts: await Promise.all(hosts.map(async host => ({ ...host, token: await readSecret(hostSecret(host.url)) }))),
+    githubToken: await readSecret(GITHUB_SECRET)
+  };
+}
+
+// The code host of a page (see hosts.js), with the GitHub token or the host's
+// own token for its client. Throws for sites that are neither github.com nor
+// a host added in the settings.
+async function getPageHost(pageUrl) {
+  const host = findHost(pageUrl, await getHostCredentials());
+  if (!host) {
+    throw new Error('This site is not set up as a code host. Add it under "Code Hosts" in the extension settings.');
+  }
+  return host;
+}
+
+// Review briefings, release notes, batch descriptions and reviewer and label
+// suggestions use parts of GitHub's API that the other hosts don't have
+function requireGitHubApi(host, feature) {
+  if (!host.github) {
+    throw new Error(`${feature} are only available on GitHub and GitHub Enterprise Server, not on ${host.label}.`);
+  }
+}
+
+// Everything a generation depends on besides the changes themselves: the
+// prompt profile, the LLM provider and the privacy filters, with the
+// override for the page's repository ("owner/repo") applied
+async function getPageSettings(pageUrl) {
+  const settings = await getSettings();
+  const host = findHost(pageUrl, settings);
+  const repository = host?.parseRepositoryUrl(pageUrl);
+  const name = repository ? `${repository.owner}/${repository.repo}` : null;
+  const override = findRepositoryOverride(settings, name);
+
+  return {
+    host,
+    repository: name,
+    profile: selectProfile(mergeProfiles(settings.promptProfiles), override.profile || settings.defaultProfile),
+    provider: await getProvider({ provider: override.provider, model: override.model }),
+    privacy: {
+      sendDiff: override.sendDiff ?? settings.privacy.sendDiff,
+      excludedPaths: [...settings.privacy.excludedPaths, ...override.excludedPaths]
+    },
+    redaction: settings.redaction,
+    issues: settings.issues,
+    conventionalCommits: settings.conventionalCommits,
+    history: settings.history,
+    confidential: override.confidential
+  };
+}
+
+// Mask secrets in everything that goes into the prompts. When something was
+// masked the page gets a report, and with confirmBeforeSending nothing is sent
+// until the user agrees to it.
+async function redactChanges(changes, redaction, { send, waitForConfirmation }) {
+  if (!redaction.enabled) {
+    return changes;
+  }
+
+  const redactor = createRedactor(redaction);
+  const redacted = redactPromptInputs(changes, redactor);
+  const report = redactor.report();
+
+  if (report.total > 0) {
+    send({ type: 'redaction', report, confirm: redaction.confirmBeforeSending });
+    if (redaction.confirmBeforeSending) {
+      await waitForConfirmation();
+    }
+  }
+
+  return redacted;
+}
+
+// Import profiles shared with exportProfiles(). Imported profiles replace
+// custom ones with the same id, shared repository mappings set the profile of
+// the override for the same pattern (or add one), and the default profile is
+// taken over when the file has one.
+async function importProfileFile(json) {
+  const imported = importProfiles(json);
+  const settings = await getSettings();
+  const ids = new Set(imported.profiles.map(profile => profile.id));
+
+  const changes = {
+    promptProfiles: [
+      ...settings.promptProfiles.filter(profile => !ids.has(profile.id)),
+      ...imported.profiles
+    ]
+  };
+
+  if (imported.mappings) {
+    const overrides = [...settings.repositoryOverrides];
+    for (const mapping of imported.mappings) {
+      const index = overrides.findIndex(override => override.pattern === mapping.pattern);
+      if (index === -1) {
+        overrides.push(mapping);
+      } else {
+        overrides[index] = { ...overrides[index], profile: mapping.profile };
+      }
+    }
+    changes.repositoryOverrides = overrides;
+  }
+
+  if (imported.defaultProfile) {
+    changes.defaultProfile = imported.defaultProfile;
+  }
+
+  await saveSettings(chrome.storage.sync, changes, { saveSecrets: storeSecrets });
+  return imported.profiles.length;
+}
+
+// Profiles and the repository mappings that pick them, for sharing with a team
+async function exportProfileFile() {
+  const settings = await getSettings();
+
+  return exportProfiles({
+    profiles: mergeProfiles(settings.promptProfiles),
+    mappings: settings.repositoryOverrides
+      .filter(override => override.profile)
+      .map(({ pattern, profile }) => ({ pattern, profile })),
+    defaultProfile: settings.defaultProfile
+  });
+}
+
+// Collect the commits and changed files for the page, preferring the code
+// host's API over what the content script could scrape from the DOM
+async function collectChanges(pageUrl, pageCommits = []) {
+  let apiError = null;
+  const host = await getPageHost(pageUrl);
+  const target = host.parsePullRequestUrl(pageUrl);
+  const client = host.createClient();
+
+  if (target) {
+    try {
+      const { commits, files, base, head } = await client.getChanges(target);
+
+      if (commits.length > 0) {
+        return { commits, files, source: 'api', branch: formatBranch(base, head), base, head };
+      }
+    } catch (error) {
+      console.error(`PR Script: ${host.label} API error:`, error);
+      apiError = error;
+    }
+  }
+
+  if (pageCommits.length > 0) {
+    const commits = pageCommits.map(({ subject, body }) => ({
+      sha: null,
+      subject: subject,
+      body: body || '',
+      author: null,
+      source: 'page'
+    }));
+
+    // The ".diff" URL goes through the browser session, so it may still work
+    // (on hosts that have one)
+    let files = [];
+    if (target) {
+      try {
+        files = await client.getWebDiff(target);
+      } catch (error) {
+        console.error('PR Script: Diff download error:', error);
+      }
+    }
+
+    return { commits, files, source: 'page', branch: formatBranch(target?.base, target?.head), base: target?.base || null, head: target?.head || '' };
+  }
+
+  if (apiError) {
+    throw new Error(`No commits found. ${apiError.message}`);
+  }
+
+  throw new Error(`No commits found. Make sure you're on a ${host.label} compare or ${host.github ? 'pull' : 'merge'} request page with commits.`);
+}
+
+// Issues the changes are for, from the branch name and commit messages, with
+// their titles from the GitHub API (other hosts go without)
+async function findLinkedIssues(pageUrl, { commits, head }, settings) {
+  const host = await getPageHost(pageUrl);
+  const target = host.parsePullRequestUrl(pageUrl);
+  if (!settings.enabled || !target) {
+    return [];
+  }
+
+  const references = findIssueReferences({ head, commits }, {
+    owner: target.owner,
+    repo: target.repo,
+    jiraProjects: settings.jiraProjects
+  });
+  if (references.length === 0 || !host.github) {
+    return references;
+  }
+
+  return fetchIssueTitles(host.createClient(), references);
+}
+
+// Describe the branches for the prompt, e.g. "feature/x into main"
+function formatBranch(base, head) {
+  if (!head) {
+    return '';
+  }
+
+  return base ? `${head} into ${base}` : head;
+}
+
+// Format a commit for the prompt, keeping the body indented under its subject
+function formatCommit(commit, index) {
+  const body = commit.body
+    ? '\n' + commit.body.split('\n').map(line => `   ${line}`).join('\n')
+    : '';
+
+  return `${index + 1}. ${commit.subject}${body}`;
+}
+
+// Format the list of changed files, leaving out the tail of very long lists
+function formatChangedFiles(files) {
+  const lines = files
+    .slice(0, MAX_LISTED_FILES)
+    .map(file => `- ${file.path} (${file.status}, +${file.additions} -${file.deletions})`);
+
+  if (files.length > MAX_LISTED_FILES) {
+    lines.push(`- ... and ${files.length - MAX_LISTED_FILES} more files`);
+  }
+
+  return lines.join('\n');
+}
+
+// Fill in a profile's user template and add the output format. Linked issues
+// go before the format when the template doesn't place them.
+function renderProfilePrompt(profile, template, variables) {
+  const issues = !usesTemplateVariable(profile, 'issues') && variables.issues ? `\n\n${variables.issues}` : '';
+
+  return `${renderUserPrompt(profile, { ...variables, template: templateInstructions(template) })}${issues}
+
+${responseFormat(template, { withTemplate: !usesTemplateVariable(profile) })}`;
+}
+
+// Tokens of the diff that fit in a context window next to the rest of the
+// prompt and the reply
+function diffTokenBudget(contextTokens, promptTokens, replyTokens, maxDiffTokens = MAX_DIFF_TOKENS) {
+  return Math.max(Math.min(maxDiffTokens, contextTokens - promptTokens - replyTokens), 0);
+}
+
+// Build the prompt, filling the remaining context window with as much of the diff as fits.
+// Returns the prompt together with stats about how much of the diff was included,
+// and the diff budget it was built with.
+function buildPrompt(commits, files = [], { template = null, profile, branch = '', issues = '', contextTokens }) {
+  const renderPrompt = (diffText) => renderProfilePrompt(profile, template, {
+    commits: `Commit messages:\n${commits.map(formatCommit).join('\n')}`,
+    issues,
+    files: files.length > 0 ? `Changed files (${files.length}):\n${formatChangedFiles(files)}` : '',
+    diff: diffText ? `Diff (may be partial, lockfiles and generated files are left out):\n\`\`\`diff\n${diffText}\n\`\`\`` : '',
+    branch
+  });
+
+  const promptTokens = estimateTokens(renderSystemPrompt(profile)) + estimateTokens(renderPrompt(''));
+  const tokenBudget = diffTokenBudget(contextTokens, promptTokens, profile.maxTokens || MAX_OUTPUT_TOKENS);
+  const { text, stats } = buildDiffContext(files, { tokenBudget });
+
+  return { prompt: renderPrompt(text), diffStats: stats, tokenBudget };
+}
+
+// Identical completion requests in flight share one call
+const deduplicateRequest = createRequestDeduplicator();
+
+// Descriptions generated in batches, from every tab, take turns here
+const batchQueue = createQueue({ concurrency: BATCH_CONCURRENCY });
+
+// What the calls to the model still running may cost at most, their whole
+// reply included. Calls running at the same time (batches, several tabs)
+// would otherwise all pass the budget check before any of them is logged.
+const runningCosts = new Set();
+
+// This month's spending against the budget in the settings, see checkBudget()
+async function getBudgetStatus() {
+  const { usage } = await getSettings();
+  const reserved = [...runningCosts].reduce((sum, running) => sum + running.cost, 0);
+  return checkBudget(await getUsageRecords(chrome.storage.local), usage, { reserved });
+}
+
+function formatDollars(amount) {
+  return `$${amount.toFixed(2)}`;
+}
+
+// Throw once this month's budget is used up, counting the calls still running
+async function assertWithinBudget() {
+  const budget = await getBudgetStatus();
+  if (budget.status === 'over') {
+    const running = budget.reserved > 0 ? `, up to ${formatDollars(budget.reserved)} more in calls still running` : '';
+    throw new Error(`This month's budget of ${formatDollars(budget.budget)} is used up (${formatDollars(budget.spent)} spent${running}). Raise it in the extension settings to keep generating.`);
+  }
+}
+
+// Send a prompt (or a list of chat messages) to the model and return the completion text.
+// Uses the selected provider unless one is passed in. Pass onDelta to stream the reply, signal to be able to abort it and json to ask for JSON.
+// Replies come from the cache when the same request was answered within the
+// cache lifetime, unless refresh is set; onCacheHit is called when they do.
+// onProgress hears about switching to a fallback model.
+// Calls that reach the model are logged with their token usage under the
+// repository ("owner/repo") and kind of generation, also when they fail or are
+// stopped after part of the reply arrived.
+async function requestCompletion(prompt, maxTokens, { provider = null, signal, onDelta, json = false, temperature = 0.7, topP = null, refresh = false, onCacheHit, onProgress, repository = null, kind = 'description' } = {}) {
+  const llm = provider || await getProvider();
+  const messages = Array.isArray(prompt) ? prompt : [{ role: 'user', content: prompt }];
+  const { cache, usage: usageSettings } = await getSettings();
+
+  const key = await hashRequest({ provider: llm.id, model: llm.model, messages, maxTokens, temperature, topP, json });
+
+  if (cache.enabled && !refresh) {
+    const cached = await getCachedResponse(chrome.storage.local, key, cache.ttlMinutes * 60 * 1000);
+    if (cached !== null) {
+      await recordCacheLookup(chrome.storage.local, 'hit');
+      onCacheHit?.();
+      onDelta?.(cached);
+      return cached;
+    }
+  }
+
+  const { text, joined } = await deduplicateRequest(key, async (call) => {
+    await assertWithinBudget();
+
+    const promptTokens = estimateTokens(messages.map(message => message.content).join('\n'));
+    const running = { cost: estimateCost(usageSettings.prices, llm.model, promptTokens, maxTokens) || 0 };
+    runningCosts.add(running);
+
+    const started = Date.now();
+    let reported = null;
+    let streamed = '';
+
+    try {
+      return await llm.complete({
+        messages: messages,
+        temperature: temperature,
+        topP: topP,
+        maxTokens: maxTokens,
+        signal: call.signal,
+        onDelta: (delta) => {
+          streamed += delta;
+          call.onDelta(delta);
+        },
+        json: json,
+        onFallback: ({ from, to, error }) => onProgress?.(`${from} failed (${error.kind}), trying ${to}...`),
+        onUsage: usage => { reported = usage; }
+      });
+    } finally {
+      runningCosts.delete(running);
+
+      // Self-hosted servers don't always say, and stopped or failed calls
+      // never do, so count the tokens ourselves then. A call that failed
+      // before any of the reply arrived is assumed to have cost nothing.
+      if (reported || streamed) {
+        await recordUsage(chrome.storage.local, {
+          provider: llm.id,
+          model: reported?.model || llm.model,
+          repository,
+          kind,
+          promptTokens: reported ? reported.promptTokens : promptTokens,
+          completionTokens: reported ? reported.completionTokens : estimateTokens(streamed),
+          latencyMs: Date.now() - started,
+          estimated: !reported
+        }, usageSettings.prices).catch(error => console.error('PR Script: Could not record usage:', error));
+      }
+    }
+  }, { signal, onDelta });
+
+  await recordCacheLookup(chrome.storage.local, joined ? 'shared' : 'miss');
+  if (cache.enabled && !joined) {
+    await cacheResponse(chrome.storage.local, key, text);
+  }
+
+  return text;
+}
+
+// Summarise a large pull request chunk by chunk, and build the prompt that
+// merges the partial summaries into one title and description
+async function buildChunkedPrompt(commits, files, { template, profile, provider, branch, issues, repository, onProgress, signal }) {
+  const commitLines = commits.map(formatCommit);
+  const { diffs, excludedFiles, totalTokens } = prepareFileDiffs(files);
+  const room = provider.contextTokens - (profile.maxTokens || MAX_OUTPUT_TOKENS) - CHUNK_PROMPT_TOKENS;
+  const { chunks, omittedFiles, omittedCommits } = planChunks(commitLines, diffs, {
+    tokenBudget: Math.min(CHUNK_TOKENS, provider.contextTokens - MAX_SUMMARY_TOKENS - CHUNK_PROMPT_TOKENS),
+    maxChunks: Math.min(Math.max(Math.floor(room / MAX_SUMMARY_TOKENS), 1), MAX_CHUNKS)
+  });
+
+  const summaries = [];
+
+  for (const [index, chunk] of chunks.entries()) {
+    onProgress(`Summarizing chunk ${index + 1}/${chunks.length}...`);
+
+    const prompt = `You are summarizing part ${index + 1} of ${chunks.length} of a large GitHub pull request. Summarize the changes in this part as a short list of bullet points, mentioning the affected areas and anything reviewers should know. Do not write a title.
+${chunk.commits.length > 0 ? `
+Commit messages:
+${chunk.commits.join('\n')}
+` : ''}${chunk.diffs.length > 0 ? `
+Diff (may be partial):
+\`\`\`diff
+${formatDiffs(chunk.diffs)}
+\`\`\`
+` : ''}`;
+
+    summaries.push(await requestCompletion(prompt, MAX_SUMMARY_TOKENS, { provider, signal, onProgress, repository }));
+  }
+
+  onProgress('Merging summaries...');
+
+  // The commits themselves don't fit, so the profile gets the summaries instead
+  const prompt = renderProfilePrompt(profile, template, {
+    commits: `This pull request with ${commits.length} commits is too large to include in full.${omittedCommits > 0 ? ` The last ${omittedCommits} commits didn't fit and are left out.` : ''} Summaries of its ${chunks.length} parts:
+
+${summaries.map((summary, index) => `Part ${index + 1}:\n${summary.trim()}`).join('\n\n')}`,
+    issues,
+    files: files.length > 0 ? `Changed files (${files.length}):\n${formatChangedFiles(files)}` : '',
+    branch
+  });
+
+  const includedDiffs = chunks.flatMap(chunk => chunk.diffs);
+  const diffStats = {
+    totalFiles: files.length,
+    includedFiles: includedDiffs.length,
+    truncatedFiles: includedDiffs.filter(diff => diff.truncated).length,
+    excludedFiles,
+    omittedFiles,
+    omittedCommits,
+    totalTokens,
+    includedTokens: includedDiffs.reduce((sum, diff) => sum + diff.tokens, 0),
+    chunks: chunks.length
+  };
+
+  return { prompt, diffStats };
+}
+
+// Key of a repository's template in the template cache
+function templateCacheKey(pageUrl, { owner, repo }, templateName = null) {
+  return `${new URL(pageUrl).host}/${owner}/${repo}?${templateName || ''}`;
+}
+
+// Find the PR template for the page: the one the host pre-filled into the
+// body field on compare pages, otherwise the one in the repository (GitHub only)
+async function findTemplate(pageUrl, pageBody) {
+  const host = await getPageHost(pageUrl);
+  const target = host.parsePullRequestUrl(pageUrl);
+
+  if (target?.type === 'compare' && looksLikeTemplate(pageBody)) {
+    return { path: null, text: pageBody };
+  }
+
+  if (!target || !host.github) {
+    return null;
+  }
+
+  try {
+    const client = host.createClient();
+    const templateName = new URL(pageUrl).searchParams.get('template');
+    return await fetchCachedTemplate(chrome.storage.session, templateCacheKey(pageUrl, target, templateName), () =>
+      fetchPullRequestTemplate(client, target.owner, target.repo, templateName));
+  } catch (error) {
+    console.error('PR Script: Could not load PR template:', error);
+    return null;
+  }
+}
+
+// Check a generated body against the template and restore any headings or
+// checkboxes the model dropped
+function enforceTemplate(body, template) {
+  const missing = findMissingHeadings(template.text, body);
+  if (missing.length > 0) {
+    console.warn('PR Script: Restoring template headings missing from the reply:', missing);
+  }
+
+  return applyTemplateStructure(template.text, body);
+}
+
+// Generate PR description using AI, with the instructions and sampling
+// parameters of the given prompt profile. Falls back to chunked summarisation
+// when the commits or the diff are too big for a single prompt. With refresh
+// the final reply is written anew rather than taken from the cache (chunk
+// summaries still are).
+// Returns the title and the body rendered from the model's structured reply,
+// the kind of change the model classified it as (see CHANGE_TYPES, null
+// when it didn't say) and whether that reply came from the cache.
+async function generatePRDescription(commits, files = [], { template = null, profile, provider = null, branch = '', issues = '', repository = null, refresh = false, onProgress = () => {}, onDelta, signal } = {}) {
+  provider = provider || await getProvider();
+  const maxTokens = profile.maxTokens || MAX_OUTPUT_TOKENS;
+  const commitTokens = estimateTokens(commits.map(formatCommit).join('\n'));
+  const diffTokens = prepareFileDiffs(files).diffs.reduce((sum, diff) => sum + diff.tokens, 0);
+
+  // The commits may take up half of what the reply leaves of the window
+  const single = buildPrompt(commits, files, { template, profile, branch, issues, contextTokens: provider.contextTokens });
+  const { prompt, diffStats } = commitTokens > Math.min(MAX_SINGLE_PASS_COMMIT_TOKENS, (provider.contextTokens - maxTokens) / 2) || diffTokens > single.tokenBudget
+    ? await buildChunkedPrompt(commits, files, { template, profile, provider, branch, issues, repository, onProgress, signal })
+    : single;
+
+  const systemPrompt = renderSystemPrompt(profile);
+  const messages = [
+    ...(systemPrompt ? [{ role: 'system', content: systemPrompt }] : []),
+    { role: 'user', content: prompt }
+  ];
+  let cached = false;
+  const options = {
+    provider,
+    signal,
+    refresh,
+    onProgress,
+    repository,
+    json: true,
+    temperature: profile.temperature ?? 0.7,
+    topP: profile.topP ?? null
+  };
+
+  const reply = await requestCompletion(messages, maxTokens, { ...options, onDelta, onCacheHit: () => { cached = true; } });
+  let parsed = parseResponse(reply);
+
+  // Give the model one chance to fix a reply that doesn't match the schema
+  if (!parsed.valid) {
+    console.warn('PR Script: Invalid reply, asking for a repair:', parsed.errors);
+    onProgress('Fixing the reply format...');
+
+    const repaired = parseResponse(await requestCompletion([
+      ...messages,
+      { role: 'assistant', content: reply },
+      { role: 'user', content: repairPrompt(parsed.errors) }
+    ], maxTokens, options));
+
+    if (repaired.valid || !parsed.title) {
+      parsed = repaired;
+    }
+  }
+
+  if (!parsed.title) {
+    throw new Error('Could not understand the AI response. Please try again.');
+  }
+
+  const body = template && parsed.body ? enforceTemplate(parsed.body, template) : parsed.body;
+
+  return { title: parsed.title, body, changeType: parsed.data?.change_type || null, diffStats, cached };
+}
+
+// Write a reviewer briefing for an existing pull request, or return the one
+// cached for its current head commit unless refresh is set.
+// Returns { markdown, headSha, cached, createdAt }.
+async function generateReview(pageUrl, { refresh = false, send, signal, waitForConfirmation }) {
+  const host = await getPageHost(pageUrl);
+  requireGitHubApi(host, 'Review briefings');
+  const target = host.parsePullRequestUrl(pageUrl);
+  if (target?.type !== 'pull') {
+    throw new Error('Review briefings need a pull request page.');
+  }
+
+  const { repository, profile, provider, privacy, redaction, confidential } = await getPageSettings(pageUrl);
+  if (confidential) {
+    throw new Error('This repository is marked as confidential in the settings, so nothing is sent to the AI provider.');
+  }
+
+  const client = host.createClient();
+  const pullRequest = await client.getPullRequest(target.owner, target.repo, target.number);
+  const headSha = pullRequest.head.sha;
+  const cacheKey = reviewCacheKey(target);
+
+  const cached = refresh ? null : await getCachedReview(chrome.storage.local, cacheKey, headSha);
+  if (cached) {
+    return { markdown: renderReview(cached.review), headSha, cached: true, createdAt: cached.createdAt };
+  }
+
+  send({ type: 'progress', message: 'Collecting changes...' });
+  const changes = await collectChanges(pageUrl);
+  const { commits, files, branch, pullRequest: described } = await redactChanges({
+    commits: changes.commits,
+    files: applyPrivacyFilters(changes.files, privacy),
+    branch: changes.branch,
+    template: null,
+    pullRequest: { title: pullRequest.title || '', body: pullRequest.body || '' }
+  }, redaction, { send, waitForConfirmation });
+
+  const renderPrompt = (diffText) => buildReviewPrompt({
+    title: described.title,
+    description: described.body,
+    branch,
+    commits: `Commit messages:\n${commits.map(formatCommit).join('\n')}`,
+    files: files.length > 0 ? `Changed files (${files.length}):\n${formatChangedFiles(files)}` : '',
+    diff: diffText ? `Diff (may be partial, lockfiles and generated files are left out):\n\`\`\`diff\n${diffText}\n\`\`\`` : ''
+  });
+  const systemPrompt = profile.language
+    ? `${REVIEW_SYSTEM_PROMPT}\n\nWrite the briefing in ${profile.language}. Keep the JSON field names in English.`
+    : REVIEW_SYSTEM_PROMPT;
+  const tokenBudget = diffTokenBudget(provider.contextTokens, estimateTokens(systemPrompt) + estimateTokens(renderPrompt('')), MAX_REVIEW_TOKENS);
+  const { text } = buildDiffContext(files, { tokenBudget });
+  const messages = [
+    { role: 'system', content: systemPrompt },
+    { role: 'user', content: renderPrompt(text) }
+  ];
+  const options = {
+    provider,
+    signal,
+    refresh,
+    onProgress: message => send({ type: 'progress', message }),
+    repository,
+    kind: 'review',
+    json: true,
+    temperature: 0.3
+  };
+
+  send({ type: 'progress', message: 'Writing briefing...' });
+  const reply = await requestCompletion(messages, MAX_REVIEW_TOKENS, options);
+  let parsed = parseReview(reply);
+
+  // Give the model one chance to fix a reply that doesn't match the schema
+  if (!parsed.valid) {
+    console.warn('PR Script: Invalid review reply, asking for a repair:', parsed.errors);
+    send({ type: 'progress', message: 'Fixing the reply format...' });
+
+    parsed = parseReview(await requestCompletion([
+      ...messages,
+      { role: 'assistant', content: reply },
+      { role: 'user', content: repairPrompt(parsed.errors) }
+    ], MAX_REVIEW_TOKENS, options));
+  }
+
+  if (!parsed.valid) {
+    throw new Error('Could not understand the AI response. Please try again.');
+  }
+
+  const entry = await cacheReview(chrome.storage.local, cacheKey, headSha, parsed.review);
+  return { markdown: renderReview(parsed.review), headSha, cached: false, createdAt: entry.createdAt };
+}
+
+// Lint the commits of a compare page (see commitlint.js) and have the model
+// write new subjects for the ones that need it, from the redacted commits and
+// diff. Nothing is sent for a confidential repository, which only gets the
+// lint. Returns { commits, plan, source, rewritten } with commits as from
+// lintCommits() plus their new subject, plan the `git rebase -i` todo list.
+async function lintCommitHistory(pageUrl, { pageCommits = [], refresh = false, send, signal, waitForConfirmation }) {
+  const { repository, provider, privacy, redaction, conventionalCommits, confidential } = await getPageSettings(pageUrl);
+
+  send({ type: 'progress', message: 'Collecting commits...' });
+  const changes = await collectChanges(pageUrl, pageCommits);
+  const results = lintCommits(changes.commits, { conventional: conventionalCommits });
+  const conventional = conventionalCommits === 'on' || (conventionalCommits === 'auto' && followsConvention(changes.commits.map(parseConventionalCommit)));
+
+  let rewrites = {};
+  if (results.some(result => result.rewrite) && !confidential) {
+    const { commits, files } = await redactChanges({
+      commits: changes.commits,
+      files: applyPrivacyFilters(changes.files, privacy),
+      branch: changes.branch,
+      template: null
+    }, redaction, { send, waitForConfirmation });
+    // The prompt lists the redacted subjects, with the problems found in them
+    const flagged = lintCommits(commits, { conventional: conventionalCommits })
+      .map((result, index) => ({ ...result, rewrite: results[index].rewrite }));
+    const renderPrompt = (diffText) => buildRewritePrompt(flagged, {
+      commits: `Commit messages:\n${commits.map(formatCommit).join('\n')}`,
+      files: files.length > 0 ? `Changed files (${files.length}):\n${formatChangedFiles(files)}` : '',
+      diff: diffText ? `Diff (may be partial):\n\`\`\`diff\n${diffText}\n\`\`\`` : '',
+      conventional
+    });
+    const tokenBudget = diffTokenBudget(provider.contextTokens, estimateTokens(LINT_SYSTEM_PROMPT) + estimateTokens(renderPrompt('')), MAX_LINT_TOKENS, MAX_LINT_DIFF_TOKENS);
+    const { text } = buildDiffContext(files, { tokenBudget });
+
+    const messages = [
+      { role: 'system', content: LINT_SYSTEM_PROMPT },
+      { role: 'user', content: renderPrompt(text) }
+    ];
+    const options = {
+      provider,
+      signal,
+      refresh,
+      onProgress: message => send({ type: 'progress', message }),
+      repository,
+      kind: 'lint',
+      json: true,
+      temperature: 0.3
+    };
+
+    send({ type: 'progress', message: 'Rewriting subjects...' });
+    const reply = await requestCompletion(messages, MAX_LINT_TOKENS, options);
+    let parsed = parseRewrites(reply, results.length);
+
+    // Give the model one chance to fix a reply that doesn't match the schema
+    if (!parsed.valid) {
+      console.warn('PR Script: Invalid commit rewrite reply, asking for a repair:', parsed.errors);
+      send({ type: 'progress', message: 'Fixing the reply format...' });
+
+      const repaired = parseRewrites(await requestCompletion([
+        ...messages,
+        { role: 'assistant', content: reply },
+        { role: 'user', content: repairPrompt(parsed.errors) }
+      ], MAX_LINT_TOKENS, options), results.length);
+      parsed = repaired.valid || Object.keys(parsed.rewrites).length === 0 ? repaired : parsed;
+    }
+    rewrites = parsed.rewrites;
+  }
+
+  return {
+    commits: results.map((result, index) => ({ ...result, newSubject: result.rewrite ? rewrites[index] || null : null })),
+    plan: buildRebasePlan(results, { rewrites, base: changes.base }),
+    source: changes.source,
+    rewritten: !confidential
+  };
+}
+
+// Post a briefing as a comment on the pull request
+async function postReviewComment(pageUrl, markdown, headSha) {
+  const host = await getPageHost(pageUrl);
+  requireGitHubApi(host, 'Review briefings');
+  const target = host.parsePullRequestUrl(pageUrl);
+  if (target?.type !== 'pull') {
+    throw new Error('Review briefings need a pull request page.');
+  }
+
+  const comment = await host.createClient().createIssueComment(target.owner, target.repo, target.number, formatReviewComment(markdown, headSha));
+  return comment.html_url;
+}
+
+// Title and grouped changes following Conventional Commits, when the setting
+// asks for it (by default when most commits follow the convention). A PR
+// template keeps its own structure, so then only the title changes.
+function applyConventionalCommits({ title, body }, commits, { mode, template }) {
+  const parsed = commits.map(parseConventionalCommit);
+  if (mode === 'off' || (mode === 'auto' && !followsConvention(parsed))) {
+    return { title, body };
+  }
+
+  return {
+    title: conventionalTitle(parsed, title),
+    body: template ? body : applyChangelog(body, parsed)
+  };
+}
+
+// The tag of the latest release other than the one being created, null if there is none
+async function findPreviousRelease(client, owner, repo, tag) {
+  const releases = await client.getReleases(owner, repo);
+  const previous = releases.find(release => !release.draft && release.tag_name !== tag);
+  return previous ? previous.tag_name : null;
+}
+
+// Release notes for a new release: the commits since the previous release
+// grouped by type, under a short summary written by the model. tag is the new
+// release's tag; when it doesn't exist yet, the commits come from target (the
+// branch it will be created from). With refresh the summary is written anew
+// rather than taken from the cache.
+async function generateReleaseNotes(pageUrl, { tag, target, previousTag, refresh = false }, { send, signal, waitForConfirmation }) {
+  const host = await getPageHost(pageUrl);
+  requireGitHubApi(host, 'Release notes');
+  const repository = host.parseRepositoryUrl(pageUrl);
+  if (!repository || !tag) {
+    throw new Error('Choose a tag for the release first.');
+  }
+
+  const { profile, provider, redaction, confidential } = await getPageSettings(pageUrl);
+  if (confidential) {
+    throw new Error('This repository is marked as confidential in the settings, so nothing is sent to the AI provider.');
+  }
+
+  send({ type: 'progress', message: 'Collecting commits...' });
+  const client = host.createClient();
+  const base = previousTag || await findPreviousRelease(client, repository.owner, repository.repo, tag);
+  if (!base) {
+    throw new Error('No earlier release to compare with. Pick a previous tag on the page.');
+  }
+
+  let head = tag;
+  let changes;
+  try {
+    changes = await client.getChanges({ type: 'compare', ...repository, base, head });
+  } catch (error) {
+    if (error.status !== 404) {
+      throw error;
+    }
+    // The tag is created when the release is published
+    head = target || (await client.getRepository(repository.owner, repository.repo)).default_branch;
+    changes = await client.getChanges({ type: 'compare', ...repository, base, head });
+  }
+
+  if (changes.commits.length === 0) {
+    throw new Error(`No commits between ${base} and ${head}.`);
+  }
+
+  const { commits } = await redactChanges({ commits: changes.commits, files: [], branch: '', template: null }, redaction, { send, waitForConfirmation });
+  const parsed = commits.map(parseConventionalCommit);
+  // Repositories not using the convention get everything under "Other Changes"
+  const changelog = renderChangelog(groupChangelog(parsed, { includeOther: !followsConvention(parsed) }));
+
+  send({ type: 'progress', message: 'Writing summary...' });
+  const language = profile.language ? ` Write it in ${profile.language}.` : '';
+  const summary = await requestCompletion([
+    { role: 'system', content: 'You write release notes for the people using a piece of software.' },
+    {
+      role: 'user',
+      content: `Write a summary of two to four sentences for the release ${tag}, saying what it brings for users and whether they have to do anything when upgrading. Reply with only the summary.${language}
+
+Changes since ${base}:
+${changelog || commits.map(formatCommit).join('\n')}`
+    }
+  ], MAX_RELEASE_SUMMARY_TOKENS, {
+    provider,
+    signal,
+    refresh,
+    onProgress: message => send({ type: 'progress', message }),
+    repository: `${repository.owner}/${repository.repo}`,
+    kind: 'release',
+    temperature: 0.5
+  });
+
+  // Points at the tag, which exists once the release is published
+  const compareUrl = `${host.origin}/${repository.owner}/${repository.repo}/compare/${base}...${tag}`;
+  const body = [summary.trim(), changelog, `**Full Changelog**: ${compareUrl}`].filter(Boolean).join('\n\n');
+
+  return { title: tag, body, base, commits };
+}
+
+// Rewrite text selected in the description field (see REWRITE_MODES) and
+// return what replaces it. The testing section goes after the selection
+// rather than in its place.
+async function rewriteText(pageUrl, mode, text) {
+  const rewrite = REWRITE_MODES[mode];
+  if (!rewrite || !text.trim()) {
+    throw new Error('Select some text in the description first.');
+  }
+
+  const { repository, profile, provider, redaction, confidential } = await getPageSettings(pageUrl);
+  if (confidential) {
+    throw new Error('This repository is marked as confidential in the settings, so nothing is sent to the AI provider.');
+  }
+
+  // Masking would put placeholders into the description, so nothing is sent instead
+  if (redaction.enabled) {
+    const redactor = createRedactor(redaction);
+    redactor.redact(text, 'selection');
+    const { items } = redactor.report();
+    if (items.length > 0) {
+      throw new Error(`The selection contains what looks like ${items.map(item => item.label).join(', ')}. Nothing was sent.`);
+    }
+  }
+
+  const language = profile.language ? ` Write it in ${profile.language}.` : '';
+  const reply = await requestCompletion([
+    { role: 'system', content: 'You edit GitHub pull request descriptions. Reply with only the new text, without code fences or explanations.' },
+    { role: 'user', content: `${rewrite.prompt}${language}\n\nText:\n${text}` }
+  ], Math.min(estimateTokens(text) * 2 + 300, MAX_REWRITE_TOKENS), {
+    provider,
+    repository,
+    kind: 'rewrite',
+    temperature: 0.3
+  });
+
+  const result = reply.trim().replace(/^```(?:markdown|md)?\n([\s\S]*)\n```$/, '$1');
+  return mode === 'testing' ? `${text.trimEnd()}\n\n${result}` : result;
+}
+
+// The history database, opened on first use (and tried again after a failure)
+let historyDatabase = null;
+
+function getHistoryDatabase() {
+  historyDatabase = historyDatabase || openHistoryDatabase().catch((error) => {
+    historyDatabase = null;
+    throw error;
+  });
+  return historyDatabase;
+}
+
+// Repository, base and head of a compare or pull request page, null for other pages. Refs
+// the page URL leaves out (the base of a compare page, both for a pull
+// request) come from the API.
+async function findHistoryRefs(pageUrl, { base = null, head = null } = {}) {
+  const host = findHost(pageUrl, await getHostCredentials());
+  const target = host?.parsePullRequestUrl(pageUrl);
+  if (!target) {
+    return null;
+  }
+
+  if (!base || !head) {
+    ({ base, head } = await host.createClient().getRefs(target));
+  }
+
+  return { repository: target, base, head };
+}
+
+// Title and description for a compare or pull request page, from its changes
+// through the model to the linked issues, recorded in the history. pageCommits
+// and pageBody are what the page shows, for when the API can't be used.
+// Returns { title, body, changeType, changes, cached, diffStats, commitSource,
+// historyId }, changes being the commits and files before redaction.
+async function describeChanges(pageUrl, { pageCommits = [], pageBody = '', refresh = false, send, signal, waitForConfirmation, onDelta }) {
+  const pageSettings = await getPageSettings(pageUrl);
+  const { profile, provider, privacy, redaction, issues: issueSettings, conventionalCommits, confidential } = pageSettings;
+  if (confidential) {
+    throw new Error('This repository is marked as confidential in the settings, so nothing is sent to the AI provider.');
+  }
+
+  const changes = await collectChanges(pageUrl, pageCommits);
+  const { commits, files, branch, template, issues } = await redactChanges({
+    commits: changes.commits,
+    files: applyPrivacyFilters(changes.files, privacy),
+    branch: changes.branch,
+    template: await findTemplate(pageUrl, pageBody),
+    issues: await findLinkedIssues(pageUrl, changes, issueSettings)
+  }, redaction, { send, waitForConfirmation });
+  const repository = pageSettings.host.parsePullRequestUrl(pageUrl);
+
+  const description = await generatePRDescription(commits, files, {
+    template,
+    profile,
+    provider,
+    branch,
+    issues: formatIssueContext(issues, repository),
+    repository: pageSettings.repository,
+    refresh,
+    signal,
+    onProgress: message => send({ type: 'progress', message }),
+    onDelta
+  });
+
+  const { title, body: generated } = applyConventionalCommits(description, commits, { mode: conventionalCommits, template });
+  // The closing keywords are ours rather than the model's
+  const body = addLinkedIssues(generated, issues, repository, { jiraUrl: issueSettings.jiraUrl });
+
+  const historyId = await recordGeneration({
+    pageUrl,
+    kind: 'description',
+    base: changes.base,
+    head: changes.head,
+    settings: pageSettings,
+    inputs: { commits, files, branch, issues: formatIssueContext(issues, repository) },
+    title,
+    body
+  });
+
+  return {
+    title,
+    body,
+    changeType: description.changeType,
+    changes: { commits: changes.commits, files: changes.files },
+    cached: description.cached,
+    diffStats: description.diffStats,
+    commitSource: changes.source,
+    historyId
+  };
+}
+
+// Reviewers, labels and draft status to suggest for a compare or pull request
+// page (see suggestions.js), each with where it is applied (via), [] on hosts
+// without GitHub's API. Only a nicety,
+// so it never fails the generation it follows.
+async function suggestMetadata(pageUrl, { title, changeType, changes }) {
   try {
-    const result = await chrome.storage.sync.get(['openrouterApiKey']);
-    
-    const storedKey = result.openrouterApiKey;
-    const finalKey = storedKey || DEFAULT_API_KEY;
-    
-    return finalKey;
+    const host = await getPageHost(pageUrl);
+    const target = host.github ? host.parsePullRequestUrl(pageUrl) : null;
+    if (!target) {
+      return [];
+    }
+
+    const client = host.createClient();
+    const [codeowners, labels, pullRequest, author] = await Promise.all([
+      fetchCodeowners(client, target.owner, target.repo),
+      client.listLabels(target.owner, target.repo),
+      target.type === 'pull' ? client.getPullRequest(target.owner, target.repo, target.number) : null,
+      // Whoever is creating the pull request, when the token says
+      target.type === 'pull' ? null : client.getAuthenticatedUser().then(user => user.login, () => null)
+    ]);
+
+    // An existing pull request takes them through the API, a new one in the form's sidebar
+    const via = target.type === 'pull' ? 'api' : 'sidebar';
+    return buildSuggestions({ codeowners, labels, files: changes.files, commits: changes.commits, title, changeType, author, pullRequest })
+      .map(suggestion => ({ ...suggestion, via }));
   } catch (error) {
-    console.error('Error retrieving API key from storage:', error);
-    return DEFAULT_API_KEY;
+    console.warn('PR Script: Could not suggest reviewers and labels:', error);
+    return [];
   }
 }
 
-// Set API key in storage
-async function setApiKey(apiKey) {
-  await chrome.storage.sync.set({ openrouterApiKey: apiKey });
+// Apply a suggestion ({ kind, value }) to an existing pull request. The
+// sidebar of a new pull request's form takes them on the page instead.
+async function applySuggestion(pageUrl, { kind, value }) {
+  const host = await getPageHost(pageUrl);
+  requireGitHubApi(host, 'Reviewer and label suggestions');
+  const target = host.parsePullRequestUrl(pageUrl);
+  if (target?.type !== 'pull') {
+    throw new Error('The pull request doesn\'t exist yet, pick this in the sidebar of the form.');
+  }
+
+  const client = host.createClient();
+  if (kind === 'reviewer' || kind === 'team') {
+    await client.requestReviewers(target.owner, target.repo, target.number, kind === 'team' ? { teamReviewers: [value] } : { reviewers: [value] });
+  } else if (kind === 'label') {
+    await client.addLabels(target.owner, target.repo, target.number, [value]);
+  } else if (kind === 'draft' || kind === 'ready') {
+    await client.setDraft(target.owner, target.repo, target.number, kind === 'draft');
+  } else {
+    throw new Error(`Unknown suggestion "${kind}"`);
+  }
 }
 
-// Generate PR description using AI
-async function generatePRDescription(commits) {
-  const apiKey = await getApiKey();
-  
-  if (!apiKey) {
-    throw new Error('API key not configured. Please set your OpenRouter API key in the extension popup.');
+// The repository of a pulls list page, with a client that can write to it
+async function getBatchRepository(pageUrl) {
+  const host = await getPageHost(pageUrl);
+  requireGitHubApi(host, 'Batch descriptions');
+  const repository = host.parseRepositoryUrl(pageUrl);
+  if (!repository) {
+    throw new Error('Batch descriptions need a repository\'s list of pull requests.');
   }
 
-  const prompt = `Based on the following commit messages, generate a concise and professional GitHub pull request title and description. 
+  return { host, ...repository, client: host.createClient() };
+}
+
+// The signed-in user's open pull requests in the repository of a pulls list
+// page whose description is empty or still just the template
+async function listBatchCandidates(pageUrl) {
+  const { owner, repo, client } = await getBatchRepository(pageUrl);
 
-Commit messages:
-${commits.map((commit, index) => `${index + 1}. ${commit}`).join('\n')}
+  let user;
+  try {
+    user = await client.getAuthenticatedUser();
+  } catch (error) {
+    if (error.status === 401) {
+      throw new Error('Batch descriptions need a GitHub token to find your pull requests, set one in the extension settings.');
+    }
+    throw error;
+  }
+
+  const [pulls, template] = await Promise.all([
+    client.listPullRequests(owner, repo),
+    fetchCachedTemplate(chrome.storage.session, templateCacheKey(pageUrl, { owner, repo }), () =>
+      fetchPullRequestTemplate(client, owner, repo)).catch(() => null)
+  ]);
+
+  return findBatchCandidates(pulls, { login: user.login, template: template?.text });
+}
 
-Please format your response as:
-Title: [A clear, concise title summarizing the changes]
+// Generate descriptions for the pull requests numbered in the repository of a
+// pulls list page, through the shared queue. Each pull request's progress goes
+// to the page as { type: 'batch-item', number, status } messages, with status
+// 'running', 'done' (with title and body), 'error' (with error) or 'stopped'.
+// Nothing is written to the pull requests here, see updatePullRequest.
+async function generateBatch(pageUrl, numbers, { send, signal }) {
+  const { host, owner, repo } = await getBatchRepository(pageUrl);
+  if (!Array.isArray(numbers) || numbers.length === 0) {
+    throw new Error('Select the pull requests to describe first.');
+  }
+  if (numbers.length > MAX_BATCH_SIZE) {
+    throw new Error(`Select at most ${MAX_BATCH_SIZE} pull requests at a time.`);
+  }
 
-Description:
-[A detailed description explaining what was changed, why it was changed, and any important notes for reviewers]`;
+  await Promise.all(numbers.map(number => batchQueue.add(async () => {
+    if (signal.aborted) {
+      send({ type: 'batch-item', number, status: 'stopped' });
+      return;
+    }
 
-  const requestBody = {
-    model: MODEL_NAME,
-    messages: [
-      {
-        role: 'user',
-        content: prompt
+    send({ type: 'batch-item', number, status: 'running' });
+    try {
+      // The budget may have run out while this one was waiting its turn
+      await assertWithinBudget();
+      const { title, body } = await describeChanges(`${host.origin}/${owner}/${repo}/pull/${number}`, {
+        send: message => send({ ...message, number }),
+        signal,
+        // There is no panel to show the report in for each of them
+        waitForConfirmation: () => Promise.reject(new Error('Something was masked in the changes. Generate this one from its own page to review it before sending.'))
+      });
+      send({ type: 'batch-item', number, status: 'done', title, body });
+    } catch (error) {
+      if (signal.aborted) {
+        send({ type: 'batch-item', number, status: 'stopped' });
+      } else {
+        console.error(`PR Script: Batch description for #${number} failed:`, error);
+        send({ type: 'batch-item', number, status: 'error', error: error.message });
       }
-    ],
-    temperature: 0.7,
-    max_tokens: 1000
-  };
+    }
+  })));
+}
 
-  const headers = {
-    'Authorization': `Bearer ${apiKey}`,
-    'Content-Type': 'application/json',
-    'HTTP-Referer': 'https://github.com',
-    'X-Title': 'PR Script Extension',
-    'User-Agent': 'PR-Script-Extension/1.0'
-  };
+// Write an approved title and description to a pull request, returning its URL
+async function updatePullRequest(pageUrl, number, { title, body }) {
+  const { owner, repo, client } = await getBatchRepository(pageUrl);
+  if (!String(title || '').trim()) {
+    throw new Error('The title can\'t be empty.');
+  }
+
+  const pullRequest = await client.updatePullRequest(owner, repo, number, { title: title.trim(), body: body || '' });
+  return pullRequest.html_url;
+}
+
+// Remember a finished generation with the (redacted) inputs it was made from.
+// Release notes are kept under previous tag...new tag. A failure here never
+// fails the generation itself.
+async function recordGeneration({ pageUrl, kind, base, head, settings, inputs, title, body }) {
+  if (!settings.history.enabled) {
+    return null;
+  }
+
+  try {
+    const repository = findHost(pageUrl, await getSettings()).parseRepositoryUrl(pageUrl);
+    if (kind !== 'release') {
+      ({ base, head } = await findHistoryRefs(pageUrl, { base, head }));
+    }
+
+    const entry = await addGeneration(await getHistoryDatabase(), {
+      key: historyKey(repository, base, head),
+      repository: `${repository.owner}/${repository.repo}`.toLowerCase(),
+      base,
+      head,
+      pageUrl,
+      kind,
+      profile: { id: settings.profile.id, name: settings.profile.name },
+      provider: { id: settings.provider.id, model: settings.provider.model },
+      inputs: {
+        commits: inputs.commits.map(({ sha, subject }) => ({ sha, subject })),
+        files: (inputs.files || []).map(file => file.path),
+        branch: inputs.branch || '',
+        issues: inputs.issues || ''
+      },
+      title,
+      body
+    }, settings.history);
+
+    return entry.id;
+  } catch (error) {
+    console.error('PR Script: Could not save the generation history:', error);
+    return null;
+  }
+}
+
+// History entries for a page, newest first: the versions for its base...head,
+// the release notes of its repository on new release pages, or the latest of
+// all without a page
+async function getPageHistory(pageUrl) {
+  const db = await getHistoryDatabase();
+  if (!pageUrl) {
+    return listGenerations(db, { limit: 50 });
+  }
+
+  const repository = findHost(pageUrl, await getSettings())?.parseRepositoryUrl(pageUrl);
+  if (repository && /\/releases\/new\/?$/.test(new URL(pageUrl).pathname)) {
+    return listGenerations(db, { repository: `${repository.owner}/${repository.repo}`, kind: 'release' });
+  }
+
+  const refs = await findHistoryRefs(pageUrl);
+  return refs ? listGenerations(db, { key: historyKey(refs.repository, refs.base, refs.head) }) : [];
+}
+
+// Run a generation for the content script over a long-lived port, either a
+// description ("generateDescription"), a review briefing ("reviewPullRequest"),
+// release notes ("generateReleaseNotes"), batch descriptions ("generateBatch")
+// or the commit lint with new subjects ("lintCommits").
+// Descriptions are streamed to the page as they arrive, and a "stop" message
+// (or the page going away) aborts the request, keeping what has arrived so far.
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== 'generate') {
+    return;
+  }
+
+  const controller = new AbortController();
+  let streamed = '';
+  let connected = true;
+  let confirmSend = null;
 
-  const response = await fetch(OPENROUTER_API_URL, {
-    method: 'POST',
-    headers: headers,
-    body: JSON.stringify(requestBody)
+  port.onDisconnect.addListener(() => {
+    connected = false;
+    controller.abort();
   });
 
-  if (!response.ok) {
-    const errorText = await response.text();
-    console.error('PR Script: Error response:', errorText);
-    
-    let errorData;
+  // Posting to a port whose page has gone away throws
+  function send(message) {
+    if (connected) {
+      port.postMessage(message);
+    }
+  }
+
+  // Resolves when the page answers the redaction report with "send",
+  // rejects when generation is stopped instead
+  function waitForConfirmation() {
+    return new Promise((resolve, reject) => {
+      confirmSend = resolve;
+      controller.signal.addEventListener('abort', () => reject(new Error('Stopped')), { once: true });
+    });
+  }
+
+  port.onMessage.addListener(async (request) => {
+    if (request.action === 'stop') {
+      controller.abort();
+      return;
+    }
+
+    if (request.action === 'send') {
+      confirmSend?.();
+      return;
+    }
+
+    if (!['generateDescription', 'reviewPullRequest', 'generateReleaseNotes', 'generateBatch', 'lintCommits'].includes(request.action) || !request.pageUrl) {
+      return;
+    }
+
+    const tabId = port.sender.tab.id;
+
     try {
-      errorData = JSON.parse(errorText);
-    } catch (e) {
-      errorData = { error: { message: errorText } };
+      const budget = await getBudgetStatus();
+      if (budget.status === 'warn') {
+        send({ type: 'warning', message: `${formatDollars(budget.spent)} of this month's ${formatDollars(budget.budget)} budget used` });
+      }
+
+      if (request.action === 'reviewPullRequest') {
+        const review = await generateReview(request.pageUrl, {
+          refresh: request.refresh === true,
+          send,
+          signal: controller.signal,
+          waitForConfirmation
+        });
+        send({ type: 'review', ...review });
+        return;
+      }
+
+      if (request.action === 'generateReleaseNotes') {
+        const { title, body, base, commits } = await generateReleaseNotes(request.pageUrl, request, {
+          send,
+          signal: controller.signal,
+          waitForConfirmation
+        });
+        const historyId = await recordGeneration({
+          pageUrl: request.pageUrl,
+          kind: 'release',
+          base,
+          head: request.tag,
+          settings: await getPageSettings(request.pageUrl),
+          inputs: { commits },
+          title,
+          body
+        });
+        send({ type: 'done', title, body, commitSource: 'api', historyId });
+        return;
+      }
+
+      if (request.action === 'lintCommits') {
+        const lint = await lintCommitHistory(request.pageUrl, {
+          pageCommits: request.pageCommits,
+          refresh: request.refresh === true,
+          send,
+          signal: controller.signal,
+          waitForConfirmation
+        });
+        send({ type: 'lint', ...lint });
+        return;
+      }
+
+      if (request.action === 'generateBatch') {
+        await generateBatch(request.pageUrl, request.numbers, { send, signal: controller.signal });
+        send({ type: 'batch-done' });
+        return;
+      }
+
+      const { title, body, changeType, changes, cached, diffStats, commitSource, historyId } = await describeChanges(request.pageUrl, {
+        pageCommits: request.pageCommits,
+        pageBody: request.pageBody,
+        refresh: request.refresh === true,
+        send,
+        signal: controller.signal,
+        waitForConfirmation,
+        onDelta: text => {
+          streamed += text;
+          send({ type: 'partial', ...parsePartialResponse(streamed) });
+        }
+      });
+
+      // Remembered per tab so the popup can show how much of the diff was used
+      await chrome.storage.session.set({ [`diffStats:${tabId}`]: diffStats });
+
+      const suggestions = await suggestMetadata(request.pageUrl, { title, changeType, changes });
+      send({ type: 'done', title, body, commitSource, cached, historyId, suggestions });
+    } catch (error) {
+      if (controller.signal.aborted) {
+        send({ type: 'stopped', ...parsePartialResponse(streamed) });
+        return;
+      }
+
+      console.error('Error generating description:', error);
+      send({ type: 'error', error: error.message });
     }
-    
-    throw new Error(`API Error: ${errorData.error?.message || errorData.message || 'Unknown error'}`);
+  });
+});
+
+// Id of the content script registered for the hosts added in the settings
+const HOST_SCRIPT_ID = 'custom-hosts';
+
+// Run the content scripts on the hosts added in the settings whose origins
+// the user has allowed, and offer the rewrites in their context menus. The
+// manifest only covers github.com.
+async function syncHostContentScripts() {
+  const { hosts } = await getSettings();
+  const patterns = [];
+  for (const host of hosts) {
+    if (await chrome.permissions.contains({ origins: hostOrigins(host) })) {
+      patterns.push(`${new URL(host.url).origin}/*`);
+    }
+  }
+
+  const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [HOST_SCRIPT_ID] });
+  if (registered.length > 0) {
+    await chrome.scripting.unregisterContentScripts({ ids: [HOST_SCRIPT_ID] });
+  }
+
+  if (patterns.length > 0) {
+    const [{ js }] = chrome.runtime.getManifest().content_scripts;
+    await chrome.scripting.registerContentScripts([{ id: HOST_SCRIPT_ID, matches: patterns, js: js, runAt: 'document_end' }]);
+  }
+
+  for (const mode of Object.keys(REWRITE_MODES)) {
+    // Fails harmlessly while the menu is still being created
+    chrome.contextMenus.update(`rewrite-${mode}`, { documentUrlPatterns: [...PAGE_PATTERNS, ...patterns] }, () => void chrome.runtime.lastError);
   }
+}
 
-  const data = await response.json();
-  return data.choices[0].message.content;
+function syncHosts() {
+  syncHostContentScripts().catch(error => console.error('PR Script: Could not set up the code hosts:', error));
 }
 
-// Listen for messages from content script and popup
+// Bring settings stored by an older version up to date right after an update.
+// A new install starts with the settings page, which asks for an API key.
+chrome.runtime.onInstalled.addListener((details) => {
+  getSettings().catch(error => console.error('PR Script: Settings migration failed:', error));
+
+  if (details.reason === 'install') {
+    chrome.runtime.openOptionsPage();
+  }
+
+  // Context menu entries for text selected in form fields on the hosts' pages
+  chrome.contextMenus.removeAll(() => {
+    for (const [mode, { title }] of Object.entries(REWRITE_MODES)) {
+      chrome.contextMenus.create({
+        id: `rewrite-${mode}`,
+        title: title,
+        contexts: ['editable'],
+        documentUrlPatterns: PAGE_PATTERNS
+      });
+    }
+    syncHosts();
+  });
+});
+
+// Registered content scripts survive restarts, but permissions may have been
+// taken away in the meantime. Hosts and permissions also change while running.
+chrome.runtime.onStartup.addListener(syncHosts);
+chrome.permissions.onAdded.addListener(syncHosts);
+chrome.permissions.onRemoved.addListener(syncHosts);
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'sync' && changes.hosts) {
+    syncHosts();
+  }
+});
+
+// The page works out which field and text are selected
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  const mode = String(info.menuItemId).replace(/^rewrite-/, '');
+  if (REWRITE_MODES[mode] && tab?.id !== undefined) {
+    chrome.tabs.sendMessage(tab.id, { action: 'rewriteSelection', mode: mode }, { frameId: info.frameId })
+      .catch(error => console.error('PR Script: Could not reach the page:', error));
+  }
+});
+
+// Keyboard shortcuts (see "commands" in the manifest) act on the page in front
+chrome.commands.onCommand.addListener((command, tab) => {
+  if (tab?.id !== undefined) {
+    // Other pages have no content script to answer
+    chrome.tabs.sendMessage(tab.id, { action: 'runCommand', command: command }).catch(() => {});
+  }
+});
+
+// Listen for messages from content script, popup and options page
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-  if (request.action === 'generateDescription' && request.commits) {
-    generatePRDescription(request.commits)
-      .then(description => {
-        // Send response back to content script
-        chrome.tabs.sendMessage(sender.tab.id, { 
-          action: 'insertDescription', 
-          description: description 
-        });
-        sendResponse({ success: true });
+  if (request.action === 'getSettings') {
+    getSettings()
+      .then(settings => sendResponse({
+        settings: settings,
+        providers: PROVIDERS,
+        profiles: mergeProfiles(settings.promptProfiles),
+        detectors: DETECTORS.map(({ id, label }) => ({ id, label })),
+        hostTypes: HOST_TYPES
+      }))
+      .catch(error => sendResponse({ error: error.message }));
+    
+    return true;
+  }
+  
+  if (request.action === 'saveSettings') {
+    saveSettings(chrome.storage.sync, request.changes, { saveSecrets: storeSecrets })
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    
+    return true;
+  }
+  
+  if (request.action === 'exportSettings') {
+    getSettings()
+      .then(settings => sendResponse({ json: exportSettings(settings) }))
+      .catch(error => sendResponse({ error: error.message }));
+    
+    return true;
+  }
+  
+  if (request.action === 'importSettings') {
+    (async () => {
+      const { settings, secrets } = importSettings(request.json, await getSettings());
+      if (Object.keys(secrets).length > 0) {
+        await storeSecrets(secrets);
+      }
+      await saveSettings(chrome.storage.sync, settings, { saveSecrets: storeSecrets });
+    })()
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    
+    return true;
+  }
+  
+  if (request.action === 'resetSettings') {
+    resetSettings(chrome.storage.sync)
+      .then(() => clearVault(chrome.storage.local, chrome.storage.session))
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    
+    return true;
+  }
+  
+  if (request.action === 'getHostType') {
+    // Which pages the content script and popup are on
+    getSettings()
+      .then(settings => {
+        const host = findHost(request.pageUrl, settings);
+        sendResponse({ host: host ? { type: host.type, label: host.label, page: host.page, github: host.github } : null });
       })
-      .catch(error => {
-        console.error('Error generating description:', error);
-        chrome.tabs.sendMessage(sender.tab.id, { 
-          action: 'showError', 
-          error: error.message 
-        });
-        sendResponse({ success: false, error: error.message });
-      });
+      .catch(error => sendResponse({ error: error.message }));
+
+    return true;
+  }
+
+  if (request.action === 'listBatchCandidates') {
+    // Pull requests on a pulls list page that still need a description
+    listBatchCandidates(request.pageUrl)
+      .then(candidates => sendResponse({ candidates: candidates }))
+      .catch(error => sendResponse({ error: error.message }));
+
+    return true;
+  }
+
+  if (request.action === 'updatePullRequest') {
+    // A batch description the user approved
+    updatePullRequest(request.pageUrl, request.number, { title: request.title, body: request.body })
+      .then(url => sendResponse({ success: true, url: url }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+
+    return true;
+  }
+
+  if (request.action === 'postReviewComment') {
+    postReviewComment(request.pageUrl, request.markdown, request.headSha)
+      .then(url => sendResponse({ success: true, url: url }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+
+    return true;
+  }
+
+  if (request.action === 'applySuggestion') {
+    applySuggestion(request.pageUrl, request.suggestion)
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+
+    return true;
+  }
+
+  if (request.action === 'getHistory') {
+    getPageHistory(request.pageUrl)
+      .then(entries => sendResponse({ entries: entries }))
+      .catch(error => sendResponse({ error: error.message }));
+
+    return true;
+  }
+
+  if (request.action === 'deleteHistoryEntry') {
+    getHistoryDatabase()
+      .then(db => deleteGeneration(db, request.id))
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+
+    return true;
+  }
+
+  if (request.action === 'clearHistory') {
+    getHistoryDatabase()
+      .then(db => clearHistory(db))
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+
+    return true;
+  }
+
+  if (request.action === 'getCacheStats') {
+    getCacheStats(chrome.storage.local)
+      .then(stats => sendResponse({ stats: stats }))
+      .catch(error => sendResponse({ error: error.message }));
+
+    return true;
+  }
+
+  if (request.action === 'clearCache') {
+    clearResponseCache(chrome.storage.local)
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+
+    return true;
+  }
+
+  if (request.action === 'getUsage') {
+    Promise.all([getUsageRecords(chrome.storage.local), getBudgetStatus()])
+      .then(([records, budget]) => sendResponse({ summary: summarizeUsage(records), budget: budget }))
+      .catch(error => sendResponse({ error: error.message }));
+
+    return true;
+  }
+
+  if (request.action === 'exportUsage') {
+    getUsageRecords(chrome.storage.local)
+      .then(records => sendResponse({ csv: usageToCsv(records) }))
+      .catch(error => sendResponse({ error: error.message }));
+
+    return true;
+  }
+
+  if (request.action === 'clearUsage') {
+    clearUsage(chrome.storage.local)
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+
+    return true;
+  }
+
+  if (request.action === 'rewriteText') {
+    rewriteText(request.pageUrl, request.mode, request.text)
+      .then(text => sendResponse({ success: true, text: text }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+
+    return true;
+  }
+
+  if (request.action === 'getDiffStats') {
+    const key = `diffStats:${request.tabId}`;
+    chrome.storage.session.get([key])
+      .then(result => sendResponse({ diffStats: result[key] || null }))
+      .catch(error => sendResponse({ error: error.message }));
+    
+    return true;
+  }
+  
+  if (request.action === 'isConfigured') {
+    // Whether there is an API key for the selected provider, never the key itself
+    isConfigured()
+      .then(status => sendResponse(status))
+      .catch(error => sendResponse({ error: error.message }));
+    
+    return true;
+  }
+  
+  if (request.action === 'getVaultStatus') {
+    // Which secrets are stored and whether the vault is locked
+    getVaultStatus(chrome.storage.local, chrome.storage.session)
+      .then(status => sendResponse({ status: status }))
+      .catch(error => sendResponse({ error: error.message }));
+    
+    return true;
+  }
+  
+  if (request.action === 'saveSecret') {
+    // An empty value removes the secret
+    (isSecretName(request.name)
+      ? storeSecrets({ [request.name]: String(request.value || '').trim() })
+      : Promise.reject(new Error(`Unknown secret: ${request.name}`)))
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    
+    return true;
+  }
+  
+  if (request.action === 'unlockVault') {
+    unlockVault(chrome.storage.local, chrome.storage.session, request.passphrase)
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    
+    return true;
+  }
+  
+  if (request.action === 'lockVault') {
+    lockVault(chrome.storage.session)
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
     
-    return true; // Keep message channel open for async response
+    return true;
   }
   
-  if (request.action === 'setApiKey') {
-    setApiKey(request.apiKey)
+  if (request.action === 'setPassphrase') {
+    // An empty passphrase goes back to the device key
+    setPassphrase(chrome.storage.local, chrome.storage.session, request.passphrase)
       .then(() => sendResponse({ success: true }))
       .catch(error => sendResponse({ success: false, error: error.message }));
     
     return true;
   }
   
-  if (request.action === 'getApiKey') {
-    getApiKey()
-      .then(apiKey => sendResponse({ apiKey: apiKey }))
+  if (request.action === 'exportProfiles') {
+    exportProfileFile()
+      .then(json => sendResponse({ json: json }))
       .catch(error => sendResponse({ error: error.message }));
     
     return true;
   }
   
+  if (request.action === 'importProfiles') {
+    importProfileFile(request.json)
+      .then(count => sendResponse({ success: true, count: count }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    
+    return true;
+  }
+  
   if (request.action === 'testApiKey') {
-    // Test API key with a simple request
+    // Test the selected provider with a simple request
     (async () => {
       try {
-        const apiKey = await getApiKey();
-        
-        const testResponse = await fetch(OPENROUTER_API_URL, {
-          method: 'POST',
-          headers: {
-            'Authorization': `Bearer ${apiKey}`,
-            'Content-Type': 'application/json',
-            'HTTP-Referer': 'https://github.com',
-            'X-Title': 'PR Script Extension',
-            'User-Agent': 'PR-Script-Extension/1.0'
-          },
-          body: JSON.stringify({
-            model: MODEL_NAME,
-            messages: [{ role: 'user', content: 'Hello, this is a test message.' }],
-            max_tokens: 50
-          })
+        const provider = await getProvider();
+        const reply = await provider.complete({
+          messages: [{ role: 'user', content: 'Hello, this is a test message.' }],
+          maxTokens: 50
         });
         
-        if (!testResponse.ok) {
-          const errorText = await testResponse.text();
-          console.error('PR Script: Test API error:', errorText);
-          sendResponse({ success: false, error: errorText });
-        } else {
-          const testData = await testResponse.json();
-          sendResponse({ success: true, data: testData });
-        }
+        sendResponse({ success: true, data: reply });
       } catch (error) {
         console.error('PR Script: Test error:', error);
         sendResponse({ success: false, error: error.message });
@@ -162,4 +1756,4 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     
     return true;
   }
-});
\ No newline at end of file
+});
@@ -0,0 +1,221 @@
+// Side panel for batch descriptions on a repository's list of pull requests:
+// pick pull requests, generate their descriptions, then approve them one at a
+// time. Shares the look of the preview panel (panel.js) and lives in its own
+// shadow root.
+
+// What the panel currently shows: { candidates, status, busy }. Candidates are
+// the pull requests from the background script, with selected, state (one of
+// BATCH_STATES), result ({ title, body } once generated) and error.
+let batchState = null;
+let batchCallbacks = {};
+
+// Labels of the states a pull request goes through
+const BATCH_STATES = {
+  idle: '',
+  queued: 'Queued',
+  running: 'Writing...',
+  done: 'Ready for review',
+  error: 'Failed',
+  stopped: 'Stopped',
+  applying: 'Updating...',
+  applied: 'Updated',
+  skipped: 'Skipped'
+};
+
+// States a pull request can be (re)generated from
+const SELECTABLE_STATES = ['idle', 'error', 'stopped', 'skipped'];
+
+const BATCH_PANEL_STYLES = `
+  .panel { height: 100%; max-height: none; border-radius: 0; border-width: 0 0 0 1px; }
+  .batch-list { list-style: none; margin: 0; padding: 0; }
+  .batch-list li { display: flex; gap: 8px; align-items: baseline; padding: 6px 0; border-bottom: 1px solid #d1d9e0; }
+  .batch-list .pr-title { flex: 1; }
+  .batch-list .state { color: #656d76; font-size: 12px; white-space: nowrap; }
+  .batch-list .state.error { color: #d1242f; }
+  .batch-review { padding-bottom: 12px; margin-bottom: 8px; border-bottom: 1px solid #d1d9e0; }
+  .batch-review[hidden] { display: none; }
+  .batch-review .edit-body { min-height: 220px; }
+  .review-meta { color: #656d76; font-size: 12px; margin: 0 0 6px; }
+`;
+
+const BATCH_PANEL_HTML = `
+  <div class="panel">
+    <header>
+      <strong>🗂 Batch descriptions</strong>
+      <span class="status"></span>
+      <button class="close" title="Close">✕</button>
+    </header>
+    <div class="content">
+      <section class="batch-review" hidden>
+        <p class="review-meta"></p>
+        <input class="edit-title" placeholder="Title">
+        <textarea class="edit-body" placeholder="Description"></textarea>
+      </section>
+      <ul class="batch-list"></ul>
+    </div>
+    <footer>
+      <button data-action="approve" class="primary" title="Write this title and description to the pull request">Approve and update</button>
+      <button data-action="skip" title="Leave this pull request as it is">Skip</button>
+      <button data-action="generate" title="Generate descriptions for the selected pull requests">Generate selected</button>
+      <button data-action="select-all">Select all</button>
+    </footer>
+  </div>
+`;
+
+function getBatchPanelRoot() {
+  return document.getElementById('pr-script-batch-host')?.shadowRoot || null;
+}
+
+// Open the panel (or reuse the open one). onGenerate is called with the
+// numbers of the selected pull requests, onApprove with a pull request whose
+// result the user approved.
+function openBatchPanel({ onGenerate, onApprove }) {
+  batchCallbacks = { onGenerate, onApprove };
+  batchState = { candidates: [], status: '', busy: true };
+
+  if (!getBatchPanelRoot()) {
+    const host = document.createElement('div');
+    host.id = 'pr-script-batch-host';
+    host.style.cssText = 'position: fixed; z-index: 10000; top: 0; right: 0; bottom: 0; width: 440px; max-width: 100vw;';
+
+    const root = host.attachShadow({ mode: 'open' });
+    root.innerHTML = `<style>${PANEL_STYLES}${BATCH_PANEL_STYLES}</style>${BATCH_PANEL_HTML}`;
+
+    root.querySelectorAll('[data-action]').forEach(button => {
+      button.addEventListener('click', () => handleBatchPanelAction(button.dataset.action));
+    });
+    root.querySelector('.close').addEventListener('click', closeBatchPanel);
+
+    // Edits to the pull request under review become what gets written
+    root.querySelector('.edit-title').addEventListener('input', (event) => {
+      findBatchReview().result.title = event.target.value;
+      renderBatchPanel();
+    });
+    root.querySelector('.edit-body').addEventListener('input', (event) => {
+      findBatchReview().result.body = event.target.value;
+    });
+
+    document.body.appendChild(host);
+  }
+
+  renderBatchPanel();
+}
+
+// Show new candidates or status in the panel
+function updateBatchPanel(changes) {
+  if (!batchState) {
+    return;
+  }
+
+  batchState = { ...batchState, ...changes };
+  renderBatchPanel();
+}
+
+// Change what the panel knows about one pull request
+function updateBatchItem(number, changes) {
+  if (!batchState) {
+    return;
+  }
+
+  batchState.candidates = batchState.candidates.map(candidate =>
+    candidate.number === number ? { ...candidate, ...changes } : candidate
+  );
+  renderBatchPanel();
+}
+
+function closeBatchPanel() {
+  document.getElementById('pr-script-batch-host')?.remove();
+  batchState = null;
+}
+
+// The pull request waiting for approval, in the order of the list
+function findBatchReview() {
+  return batchState?.candidates.find(candidate => candidate.state === 'done') || null;
+}
+
+function renderBatchPanel() {
+  const root = getBatchPanelRoot();
+  if (!root || !batchState) {
+    return;
+  }
+
+  const { candidates, status, busy } = batchState;
+  root.querySelector('.status').textContent = status;
+
+  const list = root.querySelector('.batch-list');
+  list.innerHTML = '';
+  for (const candidate of candidates) {
+    const item = document.createElement('li');
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = candidate.selected;
+    checkbox.disabled = busy || !SELECTABLE_STATES.includes(candidate.state);
+    checkbox.title = 'Generate a description for this pull request';
+    checkbox.addEventListener('change', () => updateBatchItem(candidate.number, { selected: checkbox.checked }));
+
+    const title = document.createElement('a');
+    title.className = 'pr-title';
+    title.href = candidate.url;
+    title.target = '_blank';
+    title.textContent = `#${candidate.number} ${candidate.title}${candidate.draft ? ' (draft)' : ''}`;
+
+    const state = document.createElement('span');
+    state.className = `state ${candidate.state}`;
+    state.textContent = BATCH_STATES[candidate.state];
+    state.title = candidate.error || '';
+
+    item.append(checkbox, title, state);
+    list.appendChild(item);
+  }
+
+  // One pull request at a time is up for approval. The fields are only
+  // filled when it changes, so edits in progress stay.
+  const review = findBatchReview();
+  const section = root.querySelector('.batch-review');
+  section.hidden = !review;
+  if (review) {
+    const waiting = candidates.filter(candidate => candidate.state === 'done').length;
+    root.querySelector('.review-meta').textContent = `#${review.number}, ${waiting} waiting for approval`;
+  }
+  if (review && section.dataset.number !== String(review.number)) {
+    section.dataset.number = review.number;
+    root.querySelector('.edit-title').value = review.result.title;
+    root.querySelector('.edit-body').value = review.result.body;
+  } else if (!review) {
+    delete section.dataset.number;
+  }
+
+  const selected = candidates.filter(candidate => candidate.selected && SELECTABLE_STATES.includes(candidate.state));
+  root.querySelector('[data-action="approve"]').disabled = !review || !review.result.title.trim();
+  root.querySelector('[data-action="skip"]').disabled = !review;
+  root.querySelector('[data-action="generate"]').disabled = busy || selected.length === 0;
+  root.querySelector('[data-action="select-all"]').disabled = busy || candidates.length === 0;
+}
+
+function handleBatchPanelAction(action) {
+  const review = findBatchReview();
+
+  if (action === 'approve' && review) {
+    updateBatchItem(review.number, { state: 'applying' });
+    batchCallbacks.onApprove?.(review);
+  } else if (action === 'skip' && review) {
+    updateBatchItem(review.number, { state: 'skipped', selected: false });
+  } else if (action === 'generate') {
+    const numbers = batchState.candidates
+      .filter(candidate => candidate.selected && SELECTABLE_STATES.includes(candidate.state))
+      .map(candidate => candidate.number);
+    batchState.candidates = batchState.candidates.map(candidate =>
+      numbers.includes(candidate.number) ? { ...candidate, state: 'queued', error: null, selected: false } : candidate
+    );
+    updateBatchPanel({ busy: true });
+    batchCallbacks.onGenerate?.(numbers);
+  } else if (action === 'select-all') {
+    const selectable = batchState.candidates.filter(candidate => SELECTABLE_STATES.includes(candidate.state));
+    const selectAll = selectable.some(candidate => !candidate.selected);
+    batchState.candidates = batchState.candidates.map(candidate =>
+      SELECTABLE_STATES.includes(candidate.state) ? { ...candidate, selected: selectAll } : candidate
+    );
+    renderBatchPanel();
+  }
+}
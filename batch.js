@@ -0,0 +1,30 @@
+// Batch descriptions: drafting descriptions for several open pull requests of
+// a repository at once, from its list of pull requests
+import { isTemplateOnly } from './templates.js';
+
+// Descriptions generated at the same time, across all batches
+export const BATCH_CONCURRENCY = 2;
+
+// Pull requests described in one batch
+export const MAX_BATCH_SIZE = 20;
+
+// The pull requests worth drafting a description for: open ones by login
+// whose description is empty or still just the repository's template. pulls
+// are as GitHub's API lists them. Returns
+// [{ number, title, url, base, head, draft, empty }], empty meaning there is
+// no description at all.
+export function findBatchCandidates(pulls, { login, template = null }) {
+  const author = String(login || '').toLowerCase();
+
+  return pulls
+    .filter(pull => pull.state === 'open' && pull.user?.login?.toLowerCase() === author && isTemplateOnly(pull.body, template))
+    .map(pull => ({
+      number: pull.number,
+      title: pull.title,
+      url: pull.html_url,
+      base: pull.base?.ref || null,
+      head: pull.head?.ref || null,
+      draft: Boolean(pull.draft),
+      empty: !(pull.body || '').trim()
+    }));
+}
@@ -0,0 +1,176 @@
+// Bitbucket Cloud REST API client for pull requests on bitbucket.org. Targets
+// and changes come back in the same shape as github.js.
+import { parseUnifiedDiff } from './diff.js';
+
+export const BITBUCKET_API_URL = 'https://api.bitbucket.org/2.0';
+
+// Pull requests and comparisons stop at this many commits
+const MAX_COMMITS = 250;
+const PAGE_LENGTH = 100;
+
+// Branch names in the page URL may be qualified with the repository, e.g.
+// "workspace/app::feature/x"
+function branchName(value) {
+  return value ? value.split('::').pop() : null;
+}
+
+// Work out which comparison a pull request page is showing. Returns null for other pages.
+//   /workspace/app/pull-requests/new?source=feat&dest=main -> { type: 'compare', owner: 'workspace', repo: 'app', base: 'main', head: 'feat' }
+//   /workspace/app/pull-requests/42                      -> { type: 'pull', owner: 'workspace', repo: 'app', number: 42 }
+export function parseBitbucketUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return null;
+  }
+
+  const [owner, repo, kind, page] = parsed.pathname.split('/').filter(Boolean).map(segment => decodeURIComponent(segment));
+  if (!owner || !repo || kind !== 'pull-requests' || !page) {
+    return null;
+  }
+
+  if (page === 'new') {
+    const head = branchName(parsed.searchParams.get('source'));
+    return head ? { type: 'compare', owner, repo, base: branchName(parsed.searchParams.get('dest')), head } : null;
+  }
+
+  const number = parseInt(page, 10);
+  return Number.isInteger(number) ? { type: 'pull', owner, repo, number } : null;
+}
+
+// The repository of any bitbucket.org page, e.g. /workspace/app/src -> { owner, repo }
+export function parseBitbucketRepositoryUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return null;
+  }
+
+  const [owner, repo] = parsed.pathname.split('/').filter(Boolean).map(segment => decodeURIComponent(segment));
+  return owner && repo ? { owner, repo } : null;
+}
+
+// Split a commit from the API into the fields the prompt needs
+function normalizeCommit(commit) {
+  const [subject = '', ...bodyLines] = (commit.message || '').trim().split('\n');
+
+  return {
+    sha: commit.hash,
+    subject: subject.trim(),
+    body: bodyLines.join('\n').trim(),
+    author: commit.author?.user?.display_name || commit.author?.raw?.replace(/\s*<.*>$/, '') || null,
+    source: 'api'
+  };
+}
+
+// Create a client. The token is an access token, or "username:app password"
+// for an app password.
+export function createBitbucketClient({ token = null, apiBase = BITBUCKET_API_URL, fetch: fetchImpl } = {}) {
+  const doFetch = fetchImpl || globalThis.fetch.bind(globalThis);
+
+  const headers = {};
+  if (token) {
+    headers['Authorization'] = token.includes(':') ? `Basic ${btoa(token)}` : `Bearer ${token}`;
+  }
+
+  // JSON by default, the raw text for diffs. Paths may also be full URLs, as
+  // the "next" links of paginated responses are.
+  async function request(path, { text = false } = {}) {
+    const response = await doFetch(path.startsWith('https://') ? path : `${apiBase}${path}`, { headers });
+
+    if (!response.ok) {
+      let message;
+      try {
+        const errorData = await response.json();
+        message = errorData.error?.message || response.statusText;
+      } catch (e) {
+        message = response.statusText || 'Unknown error';
+      }
+
+      if ((response.status === 404 || response.status === 403) && !token) {
+        message += ' (private repositories need a token, set one for the host in the extension settings)';
+      }
+
+      const error = new Error(`Bitbucket API error (${response.status}): ${message}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    return text ? response.text() : response.json();
+  }
+
+  const repositoryPath = (owner, repo) => `/repositories/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}`;
+
+  // Follow the "next" links of a paginated list, up to max values
+  async function requestAll(path, max) {
+    const values = [];
+    let next = path;
+
+    while (next && values.length < max) {
+      const page = await request(next);
+      values.push(...page.values);
+      next = page.next;
+    }
+
+    return values.slice(0, max);
+  }
+
+  async function getRepository(owner, repo) {
+    return request(repositoryPath(owner, repo));
+  }
+
+  async function getPullRequest(owner, repo, number) {
+    return request(`${repositoryPath(owner, repo)}/pullrequests/${number}`);
+  }
+
+  // Base and head branch of a target from parseBitbucketUrl()
+  async function getRefs(target) {
+    if (target.type === 'pull') {
+      const pullRequest = await getPullRequest(target.owner, target.repo, target.number);
+      return { base: pullRequest.destination.branch.name, head: pullRequest.source.branch.name };
+    }
+
+    // Without a destination the pull request goes into the main branch
+    const base = target.base || (await getRepository(target.owner, target.repo)).mainbranch.name;
+    return { base, head: target.head };
+  }
+
+  // Commits (oldest first), changed files and the base and head branch names for a target
+  async function getChanges(target) {
+    const path = repositoryPath(target.owner, target.repo);
+
+    if (target.type === 'pull') {
+      const [refs, commits, diff] = await Promise.all([
+        getRefs(target),
+        requestAll(`${path}/pullrequests/${target.number}/commits?pagelen=${PAGE_LENGTH}`, MAX_COMMITS),
+        request(`${path}/pullrequests/${target.number}/diff`, { text: true })
+      ]);
+      // The API lists the newest first
+      return { commits: commits.reverse().map(normalizeCommit), files: parseUnifiedDiff(diff), ...refs };
+    }
+
+    const { base, head } = await getRefs(target);
+    const [commits, diff] = await Promise.all([
+      requestAll(`${path}/commits?include=${encodeURIComponent(head)}&exclude=${encodeURIComponent(base)}&pagelen=${PAGE_LENGTH}`, MAX_COMMITS),
+      // "head..base" is what head adds since it branched off base
+      request(`${path}/diff/${encodeURIComponent(head)}..${encodeURIComponent(base)}`, { text: true })
+    ]);
+
+    return { commits: commits.reverse().map(normalizeCommit), files: parseUnifiedDiff(diff), base, head };
+  }
+
+  // The API serves the diff already, there is nothing better to fall back to
+  async function getWebDiff() {
+    return [];
+  }
+
+  return {
+    request,
+    getRepository,
+    getRefs,
+    getChanges,
+    getWebDiff
+  };
+}
@@ -0,0 +1,164 @@
+// Model replies cached by request, so the same prompt isn't paid for twice,
+// and identical requests running at the same time share one call
+import { createQueue } from './queue.js';
+
+const CACHE_KEY = 'responseCache';
+const STATS_KEY = 'responseCacheStats';
+
+// Replies kept in chrome.storage.local, the oldest go first
+const MAX_CACHED_RESPONSES = 200;
+
+// Changes to the cache and its counts, one at a time, as in usage.js
+const writes = createQueue({ concurrency: 1 });
+
+// Line endings and trailing whitespace don't change what a prompt asks for
+function normalizeText(text) {
+  return String(text || '')
+    .replace(/\r\n?/g, '\n')
+    .split('\n')
+    .map(line => line.trimEnd())
+    .join('\n')
+    .trim();
+}
+
+// Cache key for a completion request: a SHA-256 hash of the provider and
+// model, the normalized messages and the parameters that shape the reply
+export async function hashRequest({ provider, model, messages, maxTokens, temperature = null, topP = null, json = false }) {
+  const canonical = JSON.stringify([
+    provider,
+    model,
+    messages.map(({ role, content }) => [role, normalizeText(content)]),
+    maxTokens,
+    temperature,
+    topP,
+    json
+  ]);
+
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(canonical));
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// The cached reply for a key, null when there is none younger than ttl (ms)
+export async function getCachedResponse(storage, key, ttl, now = Date.now()) {
+  const { [CACHE_KEY]: cache = {} } = await storage.get(CACHE_KEY);
+  const entry = cache[key];
+
+  return entry && now - entry.createdAt < ttl ? entry.text : null;
+}
+
+// Remember a reply, dropping the oldest beyond the limit
+export async function cacheResponse(storage, key, text, now = Date.now()) {
+  await writes.add(async () => {
+    const { [CACHE_KEY]: cache = {} } = await storage.get(CACHE_KEY);
+    cache[key] = { text, createdAt: now };
+
+    const keys = Object.keys(cache).sort((a, b) => cache[b].createdAt - cache[a].createdAt);
+    for (const stale of keys.slice(MAX_CACHED_RESPONSES)) {
+      delete cache[stale];
+    }
+
+    await storage.set({ [CACHE_KEY]: cache });
+  });
+}
+
+// Count a lookup: 'hit' (from the cache), 'shared' (joined a request in
+// flight) or 'miss' (sent to the model)
+export async function recordCacheLookup(storage, outcome) {
+  await writes.add(async () => {
+    const { [STATS_KEY]: stats = { hit: 0, shared: 0, miss: 0 } } = await storage.get(STATS_KEY);
+    stats[outcome] = (stats[outcome] || 0) + 1;
+    await storage.set({ [STATS_KEY]: stats });
+  });
+}
+
+// { entries, bytes, hits, shared, misses } for the popup
+export async function getCacheStats(storage) {
+  const { [CACHE_KEY]: cache = {}, [STATS_KEY]: stats = {} } = await storage.get([CACHE_KEY, STATS_KEY]);
+
+  return {
+    entries: Object.keys(cache).length,
+    bytes: new TextEncoder().encode(JSON.stringify(cache)).length,
+    hits: stats.hit || 0,
+    shared: stats.shared || 0,
+    misses: stats.miss || 0
+  };
+}
+
+export async function clearResponseCache(storage) {
+  await writes.add(() => storage.remove([CACHE_KEY, STATS_KEY]));
+}
+
+// Share one call between identical requests in flight. Returns
+//   run(key, start, { signal, onDelta })
+// where start({ signal, onDelta }) makes the call. Every caller gets the
+// streamed text (what arrived before it joined first) and the result. A caller
+// aborting only leaves; the call itself is aborted once all callers have left.
+// Resolves to { text, joined }, where joined says whether another caller's
+// call was shared.
+export function createRequestDeduplicator() {
+  const pending = new Map();
+
+  return function run(key, start, { signal, onDelta } = {}) {
+    if (signal?.aborted) {
+      return Promise.reject(new Error('Stopped'));
+    }
+
+    let entry = pending.get(key);
+    const joined = Boolean(entry);
+
+    if (joined && onDelta && entry.text) {
+      onDelta(entry.text);
+    }
+    if (!joined) {
+      entry = { controller: new AbortController(), listeners: new Set(), text: '', callers: 0 };
+      pending.set(key, entry);
+    }
+
+    entry.callers++;
+    if (onDelta) {
+      entry.listeners.add(onDelta);
+    }
+
+    if (!joined) {
+      const current = entry;
+      current.promise = start({
+        signal: current.controller.signal,
+        onDelta: (delta) => {
+          current.text += delta;
+          current.listeners.forEach(listener => listener(delta));
+        }
+      }).finally(() => {
+        if (pending.get(key) === current) {
+          pending.delete(key);
+        }
+      });
+    }
+
+    return new Promise((resolve, reject) => {
+      function leave() {
+        entry.listeners.delete(onDelta);
+        entry.callers--;
+        if (entry.callers === 0) {
+          // Later requests for the same key start a call of their own
+          if (pending.get(key) === entry) {
+            pending.delete(key);
+          }
+          entry.controller.abort();
+        }
+        reject(new Error('Stopped'));
+      }
+
+      signal?.addEventListener('abort', leave, { once: true });
+      entry.promise.then(
+        text => {
+          signal?.removeEventListener('abort', leave);
+          resolve({ text, joined });
+        },
+        error => {
+          signal?.removeEventListener('abort', leave);
+          reject(error);
+        }
+      );
+    });
+  };
+}
@@ -0,0 +1,72 @@
+// Splitting large pull requests into batches that each fit in one model call
+import { estimateTokens, fitDiff } from './diff.js';
+
+// A formatted commit line without its body
+function subjectOnly(line) {
+  return line.split('\n')[0];
+}
+
+// Pack formatted commit lines and prepared file diffs (see prepareFileDiffs())
+// into at most maxChunks chunks of at most tokenBudget tokens. Commits come
+// first. When they don't all fit, they lose their bodies, and commits that
+// still don't fit are left out from the end, counted in omittedCommits. Once
+// maxChunks is reached, diffs that no longer fit are left out too.
+export function planChunks(commitLines, diffs, { tokenBudget, maxChunks }) {
+  const chunks = [];
+  const omittedFiles = [];
+  let omittedCommits = 0;
+  let current = null;
+
+  function startChunk() {
+    current = { commits: [], diffs: [], tokens: 0 };
+    chunks.push(current);
+  }
+
+  startChunk();
+
+  const lineTokens = line => estimateTokens(line) + 1;
+  const commitTokens = commitLines.reduce((sum, line) => sum + lineTokens(line), 0);
+  const lines = commitLines.map(line => commitTokens > tokenBudget * maxChunks || lineTokens(line) > tokenBudget ? subjectOnly(line) : line);
+
+  for (const [index, line] of lines.entries()) {
+    const tokens = lineTokens(line);
+
+    if (current.tokens + tokens > tokenBudget && current.commits.length > 0) {
+      if (chunks.length >= maxChunks) {
+        omittedCommits = lines.length - index;
+        break;
+      }
+      startChunk();
+    }
+
+    current.commits.push(line);
+    current.tokens += tokens;
+  }
+
+  for (const diff of diffs) {
+    const remaining = tokenBudget - current.tokens;
+    let fitted = diff.tokens <= remaining ? diff : null;
+
+    if (!fitted && chunks.length < maxChunks) {
+      startChunk();
+      // A single diff bigger than a whole chunk gets cut down to fit
+      fitted = fitDiff(diff, tokenBudget);
+    } else if (!fitted) {
+      fitted = fitDiff(diff, remaining);
+    }
+
+    if (!fitted) {
+      omittedFiles.push(diff.file.path);
+      continue;
+    }
+
+    current.diffs.push(fitted);
+    current.tokens += fitted.tokens;
+  }
+
+  return {
+    chunks: chunks.filter(chunk => chunk.commits.length > 0 || chunk.diffs.length > 0),
+    omittedFiles,
+    omittedCommits
+  };
+}
@@ -0,0 +1,234 @@
+// Commit lint for the commits of a pull request that is about to be opened:
+// vague, overlong, non-imperative or non-conventional subjects, fixup! and
+// squash! commits, and commits that likely belong squashed into another. The
+// model rewrites the subjects, and a `git rebase -i` todo list puts it all in
+// order.
+import { extractJson } from './response.js';
+import { followsConvention, parseConventionalCommit } from './conventional.js';
+
+// GitHub cuts subjects off past this many characters
+export const MAX_SUBJECT_LENGTH = 72;
+
+export const LINT_SYSTEM_PROMPT = 'You rewrite git commit subjects so that the history of a pull request reads well. Each subject says what its commit changes, and nothing it does not.';
+
+// Subjects that don't say what changed
+const VAGUE = /^(wip|fix(es|ed)?|fix (stuff|things|it|this|that|bugs?)|updates?|updated|update (stuff|things|code|files?)|changes?|more changes|misc|minor|cleanup|tweaks?|stuff|tmp|temp|test(ing)?|oops|again|work|done|final|save|commit|asdf+|[.\-_]+)[.!]*$/i;
+
+// Follow-ups that belong in the commit before them
+const FOLLOW_UP = /^((fix(ed|es)?|correct(ed)?)\s+)?(a\s+|the\s+)?(typos?|lint(ing)?|linter|format(ting)?|style|whitespace|tests?|build|ci)[.!]*$|^(address(ed)?|apply|applied)\s+(review|pr)\b|^(forgot|missed)\b/i;
+
+// "fixup! Subject", "squash! Subject" and "amend! Subject" as `git commit
+// --fixup` and friends write them, with the action `git rebase -i` takes
+const AUTOSQUASH = /^(fixup|squash|amend)! (.*)$/;
+const AUTOSQUASH_ACTIONS = { fixup: 'fixup', squash: 'squash', amend: 'fixup -C' };
+
+// Verbs commit subjects commonly start with, to spot "Added" or "Fixes"
+// where "Add" or "Fix" is meant
+const VERBS = [
+  'add', 'allow', 'avoid', 'bump', 'change', 'clean', 'convert', 'correct', 'create', 'delete', 'deprecate', 'disable',
+  'document', 'drop', 'enable', 'ensure', 'extract', 'fix', 'handle', 'hide', 'implement', 'improve', 'introduce',
+  'load', 'make', 'merge', 'move', 'optimize', 'prevent', 'refactor', 'remove', 'rename', 'replace', 'restore',
+  'return', 'revert', 'rewrite', 'run', 'show', 'simplify', 'stop', 'support', 'switch', 'update', 'upgrade', 'use', 'write'
+];
+const IRREGULAR_VERBS = { made: 'make', ran: 'run', wrote: 'write', written: 'write', rewrote: 'rewrite', rewritten: 'rewrite' };
+
+// The imperative of a verb form such as "Added", "Fixes" or "Updating", null
+// if the word isn't one of VERBS in another form
+function imperativeOf(word) {
+  const lower = word.toLowerCase();
+  if (IRREGULAR_VERBS[lower]) {
+    return IRREGULAR_VERBS[lower];
+  }
+
+  return VERBS.find((verb) => {
+    const stem = verb.replace(/e$/, '');
+    const doubled = verb + verb.slice(-1);
+    const y = verb.replace(/y$/, 'ie');
+    return [`${verb}s`, `${verb}es`, `${verb}d`, `${verb}ed`, `${stem}ing`, `${doubled}ed`, `${doubled}ing`, `${y}s`, `${y}d`].includes(lower);
+  }) || null;
+}
+
+function sameSubject(a, b) {
+  return a.trim().toLowerCase().replace(/[.!]+$/, '') === b.trim().toLowerCase().replace(/[.!]+$/, '');
+}
+
+// Lint commits ({ sha, subject }), oldest first. conventional is the
+// Conventional Commits setting: subjects are held to the convention when it
+// is 'on', or when it is 'auto' and most commits follow it. Returns, per
+// commit, { sha, subject, issues: [{ rule, message }], squashInto, action,
+// rewrite } where squashInto is the index of the commit it belongs in (with
+// action the way to fold it in) and rewrite says the subject needs a new one.
+export function lintCommits(commits, { conventional = 'auto' } = {}) {
+  const parsed = commits.map(parseConventionalCommit);
+  const useConvention = conventional === 'on' || (conventional === 'auto' && followsConvention(parsed));
+
+  return commits.map((commit, index) => {
+    const subject = (commit.subject || '').trim();
+    const issues = [];
+    let squashInto = null;
+    let action = null;
+
+    const autosquash = subject.match(AUTOSQUASH);
+    if (autosquash) {
+      // Nested prefixes ("fixup! fixup! Subject") all point at the same commit
+      const target = autosquash[2].replace(/^((fixup|squash|amend)! )+/, '');
+      squashInto = commits.slice(0, index).findIndex(earlier => sameSubject(earlier.subject, target));
+      if (squashInto === -1) {
+        squashInto = null;
+        issues.push({ rule: 'fixup', message: `Marked with ${autosquash[1]}! for a commit that isn't in this pull request` });
+      } else {
+        action = AUTOSQUASH_ACTIONS[autosquash[1]];
+        issues.push({ rule: 'fixup', message: `Marked with ${autosquash[1]}!, fold it into commit ${squashInto + 1}` });
+      }
+      return { sha: commit.sha || null, subject, issues, squashInto, action, rewrite: false };
+    }
+
+    const duplicate = commits.slice(0, index).findIndex(earlier => sameSubject(earlier.subject, subject));
+    if (duplicate !== -1) {
+      squashInto = duplicate;
+      issues.push({ rule: 'squash', message: `Same subject as commit ${duplicate + 1}, probably belongs in it` });
+    } else if (index > 0 && FOLLOW_UP.test(subject)) {
+      squashInto = index - 1;
+      issues.push({ rule: 'squash', message: 'Looks like a follow-up to the commit before it' });
+    }
+    if (squashInto !== null) {
+      action = 'fixup';
+      // Its subject goes away with it, so there is nothing else to fix
+      return { sha: commit.sha || null, subject, issues, squashInto, action, rewrite: false };
+    }
+
+    const description = parsed[index].type ? parsed[index].description : subject;
+    if (!subject || VAGUE.test(description)) {
+      issues.push({ rule: 'vague', message: 'Doesn\'t say what changed' });
+    }
+    if (subject.length > MAX_SUBJECT_LENGTH) {
+      issues.push({ rule: 'overlong', message: `${subject.length} characters, GitHub cuts subjects off after ${MAX_SUBJECT_LENGTH}` });
+    }
+
+    const [firstWord = ''] = description.split(/\s+/);
+    const imperative = imperativeOf(firstWord.replace(/[^a-z]/gi, ''));
+    if (imperative) {
+      const suggested = /^[A-Z]/.test(firstWord) ? imperative[0].toUpperCase() + imperative.slice(1) : imperative;
+      issues.push({ rule: 'imperative', message: `Use the imperative mood: "${suggested}" rather than "${firstWord}"` });
+    }
+
+    if (useConvention && !parsed[index].type) {
+      issues.push({ rule: 'conventional', message: 'Doesn\'t follow Conventional Commits ("type(scope): description") like the rest' });
+    }
+
+    return { sha: commit.sha || null, subject, issues, squashInto, action, rewrite: issues.length > 0 };
+  });
+}
+
+// Prompt asking for new subjects for the commits whose results (from
+// lintCommits) need one. Their subjects and problems go into the prompt as
+// they are, so lint the redacted commits for it. commits are formatted for
+// the prompt already, files and diff too and may be empty.
+export function buildRewritePrompt(results, { commits, files = '', diff = '', conventional = false }) {
+  const flagged = results
+    .map((result, index) => ({ ...result, number: index + 1 }))
+    .filter(result => result.rewrite)
+    .map(result => `${result.number}. ${result.subject}${result.issues.length > 0 ? `\n   Problems: ${result.issues.map(issue => issue.message).join('; ')}` : ''}`);
+
+  const rules = [
+    `Write a new subject for each of these commits:\n${flagged.join('\n')}`,
+    `Rules for the subjects:
+- Say what the commit changes, using its message, the other commits and the changes below
+- Use the imperative mood ("Add", not "Added" or "Adds")
+- At most ${MAX_SUBJECT_LENGTH} characters, no period at the end${conventional ? '\n- Follow Conventional Commits: "type(scope): description", e.g. "fix(api): retry rate-limited requests"' : ''}`
+  ];
+
+  return [
+    'These are the commits of a pull request that is about to be opened, oldest first.',
+    commits,
+    files,
+    diff,
+    ...rules,
+    `Respond with only a JSON object, without any other text, matching this schema:
+${JSON.stringify({ rewrites: [{ commit: 'The number of the commit', subject: 'Its new subject' }] }, null, 2)}`
+  ].filter(Boolean).join('\n\n');
+}
+
+// Parse a reply to buildRewritePrompt for count commits. Returns { valid,
+// errors, rewrites } with rewrites as { index: subject }, index counting from 0.
+export function parseRewrites(text, count) {
+  const json = extractJson(text || '');
+  if (!json) {
+    return { valid: false, errors: ['no JSON object was found in the reply'], rewrites: {} };
+  }
+
+  let value;
+  try {
+    value = JSON.parse(json);
+  } catch (error) {
+    return { valid: false, errors: ['the JSON object could not be parsed'], rewrites: {} };
+  }
+
+  if (!Array.isArray(value?.rewrites)) {
+    return { valid: false, errors: ['"rewrites" must be a list'], rewrites: {} };
+  }
+
+  const errors = [];
+  const rewrites = {};
+  for (const item of value.rewrites) {
+    const number = Number(item?.commit);
+    if (!Number.isInteger(number) || number < 1 || number > count || typeof item.subject !== 'string' || !item.subject.trim()) {
+      errors.push('each rewrite must have the number of a commit and a non-empty "subject"');
+      continue;
+    }
+    rewrites[number - 1] = item.subject.trim().split('\n')[0].replace(/\.+$/, '');
+  }
+
+  return { valid: errors.length === 0, errors, rewrites };
+}
+
+// A todo list for `git rebase -i` that folds fixups and squash candidates
+// into their commits and rewords the commits with a new subject (shown in a
+// comment below each, for when git asks). results are from lintCommits,
+// rewrites as from parseRewrites and base the branch the pull request goes
+// into. Returns null unless every commit has a sha, or when there is nothing
+// to change.
+export function buildRebasePlan(results, { rewrites = {}, base = null } = {}) {
+  if (results.length === 0 || results.some(result => !result.sha)) {
+    return null;
+  }
+
+  const folded = new Map();
+  for (const [index, result] of results.entries()) {
+    if (result.squashInto !== null) {
+      // Into the commit the target itself ends up in
+      let target = result.squashInto;
+      while (results[target].squashInto !== null) {
+        target = results[target].squashInto;
+      }
+      folded.set(target, [...(folded.get(target) || []), index]);
+    }
+  }
+
+  const line = (action, result) => `${action} ${result.sha.slice(0, 7)} ${result.subject}`;
+  const todo = [];
+  for (const [index, result] of results.entries()) {
+    if (result.squashInto !== null) {
+      continue;
+    }
+
+    if (rewrites[index] && rewrites[index] !== result.subject) {
+      todo.push(line('reword', result), `#   new subject: ${rewrites[index]}`);
+    } else {
+      todo.push(line('pick', result));
+    }
+    for (const follower of folded.get(index) || []) {
+      todo.push(line(results[follower].action, results[follower]));
+    }
+  }
+
+  if (!todo.some(entry => !entry.startsWith('pick '))) {
+    return null;
+  }
+
+  return [
+    `# git rebase -i $(git merge-base ${base ? `origin/${base}` : '<base branch>'} HEAD)`,
+    '# Replace the todo list git opens with this one, then force-push the branch.',
+    ...todo
+  ].join('\n');
+}
@@ -27,18 +27,15 @@ function waitForElement(selector, timeout = 10000) {
   });
 }
 
-// Extract commit messages from GitHub PR page
+// The code host of this page (see page-hosts.js), null where the extension does nothing
+let pageHost = null;
+
+// Extract commit messages from the PR page as [{ subject, body }].
+// Only used as a fallback when the background script can't read the commits
+// from the host's API, so an empty result is passed on rather than padded out.
 function extractCommitMessages() {
   // More specific selectors for actual commit messages
-  const commitSelectors = [
-    '.commit-message', // Main commit message container
-    '.commit-title', // Commit title
-    '[data-testid="commit-message"]', // New GitHub structure
-    '.js-commit-message', // JavaScript-loaded commits
-    '.commit-summary', // Summary commits
-    '.commit-desc', // Commit description
-    'a[href*="/commit/"]' // Links to commits
-  ];
+  const commitSelectors = pageHost ? pageHost.commitSelectors : [];
 
   let commits = [];
 
@@ -47,10 +44,9 @@ function extractCommitMessages() {
     const elements = document.querySelectorAll(selector);
     
     if (elements.length > 0) {
-      const extractedTexts = Array.from(elements)
+      const extractedCommits = Array.from(elements)
         .map(el => {
-          // Get text content and clean it up
-          let text = (el.textContent || el.innerText || '').trim();
+          const text = (el.textContent || el.innerText || '').trim();
           
           // Skip if it's too short or contains common non-commit text
           if (text.length < 10 || 
@@ -63,19 +59,12 @@ function extractCommitMessages() {
             return null;
           }
           
-          // Clean up the text
-          text = text.replace(/\s+/g, ' '); // Replace multiple spaces with single space
-          text = text.replace(/committed.*$/i, ''); // Remove "committed X ago" part
-          text = text.replace(/^\w+\s+committed\s+/i, ''); // Remove "username committed" part
-          text = text.replace(/view commit details/i, ''); // Remove "View commit details"
-          text = text.trim();
-          
-          return text.length > 10 ? text : null;
+          return readCommitElement(el);
         })
-        .filter(text => text !== null && text.length > 0);
+        .filter(commit => commit !== null && commit.subject.length > 10);
       
-      if (extractedTexts.length > 0) {
-        commits = extractedTexts;
+      if (extractedCommits.length > 0) {
+        commits = extractedCommits;
         break;
       }
     }
@@ -92,65 +81,80 @@ function extractCommitMessages() {
                          link.querySelector('.commit-message') ||
                          link;
         
-        let text = (messageEl.textContent || messageEl.innerText || '').trim();
-        
-        // Clean up the text
-        text = text.replace(/\s+/g, ' '); // Replace multiple spaces with single space
-        text = text.replace(/committed.*$/i, ''); // Remove "committed X ago" part
-        text = text.replace(/^\w+\s+committed\s+/i, ''); // Remove "username committed" part
-        text = text.replace(/view commit details/i, ''); // Remove "View commit details"
-        text = text.trim();
-        
-        return text.length > 10 ? text : null;
+        return readCommitElement(messageEl);
       })
-      .filter(text => text !== null);
+      .filter(commit => commit.subject.length > 10);
   }
 
-  // Final fallback: Manual extraction from visible text
-  if (commits.length === 0) {
-    // Look for the specific commit we can see in the screenshot
-    const allText = document.body.textContent || document.body.innerText || '';
-    const lines = allText.split('\n').map(line => line.trim()).filter(line => line.length > 0);
-    
-    // Look for lines that look like commit messages
-    const potentialCommits = lines.filter(line => {
-      return line.length > 10 && 
-             line.length < 200 &&
-             !line.includes('files changed') &&
-             !line.includes('contributor') &&
-             !line.includes('committed') &&
-             !line.match(/^\d+$/) &&
-             !line.includes('ago') &&
-             line.includes(' '); // Should have spaces (real sentences)
-    });
-    
-    commits = potentialCommits.slice(0, 10); // Limit to 10
-  }
+  return commits;
+}
 
-  // If we still have no commits, add a default message
-  if (commits.length === 0) {
-    commits = ['cread and add functionalities for the extension', 'updated testing steps'];
+// Subject and body of a commit on the page. The body is in the expandable
+// description and keeps its line breaks, since footers such as
+// "BREAKING CHANGE: ..." are line-based.
+function readCommitElement(el) {
+  const container = el.closest('.commit, .commit-group-item, .js-commit-group-item') || el;
+  const description = container.querySelector('.commit-desc pre, .commit-desc');
+  const body = description ? description.textContent.trim() : '';
+
+  let text = el.textContent || el.innerText || '';
+  if (description && el.contains(description)) {
+    text = text.replace(description.textContent, '');
+  }
+  // The "…" button that expands the description
+  const expander = el.querySelector('.hidden-text-expander');
+  if (expander) {
+    text = text.replace(expander.textContent, '');
   }
 
-  return commits.slice(0, 10); // Limit to 10 commits max
+  // Clean up the text
+  text = text.replace(/\s+/g, ' '); // Replace multiple spaces with single space
+  text = text.replace(/committed.*$/i, ''); // Remove "committed X ago" part
+  text = text.replace(/^\w+\s+committed\s+/i, ''); // Remove "username committed" part
+  text = text.replace(/view commit details/i, ''); // Remove "View commit details"
+
+  return { subject: text.trim(), body: body };
 }
 
-// Create and show a floating button for generating PR description
-function createGenerateButton() {
-  // Remove existing button if present
-  const existingButton = document.getElementById('pr-script-generate-btn');
-  if (existingButton) {
-    existingButton.remove();
+// Find the PR title and body fields
+function findTitleInput() {
+  return pageHost ? document.querySelector(pageHost.titleSelector) : null;
+}
+
+// A textarea, or on Bitbucket the description's rich text editor
+function findBodyTextarea() {
+  return pageHost ? document.querySelector(pageHost.bodySelector) : null;
+}
+
+// Port to the background script for the generation in progress, if any
+let activePort = null;
+
+// Create and show the floating toolbar with the button for generating PR description
+// (or, on pages of existing pull requests, the review briefing), the Stop
+// button shown while something is being generated and, where descriptions are
+// generated, the button for earlier versions
+function createGenerateButton(label = '🤖 Generate PR Description', onClick = generatePRDescription) {
+  // Remove existing toolbar if present
+  const existingToolbar = document.getElementById('pr-script-toolbar');
+  if (existingToolbar) {
+    existingToolbar.remove();
   }
 
-  const button = document.createElement('button');
-  button.id = 'pr-script-generate-btn';
-  button.innerHTML = '🤖 Generate PR Description';
-  button.style.cssText = `
+  const toolbar = document.createElement('div');
+  toolbar.id = 'pr-script-toolbar';
+  toolbar.style.cssText = `
     position: fixed;
     top: 20px;
     right: 20px;
     z-index: 10000;
+    display: flex;
+    gap: 8px;
+  `;
+
+  const button = document.createElement('button');
+  button.id = 'pr-script-generate-btn';
+  button.innerHTML = label;
+  button.style.cssText = `
     background: #238636;
     color: white;
     border: none;
@@ -170,88 +174,652 @@ function createGenerateButton() {
     button.style.background = '#238636';
   });
 
-  button.addEventListener('click', generatePRDescription);
-  document.body.appendChild(button);
+  button.addEventListener('click', () => onClick());
+
+  const stopButton = document.createElement('button');
+  stopButton.id = 'pr-script-stop-btn';
+  stopButton.innerHTML = '⏹ Stop';
+  stopButton.style.cssText = `
+    display: none;
+    background: #d73a49;
+    color: white;
+    border: none;
+    padding: 10px 15px;
+    border-radius: 6px;
+    font-size: 14px;
+    cursor: pointer;
+    box-shadow: 0 2px 8px rgba(0,0,0,0.2);
+  `;
+  stopButton.addEventListener('click', stopGeneration);
+
+  toolbar.appendChild(stopButton);
+
+  if (onClick === generatePRDescription) {
+    const historyButton = document.createElement('button');
+    historyButton.id = 'pr-script-history-btn';
+    historyButton.innerHTML = '🕘 History';
+    historyButton.title = 'Earlier versions generated for these changes';
+    historyButton.style.cssText = `
+      background: #f6f8fa;
+      color: #24292f;
+      border: 1px solid #d1d9e0;
+      padding: 10px 15px;
+      border-radius: 6px;
+      font-size: 14px;
+      cursor: pointer;
+      box-shadow: 0 2px 8px rgba(0,0,0,0.2);
+    `;
+    historyButton.addEventListener('click', showGenerationHistory);
+    toolbar.appendChild(historyButton);
+  }
+
+  if (onClick === generatePRDescription && isComparePage()) {
+    const lintButton = document.createElement('button');
+    lintButton.id = 'pr-script-lint-btn';
+    lintButton.innerHTML = '🧹 Check Commits';
+    lintButton.title = 'Look for commit messages to clean up before opening the pull request';
+    lintButton.style.cssText = `
+      background: #f6f8fa;
+      color: #24292f;
+      border: 1px solid #d1d9e0;
+      padding: 10px 15px;
+      border-radius: 6px;
+      font-size: 14px;
+      cursor: pointer;
+      box-shadow: 0 2px 8px rgba(0,0,0,0.2);
+    `;
+    lintButton.addEventListener('click', () => checkCommits());
+    toolbar.appendChild(lintButton);
+  }
+
+  toolbar.appendChild(button);
+  document.body.appendChild(toolbar);
 }
 
-// Generate PR description
-function generatePRDescription() {
+// Generate PR description. The reply is streamed from the background script
+// over a port into the preview panel, and only goes into the form once the
+// user applies it from there. With refresh (the panel's Regenerate) the model
+// writes a new reply even if an identical request was answered recently.
+function generatePRDescription({ refresh = false } = {}) {
+  if (activePort) {
+    return; // Already generating
+  }
+
   const button = document.getElementById('pr-script-generate-btn');
+  const stopButton = document.getElementById('pr-script-stop-btn');
   const originalText = button.innerHTML;
   
-  button.innerHTML = '⏳ Extracting commits...';
+  button.innerHTML = '🤖 Generating description...';
   button.disabled = true;
+  stopButton.innerHTML = '⏹ Stop';
+  stopButton.style.display = 'inline-block';
 
-  // Extract commits
-  const commits = extractCommitMessages();
-  
-  if (commits.length === 0) {
-    showNotification('No commit messages found. Make sure you\'re on a GitHub PR page with commits.', 'error');
+  openPreviewPanel({ onRegenerate: regenerateDescription, onLoadHistory: loadGenerationHistory, onApplySuggestion: applySuggestion });
+  updatePreviewPanel({ status: 'Collecting changes...' });
+
+  const port = chrome.runtime.connect({ name: 'generate' });
+  activePort = port;
+  let finished = false;
+
+  function finish() {
+    finished = true;
+    activePort = null;
     button.innerHTML = originalText;
     button.disabled = false;
-    return;
+    stopButton.style.display = 'none';
   }
 
-  button.innerHTML = '🤖 Generating description...';
+  port.onMessage.addListener((message) => {
+    if (message.type === 'progress') {
+      // e.g. "Summarizing chunk 3/7..."
+      button.textContent = `⏳ ${message.message}`;
+      updatePreviewPanel({ status: message.message });
+    } else if (message.type === 'warning') {
+      // e.g. most of the monthly budget is used
+      showNotification(message.message, 'warning');
+    } else if (message.type === 'redaction') {
+      // Secrets were masked in the prompt, possibly waiting for the user to agree
+      if (message.confirm) {
+        updatePreviewPanel({ status: 'Review what was masked before sending' });
+        showRedactionReport(message.report, {
+          onSend: () => {
+            port.postMessage({ action: 'send' });
+            updatePreviewPanel({ status: 'Sending...' });
+          },
+          onCancel: stopGeneration
+        });
+      } else {
+        showRedactionReport(message.report);
+      }
+    } else if (message.type === 'partial') {
+      // What can be made of the reply so far
+      button.innerHTML = '✍️ Writing description...';
+      updatePreviewPanel({ title: message.title, body: message.body, status: 'Writing description...' });
+    } else if (message.type === 'done') {
+      finish();
+      port.disconnect();
+      insertDescription(message, message.commitSource);
+    } else if (message.type === 'stopped') {
+      finish();
+      port.disconnect();
+      if (message.title || message.body) {
+        updatePreviewPanel({ title: message.title, body: message.body, status: 'Stopped, kept the partial description', busy: false });
+      } else {
+        updatePreviewPanel({ status: 'Generation stopped', busy: false });
+      }
+    } else if (message.type === 'error') {
+      finish();
+      port.disconnect();
+      updatePreviewPanel({ status: `Error: ${message.error}`, busy: false });
+      showNotification(`Error: ${message.error}`, 'error');
+    }
+  });
 
-  // Send commits to background script
-  chrome.runtime.sendMessage({
+  port.onDisconnect.addListener(() => {
+    if (!finished) {
+      finish();
+      updatePreviewPanel({ status: 'Lost connection to the extension', busy: false });
+      showNotification('Lost connection to the extension. Try refreshing the page.', 'error');
+    }
+  });
+
+  if (isReleasePage()) {
+    port.postMessage({ action: 'generateReleaseNotes', pageUrl: window.location.href, refresh: refresh, ...readReleaseForm() });
+    return;
+  }
+
+  // The background script fetches the commits from the host's API and only
+  // falls back to what we can scrape from the page
+  port.postMessage({
     action: 'generateDescription',
-    commits: commits
-  }, (response) => {
+    pageUrl: window.location.href,
+    pageCommits: extractCommitMessages(),
+    // GitHub pre-fills the repository's PR template here
+    pageBody: getFieldValue(findBodyTextarea()),
+    refresh: refresh
+  });
+}
+
+function regenerateDescription() {
+  generatePRDescription({ refresh: true });
+}
+
+// Versions generated earlier for the changes on this page, newest first
+async function loadGenerationHistory() {
+  const response = await chrome.runtime.sendMessage({ action: 'getHistory', pageUrl: window.location.href });
+  if (response.error) {
+    throw new Error(response.error);
+  }
+  return response.entries;
+}
+
+// Open the preview panel (unless it is open already) on its History tab, e.g.
+// after GitHub reloaded the page and the last generation is gone from it
+function showGenerationHistory() {
+  if (!getPanelRoot()) {
+    openPreviewPanel({ onRegenerate: regenerateDescription, onLoadHistory: loadGenerationHistory, onApplySuggestion: applySuggestion });
+    updatePreviewPanel({ busy: false });
+  }
+  showPanelTab('history');
+}
+
+// Show a version from the history in the preview panel, ready to apply.
+// Not while something is being generated into the panel.
+function restoreGeneration(entry) {
+  if (activePort) {
+    return false;
+  }
+
+  if (!getPanelRoot()) {
+    openPreviewPanel({ onRegenerate: regenerateDescription, onLoadHistory: loadGenerationHistory, onApplySuggestion: applySuggestion });
+  }
+  restorePreviewVersion(entry);
+  return true;
+}
+
+// Apply a reviewer, label or draft suggestion from the preview panel: through
+// the API for an existing pull request, or in the sidebar of the form for one
+// that is still being created
+async function applySuggestion(suggestion) {
+  updateSuggestion(suggestion, { state: 'applying', error: null });
+
+  try {
+    if (suggestion.via === 'sidebar') {
+      await applySidebarSuggestion(suggestion);
+    } else {
+      const response = await chrome.runtime.sendMessage({ action: 'applySuggestion', pageUrl: window.location.href, suggestion: suggestion });
+      if (!response?.success) {
+        throw new Error(response?.error || 'No response from the extension');
+      }
+    }
+
+    updateSuggestion(suggestion, { state: 'applied' });
+  } catch (error) {
+    updateSuggestion(suggestion, { state: 'error', error: error.message });
+    showNotification(`Could not apply "${suggestion.label}": ${error.message}`, 'error');
+  }
+}
+
+// Pick a suggestion in the new pull request form: tick the draft option, or
+// open the sidebar menu for reviewers or labels, click the item and close it
+// again, which is when GitHub takes the selection. Menus load their items
+// when first opened.
+async function applySidebarSuggestion({ kind, value, label }) {
+  if (kind === 'draft') {
+    const option = pageHost.draftSelector && document.querySelector(pageHost.draftSelector);
+    if (!option) {
+      throw new Error('The draft option was not found on the page');
+    }
+    option.checked = true;
+    option.dispatchEvent(new Event('change', { bubbles: true }));
+    return;
+  }
+
+  const menu = pageHost.sidebarMenus[kind] && document.querySelector(pageHost.sidebarMenus[kind]);
+  if (!menu) {
+    throw new Error('The sidebar menu was not found on the page, pick it there by hand');
+  }
+
+  // Teams are listed as "org/team", users by their login
+  const names = [String(value), label.replace(/^@/, '')].map(name => name.toLowerCase());
+  const findItem = () => [...menu.querySelectorAll('[role^="menuitem"]')].find(item =>
+    [...item.querySelectorAll('*')].some(element => element.children.length === 0 && names.includes(element.textContent.trim().toLowerCase()))
+  );
+
+  menu.open = true;
+  let item = findItem();
+  for (let waited = 0; !item && waited < 5000; waited += 100) {
+    await new Promise(resolve => setTimeout(resolve, 100));
+    item = findItem();
+  }
+
+  if (item && item.getAttribute('aria-checked') !== 'true' && !item.querySelector('input:checked')) {
+    item.click();
+  }
+  menu.open = false;
+
+  if (!item) {
+    throw new Error(`${label} is not in the sidebar's list`);
+  }
+}
+
+// The tag, target branch and (if picked) previous tag on GitHub's new release form
+function readReleaseForm() {
+  const value = selector => document.querySelector(selector)?.value?.trim() || '';
+
+  return {
+    tag: value('[name="release[tag_name]"]') || new URLSearchParams(window.location.search).get('tag') || '',
+    target: value('[name="release[target_commitish]"]'),
+    previousTag: value('[name*="previous_tag"]')
+  };
+}
+
+// Write a reviewer briefing for the pull request on the page, or show the one
+// cached for its latest commit. The briefing appears in a side panel from where
+// it can be posted as a comment.
+function generateReviewBriefing({ refresh = false } = {}) {
+  if (activePort) {
+    return; // Already generating
+  }
+
+  const button = document.getElementById('pr-script-generate-btn');
+  const stopButton = document.getElementById('pr-script-stop-btn');
+  const originalText = button.innerHTML;
+
+  button.innerHTML = '📋 Preparing briefing...';
+  button.disabled = true;
+  stopButton.innerHTML = '⏹ Stop';
+  stopButton.style.display = 'inline-block';
+
+  openReviewPanel({
+    onRegenerate: () => generateReviewBriefing({ refresh: true }),
+    onPost: postReviewBriefing
+  });
+  updateReviewPanel({ status: 'Loading pull request...' });
+
+  const port = chrome.runtime.connect({ name: 'generate' });
+  activePort = port;
+  let finished = false;
+
+  function finish() {
+    finished = true;
+    activePort = null;
     button.innerHTML = originalText;
     button.disabled = false;
-    
-    if (response && !response.success) {
-      showNotification(`Error: ${response.error}`, 'error');
+    stopButton.style.display = 'none';
+  }
+
+  port.onMessage.addListener((message) => {
+    if (message.type === 'progress') {
+      button.textContent = `⏳ ${message.message}`;
+      updateReviewPanel({ status: message.message });
+    } else if (message.type === 'warning') {
+      showNotification(message.message, 'warning');
+    } else if (message.type === 'redaction') {
+      if (message.confirm) {
+        updateReviewPanel({ status: 'Review what was masked before sending' });
+        showRedactionReport(message.report, {
+          root: getReviewPanelRoot(),
+          onSend: () => {
+            port.postMessage({ action: 'send' });
+            updateReviewPanel({ status: 'Sending...' });
+          },
+          onCancel: stopGeneration
+        });
+      } else {
+        showRedactionReport(message.report, { root: getReviewPanelRoot() });
+      }
+    } else if (message.type === 'review') {
+      finish();
+      port.disconnect();
+      updateReviewPanel({
+        markdown: message.markdown,
+        headSha: message.headSha,
+        createdAt: message.createdAt,
+        cached: message.cached,
+        status: '',
+        busy: false
+      });
+    } else if (message.type === 'stopped') {
+      finish();
+      port.disconnect();
+      updateReviewPanel({ status: 'Stopped', busy: false });
+    } else if (message.type === 'error') {
+      finish();
+      port.disconnect();
+      updateReviewPanel({ status: `Error: ${message.error}`, busy: false });
+      showNotification(`Error: ${message.error}`, 'error');
     }
   });
+
+  port.onDisconnect.addListener(() => {
+    if (!finished) {
+      finish();
+      updateReviewPanel({ status: 'Lost connection to the extension', busy: false });
+      showNotification('Lost connection to the extension. Try refreshing the page.', 'error');
+    }
+  });
+
+  port.postMessage({
+    action: 'reviewPullRequest',
+    pageUrl: window.location.href,
+    refresh: refresh
+  });
 }
 
-// Insert generated description into PR form
-function insertDescription(description) {
-  try {
-    // Parse the AI response to extract title and description
-    const lines = description.split('\n');
-    let title = '';
-    let body = '';
-    let isDescription = false;
-
-    for (const line of lines) {
-      if (line.startsWith('Title:')) {
-        title = line.replace('Title:', '').trim();
-      } else if (line.toLowerCase().includes('description:')) {
-        isDescription = true;
-      } else if (isDescription && line.trim()) {
-        body += line + '\n';
+// Check the commit messages of the branch before the pull request is opened:
+// what to reword or squash, new subjects from the model and a `git rebase -i`
+// todo list, all in a side panel.
+function checkCommits({ refresh = false } = {}) {
+  if (activePort) {
+    return; // Already generating
+  }
+
+  const button = document.getElementById('pr-script-lint-btn');
+  const stopButton = document.getElementById('pr-script-stop-btn');
+  const originalText = button.innerHTML;
+
+  button.innerHTML = '🧹 Checking commits...';
+  button.disabled = true;
+  stopButton.innerHTML = '⏹ Stop';
+  stopButton.style.display = 'inline-block';
+
+  openLintPanel({ onRecheck: () => checkCommits({ refresh: true }) });
+  updateLintPanel({ status: 'Collecting commits...' });
+
+  const port = chrome.runtime.connect({ name: 'generate' });
+  activePort = port;
+  let finished = false;
+
+  function finish() {
+    finished = true;
+    activePort = null;
+    button.innerHTML = originalText;
+    button.disabled = false;
+    stopButton.style.display = 'none';
+  }
+
+  port.onMessage.addListener((message) => {
+    if (message.type === 'progress') {
+      button.textContent = `⏳ ${message.message}`;
+      updateLintPanel({ status: message.message });
+    } else if (message.type === 'warning') {
+      showNotification(message.message, 'warning');
+    } else if (message.type === 'redaction') {
+      if (message.confirm) {
+        updateLintPanel({ status: 'Review what was masked before sending' });
+        showRedactionReport(message.report, {
+          root: getLintPanelRoot(),
+          onSend: () => {
+            port.postMessage({ action: 'send' });
+            updateLintPanel({ status: 'Sending...' });
+          },
+          onCancel: stopGeneration
+        });
+      } else {
+        showRedactionReport(message.report, { root: getLintPanelRoot() });
       }
+    } else if (message.type === 'lint') {
+      finish();
+      port.disconnect();
+      updateLintPanel({
+        commits: message.commits,
+        plan: message.plan,
+        rewritten: message.rewritten,
+        status: '',
+        busy: false
+      });
+    } else if (message.type === 'stopped') {
+      finish();
+      port.disconnect();
+      updateLintPanel({ status: 'Stopped', busy: false });
+    } else if (message.type === 'error') {
+      finish();
+      port.disconnect();
+      updateLintPanel({ status: `Error: ${message.error}`, busy: false });
+      showNotification(`Error: ${message.error}`, 'error');
     }
+  });
 
-    // Fallback: if parsing fails, use the first line as title
-    if (!title && lines.length > 0) {
-      title = lines[0].trim();
-      body = lines.slice(1).join('\n').trim();
+  port.onDisconnect.addListener(() => {
+    if (!finished) {
+      finish();
+      updateLintPanel({ status: 'Lost connection to the extension', busy: false });
+      showNotification('Lost connection to the extension. Try refreshing the page.', 'error');
     }
+  });
 
-    // Find and fill the PR form fields
-    const titleInput = document.querySelector('#pull_request_title, [name="pull_request[title]"], input[placeholder*="title" i]');
-    const bodyTextarea = document.querySelector('#pull_request_body, [name="pull_request[body]"], textarea[placeholder*="description" i], textarea[placeholder*="comment" i]');
+  port.postMessage({
+    action: 'lintCommits',
+    pageUrl: window.location.href,
+    pageCommits: extractCommitMessages(),
+    refresh: refresh
+  });
+}
+
+// Post the briefing shown in the side panel as a comment on the pull request
+async function postReviewBriefing({ markdown, headSha }) {
+  if (!confirm('Post this briefing as a comment on the pull request? Everyone with access to the repository will see it.')) {
+    return;
+  }
 
-    if (titleInput && title) {
-      titleInput.value = title;
-      titleInput.dispatchEvent(new Event('input', { bubbles: true }));
-      titleInput.dispatchEvent(new Event('change', { bubbles: true }));
+  updateReviewPanel({ status: 'Posting...', busy: true });
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: 'postReviewComment',
+      pageUrl: window.location.href,
+      markdown: markdown,
+      headSha: headSha
+    });
+
+    if (!response.success) {
+      throw new Error(response.error);
     }
 
-    if (bodyTextarea && body) {
-      bodyTextarea.value = body;
-      bodyTextarea.dispatchEvent(new Event('input', { bubbles: true }));
-      bodyTextarea.dispatchEvent(new Event('change', { bubbles: true }));
+    updateReviewPanel({ status: 'Posted as a comment', busy: false });
+    showNotification('Briefing posted as a comment', 'success');
+  } catch (error) {
+    updateReviewPanel({ status: `Error: ${error.message}`, busy: false });
+  }
+}
+
+// Batch descriptions for a repository's list of pull requests: the user's open
+// pull requests without a description are listed in a side panel, generated
+// in the background and only written to the pull requests once approved
+async function openBatchDescriptions() {
+  if (activePort) {
+    return; // Already generating
+  }
+
+  openBatchPanel({ onGenerate: generateBatchDescriptions, onApprove: approveBatchDescription });
+  updateBatchPanel({ status: 'Finding your pull requests...' });
+
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'listBatchCandidates', pageUrl: window.location.href });
+    if (response?.error) {
+      throw new Error(response.error);
     }
 
-    showNotification('PR description generated successfully!', 'success');
+    updateBatchPanel({
+      candidates: response.candidates.map(candidate => ({ ...candidate, selected: false, state: 'idle', result: null, error: null })),
+      status: response.candidates.length > 0 ? 'Select the pull requests to describe' : 'None of your open pull requests is missing a description',
+      busy: false
+    });
   } catch (error) {
-    showNotification('Error inserting description into form', 'error');
+    updateBatchPanel({ status: `Error: ${error.message}`, busy: false });
+  }
+}
+
+// Generate descriptions for the pull requests numbered, which show up in the
+// panel one by one as they are done
+function generateBatchDescriptions(numbers) {
+  const button = document.getElementById('pr-script-generate-btn');
+  const stopButton = document.getElementById('pr-script-stop-btn');
+  const originalText = button.innerHTML;
+
+  button.innerHTML = '🗂 Generating descriptions...';
+  button.disabled = true;
+  stopButton.innerHTML = '⏹ Stop';
+  stopButton.style.display = 'inline-block';
+  updateBatchPanel({ status: `Generating ${numbers.length} description${numbers.length === 1 ? '' : 's'}...` });
+
+  const port = chrome.runtime.connect({ name: 'generate' });
+  activePort = port;
+  let finished = false;
+
+  function finish(status) {
+    finished = true;
+    activePort = null;
+    button.innerHTML = originalText;
+    button.disabled = false;
+    stopButton.style.display = 'none';
+    port.disconnect();
+    // Whatever didn't get to run won't any more
+    for (const number of numbers) {
+      if (['queued', 'running'].includes(batchState?.candidates.find(candidate => candidate.number === number)?.state)) {
+        updateBatchItem(number, { state: 'stopped' });
+      }
+    }
+    updateBatchPanel({ status, busy: false });
+  }
+
+  port.onMessage.addListener((message) => {
+    if (message.type === 'batch-item') {
+      if (message.status === 'done') {
+        updateBatchItem(message.number, { state: 'done', result: { title: message.title, body: message.body } });
+      } else {
+        updateBatchItem(message.number, { state: message.status, error: message.error || null });
+      }
+    } else if (message.type === 'warning') {
+      showNotification(message.message, 'warning');
+    } else if (message.type === 'redaction') {
+      showNotification(`Masked ${message.report.total} possible secret${message.report.total === 1 ? '' : 's'} in #${message.number} before sending`, 'warning');
+    } else if (message.type === 'batch-done') {
+      const failed = batchState?.candidates.filter(candidate => numbers.includes(candidate.number) && candidate.state === 'error').length || 0;
+      finish(failed > 0 ? `Done, ${failed} failed` : 'Done, review and approve each description');
+    } else if (message.type === 'stopped') {
+      finish('Stopped');
+    } else if (message.type === 'error') {
+      finish(`Error: ${message.error}`);
+      showNotification(`Error: ${message.error}`, 'error');
+    }
+  });
+
+  port.onDisconnect.addListener(() => {
+    if (!finished) {
+      finish('Lost connection to the extension');
+      showNotification('Lost connection to the extension. Try refreshing the page.', 'error');
+    }
+  });
+
+  port.postMessage({ action: 'generateBatch', pageUrl: window.location.href, numbers: numbers });
+}
+
+// Write a batch description the user approved to its pull request
+async function approveBatchDescription({ number, result }) {
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: 'updatePullRequest',
+      pageUrl: window.location.href,
+      number: number,
+      title: result.title,
+      body: result.body
+    });
+    if (!response?.success) {
+      throw new Error(response?.error || 'No response from the extension');
+    }
+
+    updateBatchItem(number, { state: 'applied' });
+    updateBatchPanel({ status: `Updated #${number}` });
+  } catch (error) {
+    // Back up for approval, to try again or skip
+    updateBatchItem(number, { state: 'done' });
+    updateBatchPanel({ status: `Could not update #${number}: ${error.message}` });
+  }
+}
+
+// Abort the generation in progress, keeping what has been written so far
+function stopGeneration() {
+  if (activePort) {
+    activePort.postMessage({ action: 'stop' });
+    document.getElementById('pr-script-stop-btn').innerHTML = '⏳ Stopping...';
+  }
+}
+
+// The text of a form field, '' when there is none
+function getFieldValue(field) {
+  if (!field) {
+    return '';
+  }
+
+  return field.isContentEditable ? field.innerText.trim() : field.value;
+}
+
+// Set a form field and let the page know it changed. Rich text editors only
+// pick up typed text, so their content is replaced as if it were typed.
+function setFieldValue(field, value) {
+  if (field.isContentEditable) {
+    field.focus();
+    document.execCommand('selectAll');
+    document.execCommand('insertText', false, value);
+    return;
+  }
+
+  field.value = value;
+  field.dispatchEvent(new Event('input', { bubbles: true }));
+  field.dispatchEvent(new Event('change', { bubbles: true }));
+}
+
+// Show the generated title and description in the preview panel, ready to
+// apply, with the reviewer, label and draft suggestions that came with them
+function insertDescription({ title, body, cached = false, suggestions = [] }, commitSource = 'api') {
+  if (commitSource === 'page') {
+    updatePreviewPanel({ title, body, suggestions, status: 'Generated from commits scraped from the page (the host\'s API was unavailable)', busy: false });
+  } else if (cached) {
+    updatePreviewPanel({ title, body, suggestions, status: 'Ready (cached reply, Regenerate for a new one), review and apply', busy: false });
+  } else {
+    updatePreviewPanel({ title, body, suggestions, status: 'Ready, review and apply', busy: false });
   }
 }
 
@@ -269,7 +837,7 @@ function showNotification(message, type = 'info') {
     font-size: 14px;
     max-width: 300px;
     box-shadow: 0 2px 8px rgba(0,0,0,0.2);
-    background: ${type === 'error' ? '#d73a49' : type === 'success' ? '#28a745' : '#0366d6'};
+    background: ${type === 'error' ? '#d73a49' : type === 'success' ? '#28a745' : type === 'warning' ? '#b08800' : '#0366d6'};
   `;
   notification.textContent = message;
   document.body.appendChild(notification);
@@ -279,48 +847,198 @@ function showNotification(message, type = 'info') {
   }, 5000);
 }
 
+// Run what the toolbar button does on this page, creating the toolbar first if
+// it isn't there yet. Pull requests that already exist get a review briefing.
+function runToolbarAction(options = {}) {
+  const [label, generate] = toolbarButtonFor();
+
+  // Check if button exists, if not create it
+  const existingButton = document.getElementById('pr-script-generate-btn');
+  if (!existingButton) {
+    createGenerateButton(label, generate);
+    // Wait a moment for button to be created
+    setTimeout(() => {
+      generate(options);
+    }, 100);
+  } else {
+    generate(options);
+  }
+}
+
+// Keyboard shortcuts, see "commands" in the manifest
+function runCommand(command) {
+  if (!isSupportedPage()) {
+    return;
+  }
+
+  if (command === 'generate') {
+    runToolbarAction();
+  } else if (command === 'regenerate') {
+    runToolbarAction({ refresh: true });
+  } else if (command === 'apply-preview') {
+    if (isReviewPage() || !applyPreview()) {
+      showNotification('Nothing to apply yet, generate a description first');
+    } else {
+      showNotification('Applied to the form', 'success');
+    }
+  } else if (command === 'review-briefing') {
+    if (isReviewPage()) {
+      generateReviewBriefing();
+    } else {
+      showNotification('Review briefings are for pull requests that have been opened');
+    }
+  }
+}
+
+// Rewrite the text selected in the description field with the model (mode is
+// one of the context menu entries), in place. The field is read-only until the
+// reply is in, so the selection can't move.
+async function rewriteSelection(mode) {
+  const textarea = findBodyTextarea();
+  if (textarea?.isContentEditable) {
+    showNotification('Rewriting needs a plain text description field', 'error');
+    return;
+  }
+  if (!textarea || document.activeElement !== textarea) {
+    showNotification('Select text in the description field to rewrite it', 'error');
+    return;
+  }
+
+  const start = textarea.selectionStart;
+  const end = textarea.selectionEnd;
+  const selected = textarea.value.slice(start, end);
+  if (!selected.trim()) {
+    showNotification('Select text in the description field to rewrite it', 'error');
+    return;
+  }
+
+  const wasReadOnly = textarea.readOnly;
+  textarea.readOnly = true;
+  showNotification('Rewriting the selection...');
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: 'rewriteText',
+      pageUrl: window.location.href,
+      mode: mode,
+      text: selected
+    });
+
+    if (!response.success) {
+      throw new Error(response.error);
+    }
+
+    // Through changeForm(), so the preview panel's Undo can take it back
+    changeForm({ body: textarea.value.slice(0, start) + response.text + textarea.value.slice(end) });
+    textarea.focus();
+    textarea.setSelectionRange(start, start + response.text.length);
+  } catch (error) {
+    showNotification(`Error: ${error.message}`, 'error');
+  } finally {
+    textarea.readOnly = wasReadOnly;
+  }
+}
+
 // Listen for messages from background script and popup
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-  if (request.action === 'insertDescription') {
-    insertDescription(request.description);
-  } else if (request.action === 'showError') {
-    showNotification(request.error, 'error');
-  } else if (request.action === 'triggerGeneration') {
+  if (request.action === 'triggerGeneration') {
     // Triggered from popup
-    
-    // Check if button exists, if not create it
-    const existingButton = document.getElementById('pr-script-generate-btn');
-    if (!existingButton) {
-      createGenerateButton();
-      // Wait a moment for button to be created
-      setTimeout(() => {
-        generatePRDescription();
-      }, 100);
-    } else {
-      generatePRDescription();
+    if (!isSupportedPage()) {
+      sendResponse({ success: false });
+      return true;
     }
-    
+    runToolbarAction();
+    sendResponse({ success: true });
+  }
+
+  if (request.action === 'runCommand') {
+    runCommand(request.command);
     sendResponse({ success: true });
   }
+
+  if (request.action === 'rewriteSelection') {
+    // From the context menu of the description field
+    rewriteSelection(request.mode);
+    sendResponse({ success: true });
+  }
+
+  if (request.action === 'restoreGeneration') {
+    // A version picked in the popup's history
+    sendResponse({ success: restoreGeneration(request.entry) });
+  }
   
   return true; // Keep message channel open
 });
 
+// A repository's list of pull requests, where descriptions are generated in batches
+function isPullListPage() {
+  return pageHost ? pageHost.isPullListPage(window.location.pathname) : false;
+}
+
+// Pages of an existing pull request that get a review briefing
+function isReviewPage() {
+  return pageHost ? pageHost.isReviewPage(window.location.pathname) : false;
+}
+
+// The page for opening a new pull request, where its commits can still be cleaned up
+function isComparePage() {
+  return pageHost ? pageHost.isComparePage(window.location.pathname) : false;
+}
+
+// The form for drafting a new release
+function isReleasePage() {
+  return pageHost ? pageHost.isReleasePage(window.location.pathname) : false;
+}
+
+// Label and action of the toolbar button for the current page. Release notes
+// go through the same preview panel as descriptions.
+function toolbarButtonFor() {
+  if (isReviewPage()) {
+    return ['📋 Review Briefing', generateReviewBriefing];
+  }
+  if (isPullListPage()) {
+    return ['🗂 Batch Descriptions', openBatchDescriptions];
+  }
+
+  return isReleasePage()
+    ? ['📝 Generate Release Notes', generatePRDescription]
+    : ['🤖 Generate PR Description', generatePRDescription];
+}
+
+// PR creation or edit pages, pull requests, new releases and lists of pull
+// requests on a known code host
+function isSupportedPage() {
+  const path = window.location.pathname;
+  return pageHost !== null && (pageHost.isCreatePage(path) || isReviewPage() || isReleasePage() || isPullListPage());
+}
+
+// Which code host this page is on. github.com is known here, the hosts added
+// in the settings only to the background script.
+async function detectPageHost() {
+  if (window.location.hostname === 'github.com') {
+    return PAGE_HOSTS.github;
+  }
+
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'getHostType', pageUrl: window.location.href });
+    return PAGE_HOSTS[response?.host?.page] || null;
+  } catch (error) {
+    console.error('PR Script: Could not identify the code host:', error);
+    return null;
+  }
+}
+
 // Initialize when page loads
-function initialize() {
-  // Check if we're on a GitHub PR creation or edit page
-  const isGitHub = window.location.hostname === 'github.com';
-  const isCompare = window.location.pathname.includes('/compare');
-  const isPullNew = window.location.pathname.includes('/pull/new');
-  const isPullEdit = window.location.pathname.includes('/pull/') && window.location.pathname.includes('/edit');
-  
-  const isGitHubPR = isGitHub && (isCompare || isPullNew || isPullEdit);
+async function initialize() {
+  pageHost = pageHost || await detectPageHost();
 
-  if (isGitHubPR) {
-    // Wait a bit for GitHub's dynamic content to load
+  if (isSupportedPage()) {
+    // Wait a bit for the page's dynamic content to load
     setTimeout(() => {
-      createGenerateButton();
+      createGenerateButton(...toolbarButtonFor());
     }, 2000);
+  } else {
+    document.getElementById('pr-script-toolbar')?.remove();
   }
 }
 
@@ -331,7 +1049,7 @@ if (document.readyState === 'loading') {
   initialize();
 }
 
-// Handle GitHub's SPA navigation
+// Handle the SPA navigation of GitHub and the other hosts
 let lastUrl = location.href;
 new MutationObserver(() => {
   const url = location.href;
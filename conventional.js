@@ -0,0 +1,179 @@
+// Conventional Commits (https://www.conventionalcommits.org): parsing commit
+// messages, titles that follow the convention, and changelogs grouped by type
+import { parseSections } from './templates.js';
+
+// "type(scope)!: description"
+const HEADER = /^([a-z]+)(?:\(([^()\r\n]+)\))?(!)?:\s+(\S.*)$/i;
+// "BREAKING CHANGE: ..." or "BREAKING-CHANGE: ..." in the footer
+const BREAKING_FOOTER = /^BREAKING[ -]CHANGE:\s*(.*)$/;
+// Any other footer token, e.g. "Refs: #12" or "Reviewed-by: Z"
+const FOOTER = /^[\w-]+(?::\s|\s#)/;
+
+// Changelog sections, in order. Commits of other types go under "Other
+// Changes" where those are wanted.
+const CHANGELOG_SECTIONS = [
+  { title: 'Features', types: ['feat'] },
+  { title: 'Fixes', types: ['fix'] },
+  { title: 'Performance', types: ['perf'] }
+];
+
+// Which type a title gets when the commits have several, most important first
+const TITLE_TYPES = ['feat', 'fix', 'perf', 'refactor', 'docs', 'test', 'build', 'ci', 'style', 'chore', 'revert'];
+
+// Headings of generated sections that the changelog replaces
+const REPLACED_SECTIONS = ['changes', 'breaking changes', 'features', 'fixes', 'bug fixes', 'performance', 'other changes'];
+
+// Parse a commit ({ sha, subject, body }). Returns
+//   { type, scope, breaking, description, breakingNotes, sha, subject }
+// where type is null for commits that don't follow the convention.
+export function parseConventionalCommit(commit) {
+  const header = (commit.subject || '').trim().match(HEADER);
+  const breakingNotes = [];
+
+  // A breaking change note runs until the next footer or an empty line
+  let note = null;
+  for (const line of (commit.body || '').split('\n')) {
+    const breaking = line.match(BREAKING_FOOTER);
+    if (breaking) {
+      note = [breaking[1].trim()];
+      breakingNotes.push(note);
+    } else if (note && line.trim() && !FOOTER.test(line)) {
+      note.push(line.trim());
+    } else {
+      note = null;
+    }
+  }
+
+  return {
+    type: header ? header[1].toLowerCase() : null,
+    scope: header?.[2]?.trim() || null,
+    breaking: Boolean(header?.[3]) || breakingNotes.length > 0,
+    description: header ? header[4].trim() : (commit.subject || '').trim(),
+    breakingNotes: breakingNotes.map(lines => lines.join(' ')).filter(Boolean),
+    sha: commit.sha || null,
+    subject: commit.subject || ''
+  };
+}
+
+// Whether most of the commits follow the convention, i.e. the repository uses it
+export function followsConvention(parsedCommits) {
+  const conventional = parsedCommits.filter(commit => commit.type).length;
+  return parsedCommits.length > 0 && conventional * 2 >= parsedCommits.length;
+}
+
+// A title following the convention, "type(scope)!: description". The type is
+// the most important one among the commits and the scope the one they all
+// share, if any. The description comes from the generated title. Returns the
+// generated title unchanged when no commit follows the convention.
+export function conventionalTitle(parsedCommits, generatedTitle) {
+  const conventional = parsedCommits.filter(commit => commit.type);
+  if (conventional.length === 0) {
+    return generatedTitle;
+  }
+
+  const types = new Set(conventional.map(commit => commit.type));
+  const type = TITLE_TYPES.find(candidate => types.has(candidate)) || conventional[0].type;
+
+  // A scope shared by the commits of that type, otherwise by all of them
+  const sharedScope = commits => {
+    const scopes = new Set(commits.map(commit => commit.scope));
+    return scopes.size === 1 ? [...scopes][0] : null;
+  };
+  const scope = sharedScope(conventional.filter(commit => commit.type === type)) || sharedScope(conventional);
+
+  const breaking = conventional.some(commit => commit.breaking);
+
+  // The model may have written a prefix of its own already
+  let description = generatedTitle.trim().replace(HEADER, '$4').replace(/\.$/, '');
+  if (!/^[A-Z]{2}/.test(description)) {
+    description = description.charAt(0).toLowerCase() + description.slice(1);
+  }
+
+  return `${type}${scope ? `(${scope})` : ''}${breaking ? '!' : ''}: ${description}`;
+}
+
+// One changelog line, e.g. "- **api:** add pagination (1a2b3c4)"
+function changelogLine(commit) {
+  const scope = commit.scope ? `**${commit.scope}:** ` : '';
+  const sha = commit.sha ? ` (${commit.sha.slice(0, 7)})` : '';
+  return `- ${scope}${commit.description}${sha}`;
+}
+
+// Changelog sections for the commits: Breaking Changes (with the notes from
+// their footers), Features, Fixes, Performance and, with includeOther, Other
+// Changes for everything else. Returns [{ title, lines }] without empty sections.
+export function groupChangelog(parsedCommits, { includeOther = true } = {}) {
+  const sections = [];
+
+  const breaking = parsedCommits.filter(commit => commit.breaking);
+  if (breaking.length > 0) {
+    sections.push({
+      title: 'Breaking Changes',
+      lines: breaking.flatMap(commit =>
+        commit.breakingNotes.length > 0
+          ? commit.breakingNotes.map(note => `- ${commit.scope ? `**${commit.scope}:** ` : ''}${note}`)
+          : [changelogLine(commit)]
+      )
+    });
+  }
+
+  const grouped = new Set();
+  for (const { title, types } of CHANGELOG_SECTIONS) {
+    const commits = parsedCommits.filter(commit => types.includes(commit.type));
+    commits.forEach(commit => grouped.add(commit));
+    if (commits.length > 0) {
+      sections.push({ title, lines: commits.map(changelogLine) });
+    }
+  }
+
+  if (includeOther) {
+    const others = parsedCommits.filter(commit => !grouped.has(commit));
+    if (others.length > 0) {
+      // The whole subject, since no heading names the type here
+      sections.push({ title: 'Other Changes', lines: others.map(commit => changelogLine({ ...commit, scope: null, description: commit.subject })) });
+    }
+  }
+
+  return sections;
+}
+
+// Markdown for changelog sections, with headings of the given level
+export function renderChangelog(sections, level = 2) {
+  return sections
+    .map(({ title, lines }) => `${'#'.repeat(level)} ${title}\n${lines.join('\n')}`)
+    .join('\n\n');
+}
+
+// Replace the generated description's list of changes (and any breaking
+// changes, features or fixes sections) with the changelog grouped by type,
+// in the place of the first of them
+export function applyChangelog(body, parsedCommits) {
+  const changelog = renderChangelog(groupChangelog(parsedCommits));
+  if (!changelog) {
+    return body;
+  }
+
+  const output = [];
+  let inserted = false;
+
+  for (const section of parseSections(body || '')) {
+    if (section.heading && REPLACED_SECTIONS.includes(section.key)) {
+      if (!inserted) {
+        output.push(changelog, '');
+        inserted = true;
+      }
+      continue;
+    }
+
+    if (section.heading) {
+      output.push(section.heading);
+    }
+    output.push(...section.lines);
+  }
+
+  if (!inserted) {
+    output.push('', changelog);
+  }
+
+  return output.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+}
@@ -0,0 +1,310 @@
+// Turning a branch's changed files into a diff that fits in the prompt
+
+// Rough token estimate, good enough for budgeting (~4 characters per token)
+export function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+const LOCKFILE_NAMES = [
+  'package-lock.json',
+  'npm-shrinkwrap.json',
+  'yarn.lock',
+  'pnpm-lock.yaml',
+  'bun.lockb',
+  'composer.lock',
+  'Gemfile.lock',
+  'Cargo.lock',
+  'poetry.lock',
+  'Pipfile.lock',
+  'go.sum',
+  'mix.lock',
+  'pubspec.lock',
+  'packages.lock.json'
+];
+
+const GENERATED_PATTERNS = [
+  /(^|\/)(dist|build|out|vendor|node_modules|coverage)\//,
+  /(^|\/)__snapshots__\//,
+  /\.snap$/,
+  /\.min\.(js|css)$/,
+  /\.map$/,
+  /\.pb\.go$/,
+  /_pb2\.py$/,
+  /\.generated\.\w+$/,
+  /_generated\.\w+$/
+];
+
+const BINARY_EXTENSIONS = /\.(png|jpe?g|gif|bmp|ico|webp|avif|svgz|pdf|zip|gz|tgz|bz2|xz|7z|rar|jar|war|exe|dll|so|dylib|a|o|class|wasm|woff2?|ttf|otf|eot|mp3|mp4|mov|avi|webm|ogg|wav|sqlite|db|bin)$/i;
+
+// Why a file should be left out of the prompt, or null if it should be kept
+export function getExclusionReason(file) {
+  const name = file.path.split('/').pop();
+
+  if (LOCKFILE_NAMES.includes(name) || name.endsWith('.lock')) {
+    return 'lockfile';
+  }
+
+  if (GENERATED_PATTERNS.some(pattern => pattern.test(file.path))) {
+    return 'generated';
+  }
+
+  if (file.binary || BINARY_EXTENSIONS.test(file.path)) {
+    return 'binary';
+  }
+
+  return null;
+}
+
+// Whether a path matches a glob from the privacy settings. "*" stays within a
+// directory, "**" crosses them, and patterns without a "/" match the file
+// name in any directory (like .gitignore).
+export function matchesPathPattern(pattern, path) {
+  const source = pattern
+    .replace(/^\//, '')
+    .split(/(\*\*\/?|\*|\?)/)
+    .map(part => {
+      if (part === '**/') {
+        return '(?:.*/)?';
+      }
+      if (part === '**') {
+        return '.*';
+      }
+      if (part === '*') {
+        return '[^/]*';
+      }
+      if (part === '?') {
+        return '[^/]';
+      }
+      return part.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+
+  const target = pattern.includes('/') ? path : path.split('/').pop();
+  return new RegExp(`^${source}$`).test(target);
+}
+
+// Apply the privacy settings to the changed files: files matching one of
+// excludedPaths are dropped completely, and without sendDiff the rest keep
+// only their names and line counts.
+export function applyPrivacyFilters(files, { sendDiff = true, excludedPaths = [] } = {}) {
+  return files
+    .filter(file => !excludedPaths.some(pattern => matchesPathPattern(pattern, file.path)))
+    .map(file => (sendDiff ? file : { ...file, patch: null, withheld: true }));
+}
+
+// Normalize a file entry from the GitHub compare / pull request files API
+export function normalizeApiFile(file) {
+  return {
+    path: file.filename,
+    previousPath: file.previous_filename || null,
+    status: file.status,
+    additions: file.additions || 0,
+    deletions: file.deletions || 0,
+    // GitHub leaves out the patch for binary files and for very large diffs
+    patch: file.patch || null,
+    binary: !file.patch && file.changes === 0
+  };
+}
+
+// Parse a raw unified diff (as served from the ".diff" URLs) into the same
+// shape as normalizeApiFile()
+export function parseUnifiedDiff(text) {
+  const files = [];
+  let current = null;
+  let patchLines = [];
+
+  function finish() {
+    if (current) {
+      current.patch = patchLines.length > 0 ? patchLines.join('\n') : null;
+      files.push(current);
+    }
+  }
+
+  for (const line of (text || '').split('\n')) {
+    const header = line.match(/^diff --git a\/(.+) b\/(.+)$/);
+
+    if (header) {
+      finish();
+      current = {
+        path: header[2],
+        previousPath: header[1] !== header[2] ? header[1] : null,
+        status: 'modified',
+        additions: 0,
+        deletions: 0,
+        patch: null,
+        binary: false
+      };
+      patchLines = [];
+      continue;
+    }
+
+    if (!current) {
+      continue;
+    }
+
+    if (patchLines.length === 0 && !line.startsWith('@@')) {
+      // Extended header lines before the first hunk
+      if (line.startsWith('new file mode')) {
+        current.status = 'added';
+      } else if (line.startsWith('deleted file mode')) {
+        current.status = 'removed';
+      } else if (line.startsWith('rename from')) {
+        current.status = 'renamed';
+      } else if (line.startsWith('Binary files') || line.startsWith('GIT binary patch')) {
+        current.binary = true;
+      }
+      continue;
+    }
+
+    patchLines.push(line);
+    if (line.startsWith('+')) {
+      current.additions++;
+    } else if (line.startsWith('-')) {
+      current.deletions++;
+    }
+  }
+
+  finish();
+  return files;
+}
+
+// Cut every hunk in a patch down to maxHunkLines lines
+export function truncatePatch(patch, maxHunkLines) {
+  const output = [];
+  let hunkLines = 0;
+  let skipped = 0;
+  let truncated = false;
+
+  function flushSkipped() {
+    if (skipped > 0) {
+      output.push(`... (${skipped} more lines in this hunk omitted)`);
+      skipped = 0;
+      truncated = true;
+    }
+  }
+
+  for (const line of patch.split('\n')) {
+    if (line.startsWith('@@')) {
+      flushSkipped();
+      output.push(line);
+      hunkLines = 0;
+    } else if (hunkLines < maxHunkLines) {
+      output.push(line);
+      hunkLines++;
+    } else {
+      skipped++;
+    }
+  }
+
+  flushSkipped();
+  return { patch: output.join('\n'), truncated };
+}
+
+function formatFileHeader(file) {
+  const path = file.previousPath ? `${file.previousPath} → ${file.path}` : file.path;
+  return `--- ${path} (${file.status}, +${file.additions} -${file.deletions})`;
+}
+
+// Drop the files that don't belong in a prompt and cut the hunks of the rest.
+// The remaining files are ranked by the size of their change.
+export function prepareFileDiffs(files, { maxHunkLines = 80 } = {}) {
+  const excludedFiles = [];
+  const diffs = [];
+  let totalTokens = 0;
+
+  for (const file of files) {
+    totalTokens += estimateTokens(file.patch);
+
+    const reason = getExclusionReason(file);
+    if (reason) {
+      excludedFiles.push({ path: file.path, reason });
+    } else if (file.withheld) {
+      excludedFiles.push({ path: file.path, reason: 'withheld' });
+    } else if (!file.patch) {
+      excludedFiles.push({ path: file.path, reason: 'too large' });
+    } else {
+      const header = formatFileHeader(file);
+      const { patch, truncated } = truncatePatch(file.patch, maxHunkLines);
+
+      diffs.push({
+        file,
+        header,
+        patch,
+        truncated,
+        tokens: estimateTokens(`${header}\n${patch}\n`)
+      });
+    }
+  }
+
+  diffs.sort((a, b) => (b.file.additions + b.file.deletions) - (a.file.additions + a.file.deletions));
+
+  return { diffs, excludedFiles, totalTokens };
+}
+
+// Cut a prepared diff down to roughly tokenBudget tokens.
+// Returns null if there isn't a useful amount of room.
+export function fitDiff(diff, tokenBudget) {
+  if (diff.tokens <= tokenBudget) {
+    return diff;
+  }
+
+  const available = (tokenBudget - estimateTokens(diff.header)) * 4;
+  if (available < 400) {
+    return null;
+  }
+
+  const cut = diff.patch.lastIndexOf('\n', available);
+  const patch = diff.patch.slice(0, cut > 0 ? cut : available) + '\n... (rest of this file omitted)';
+
+  return {
+    ...diff,
+    patch,
+    truncated: true,
+    tokens: estimateTokens(`${diff.header}\n${patch}\n`)
+  };
+}
+
+// Render prepared diffs for the prompt
+export function formatDiffs(diffs) {
+  return diffs.map(diff => `${diff.header}\n${diff.patch}`).join('\n\n');
+}
+
+// Select and trim diffs so that they fit in tokenBudget.
+// Files are ranked by the size of their change, lockfiles, generated and
+// binary files are left out, and oversized hunks are cut short.
+// Returns the text for the prompt along with stats on what made it in.
+export function buildDiffContext(files, { tokenBudget, maxHunkLines = 80 } = {}) {
+  const { diffs, excludedFiles, totalTokens } = prepareFileDiffs(files, { maxHunkLines });
+
+  const stats = {
+    totalFiles: files.length,
+    includedFiles: 0,
+    truncatedFiles: 0,
+    excludedFiles,
+    omittedFiles: [],
+    totalTokens,
+    includedTokens: 0
+  };
+
+  const included = [];
+  let remaining = tokenBudget;
+
+  for (const diff of diffs) {
+    // Squeeze in the start of the diff if there's a useful amount of room left
+    const fitted = fitDiff(diff, remaining);
+    if (!fitted) {
+      stats.omittedFiles.push(diff.file.path);
+      continue;
+    }
+
+    included.push(fitted);
+    remaining -= fitted.tokens;
+    stats.includedFiles++;
+    stats.includedTokens += fitted.tokens;
+    if (fitted.truncated) {
+      stats.truncatedFiles++;
+    }
+  }
+
+  return { text: formatDiffs(included), stats };
+}
@@ -0,0 +1,442 @@
+// GitHub REST API client used by the service worker
+import { normalizeApiFile, parseUnifiedDiff } from './diff.js';
+
+export const GITHUB_API_URL = 'https://api.github.com';
+export const GITHUB_WEB_URL = 'https://github.com';
+
+// GitHub stops returning commits for a comparison or pull request past this many
+const MAX_COMMITS = 250;
+// ... and files past this many
+const MAX_FILES = 3000;
+// Open pull requests listed for batch descriptions
+const MAX_OPEN_PULLS = 300;
+// Labels read for label suggestions
+const MAX_LABELS = 300;
+const PER_PAGE = 100;
+
+// Work out which comparison a compare / pull request page is showing.
+// Returns null for pages we don't understand.
+//   /owner/repo/compare/main...feature/x  -> { type: 'compare', base: 'main', head: 'feature/x' }
+//   /owner/repo/compare/feature/x         -> { type: 'compare', base: null, head: 'feature/x' }
+//   /owner/repo/pull/new/feature/x        -> { type: 'compare', base: null, head: 'feature/x' }
+//   /owner/repo/pull/42/edit              -> { type: 'pull', number: 42 }
+//   /owner/repo/pull/42/files             -> { type: 'pull', number: 42 }
+export function parsePullRequestUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return null;
+  }
+
+  const [owner, repo, kind, ...rest] = parsed.pathname
+    .split('/')
+    .filter(Boolean)
+    .map(segment => decodeURIComponent(segment));
+
+  if (!owner || !repo || rest.length === 0) {
+    return null;
+  }
+
+  if (kind === 'compare') {
+    const spec = rest.join('/');
+    const separator = spec.includes('...') ? '...' : spec.includes('..') ? '..' : null;
+    const [base, head] = separator ? spec.split(separator) : [null, spec];
+
+    return head ? { type: 'compare', owner, repo, base: base || null, head } : null;
+  }
+
+  if (kind === 'pull') {
+    if (rest[0] === 'new') {
+      const head = rest.slice(1).join('/');
+      return head ? { type: 'compare', owner, repo, base: null, head } : null;
+    }
+
+    const number = parseInt(rest[0], 10);
+    return Number.isInteger(number) ? { type: 'pull', owner, repo, number } : null;
+  }
+
+  return null;
+}
+
+// The repository of any github.com page, e.g. /owner/repo/releases/new -> { owner, repo }
+export function parseRepositoryUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return null;
+  }
+
+  const [owner, repo] = parsed.pathname.split('/').filter(Boolean).map(segment => decodeURIComponent(segment));
+  return owner && repo ? { owner, repo } : null;
+}
+
+// Split a raw commit from the API into the fields the prompt needs
+function normalizeCommit(commit) {
+  const message = (commit.commit?.message || '').trim();
+  const [subject = '', ...bodyLines] = message.split('\n');
+
+  return {
+    sha: commit.sha,
+    subject: subject.trim(),
+    body: bodyLines.join('\n').trim(),
+    author: commit.commit?.author?.name || commit.author?.login || null,
+    source: 'api'
+  };
+}
+
+// Branch names may contain slashes, which GitHub expects to stay unescaped
+function encodeRef(ref) {
+  return ref.split('/').map(encodeURIComponent).join('/');
+}
+
+// Create a client. `fetch` can be swapped out so the client can run against a mock server.
+export function createGitHubClient({ token = null, apiBase = GITHUB_API_URL, webBase = GITHUB_WEB_URL, fetch: fetchImpl } = {}) {
+  const doFetch = fetchImpl || globalThis.fetch.bind(globalThis);
+  // GitHub Enterprise Server serves GraphQL at /api/graphql next to /api/v3
+  const graphqlBase = apiBase.replace(/\/api\/v3$/, '/api');
+
+  // GET by default. A body is sent as JSON.
+  async function request(path, { method = 'GET', body, base = apiBase } = {}) {
+    const headers = {
+      'Accept': 'application/vnd.github+json',
+      'X-GitHub-Api-Version': '2022-11-28'
+    };
+
+    if (token) {
+      headers['Authorization'] = `Bearer ${token}`;
+    }
+    if (body !== undefined) {
+      headers['Content-Type'] = 'application/json';
+    }
+
+    const response = await doFetch(`${base}${path}`, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+
+      let errorData;
+      try {
+        errorData = JSON.parse(errorText);
+      } catch (e) {
+        errorData = { message: errorText };
+      }
+
+      let message = errorData.message || response.statusText || 'Unknown error';
+      if (response.status === 404 && !token) {
+        message += ' (private repositories need a GitHub token, set one in the extension settings)';
+      } else if (response.status === 401 && method !== 'GET' && !token) {
+        message = 'Writing to GitHub needs a GitHub token, set one in the extension settings';
+      } else if (response.status === 403 && method !== 'GET' && response.headers.get('x-ratelimit-remaining') !== '0') {
+        message += ' (the GitHub token needs permission to write to pull requests)';
+      } else if (response.status === 403 && response.headers.get('x-ratelimit-remaining') === '0') {
+        message = token
+          ? 'GitHub API rate limit exceeded'
+          : 'GitHub API rate limit exceeded, add a GitHub token in the extension settings for a higher limit';
+      }
+
+      const error = new Error(`GitHub API error (${response.status}): ${message}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    return response.json();
+  }
+
+  // A GraphQL query or mutation, for what the REST API can't do
+  async function graphql(query, variables = {}) {
+    const { data, errors } = await request('/graphql', { method: 'POST', body: { query, variables }, base: graphqlBase });
+
+    if (errors?.length > 0) {
+      const error = new Error(`GitHub API error: ${errors.map(entry => entry.message).join('; ')}`);
+      error.status = errors[0].type === 'FORBIDDEN' ? 403 : 422;
+      throw error;
+    }
+    return data;
+  }
+
+  async function getRepository(owner, repo) {
+    return request(`/repos/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}`);
+  }
+
+  // File or directory listing from the contents API, null if the path doesn't exist
+  async function getContents(owner, repo, path) {
+    try {
+      return await request(`/repos/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}/contents/${encodeRef(path)}`);
+    } catch (error) {
+      if (error.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  // Text of a file in the repository's default branch, null if it doesn't exist
+  async function getFileText(owner, repo, path) {
+    const file = await getContents(owner, repo, path);
+    if (!file || Array.isArray(file) || file.encoding !== 'base64') {
+      return null;
+    }
+
+    const bytes = Uint8Array.from(atob(file.content.replace(/\n/g, '')), char => char.charCodeAt(0));
+    return new TextDecoder().decode(bytes);
+  }
+
+  async function getPullRequest(owner, repo, number) {
+    return request(`/repos/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}/pulls/${number}`);
+  }
+
+  // Open pull requests, the most recently updated first
+  async function listPullRequests(owner, repo) {
+    const pulls = [];
+
+    for (let page = 1; pulls.length < MAX_OPEN_PULLS; page++) {
+      const batch = await request(
+        `/repos/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}/pulls?state=open&sort=updated&direction=desc&per_page=${PER_PAGE}&page=${page}`
+      );
+
+      pulls.push(...batch);
+      if (batch.length < PER_PAGE) {
+        break;
+      }
+    }
+
+    return pulls.slice(0, MAX_OPEN_PULLS);
+  }
+
+  // Change the title and description of a pull request
+  async function updatePullRequest(owner, repo, number, { title, body }) {
+    return request(`/repos/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}/pulls/${number}`, {
+      method: 'PATCH',
+      body: { title, body }
+    });
+  }
+
+  // The user the token belongs to
+  async function getAuthenticatedUser() {
+    return request('/user');
+  }
+
+  // An issue (or pull request, which GitHub also serves as an issue), null if it doesn't exist
+  async function getIssue(owner, repo, number) {
+    try {
+      return await request(`/repos/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}/issues/${number}`);
+    } catch (error) {
+      if (error.status === 404 || error.status === 410) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  // Most recent releases, newest first
+  async function getReleases(owner, repo) {
+    return request(`/repos/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}/releases?per_page=${PER_PAGE}`);
+  }
+
+  // Comment on the pull request's conversation tab
+  async function createIssueComment(owner, repo, number, body) {
+    return request(`/repos/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}/issues/${number}/comments`, {
+      method: 'POST',
+      body: { body }
+    });
+  }
+
+  // Names of the repository's labels
+  async function listLabels(owner, repo) {
+    const labels = [];
+
+    for (let page = 1; labels.length < MAX_LABELS; page++) {
+      const batch = await request(
+        `/repos/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}/labels?per_page=${PER_PAGE}&page=${page}`
+      );
+
+      labels.push(...batch.map(label => label.name));
+      if (batch.length < PER_PAGE) {
+        break;
+      }
+    }
+
+    return labels.slice(0, MAX_LABELS);
+  }
+
+  // Ask users (by login) and teams (by slug) to review a pull request
+  async function requestReviewers(owner, repo, number, { reviewers = [], teamReviewers = [] }) {
+    return request(`/repos/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}/pulls/${number}/requested_reviewers`, {
+      method: 'POST',
+      body: { reviewers, team_reviewers: teamReviewers }
+    });
+  }
+
+  // Add labels (by name) to a pull request, keeping the ones it has
+  async function addLabels(owner, repo, number, labels) {
+    return request(`/repos/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}/issues/${number}/labels`, {
+      method: 'POST',
+      body: { labels }
+    });
+  }
+
+  // Turn a pull request into a draft or mark it ready for review, which only
+  // GraphQL can do
+  async function setDraft(owner, repo, number, draft) {
+    const { node_id: id } = await getPullRequest(owner, repo, number);
+    const mutation = draft
+      ? 'mutation($id: ID!) { convertPullRequestToDraft(input: { pullRequestId: $id }) { pullRequest { isDraft } } }'
+      : 'mutation($id: ID!) { markPullRequestReadyForReview(input: { pullRequestId: $id }) { pullRequest { isDraft } } }';
+
+    return graphql(mutation, { id });
+  }
+
+  async function getPullRequestCommits(owner, repo, number) {
+    const commits = [];
+
+    for (let page = 1; commits.length < MAX_COMMITS; page++) {
+      const batch = await request(
+        `/repos/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}/pulls/${number}/commits?per_page=${PER_PAGE}&page=${page}`
+      );
+
+      commits.push(...batch);
+      if (batch.length < PER_PAGE) {
+        break;
+      }
+    }
+
+    return commits.map(normalizeCommit);
+  }
+
+  async function getPullRequestFiles(owner, repo, number) {
+    const files = [];
+
+    for (let page = 1; files.length < MAX_FILES; page++) {
+      const batch = await request(
+        `/repos/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}/pulls/${number}/files?per_page=${PER_PAGE}&page=${page}`
+      );
+
+      files.push(...batch);
+      if (batch.length < PER_PAGE) {
+        break;
+      }
+    }
+
+    return files.map(normalizeApiFile);
+  }
+
+  async function getComparison(owner, repo, base, head) {
+    if (!base) {
+      // "/compare/branch" and "/pull/new/branch" compare against the default branch
+      const repository = await getRepository(owner, repo);
+      base = repository.default_branch;
+    }
+
+    const commits = [];
+    let files = [];
+
+    for (let page = 1; commits.length < MAX_COMMITS; page++) {
+      const comparison = await request(
+        `/repos/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}/compare/${encodeRef(base)}...${encodeRef(head)}?per_page=${PER_PAGE}&page=${page}`
+      );
+
+      // The changed files only come back with the first page
+      if (page === 1) {
+        files = comparison.files || [];
+      }
+
+      commits.push(...comparison.commits);
+      if (comparison.commits.length < PER_PAGE || commits.length >= comparison.total_commits) {
+        break;
+      }
+    }
+
+    return {
+      commits: commits.map(normalizeCommit),
+      files: files.map(normalizeApiFile),
+      base,
+      head
+    };
+  }
+
+  // Full commit list (subject, body, author, SHA) for a target from parsePullRequestUrl()
+  async function getCommits(target) {
+    if (target.type === 'pull') {
+      return getPullRequestCommits(target.owner, target.repo, target.number);
+    }
+
+    const { commits } = await getComparison(target.owner, target.repo, target.base, target.head);
+    return commits;
+  }
+
+  // Base and head branch of a target. "/compare/branch" and "/pull/new/branch"
+  // compare against the default branch.
+  async function getRefs(target) {
+    if (target.type === 'pull') {
+      const pullRequest = await getPullRequest(target.owner, target.repo, target.number);
+      return { base: pullRequest.base.ref, head: pullRequest.head.ref };
+    }
+
+    const base = target.base || (await getRepository(target.owner, target.repo)).default_branch;
+    return { base, head: target.head };
+  }
+
+  // Commits, changed files (with their patches) and the base and head branch names for a target
+  async function getChanges(target) {
+    if (target.type === 'pull') {
+      const [pullRequest, commits, files] = await Promise.all([
+        getPullRequest(target.owner, target.repo, target.number),
+        getPullRequestCommits(target.owner, target.repo, target.number),
+        getPullRequestFiles(target.owner, target.repo, target.number)
+      ]);
+      return { commits, files, base: pullRequest.base.ref, head: pullRequest.head.ref };
+    }
+
+    return getComparison(target.owner, target.repo, target.base, target.head);
+  }
+
+  // Raw unified diff from github.com's ".diff" URLs. These use the browser's
+  // GitHub session, so they also work for private repositories without a token.
+  async function getWebDiff(target) {
+    const path = target.type === 'pull'
+      ? `pull/${target.number}.diff`
+      : `compare/${target.base ? `${encodeRef(target.base)}...` : ''}${encodeRef(target.head)}.diff`;
+
+    const response = await doFetch(
+      `${webBase}/${encodeURIComponent(target.owner)}/${encodeURIComponent(target.repo)}/${path}`,
+      { credentials: 'include' }
+    );
+
+    if (!response.ok) {
+      const error = new Error(`Could not download the diff (${response.status})`);
+      error.status = response.status;
+      throw error;
+    }
+
+    return parseUnifiedDiff(await response.text());
+  }
+
+  return {
+    request,
+    getRepository,
+    getContents,
+    getFileText,
+    getPullRequest,
+    listPullRequests,
+    updatePullRequest,
+    getAuthenticatedUser,
+    getIssue,
+    getReleases,
+    createIssueComment,
+    listLabels,
+    requestReviewers,
+    addLabels,
+    setDraft,
+    graphql,
+    getCommits,
+    getRefs,
+    getChanges,
+    getWebDiff
+  };
+}
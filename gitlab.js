@@ -0,0 +1,234 @@
+// GitLab REST API client for merge requests, on gitlab.com or a self-managed
+// instance. Targets and changes come back in the same shape as github.js.
+import { parseUnifiedDiff } from './diff.js';
+
+// Merge requests and comparisons stop at this many commits
+const MAX_COMMITS = 250;
+// ... and files past this many
+const MAX_FILES = 3000;
+const PER_PAGE = 100;
+
+// Work out which comparison a merge request page is showing. The project path
+// comes before "/-/", with any groups in owner. Returns null for other pages.
+//   /group/app/-/merge_requests/new?merge_request[source_branch]=feat&merge_request[target_branch]=main
+//                                        -> { type: 'compare', owner: 'group', repo: 'app', base: 'main', head: 'feat' }
+//   /group/sub/app/-/merge_requests/42/edit -> { type: 'pull', owner: 'group/sub', repo: 'app', number: 42 }
+//   /group/app/-/compare/main...feat       -> { type: 'compare', base: 'main', head: 'feat' }
+export function parseGitLabUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return null;
+  }
+
+  const repository = parseGitLabRepositoryUrl(url);
+  if (!repository) {
+    return null;
+  }
+
+  const [, page = ''] = parsed.pathname.split('/-/');
+  const [kind, ...rest] = page.split('/').filter(Boolean).map(segment => decodeURIComponent(segment));
+
+  if (kind === 'merge_requests' && rest[0] === 'new') {
+    const head = parsed.searchParams.get('merge_request[source_branch]');
+    const base = parsed.searchParams.get('merge_request[target_branch]');
+    return head ? { type: 'compare', ...repository, base: base || null, head } : null;
+  }
+
+  if (kind === 'merge_requests') {
+    const number = parseInt(rest[0], 10);
+    return Number.isInteger(number) ? { type: 'pull', ...repository, number } : null;
+  }
+
+  if (kind === 'compare' && rest.length > 0) {
+    const [base, head] = rest.join('/').split('...');
+    return head ? { type: 'compare', ...repository, base, head } : null;
+  }
+
+  return null;
+}
+
+// The project of a GitLab page, e.g. /group/sub/app/-/merge_requests -> { owner: 'group/sub', repo: 'app' }
+export function parseGitLabRepositoryUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return null;
+  }
+
+  if (!parsed.pathname.includes('/-/')) {
+    return null;
+  }
+
+  const segments = parsed.pathname.split('/-/')[0].split('/').filter(Boolean).map(segment => decodeURIComponent(segment));
+  return segments.length >= 2 ? { owner: segments.slice(0, -1).join('/'), repo: segments[segments.length - 1] } : null;
+}
+
+// Split a commit from the API into the fields the prompt needs
+function normalizeCommit(commit) {
+  const [subject = '', ...bodyLines] = (commit.message || commit.title || '').trim().split('\n');
+
+  return {
+    sha: commit.id,
+    subject: subject.trim(),
+    body: bodyLines.join('\n').trim(),
+    author: commit.author_name || null,
+    source: 'api'
+  };
+}
+
+// A file diff from the API in the shape of normalizeApiFile() in diff.js
+function normalizeDiff(diff) {
+  const lines = (diff.diff || '').split('\n');
+
+  return {
+    path: diff.new_path,
+    previousPath: diff.renamed_file ? diff.old_path : null,
+    status: diff.new_file ? 'added' : diff.deleted_file ? 'removed' : diff.renamed_file ? 'renamed' : 'modified',
+    additions: lines.filter(line => line.startsWith('+') && !line.startsWith('+++')).length,
+    deletions: lines.filter(line => line.startsWith('-') && !line.startsWith('---')).length,
+    // Left empty for binary files and diffs too large to show
+    patch: diff.diff ? diff.diff.replace(/\n$/, '') : null,
+    binary: !diff.diff && !diff.too_large
+  };
+}
+
+// Create a client for the instance at origin (e.g. "https://gitlab.com").
+// Without a token, requests go with the browser's GitLab session.
+export function createGitLabClient({ origin, token = null, fetch: fetchImpl }) {
+  const doFetch = fetchImpl || globalThis.fetch.bind(globalThis);
+  const apiBase = `${origin}/api/v4`;
+
+  async function request(path) {
+    const response = await doFetch(`${apiBase}${path}`, token
+      ? { headers: { 'PRIVATE-TOKEN': token } }
+      : { credentials: 'include' });
+
+    if (!response.ok) {
+      let message;
+      try {
+        const errorData = await response.json();
+        message = errorData.message || errorData.error;
+      } catch (e) {
+        message = response.statusText;
+      }
+
+      if (typeof message !== 'string') {
+        message = JSON.stringify(message) || 'Unknown error';
+      }
+      if ((response.status === 404 || response.status === 401) && !token) {
+        message += ' (private projects need a token or a GitLab session, set a token for the host in the extension settings)';
+      }
+
+      const error = new Error(`GitLab API error (${response.status}): ${message}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    return response.json();
+  }
+
+  const projectPath = (owner, repo) => `/projects/${encodeURIComponent(`${owner}/${repo}`)}`;
+
+  // Pages of a list endpoint, up to max items
+  async function requestAll(path, max) {
+    const items = [];
+    const separator = path.includes('?') ? '&' : '?';
+
+    for (let page = 1; items.length < max; page++) {
+      const batch = await request(`${path}${separator}per_page=${PER_PAGE}&page=${page}`);
+      items.push(...batch);
+      if (batch.length < PER_PAGE) {
+        break;
+      }
+    }
+
+    return items.slice(0, max);
+  }
+
+  async function getRepository(owner, repo) {
+    return request(projectPath(owner, repo));
+  }
+
+  async function getMergeRequest(owner, repo, number) {
+    return request(`${projectPath(owner, repo)}/merge_requests/${number}`);
+  }
+
+  async function getMergeRequestDiffs(owner, repo, number) {
+    try {
+      return await requestAll(`${projectPath(owner, repo)}/merge_requests/${number}/diffs`, MAX_FILES);
+    } catch (error) {
+      if (error.status !== 404) {
+        throw error;
+      }
+      // Instances older than GitLab 15.7 only have the changes endpoint
+      const { changes } = await request(`${projectPath(owner, repo)}/merge_requests/${number}/changes`);
+      return changes;
+    }
+  }
+
+  // Base and head branch of a target from parseGitLabUrl()
+  async function getRefs(target) {
+    if (target.type === 'pull') {
+      const mergeRequest = await getMergeRequest(target.owner, target.repo, target.number);
+      return { base: mergeRequest.target_branch, head: mergeRequest.source_branch };
+    }
+
+    // A new merge request without a target branch goes into the default branch
+    const base = target.base || (await getRepository(target.owner, target.repo)).default_branch;
+    return { base, head: target.head };
+  }
+
+  // Commits (oldest first), changed files and the base and head branch names for a target
+  async function getChanges(target) {
+    if (target.type === 'pull') {
+      const [refs, commits, diffs] = await Promise.all([
+        getRefs(target),
+        requestAll(`${projectPath(target.owner, target.repo)}/merge_requests/${target.number}/commits`, MAX_COMMITS),
+        getMergeRequestDiffs(target.owner, target.repo, target.number)
+      ]);
+      // The API lists the newest first
+      return { commits: commits.reverse().map(normalizeCommit), files: diffs.map(normalizeDiff), ...refs };
+    }
+
+    const { base, head } = await getRefs(target);
+    const comparison = await request(
+      `${projectPath(target.owner, target.repo)}/repository/compare?from=${encodeURIComponent(base)}&to=${encodeURIComponent(head)}&straight=false`
+    );
+
+    return {
+      commits: comparison.commits.slice(-MAX_COMMITS).map(normalizeCommit),
+      files: comparison.diffs.slice(0, MAX_FILES).map(normalizeDiff),
+      base,
+      head
+    };
+  }
+
+  // Changed files of a merge request from its ".diff" URL, which goes through
+  // the browser's session. Comparisons have none.
+  async function getWebDiff(target) {
+    if (target.type !== 'pull') {
+      return [];
+    }
+
+    const project = `${target.owner}/${target.repo}`.split('/').map(encodeURIComponent).join('/');
+    const response = await doFetch(`${origin}/${project}/-/merge_requests/${target.number}.diff`, { credentials: 'include' });
+    if (!response.ok) {
+      const error = new Error(`Could not download the diff (${response.status})`);
+      error.status = response.status;
+      throw error;
+    }
+
+    return parseUnifiedDiff(await response.text());
+  }
+
+  return {
+    request,
+    getRepository,
+    getRefs,
+    getChanges,
+    getWebDiff
+  };
+}
@@ -0,0 +1,125 @@
+// Generation history: every description and set of release notes with what
+// went into it, kept in IndexedDB per repository and base...head so earlier
+// versions can be compared and restored after the page is gone
+const DB_NAME = 'pr-script';
+const DB_VERSION = 1;
+const STORE = 'generations';
+
+// Whatever the retention settings say, the oldest go beyond this many entries
+const MAX_ENTRIES = 1000;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Turn an IndexedDB request into a promise for its result
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Resolves once a transaction has been committed
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+  });
+}
+
+// Open (and on first use create) the database. The factory can be swapped out
+// for an in-memory implementation.
+export function openHistoryDatabase(factory = globalThis.indexedDB) {
+  const request = factory.open(DB_NAME, DB_VERSION);
+
+  request.onupgradeneeded = () => {
+    const store = request.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+    store.createIndex('key', 'key');
+    store.createIndex('repository', 'repository');
+    store.createIndex('createdAt', 'createdAt');
+  };
+
+  return promisify(request);
+}
+
+// History key for the changes between two refs, e.g. "octo/app:main...feature/login".
+// Owner and repository are case-insensitive on GitHub, branch names are not.
+export function historyKey({ owner, repo }, base, head) {
+  return `${owner}/${repo}`.toLowerCase() + `:${base}...${head}`;
+}
+
+// Store a generation and apply the retention limits. entry is
+//   { key, repository, base, head, pageUrl, kind, profile: { id, name },
+//     provider: { id, model }, inputs: { commits, files, branch, issues }, title, body }
+// where kind is 'description' or 'release'. Returns the stored entry with its id.
+export async function addGeneration(db, entry, retention = {}) {
+  const stored = { ...entry, createdAt: entry.createdAt ?? Date.now() };
+
+  const transaction = db.transaction(STORE, 'readwrite');
+  const id = await promisify(transaction.objectStore(STORE).add(stored));
+  await transactionDone(transaction);
+
+  await pruneHistory(db, retention);
+  return { ...stored, id };
+}
+
+// Entries newest first: those for one key, one repository (optionally of one
+// kind) or, without either, all of them. limit caps how many come back.
+export async function listGenerations(db, { key = null, repository = null, kind = null, limit = Infinity } = {}) {
+  const store = db.transaction(STORE, 'readonly').objectStore(STORE);
+  const entries = key !== null
+    ? await promisify(store.index('key').getAll(key))
+    : repository !== null
+      ? await promisify(store.index('repository').getAll(repository.toLowerCase()))
+      : await promisify(store.getAll());
+
+  return entries
+    .filter(entry => !kind || entry.kind === kind)
+    .sort((a, b) => b.createdAt - a.createdAt || b.id - a.id)
+    .slice(0, limit);
+}
+
+// One entry, null if it is gone
+export async function getGeneration(db, id) {
+  const entry = await promisify(db.transaction(STORE, 'readonly').objectStore(STORE).get(id));
+  return entry || null;
+}
+
+export async function deleteGeneration(db, id) {
+  const transaction = db.transaction(STORE, 'readwrite');
+  transaction.objectStore(STORE).delete(id);
+  await transactionDone(transaction);
+}
+
+export async function clearHistory(db) {
+  const transaction = db.transaction(STORE, 'readwrite');
+  transaction.objectStore(STORE).clear();
+  await transactionDone(transaction);
+}
+
+// Delete entries older than maxAgeDays and all but the newest maxPerPullRequest
+// of each key. Returns how many were deleted.
+export async function pruneHistory(db, { maxPerPullRequest = Infinity, maxAgeDays = Infinity } = {}, now = Date.now()) {
+  const entries = await listGenerations(db);
+  const cutoff = now - maxAgeDays * DAY;
+  const perKey = new Map();
+  const stale = [];
+
+  for (const [index, entry] of entries.entries()) {
+    const count = (perKey.get(entry.key) || 0) + 1;
+    perKey.set(entry.key, count);
+
+    if (entry.createdAt < cutoff || count > maxPerPullRequest || index >= MAX_ENTRIES) {
+      stale.push(entry.id);
+    }
+  }
+
+  if (stale.length > 0) {
+    const transaction = db.transaction(STORE, 'readwrite');
+    const store = transaction.objectStore(STORE);
+    stale.forEach(id => store.delete(id));
+    await transactionDone(transaction);
+  }
+
+  return stale.length;
+}
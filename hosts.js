@@ -0,0 +1,103 @@
+// Code hosts: github.com, and GitHub Enterprise Server, GitLab and Bitbucket
+// Cloud instances added in the settings. A host adapter knows which pages
+// create or show pull (merge) requests and how to read their commits and diffs
+// from the host's REST API.
+import { createBitbucketClient, parseBitbucketRepositoryUrl, parseBitbucketUrl } from './bitbucket.js';
+import { createGitHubClient, GITHUB_WEB_URL, parsePullRequestUrl, parseRepositoryUrl } from './github.js';
+import { createGitLabClient, parseGitLabRepositoryUrl, parseGitLabUrl } from './gitlab.js';
+
+// Hosts that can be added in the settings. page is the adapter in
+// page-hosts.js for the content script; apiOrigins are other origins the
+// host's API is served from, which need a permission too.
+export const HOST_TYPES = {
+  'github-enterprise': {
+    label: 'GitHub Enterprise Server',
+    placeholder: 'https://github.example.com',
+    page: 'github',
+    apiOrigins: []
+  },
+  gitlab: {
+    label: 'GitLab',
+    placeholder: 'https://gitlab.com',
+    page: 'gitlab',
+    apiOrigins: []
+  },
+  bitbucket: {
+    label: 'Bitbucket Cloud',
+    placeholder: 'https://bitbucket.org',
+    page: 'bitbucket',
+    apiOrigins: ['https://api.bitbucket.org']
+  }
+};
+
+// Origin patterns a host needs permission for, e.g. ["https://gitlab.example.com/*"]
+export function hostOrigins({ type, url }) {
+  return [new URL(url).origin, ...HOST_TYPES[type].apiOrigins].map(origin => `${origin}/*`);
+}
+
+// The adapter for a page, null when it is on none of the hosts. settings are
+// { hosts, githubToken } with the hosts as [{ type, url, token }], the tokens
+// from the vault; github.com uses the GitHub token, added hosts their own.
+// Adapters are
+//   { type, label, origin, page, github, parsePullRequestUrl(url),
+//     parseRepositoryUrl(url), createClient({ fetch }) }
+// where github says the host speaks GitHub's API, which review briefings,
+// release notes, repository PR templates and issue titles need.
+export function findHost(pageUrl, { hosts = [], githubToken = '' }) {
+  let origin;
+  try {
+    origin = new URL(pageUrl).origin;
+  } catch (error) {
+    return null;
+  }
+
+  if (origin === GITHUB_WEB_URL) {
+    return {
+      type: 'github',
+      label: 'GitHub',
+      origin,
+      page: 'github',
+      github: true,
+      parsePullRequestUrl,
+      parseRepositoryUrl,
+      createClient: ({ fetch } = {}) => createGitHubClient({ token: githubToken || null, fetch })
+    };
+  }
+
+  const host = hosts.find(candidate => new URL(candidate.url).origin === origin);
+  if (!host) {
+    return null;
+  }
+
+  const adapter = { type: host.type, label: HOST_TYPES[host.type].label, origin, page: HOST_TYPES[host.type].page };
+  const token = host.token || null;
+
+  if (host.type === 'gitlab') {
+    return {
+      ...adapter,
+      github: false,
+      parsePullRequestUrl: parseGitLabUrl,
+      parseRepositoryUrl: parseGitLabRepositoryUrl,
+      createClient: ({ fetch } = {}) => createGitLabClient({ origin, token, fetch })
+    };
+  }
+
+  if (host.type === 'bitbucket') {
+    return {
+      ...adapter,
+      github: false,
+      parsePullRequestUrl: parseBitbucketUrl,
+      parseRepositoryUrl: parseBitbucketRepositoryUrl,
+      createClient: ({ fetch } = {}) => createBitbucketClient({ token, fetch })
+    };
+  }
+
+  // GitHub Enterprise Server has the same pages, and the API under /api/v3
+  return {
+    ...adapter,
+    github: true,
+    parsePullRequestUrl,
+    parseRepositoryUrl,
+    createClient: ({ fetch } = {}) => createGitHubClient({ token, apiBase: `${origin}/api/v3`, webBase: origin, fetch })
+  };
+}
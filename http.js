@@ -0,0 +1,259 @@
+// HTTP for the model APIs: a timeout per attempt, retries with exponential
+// backoff that honour Retry-After, and errors classified by what the user can
+// do about them
+
+// What went wrong, and whether trying again (or another model) can help:
+//   auth            the key was rejected
+//   quota           out of credits, or over a plan's quota
+//   rate-limit      too many requests for now
+//   context-length  the prompt is too long for the model
+//   server          5xx from the provider
+//   timeout         no answer within the timeout
+//   network         the server could not be reached
+//   request         anything else the provider refused
+const RETRYABLE_KINDS = ['rate-limit', 'server', 'timeout', 'network'];
+
+// Failures another model may not have
+export const FALLBACK_KINDS = ['quota', 'rate-limit', 'context-length', 'server', 'timeout'];
+
+const CONTEXT_LENGTH = /context.?(length|window)|maximum.{0,20}tokens|too many tokens|prompt is too long|too long for/i;
+const QUOTA = /quota|credit|billing|insufficient|payment|exceeded your current/i;
+
+// Error messages are cut to this length before they are shown
+const MAX_DETAIL_LENGTH = 200;
+
+export class ApiError extends Error {
+  // context is { label, model, timeout } of the request, for the message
+  constructor(kind, { status = null, detail = '', retryAfter = null, context = {} } = {}) {
+    super(describeError(kind, { status, detail, ...context }));
+    this.name = 'ApiError';
+    this.kind = kind;
+    this.status = status;
+    this.detail = detail;
+    this.retryAfter = retryAfter;
+  }
+
+  get retryable() {
+    return RETRYABLE_KINDS.includes(this.kind);
+  }
+}
+
+// The kind of failure for an HTTP status and the provider's error message
+export function classifyError(status, detail = '') {
+  if ([400, 413, 422].includes(status) && CONTEXT_LENGTH.test(detail)) {
+    return 'context-length';
+  }
+  if (status === 401) {
+    return 'auth';
+  }
+  if (status === 402 || ((status === 403 || status === 429) && QUOTA.test(detail))) {
+    return 'quota';
+  }
+  if (status === 403) {
+    return 'auth';
+  }
+  if (status === 429) {
+    return 'rate-limit';
+  }
+  if (status === 408) {
+    return 'timeout';
+  }
+  if (status >= 500) {
+    return 'server';
+  }
+  return 'request';
+}
+
+// A message saying what happened and what to do about it
+function describeError(kind, { status, detail, label = 'The AI provider', model = 'the model', timeout = null }) {
+  const shortDetail = detail.length > MAX_DETAIL_LENGTH ? `${detail.slice(0, MAX_DETAIL_LENGTH)}...` : detail;
+  const suffix = shortDetail ? ` (${shortDetail})` : '';
+
+  switch (kind) {
+    case 'auth':
+      return `${label} rejected the API key. Check the key in the extension settings.${suffix}`;
+    case 'quota':
+      return `Your ${label} account is out of credits or over its quota. Add credits, or pick another model or provider in the extension settings.${suffix}`;
+    case 'rate-limit':
+      return `${label} is rate-limiting requests and retrying didn't help. Wait a minute and try again, or add fallback models in the extension settings.${suffix}`;
+    case 'context-length':
+      return `The prompt is too long for ${model}. Exclude large paths or stop sending the diff in the privacy settings, or pick a model with a larger context window.${suffix}`;
+    case 'server':
+      return `${label} had a server error${status ? ` (${status})` : ''}. Try again in a moment, or add fallback models in the extension settings.${suffix}`;
+    case 'timeout':
+      return `${label} didn't answer${timeout ? ` within ${Math.round(timeout / 1000)} seconds` : ' in time'}. Try again, or raise the timeout in the extension settings.`;
+    case 'network':
+      return `Could not reach ${label}. Check your connection and the base URL in the extension settings.${suffix}`;
+    default:
+      return `API Error: ${shortDetail || `status ${status}`}`;
+  }
+}
+
+// Milliseconds a Retry-After header asks to wait, as seconds or an HTTP date.
+// null without a usable header.
+export function parseRetryAfter(value, now = Date.now()) {
+  if (!value) {
+    return null;
+  }
+
+  if (/^\d+(\.\d+)?$/.test(value.trim())) {
+    return Math.round(parseFloat(value) * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(date - now, 0);
+}
+
+// How long to wait before the next attempt (attempt counts from 0): what the
+// server asked for, otherwise exponential backoff with jitter. null when the
+// server asks for longer than maxDelay, so waiting isn't worth it.
+export function retryDelay(attempt, retryAfter, { baseDelay = 1000, maxDelay = 30000 } = {}) {
+  if (retryAfter !== null && retryAfter !== undefined) {
+    return retryAfter <= maxDelay ? retryAfter : null;
+  }
+
+  const backoff = baseDelay * 2 ** attempt;
+  return Math.min(Math.round(backoff * (0.5 + Math.random() / 2)), maxDelay);
+}
+
+// Turn a failed response into an ApiError with the provider's message
+export async function responseError(response, context = {}) {
+  const errorText = await response.text();
+  console.error('PR Script: Error response:', errorText);
+
+  let errorData;
+  try {
+    errorData = JSON.parse(errorText);
+  } catch (e) {
+    errorData = { error: { message: errorText } };
+  }
+
+  const detail = String(errorData?.error?.message || errorData?.message || errorText || '').trim();
+  return new ApiError(classifyError(response.status, detail), {
+    status: response.status,
+    detail,
+    retryAfter: parseRetryAfter(response.headers.get('retry-after')),
+    context
+  });
+}
+
+// Wait, unless the signal aborts first
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new Error('Stopped'));
+      return;
+    }
+
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(new Error('Stopped'));
+    }, { once: true });
+  });
+}
+
+// The response with its body read through an idle timer: when no data
+// arrives for `timeout` ms the request is aborted and reading fails with a
+// timeout, so a stream that stalls partway doesn't wait forever. The timer
+// only runs while a read is waiting. done() is called once the body has been
+// read, failed or been cancelled.
+function withIdleTimeout(response, controller, timeout, context, done) {
+  if (!response.body) {
+    done();
+    return response;
+  }
+
+  const reader = response.body.getReader();
+  let timer = null;
+
+  const body = new ReadableStream({
+    async pull(stream) {
+      timer = setTimeout(() => {
+        stream.error(new ApiError('timeout', { context: { ...context, timeout } }));
+        controller.abort();
+        done();
+      }, timeout);
+
+      try {
+        const result = await reader.read();
+        if (result.done) {
+          stream.close();
+          done();
+        } else {
+          stream.enqueue(result.value);
+        }
+      } catch (error) {
+        // Erroring a stream the timer errored already does nothing
+        stream.error(error);
+        done();
+      } finally {
+        clearTimeout(timer);
+      }
+    },
+    cancel(reason) {
+      clearTimeout(timer);
+      done();
+      return reader.cancel(reason);
+    }
+  });
+
+  return new Response(body, { status: response.status, statusText: response.statusText, headers: response.headers });
+}
+
+// fetch() that gives up on an attempt after `timeout` ms without a response,
+// or without data while the body is read, tries again `retries` times on rate
+// limits, server errors, timeouts and network errors, and throws an ApiError
+// for any response that isn't OK.
+// Aborting `signal` stops it at any point, reading the body included.
+// context ({ label, model }) goes into the error messages; `wait` can be
+// swapped out to run without the delays.
+export async function fetchWithRetry(doFetch, url, init, { signal, timeout = 60000, retries = 3, baseDelay, maxDelay, context = {}, wait = sleep } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    // An abort before the listener is added wouldn't reach it
+    if (signal?.aborted) {
+      throw new Error('Stopped');
+    }
+
+    const controller = new AbortController();
+    let timedOut = false;
+
+    // Removed when the attempt fails or its body has been read, so retries
+    // don't pile up listeners on the caller's signal
+    const abort = () => controller.abort();
+    const release = () => signal?.removeEventListener('abort', abort);
+    signal?.addEventListener('abort', abort, { once: true });
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeout);
+
+    let error;
+    try {
+      const response = await doFetch(url, { ...init, signal: controller.signal });
+      if (response.ok) {
+        return withIdleTimeout(response, controller, timeout, context, release);
+      }
+      error = await responseError(response, { ...context, timeout });
+    } catch (cause) {
+      release();
+      if (signal?.aborted || cause instanceof ApiError) {
+        throw cause;
+      }
+      error = new ApiError(timedOut ? 'timeout' : 'network', { detail: timedOut ? '' : cause.message, context: { ...context, timeout } });
+    } finally {
+      clearTimeout(timer);
+    }
+    release();
+
+    const delay = error.retryable && attempt < retries
+      ? retryDelay(attempt, error.retryAfter, { baseDelay, maxDelay })
+      : null;
+    if (delay === null) {
+      throw error;
+    }
+
+    console.warn(`PR Script: ${error.kind} error, retrying in ${delay} ms (attempt ${attempt + 1} of ${retries})`);
+    await wait(delay, signal);
+  }
+}
@@ -0,0 +1,189 @@
+// Issues a pull request is for: references found in the branch name and
+// commit messages, their titles for the prompt, and the "Linked Issues"
+// section with the closing keywords GitHub understands
+import { parseSections } from './templates.js';
+
+// Titles are fetched for this many GitHub issues at most
+const MAX_FETCHED_ISSUES = 10;
+
+// "owner/repo#12" or "#12"
+const ISSUE = String.raw`((?:[\w.-]+\/[\w.-]+)?#\d+)`;
+// GitHub's closing keywords, https://docs.github.com/issues/tracking-your-work-with-issues/linking-a-pull-request-to-an-issue
+const CLOSING_REFERENCE = new RegExp(String.raw`\b(close[sd]?|fix(?:e[sd])?|resolve[sd]?)\s*:?\s+${ISSUE}`, 'gi');
+const RELATED_REFERENCE = new RegExp(String.raw`\b(?:refs?|references|see|related to|part of)\s*:?\s+${ISSUE}`, 'gi');
+// Any other mention; "&#39;" and URL fragments are not issues
+const MENTION = new RegExp(String.raw`(?:^|[^\w/&])${ISSUE}\b|\bGH-(\d+)\b`, 'gi');
+// "fix/1234-login-timeout", "issue-88", "feature/gh-12_search", "42"
+const BRANCH_ISSUE = /(?:^|\/)(?:(?:issues?|gh)[-_]?)?(\d+)(?=[-_]|$)/i;
+
+const KEYWORDS = { close: 'Closes', fix: 'Fixes', resolve: 'Resolves' };
+
+// "Fixes" for "fixed", "Closes" for "close" and so on
+function closingKeyword(word) {
+  const stem = Object.keys(KEYWORDS).find(key => word.toLowerCase().startsWith(key));
+  return KEYWORDS[stem];
+}
+
+// Split "owner/repo#12" or "#12" into its parts, defaulting to the pull request's repository
+function parseIssue(text, { owner, repo }) {
+  const [path, number] = text.split('#');
+  const [refOwner, refRepo] = path ? path.split('/') : [owner, repo];
+  return { owner: refOwner, repo: refRepo, number: parseInt(number, 10) };
+}
+
+// Find the issues a pull request refers to. Returns a list of
+//   { type: 'github', owner, repo, number, keyword }  keyword is 'Closes', 'Fixes'
+//     or 'Resolves' for closing references, 'Refs' for explicit ones, null for mentions
+//   { type: 'jira', key }
+// in the order they were found. jiraProjects are key prefixes such as "PROJ";
+// without any, Jira-style keys are not looked for.
+export function findIssueReferences({ head = '', commits = [] }, { owner, repo, jiraProjects = [] }) {
+  const references = new Map();
+  // Closing keywords win over "Refs", which wins over a mention
+  const rank = reference => (!reference.keyword ? 0 : reference.keyword === 'Refs' ? 1 : 2);
+
+  function add(reference) {
+    const key = reference.type === 'jira'
+      ? reference.key
+      : `${reference.owner}/${reference.repo}#${reference.number}`.toLowerCase();
+    const existing = references.get(key);
+
+    if (!existing || rank(reference) > rank(existing)) {
+      references.set(key, reference);
+    }
+  }
+
+  // Work on a branch named after an issue is meant to close it
+  const branchMatch = head.match(BRANCH_ISSUE);
+  if (branchMatch) {
+    add({ type: 'github', owner, repo, number: parseInt(branchMatch[1], 10), keyword: /^(bug|hot)?fix\//i.test(head) ? 'Fixes' : 'Closes' });
+  }
+
+  const messages = commits.map(commit => [commit.subject, commit.body].filter(Boolean).join('\n'));
+
+  for (const message of messages) {
+    for (const [, word, issue] of message.matchAll(CLOSING_REFERENCE)) {
+      add({ type: 'github', ...parseIssue(issue, { owner, repo }), keyword: closingKeyword(word) });
+    }
+    for (const [, issue] of message.matchAll(RELATED_REFERENCE)) {
+      add({ type: 'github', ...parseIssue(issue, { owner, repo }), keyword: 'Refs' });
+    }
+    for (const [, issue, ghNumber] of message.matchAll(MENTION)) {
+      add({ type: 'github', ...(issue ? parseIssue(issue, { owner, repo }) : { owner, repo, number: parseInt(ghNumber, 10) }), keyword: null });
+    }
+  }
+
+  if (jiraProjects.length > 0) {
+    const jiraKey = new RegExp(`\\b(${jiraProjects.join('|')})-(\\d+)\\b`, 'gi');
+    for (const text of [head, ...messages]) {
+      for (const [, project, number] of text.matchAll(jiraKey)) {
+        add({ type: 'jira', key: `${project.toUpperCase()}-${number}` });
+      }
+    }
+  }
+
+  return [...references.values()];
+}
+
+// Look up the titles of the GitHub issues. References to issues that don't
+// exist are dropped, and so are pull requests that are only mentioned (e.g.
+// the "(#123)" GitHub adds to squashed commits). When GitHub can't be
+// reached the references are kept without titles.
+export async function fetchIssueTitles(client, references) {
+  const result = [];
+  let fetched = 0;
+
+  for (const reference of references) {
+    if (reference.type !== 'github' || fetched >= MAX_FETCHED_ISSUES) {
+      result.push(reference);
+      continue;
+    }
+
+    fetched++;
+    let issue;
+    try {
+      issue = await client.getIssue(reference.owner, reference.repo, reference.number);
+    } catch (error) {
+      console.error('PR Script: Could not load issue:', error);
+      result.push(reference);
+      continue;
+    }
+
+    if (!issue || (issue.pull_request && !reference.keyword)) {
+      continue;
+    }
+
+    result.push({
+      ...reference,
+      title: issue.title,
+      // Closing keywords do nothing for pull requests
+      keyword: issue.pull_request ? 'Refs' : reference.keyword,
+      isPullRequest: Boolean(issue.pull_request)
+    });
+  }
+
+  return result;
+}
+
+// How a reference is written in the description, e.g. "#12" or "octo/repo#12"
+function issueLabel(reference, { owner, repo }) {
+  const sameRepository = reference.owner.toLowerCase() === owner.toLowerCase() &&
+    reference.repo.toLowerCase() === repo.toLowerCase();
+
+  return sameRepository ? `#${reference.number}` : `${reference.owner}/${reference.repo}#${reference.number}`;
+}
+
+// The linked issues for the prompt, empty without any
+export function formatIssueContext(references, repository) {
+  if (references.length === 0) {
+    return '';
+  }
+
+  const lines = references.map(reference => {
+    if (reference.type === 'jira') {
+      return `- ${reference.key}`;
+    }
+
+    const label = issueLabel(reference, repository);
+    return `- ${label}${reference.title ? `: ${reference.title}` : ''}${reference.keyword && reference.keyword !== 'Refs' ? ' (closed by this pull request)' : ''}`;
+  });
+
+  return `Linked issues:\n${lines.join('\n')}`;
+}
+
+// Markdown list for the "Linked Issues" section. Jira keys become links when
+// jiraUrl is set, e.g. "https://example.atlassian.net/browse/{key}".
+export function renderLinkedIssues(references, repository, { jiraUrl = '' } = {}) {
+  return references.map(reference => {
+    if (reference.type === 'jira') {
+      return jiraUrl ? `- [${reference.key}](${jiraUrl.replace('{key}', reference.key)})` : `- ${reference.key}`;
+    }
+
+    return `- ${reference.keyword || 'Refs'} ${issueLabel(reference, repository)}`;
+  }).join('\n');
+}
+
+// Put the linked issues into the description: into a section about issues
+// if it has one (e.g. from the PR template), otherwise into a new one at the end
+export function addLinkedIssues(body, references, repository, options = {}) {
+  if (references.length === 0) {
+    return body;
+  }
+
+  const list = renderLinkedIssues(references, repository, options);
+  const sections = parseSections(body || '');
+  const section = sections.find(candidate => candidate.heading && /\b(issues?|tickets?)\b/.test(candidate.key));
+
+  if (!section) {
+    return `${(body || '').trim()}\n\n## Linked Issues\n${list}`.trim();
+  }
+
+  // HTML comments from the template stay, whatever the model wrote is replaced
+  const comments = section.lines.filter(line => /^\s*<!--.*-->\s*$/.test(line));
+  section.lines = [...comments, list, ''];
+
+  return sections
+    .flatMap(({ heading, lines }) => (heading ? [heading, ...lines] : lines))
+    .join('\n')
+    .trim();
+}
@@ -0,0 +1,45 @@
+// Line diff for the preview panel and the history browser in the popup
+
+// Longest-common-subsequence diff of two texts, line by line
+function diffLines(before, after) {
+  const a = before ? before.split('\n') : [];
+  const b = after ? after.split('\n') : [];
+
+  // Keep the table small on huge inputs, a plain replace is fine there
+  if (a.length * b.length > 250000) {
+    return [
+      ...a.map(line => ({ type: 'remove', line })),
+      ...b.map(line => ({ type: 'add', line }))
+    ];
+  }
+
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const result = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      result.push({ type: 'same', line: a[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      result.push({ type: 'remove', line: a[i++] });
+    } else {
+      result.push({ type: 'add', line: b[j++] });
+    }
+  }
+  while (i < a.length) {
+    result.push({ type: 'remove', line: a[i++] });
+  }
+  while (j < b.length) {
+    result.push({ type: 'add', line: b[j++] });
+  }
+
+  return result;
+}
@@ -0,0 +1,172 @@
+// Side panel with the commit lint on compare pages: what is wrong with each
+// commit, the new subjects the model suggests and a `git rebase -i` todo list
+// to clean up the history with. Shares the look of the preview panel
+// (panel.js) and lives in its own shadow root.
+
+// What the panel currently shows: { commits, plan, rewritten, status, busy },
+// commits and plan as the background script's lint returns them
+let lintState = null;
+let lintCallbacks = {};
+
+// Labels of the lint rules
+const LINT_RULES = {
+  vague: 'Vague',
+  overlong: 'Too long',
+  imperative: 'Not imperative',
+  conventional: 'Not conventional',
+  fixup: 'Fixup',
+  squash: 'Squash'
+};
+
+const LINT_PANEL_STYLES = `
+  .panel { height: 100%; max-height: none; border-radius: 0; border-width: 0 0 0 1px; }
+  .meta { padding: 0 12px; color: #656d76; font-size: 12px; }
+  .lint-list { list-style: none; margin: 0; padding: 0; }
+  .lint-list li { padding: 6px 0; border-bottom: 1px solid #d1d9e0; }
+  .lint-list .commit { font-family: ui-monospace, SFMono-Regular, Menlo, monospace; font-size: 12px; }
+  .lint-list .sha { color: #656d76; margin-right: 6px; }
+  .lint-list li.clean .commit { color: #656d76; }
+  .lint-list .issue { display: block; color: #9a6700; font-size: 12px; margin-top: 2px; }
+  .lint-list .rule { font-weight: 600; margin-right: 4px; }
+  .lint-list .rewrite { display: block; color: #1a7f37; font-size: 12px; margin-top: 2px; }
+  .plan-heading { font-size: 14px; margin: 12px 0 4px; }
+  .plan { margin: 0; background: #f6f8fa; padding: 8px; border-radius: 6px; overflow: auto; font-size: 12px; white-space: pre; font-family: ui-monospace, SFMono-Regular, Menlo, monospace; }
+  .plan-heading[hidden], .plan[hidden] { display: none; }
+`;
+
+const LINT_PANEL_HTML = `
+  <div class="panel">
+    <header>
+      <strong>🧹 Commit check</strong>
+      <span class="status"></span>
+      <button class="close" title="Close">✕</button>
+    </header>
+    <div class="redaction" hidden></div>
+    <p class="meta"></p>
+    <div class="content">
+      <ul class="lint-list"></ul>
+      <h3 class="plan-heading" hidden>Rebase plan</h3>
+      <pre class="plan" hidden></pre>
+    </div>
+    <footer>
+      <button data-action="copy-plan" class="primary" title="Copy the todo list for git rebase -i">Copy rebase plan</button>
+      <button data-action="recheck" title="Check the commits again and write new subjects">Check again</button>
+    </footer>
+  </div>
+`;
+
+function getLintPanelRoot() {
+  return document.getElementById('pr-script-lint-host')?.shadowRoot || null;
+}
+
+// Open the panel (or reuse the open one). onRecheck is called for the Check again action.
+function openLintPanel({ onRecheck }) {
+  lintCallbacks = { onRecheck };
+  lintState = { commits: [], plan: null, rewritten: true, status: '', busy: true };
+
+  if (!getLintPanelRoot()) {
+    const host = document.createElement('div');
+    host.id = 'pr-script-lint-host';
+    host.style.cssText = 'position: fixed; z-index: 10000; top: 0; right: 0; bottom: 0; width: 440px; max-width: 100vw;';
+
+    const root = host.attachShadow({ mode: 'open' });
+    root.innerHTML = `<style>${PANEL_STYLES}${LINT_PANEL_STYLES}</style>${LINT_PANEL_HTML}`;
+
+    root.querySelectorAll('[data-action]').forEach(button => {
+      button.addEventListener('click', () => handleLintPanelAction(button.dataset.action));
+    });
+    root.querySelector('.close').addEventListener('click', closeLintPanel);
+
+    document.body.appendChild(host);
+  }
+
+  getLintPanelRoot().querySelector('.redaction').hidden = true;
+  renderLintPanel();
+}
+
+// Show new results or status in the panel
+function updateLintPanel(changes) {
+  if (!lintState) {
+    return;
+  }
+
+  lintState = { ...lintState, ...changes };
+  renderLintPanel();
+}
+
+function closeLintPanel() {
+  document.getElementById('pr-script-lint-host')?.remove();
+  lintState = null;
+}
+
+function renderLintPanel() {
+  const root = getLintPanelRoot();
+  if (!root || !lintState) {
+    return;
+  }
+
+  const { commits, plan, rewritten, status, busy } = lintState;
+  root.querySelector('.status').textContent = status;
+
+  const flagged = commits.filter(commit => commit.issues.length > 0).length;
+  const meta = root.querySelector('.meta');
+  meta.hidden = busy || commits.length === 0;
+  meta.textContent = flagged === 0
+    ? `All ${commits.length} commit${commits.length === 1 ? '' : 's'} look fine`
+    : `${flagged} of ${commits.length} commit${commits.length === 1 ? '' : 's'} could be better${rewritten ? '' : ' (no new subjects, the repository is confidential)'}`;
+
+  const list = root.querySelector('.lint-list');
+  list.innerHTML = '';
+  commits.forEach((commit, index) => {
+    const item = document.createElement('li');
+    item.className = commit.issues.length > 0 ? 'flagged' : 'clean';
+
+    const line = document.createElement('div');
+    line.className = 'commit';
+    const sha = document.createElement('span');
+    sha.className = 'sha';
+    sha.textContent = commit.sha ? commit.sha.slice(0, 7) : `${index + 1}.`;
+    line.append(sha, commit.subject);
+    item.appendChild(line);
+
+    for (const issue of commit.issues) {
+      const entry = document.createElement('span');
+      entry.className = 'issue';
+      const rule = document.createElement('span');
+      rule.className = 'rule';
+      rule.textContent = `${LINT_RULES[issue.rule]}:`;
+      entry.append(rule, issue.message);
+      item.appendChild(entry);
+    }
+
+    if (commit.newSubject) {
+      const rewrite = document.createElement('span');
+      rewrite.className = 'rewrite';
+      rewrite.textContent = `→ ${commit.newSubject}`;
+      item.appendChild(rewrite);
+    }
+
+    list.appendChild(item);
+  });
+
+  // Only with commits from the API, which have their hashes
+  root.querySelector('.plan-heading').hidden = !plan;
+  root.querySelector('.plan').hidden = !plan;
+  root.querySelector('.plan').textContent = plan || '';
+
+  root.querySelector('[data-action="copy-plan"]').disabled = busy || !plan;
+  root.querySelector('[data-action="recheck"]').disabled = busy;
+}
+
+async function handleLintPanelAction(action) {
+  if (action === 'copy-plan') {
+    try {
+      await navigator.clipboard.writeText(lintState.plan);
+      updateLintPanel({ status: 'Copied, paste it over the todo list of git rebase -i' });
+    } catch (error) {
+      updateLintPanel({ status: 'Could not copy to the clipboard' });
+    }
+  } else if (action === 'recheck') {
+    lintCallbacks.onRecheck?.();
+  }
+}
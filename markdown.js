@@ -0,0 +1,114 @@
+// Minimal markdown renderer for previews in the page. Everything is escaped
+// first, so the generated text can never inject markup of its own.
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Inline formatting: code, bold, italics and http(s) links
+function renderInline(text) {
+  return escapeHtml(text)
+    .replace(/`([^`]+)`/g, '<code>$1</code>')
+    .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+    .replace(/(^|[^*])\*([^*\s][^*]*)\*/g, '$1<em>$2</em>')
+    .replace(/\[([^\]]+)\]\((https?:\/\/[^\s)]+)\)/g, '<a href="$2" target="_blank" rel="noopener noreferrer">$1</a>');
+}
+
+// Render markdown to HTML: headings, lists (with task checkboxes), fenced
+// code, quotes and paragraphs. HTML comments are shown dimmed.
+function renderMarkdown(markdown) {
+  const html = [];
+  const lines = (markdown || '').split('\n');
+  let listType = null;
+  let paragraph = [];
+
+  function closeParagraph() {
+    if (paragraph.length > 0) {
+      html.push(`<p>${paragraph.map(renderInline).join('<br>')}</p>`);
+      paragraph = [];
+    }
+  }
+
+  function closeList() {
+    if (listType) {
+      html.push(`</${listType}>`);
+      listType = null;
+    }
+  }
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    if (line.trim().startsWith('```')) {
+      closeParagraph();
+      closeList();
+      const code = [];
+      while (++i < lines.length && !lines[i].trim().startsWith('```')) {
+        code.push(lines[i]);
+      }
+      html.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+      continue;
+    }
+
+    if (line.trim().startsWith('<!--')) {
+      closeParagraph();
+      closeList();
+      const comment = [line];
+      while (!comment[comment.length - 1].includes('-->') && ++i < lines.length) {
+        comment.push(lines[i]);
+      }
+      html.push(`<p class="md-comment">${escapeHtml(comment.join('\n'))}</p>`);
+      continue;
+    }
+
+    const heading = line.match(/^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/);
+    if (heading) {
+      closeParagraph();
+      closeList();
+      html.push(`<h${heading[1].length}>${renderInline(heading[2])}</h${heading[1].length}>`);
+      continue;
+    }
+
+    const item = line.match(/^\s*([-*+]|\d+\.)\s+(.*)$/);
+    if (item) {
+      closeParagraph();
+      const type = /\d/.test(item[1]) ? 'ol' : 'ul';
+      if (listType !== type) {
+        closeList();
+        html.push(`<${type}>`);
+        listType = type;
+      }
+
+      const task = item[2].match(/^\[([ xX])\]\s+(.*)$/);
+      html.push(task
+        ? `<li class="md-task"><input type="checkbox" disabled${task[1] === ' ' ? '' : ' checked'}> ${renderInline(task[2])}</li>`
+        : `<li>${renderInline(item[2])}</li>`);
+      continue;
+    }
+
+    if (line.startsWith('>')) {
+      closeParagraph();
+      closeList();
+      html.push(`<blockquote>${renderInline(line.replace(/^>\s?/, ''))}</blockquote>`);
+      continue;
+    }
+
+    if (!line.trim()) {
+      closeParagraph();
+      closeList();
+      continue;
+    }
+
+    closeList();
+    paragraph.push(line);
+  }
+
+  closeParagraph();
+  closeList();
+  return html.join('\n');
+}
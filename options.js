@@ -0,0 +1,1118 @@
+// DOM elements
+const welcomeSection = document.getElementById('welcome');
+const welcomeProviderSelect = document.getElementById('welcomeProvider');
+const welcomeApiKeyInput = document.getElementById('welcomeApiKey');
+const welcomeSaveButton = document.getElementById('welcomeSave');
+const vaultStatusText = document.getElementById('vaultStatus');
+const vaultPassphraseInput = document.getElementById('vaultPassphrase');
+const unlockVaultButton = document.getElementById('unlockVault');
+const lockVaultButton = document.getElementById('lockVault');
+const setPassphraseButton = document.getElementById('setPassphrase');
+const removePassphraseButton = document.getElementById('removePassphrase');
+const providerSelect = document.getElementById('provider');
+const baseUrlInput = document.getElementById('baseUrl');
+const modelInput = document.getElementById('model');
+const fallbackModelsInput = document.getElementById('fallbackModels');
+const contextTokensInput = document.getElementById('contextTokens');
+const timeoutSecondsInput = document.getElementById('timeoutSeconds');
+const maxRetriesInput = document.getElementById('maxRetries');
+const apiKeyInput = document.getElementById('apiKey');
+const saveProviderButton = document.getElementById('saveProvider');
+const testApiButton = document.getElementById('testApi');
+const githubTokenInput = document.getElementById('githubToken');
+const saveGitHubTokenButton = document.getElementById('saveGitHubToken');
+const removeGitHubTokenButton = document.getElementById('removeGitHubToken');
+const hostsBody = document.getElementById('hosts');
+const addHostButton = document.getElementById('addHost');
+const saveHostsButton = document.getElementById('saveHosts');
+const defaultProfileSelect = document.getElementById('defaultProfile');
+const editProfileSelect = document.getElementById('editProfile');
+const profileNameInput = document.getElementById('profileName');
+const profileSystemPromptInput = document.getElementById('profileSystemPrompt');
+const profileUserTemplateInput = document.getElementById('profileUserTemplate');
+const profileTemperatureInput = document.getElementById('profileTemperature');
+const profileTopPInput = document.getElementById('profileTopP');
+const profileMaxTokensInput = document.getElementById('profileMaxTokens');
+const profileLanguageInput = document.getElementById('profileLanguage');
+const saveProfileButton = document.getElementById('saveProfile');
+const duplicateProfileButton = document.getElementById('duplicateProfile');
+const deleteProfileButton = document.getElementById('deleteProfile');
+const exportProfilesButton = document.getElementById('exportProfiles');
+const importProfilesButton = document.getElementById('importProfiles');
+const profileFileInput = document.getElementById('profileFile');
+const overridesBody = document.getElementById('overrides');
+const addOverrideButton = document.getElementById('addOverride');
+const saveOverridesButton = document.getElementById('saveOverrides');
+const sendDiffInput = document.getElementById('sendDiff');
+const excludedPathsInput = document.getElementById('excludedPaths');
+const savePrivacyButton = document.getElementById('savePrivacy');
+const linkIssuesInput = document.getElementById('linkIssues');
+const jiraProjectsInput = document.getElementById('jiraProjects');
+const jiraUrlInput = document.getElementById('jiraUrl');
+const conventionalCommitsSelect = document.getElementById('conventionalCommits');
+const saveIssuesButton = document.getElementById('saveIssues');
+const redactionEnabledInput = document.getElementById('redactionEnabled');
+const detectorsDiv = document.getElementById('detectors');
+const customRulesBody = document.getElementById('customRules');
+const confirmBeforeSendingInput = document.getElementById('confirmBeforeSending');
+const addCustomRuleButton = document.getElementById('addCustomRule');
+const saveRedactionButton = document.getElementById('saveRedaction');
+const historyEnabledInput = document.getElementById('historyEnabled');
+const historyMaxPerPullRequestInput = document.getElementById('historyMaxPerPullRequest');
+const historyMaxAgeDaysInput = document.getElementById('historyMaxAgeDays');
+const saveHistoryButton = document.getElementById('saveHistory');
+const clearHistoryButton = document.getElementById('clearHistory');
+const cacheEnabledInput = document.getElementById('cacheEnabled');
+const cacheTtlMinutesInput = document.getElementById('cacheTtlMinutes');
+const saveCacheButton = document.getElementById('saveCache');
+const clearCacheButton = document.getElementById('clearCache');
+const usageMonthText = document.getElementById('usageMonth');
+const monthlyBudgetInput = document.getElementById('monthlyBudget');
+const warnPercentInput = document.getElementById('warnPercent');
+const pricesBody = document.getElementById('prices');
+const addPriceButton = document.getElementById('addPrice');
+const saveUsageButton = document.getElementById('saveUsage');
+const usageDailyBody = document.getElementById('usageDaily');
+const usageRepositoriesBody = document.getElementById('usageRepositories');
+const exportUsageButton = document.getElementById('exportUsage');
+const clearUsageButton = document.getElementById('clearUsage');
+const exportSettingsButton = document.getElementById('exportSettings');
+const importSettingsButton = document.getElementById('importSettings');
+const resetSettingsButton = document.getElementById('resetSettings');
+const settingsFileInput = document.getElementById('settingsFile');
+const statusDiv = document.getElementById('status');
+
+// Current settings, provider defaults, all prompt profiles (built-in and custom),
+// the built-in redaction detectors, the code host types and the state of the
+// credential vault (never the secrets themselves), filled in by loadSettings()
+let settings = null;
+let providers = {};
+let profiles = [];
+let detectors = [];
+let hostTypes = {};
+let vault = { passphrase: false, locked: false, secrets: [] };
+
+document.addEventListener('DOMContentLoaded', loadSettings);
+
+// Load the settings and show them in every section
+async function loadSettings() {
+    try {
+        const response = await chrome.runtime.sendMessage({ action: 'getSettings' });
+        if (response.error) {
+            throw new Error(response.error);
+        }
+
+        settings = response.settings;
+        providers = response.providers;
+        profiles = response.profiles;
+        detectors = response.detectors;
+        hostTypes = response.hostTypes;
+
+        const vaultResponse = await chrome.runtime.sendMessage({ action: 'getVaultStatus' });
+        if (vaultResponse.error) {
+            throw new Error(vaultResponse.error);
+        }
+        vault = vaultResponse.status;
+    } catch (error) {
+        updateStatus(`Error loading settings: ${error.message}`, 'error');
+        return;
+    }
+
+    showWelcome();
+    showVault();
+
+    providerSelect.innerHTML = '';
+    for (const [id, provider] of Object.entries(providers)) {
+        providerSelect.appendChild(createOption(id, provider.label));
+    }
+    providerSelect.value = settings.llmProvider;
+    showProviderSettings(settings.llmProvider);
+    timeoutSecondsInput.value = settings.network.timeoutSeconds;
+    maxRetriesInput.value = settings.network.maxRetries;
+
+    githubTokenInput.value = '';
+    githubTokenInput.placeholder = hasSecret('github')
+        ? 'GitHub token saved (enter a new one to replace it)'
+        : 'ghp_... or github_pat_...';
+
+    hostsBody.innerHTML = '';
+    settings.hosts.forEach(addHostRow);
+
+    showProfiles(editProfileSelect.value);
+
+    overridesBody.innerHTML = '';
+    settings.repositoryOverrides.forEach(addOverrideRow);
+
+    sendDiffInput.checked = settings.privacy.sendDiff;
+    excludedPathsInput.value = settings.privacy.excludedPaths.join('\n');
+
+    linkIssuesInput.checked = settings.issues.enabled;
+    jiraProjectsInput.value = settings.issues.jiraProjects.join(', ');
+    jiraUrlInput.value = settings.issues.jiraUrl;
+    conventionalCommitsSelect.value = settings.conventionalCommits;
+
+    showRedaction();
+
+    historyEnabledInput.checked = settings.history.enabled;
+    historyMaxPerPullRequestInput.value = settings.history.maxPerPullRequest;
+    historyMaxAgeDaysInput.value = settings.history.maxAgeDays;
+
+    cacheEnabledInput.checked = settings.cache.enabled;
+    cacheTtlMinutesInput.value = settings.cache.ttlMinutes;
+
+    monthlyBudgetInput.value = settings.usage.monthlyBudget;
+    warnPercentInput.value = settings.usage.warnPercent;
+    pricesBody.innerHTML = '';
+    settings.usage.prices.forEach(addPriceRow);
+    await showUsage();
+}
+
+function createOption(value, label) {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    return option;
+}
+
+// Whether the vault holds a secret, e.g. "github" or "provider:openai"
+function hasSecret(name) {
+    return vault.secrets.includes(name);
+}
+
+// Store an API key or token in the vault, or remove it with an empty value
+async function saveSecret(name, value) {
+    const response = await chrome.runtime.sendMessage({ action: 'saveSecret', name: name, value: value });
+    if (!response.success) {
+        throw new Error(response.error);
+    }
+}
+
+// First run: no key for the selected provider, which needs one
+function showWelcome() {
+    welcomeSection.hidden = !providers[settings.llmProvider].requiresKey || hasSecret(`provider:${settings.llmProvider}`);
+
+    welcomeProviderSelect.innerHTML = '';
+    for (const [id, provider] of Object.entries(providers)) {
+        if (provider.requiresKey) {
+            welcomeProviderSelect.appendChild(createOption(id, provider.label));
+        }
+    }
+    welcomeProviderSelect.value = providers[settings.llmProvider].requiresKey ? settings.llmProvider : welcomeProviderSelect.options[0].value;
+}
+
+welcomeSaveButton.addEventListener('click', async () => {
+    const provider = welcomeProviderSelect.value;
+    const apiKey = welcomeApiKeyInput.value.trim();
+    if (!apiKey) {
+        updateStatus('Please enter an API key', 'error');
+        return;
+    }
+
+    try {
+        await saveSecret(`provider:${provider}`, apiKey);
+    } catch (error) {
+        updateStatus(`Error saving the API key: ${error.message}`, 'error');
+        return;
+    }
+    welcomeApiKeyInput.value = '';
+
+    if (await save({ llmProvider: provider }, 'API key saved, testing it...')) {
+        await testProvider();
+    }
+});
+
+// Whether there is a passphrase and the vault is unlocked, with the buttons that apply
+function showVault() {
+    const stored = vault.secrets.length === 1 ? '1 API key or token' : `${vault.secrets.length} API keys and tokens`;
+
+    if (vault.locked) {
+        vaultStatusText.textContent = `🔒 Locked, ${stored} stored. Enter the passphrase to use them.`;
+    } else if (vault.passphrase) {
+        vaultStatusText.textContent = `🔓 Unlocked until the browser closes, ${stored} stored under your passphrase.`;
+    } else {
+        vaultStatusText.textContent = `${stored} stored, encrypted without a passphrase.`;
+    }
+    vaultStatusText.className = vault.locked ? 'usage-month warning' : 'usage-month';
+
+    unlockVaultButton.hidden = !vault.locked;
+    lockVaultButton.hidden = !vault.passphrase || vault.locked;
+    setPassphraseButton.hidden = vault.locked;
+    setPassphraseButton.textContent = vault.passphrase ? 'Change Passphrase' : 'Set Passphrase';
+    removePassphraseButton.hidden = !vault.passphrase || vault.locked;
+}
+
+// Run a vault action in the background script, then show the vault's new state
+async function updateVault(request, successMessage) {
+    try {
+        const response = await chrome.runtime.sendMessage(request);
+
+        if (response.success) {
+            vaultPassphraseInput.value = '';
+            updateStatus(successMessage, 'success');
+            await loadSettings();
+        } else {
+            updateStatus(response.error, 'error');
+        }
+    } catch (error) {
+        updateStatus('Error updating the vault', 'error');
+    }
+}
+
+unlockVaultButton.addEventListener('click', async () => {
+    await updateVault({ action: 'unlockVault', passphrase: vaultPassphraseInput.value }, 'Vault unlocked');
+});
+
+vaultPassphraseInput.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter' && vault.locked) {
+        unlockVaultButton.click();
+    }
+});
+
+lockVaultButton.addEventListener('click', async () => {
+    await updateVault({ action: 'lockVault' }, 'Vault locked');
+});
+
+setPassphraseButton.addEventListener('click', async () => {
+    const passphrase = vaultPassphraseInput.value;
+    if (passphrase.length < 8) {
+        updateStatus('Please enter a passphrase of at least 8 characters', 'error');
+        return;
+    }
+    if (prompt('Enter the passphrase again to confirm it') !== passphrase) {
+        updateStatus('The passphrases don\'t match', 'error');
+        return;
+    }
+
+    await updateVault({ action: 'setPassphrase', passphrase: passphrase }, 'Passphrase set, the vault stays unlocked until the browser closes');
+});
+
+removePassphraseButton.addEventListener('click', async () => {
+    if (!confirm('Remove the passphrase? API keys and tokens stay encrypted, with a key kept in this browser.')) {
+        return;
+    }
+
+    await updateVault({ action: 'setPassphrase', passphrase: '' }, 'Passphrase removed');
+});
+
+// Store changed settings, then reload the page's view of them
+async function save(changes, successMessage) {
+    try {
+        const response = await chrome.runtime.sendMessage({ action: 'saveSettings', changes: changes });
+
+        if (response.success) {
+            updateStatus(successMessage, 'success');
+            await loadSettings();
+            return true;
+        }
+
+        updateStatus(`Error saving settings: ${response.error}`, 'error');
+    } catch (error) {
+        updateStatus('Error saving settings', 'error');
+    }
+
+    return false;
+}
+
+// Fill the base URL, model, fallback models, context window and API key fields for a provider, with its defaults as placeholders
+function showProviderSettings(provider) {
+    const defaults = providers[provider] || {};
+    const saved = settings.providerSettings[provider] || {};
+
+    baseUrlInput.value = saved.baseUrl || '';
+    baseUrlInput.placeholder = defaults.baseUrl || '';
+    modelInput.value = saved.model || '';
+    modelInput.placeholder = defaults.model || '';
+    fallbackModelsInput.value = (saved.fallbackModels || []).join(', ');
+    fallbackModelsInput.placeholder = 'none';
+    contextTokensInput.value = saved.contextTokens || '';
+    contextTokensInput.placeholder = defaults.contextTokens || '';
+    // Saved keys are never shown, an empty field keeps the saved one
+    apiKeyInput.value = '';
+    apiKeyInput.placeholder = hasSecret(`provider:${provider}`)
+        ? 'API key saved (enter a new one to replace it)'
+        : defaults.requiresKey ? 'Enter your API key' : 'Optional for self-hosted servers';
+}
+
+providerSelect.addEventListener('change', () => {
+    showProviderSettings(providerSelect.value);
+});
+
+// Save provider choice, base URL, models, API key and request limits
+saveProviderButton.addEventListener('click', async () => {
+    const provider = providerSelect.value;
+    const baseUrl = baseUrlInput.value.trim();
+    const apiKey = apiKeyInput.value.trim();
+
+    if (!apiKey && providers[provider].requiresKey && !hasSecret(`provider:${provider}`)) {
+        updateStatus('Please enter an API key', 'error');
+        return;
+    }
+
+    try {
+        // Custom servers (e.g. Ollama on localhost) need a host permission,
+        // which has to be requested straight from the click
+        if (baseUrl) {
+            const granted = await chrome.permissions.request({ origins: [`${new URL(baseUrl).origin}/*`] });
+            if (!granted) {
+                updateStatus('Permission to access the base URL was denied', 'error');
+                return;
+            }
+        }
+    } catch (error) {
+        updateStatus('Please enter a valid base URL', 'error');
+        return;
+    }
+
+    if (apiKey) {
+        try {
+            await saveSecret(`provider:${provider}`, apiKey);
+        } catch (error) {
+            updateStatus(`Error saving the API key: ${error.message}`, 'error');
+            return;
+        }
+    }
+
+    await save({
+        llmProvider: provider,
+        providerSettings: {
+            ...settings.providerSettings,
+            [provider]: {
+                baseUrl: baseUrl,
+                model: modelInput.value.trim(),
+                fallbackModels: fallbackModelsInput.value.split(',').map(model => model.trim()).filter(Boolean),
+                contextTokens: contextTokensInput.value
+            }
+        },
+        network: {
+            timeoutSeconds: timeoutSecondsInput.value,
+            maxRetries: maxRetriesInput.value
+        }
+    }, `${providers[provider].label} settings saved successfully!`);
+});
+
+// Test the saved provider settings
+testApiButton.addEventListener('click', testProvider);
+
+async function testProvider() {
+    updateStatus('Testing API key...', 'info');
+
+    try {
+        const response = await chrome.runtime.sendMessage({ action: 'testApiKey' });
+
+        if (response.success) {
+            updateStatus('API key is working! ✅', 'success');
+        } else {
+            updateStatus(`API test failed: ${response.error}`, 'error');
+        }
+    } catch (error) {
+        updateStatus('Error testing API key', 'error');
+    }
+}
+
+// Store or remove a secret from a button, then show the vault's new state
+async function updateSecret(name, value, successMessage) {
+    try {
+        await saveSecret(name, value);
+        updateStatus(successMessage, 'success');
+        await loadSettings();
+    } catch (error) {
+        updateStatus(`Error saving: ${error.message}`, 'error');
+    }
+}
+
+saveGitHubTokenButton.addEventListener('click', async () => {
+    const githubToken = githubTokenInput.value.trim();
+
+    if (!githubToken) {
+        updateStatus('Please enter a GitHub token', 'error');
+        return;
+    }
+
+    await updateSecret('github', githubToken, 'GitHub token saved successfully!');
+});
+
+removeGitHubTokenButton.addEventListener('click', async () => {
+    await updateSecret('github', '', 'GitHub token removed');
+});
+
+// Fill the profile pickers and show the profile being edited
+function showProfiles(selectedId) {
+    defaultProfileSelect.innerHTML = '';
+    editProfileSelect.innerHTML = '';
+
+    for (const profile of profiles) {
+        const label = profile.builtin ? profile.name : `${profile.name} (custom)`;
+        defaultProfileSelect.appendChild(createOption(profile.id, label));
+        editProfileSelect.appendChild(createOption(profile.id, label));
+    }
+
+    defaultProfileSelect.value = settings.defaultProfile;
+    editProfileSelect.value = profiles.some(profile => profile.id === selectedId) ? selectedId : settings.defaultProfile;
+    showProfile(editProfileSelect.value);
+}
+
+function showProfile(id) {
+    const profile = profiles.find(candidate => candidate.id === id);
+
+    profileNameInput.value = profile.name;
+    profileSystemPromptInput.value = profile.systemPrompt || '';
+    profileUserTemplateInput.value = profile.userTemplate;
+    profileTemperatureInput.value = profile.temperature ?? '';
+    profileTopPInput.value = profile.topP ?? '';
+    profileMaxTokensInput.value = profile.maxTokens ?? '';
+    profileLanguageInput.value = profile.language || '';
+
+    // Built-in profiles can be changed (which stores a custom copy) but not deleted
+    deleteProfileButton.disabled = profile.builtin;
+    deleteProfileButton.textContent = profile.replacesBuiltin ? 'Restore Built-in' : 'Delete';
+}
+
+editProfileSelect.addEventListener('change', () => {
+    showProfile(editProfileSelect.value);
+});
+
+defaultProfileSelect.addEventListener('change', async () => {
+    await save({ defaultProfile: defaultProfileSelect.value }, 'Default profile saved');
+});
+
+// The profile as entered in the form
+function readProfileForm(id) {
+    const number = input => (input.value === '' ? null : Number(input.value));
+
+    return {
+        id: id,
+        name: profileNameInput.value.trim(),
+        systemPrompt: profileSystemPromptInput.value,
+        userTemplate: profileUserTemplateInput.value,
+        temperature: number(profileTemperatureInput),
+        topP: number(profileTopPInput),
+        maxTokens: number(profileMaxTokensInput),
+        language: profileLanguageInput.value.trim()
+    };
+}
+
+saveProfileButton.addEventListener('click', async () => {
+    const profile = readProfileForm(editProfileSelect.value);
+
+    await save({
+        promptProfiles: [...settings.promptProfiles.filter(candidate => candidate.id !== profile.id), profile]
+    }, `Profile "${profile.name}" saved`);
+});
+
+// Save the form as a new custom profile
+duplicateProfileButton.addEventListener('click', async () => {
+    const name = prompt('Name of the new profile:', `${profileNameInput.value} (copy)`);
+    if (!name) {
+        return;
+    }
+
+    // Make an id from the name that isn't taken yet
+    const base = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'profile';
+    let id = base;
+    for (let number = 2; profiles.some(profile => profile.id === id); number++) {
+        id = `${base}-${number}`;
+    }
+
+    const profile = { ...readProfileForm(id), name: name.trim() };
+
+    if (await save({ promptProfiles: [...settings.promptProfiles, profile] }, `Profile "${profile.name}" created`)) {
+        showProfiles(id);
+    }
+});
+
+// Delete a custom profile, or restore a built-in one that was changed.
+// The default and any overrides using a deleted profile go back to the default.
+deleteProfileButton.addEventListener('click', async () => {
+    const id = editProfileSelect.value;
+    const promptProfiles = settings.promptProfiles.filter(profile => profile.id !== id);
+    const stillExists = profiles.find(profile => profile.id === id).replacesBuiltin;
+
+    if (!stillExists && !confirm(`Delete the profile "${profileNameInput.value}"?`)) {
+        return;
+    }
+
+    await save({
+        promptProfiles: promptProfiles,
+        // The first profile is always a built-in one
+        defaultProfile: stillExists || settings.defaultProfile !== id ? settings.defaultProfile : profiles[0].id,
+        repositoryOverrides: settings.repositoryOverrides.map(override =>
+            stillExists || override.profile !== id ? override : { ...override, profile: '' }
+        )
+    }, stillExists ? 'Built-in profile restored' : 'Profile deleted');
+});
+
+// Download all profiles and the repository mappings that pick them as JSON
+exportProfilesButton.addEventListener('click', async () => {
+    try {
+        const response = await chrome.runtime.sendMessage({ action: 'exportProfiles' });
+        downloadJson(response.json, 'pr-script-profiles.json');
+    } catch (error) {
+        updateStatus('Error exporting profiles', 'error');
+    }
+});
+
+importProfilesButton.addEventListener('click', () => {
+    profileFileInput.click();
+});
+
+profileFileInput.addEventListener('change', async () => {
+    const file = profileFileInput.files[0];
+    if (!file) {
+        return;
+    }
+
+    try {
+        const response = await chrome.runtime.sendMessage({ action: 'importProfiles', json: await file.text() });
+
+        if (response.success) {
+            updateStatus(`Imported ${response.count} custom profile${response.count === 1 ? '' : 's'}`, 'success');
+            await loadSettings();
+        } else {
+            updateStatus(`Import failed: ${response.error}`, 'error');
+        }
+    } catch (error) {
+        updateStatus('Error importing profiles', 'error');
+    } finally {
+        profileFileInput.value = '';
+    }
+});
+
+// Add a row to the code hosts table. Saved tokens aren't shown, an empty
+// token field keeps the saved one.
+function addHostRow(host = {}) {
+    const row = document.createElement('tr');
+
+    const type = document.createElement('select');
+    type.className = 'host-type';
+    Object.entries(hostTypes).forEach(([id, candidate]) => type.appendChild(createOption(id, candidate.label)));
+    type.value = host.type || 'github-enterprise';
+
+    const url = document.createElement('input');
+    url.type = 'text';
+    url.className = 'host-url';
+    url.placeholder = hostTypes[type.value].placeholder;
+    url.value = host.url || '';
+    type.addEventListener('change', () => {
+        url.placeholder = hostTypes[type.value].placeholder;
+    });
+
+    const token = document.createElement('input');
+    token.type = 'password';
+    token.className = 'host-token';
+    token.placeholder = host.url && hasSecret(`host:${host.url}`) ? 'Token saved' : 'Optional';
+
+    const remove = document.createElement('button');
+    remove.className = 'btn-secondary';
+    remove.textContent = '✕';
+    remove.title = 'Remove';
+    remove.addEventListener('click', () => row.remove());
+
+    for (const field of [type, url, token, remove]) {
+        const cell = document.createElement('td');
+        cell.appendChild(field);
+        row.appendChild(cell);
+    }
+
+    hostsBody.appendChild(row);
+}
+
+addHostButton.addEventListener('click', () => addHostRow());
+
+saveHostsButton.addEventListener('click', async () => {
+    const hosts = Array.from(hostsBody.querySelectorAll('tr'))
+        .map(row => ({
+            type: row.querySelector('.host-type').value,
+            url: row.querySelector('.host-url').value.trim(),
+            token: row.querySelector('.host-token').value.trim()
+        }))
+        .filter(host => host.url);
+
+    const origins = [];
+    try {
+        for (const host of hosts) {
+            host.url = new URL(host.url).origin;
+            origins.push(`${host.url}/*`, ...hostTypes[host.type].apiOrigins.map(apiOrigin => `${apiOrigin}/*`));
+        }
+    } catch (error) {
+        updateStatus('Please enter valid host URLs, e.g. https://gitlab.example.com', 'error');
+        return;
+    }
+
+    // The permission has to be requested straight from the click
+    if (origins.length > 0 && !await chrome.permissions.request({ origins: origins })) {
+        updateStatus('Permission to access the hosts was denied', 'error');
+        return;
+    }
+
+    // Tokens go to the vault; an empty field keeps the saved token, removed
+    // hosts lose theirs
+    try {
+        for (const host of hosts.filter(candidate => candidate.token)) {
+            await saveSecret(`host:${host.url}`, host.token);
+        }
+        for (const host of settings.hosts.filter(saved => !hosts.some(candidate => candidate.url === saved.url))) {
+            await saveSecret(`host:${host.url}`, '');
+        }
+    } catch (error) {
+        updateStatus(`Error saving the host tokens: ${error.message}`, 'error');
+        return;
+    }
+
+    await save({ hosts: hosts.map(({ type, url }) => ({ type, url })) }, 'Code hosts saved, reload their open pages');
+});
+
+// Add a row to the repository overrides table
+function addOverrideRow(override = {}) {
+    const row = document.createElement('tr');
+
+    const pattern = document.createElement('input');
+    pattern.type = 'text';
+    pattern.className = 'override-pattern';
+    pattern.placeholder = 'owner/repository';
+    pattern.value = override.pattern || '';
+
+    const profile = document.createElement('select');
+    profile.className = 'override-profile';
+    profile.appendChild(createOption('', 'Default'));
+    profiles.forEach(candidate => profile.appendChild(createOption(candidate.id, candidate.name)));
+    profile.value = override.profile || '';
+
+    const provider = document.createElement('select');
+    provider.className = 'override-provider';
+    provider.appendChild(createOption('', 'Default'));
+    Object.entries(providers).forEach(([id, candidate]) => provider.appendChild(createOption(id, candidate.label)));
+    provider.value = override.provider || '';
+
+    const model = document.createElement('input');
+    model.type = 'text';
+    model.className = 'override-model';
+    model.placeholder = 'Default';
+    model.value = override.model || '';
+
+    const sendDiff = document.createElement('select');
+    sendDiff.className = 'override-send-diff';
+    sendDiff.appendChild(createOption('', 'Default'));
+    sendDiff.appendChild(createOption('yes', 'Yes'));
+    sendDiff.appendChild(createOption('no', 'No'));
+    sendDiff.value = override.sendDiff === true ? 'yes' : override.sendDiff === false ? 'no' : '';
+
+    const excludedPaths = document.createElement('input');
+    excludedPaths.type = 'text';
+    excludedPaths.className = 'override-excluded-paths';
+    excludedPaths.placeholder = 'e.g. *.sql, data/**';
+    excludedPaths.value = (override.excludedPaths || []).join(', ');
+
+    const confidential = document.createElement('input');
+    confidential.type = 'checkbox';
+    confidential.className = 'override-confidential';
+    confidential.title = 'Never send anything from these repositories';
+    confidential.checked = override.confidential === true;
+
+    const remove = document.createElement('button');
+    remove.className = 'btn-secondary';
+    remove.textContent = '✕';
+    remove.title = 'Remove';
+    remove.addEventListener('click', () => row.remove());
+
+    for (const field of [pattern, profile, provider, model, sendDiff, excludedPaths, confidential, remove]) {
+        const cell = document.createElement('td');
+        cell.appendChild(field);
+        row.appendChild(cell);
+    }
+
+    overridesBody.appendChild(row);
+}
+
+addOverrideButton.addEventListener('click', () => addOverrideRow());
+
+saveOverridesButton.addEventListener('click', async () => {
+    const overrides = Array.from(overridesBody.querySelectorAll('tr'))
+        .map(row => {
+            const sendDiff = row.querySelector('.override-send-diff').value;
+            return {
+                pattern: row.querySelector('.override-pattern').value.trim(),
+                profile: row.querySelector('.override-profile').value,
+                provider: row.querySelector('.override-provider').value,
+                model: row.querySelector('.override-model').value.trim(),
+                sendDiff: sendDiff === '' ? null : sendDiff === 'yes',
+                excludedPaths: row.querySelector('.override-excluded-paths').value.split(',').map(path => path.trim()).filter(Boolean),
+                confidential: row.querySelector('.override-confidential').checked
+            };
+        })
+        .filter(override => override.pattern);
+
+    await save({ repositoryOverrides: overrides }, 'Repository overrides saved');
+});
+
+savePrivacyButton.addEventListener('click', async () => {
+    await save({
+        privacy: {
+            sendDiff: sendDiffInput.checked,
+            excludedPaths: excludedPathsInput.value.split('\n').map(line => line.trim()).filter(Boolean)
+        }
+    }, 'Privacy settings saved');
+});
+
+saveIssuesButton.addEventListener('click', async () => {
+    await save({
+        issues: {
+            enabled: linkIssuesInput.checked,
+            jiraProjects: jiraProjectsInput.value.split(',').map(project => project.trim()).filter(Boolean),
+            jiraUrl: jiraUrlInput.value.trim()
+        },
+        conventionalCommits: conventionalCommitsSelect.value
+    }, 'Issue and commit settings saved');
+});
+
+// Show the redaction switches, one checkbox per built-in detector and the custom rules
+function showRedaction() {
+    const redaction = settings.redaction;
+
+    redactionEnabledInput.checked = redaction.enabled;
+    confirmBeforeSendingInput.checked = redaction.confirmBeforeSending;
+
+    detectorsDiv.innerHTML = '';
+    for (const detector of detectors) {
+        const label = document.createElement('label');
+        label.className = 'checkbox';
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = detector.id;
+        checkbox.checked = !redaction.disabledDetectors.includes(detector.id);
+
+        label.append(checkbox, ` ${detector.label}`);
+        detectorsDiv.appendChild(label);
+    }
+
+    customRulesBody.innerHTML = '';
+    redaction.customRules.forEach(addCustomRuleRow);
+}
+
+// Add a row to the custom redaction rules table
+function addCustomRuleRow(rule = {}) {
+    const row = document.createElement('tr');
+
+    const name = document.createElement('input');
+    name.type = 'text';
+    name.className = 'rule-name';
+    name.placeholder = 'Customer ID';
+    name.value = rule.name || '';
+
+    const pattern = document.createElement('input');
+    pattern.type = 'text';
+    pattern.className = 'rule-pattern';
+    pattern.placeholder = '/CUST-[0-9]+/i';
+    pattern.value = rule.pattern || '';
+
+    const remove = document.createElement('button');
+    remove.className = 'btn-secondary';
+    remove.textContent = '✕';
+    remove.title = 'Remove';
+    remove.addEventListener('click', () => row.remove());
+
+    for (const field of [name, pattern, remove]) {
+        const cell = document.createElement('td');
+        cell.appendChild(field);
+        row.appendChild(cell);
+    }
+
+    customRulesBody.appendChild(row);
+}
+
+addCustomRuleButton.addEventListener('click', () => addCustomRuleRow());
+
+saveRedactionButton.addEventListener('click', async () => {
+    const customRules = Array.from(customRulesBody.querySelectorAll('tr'))
+        .map(row => ({
+            name: row.querySelector('.rule-name').value.trim(),
+            pattern: row.querySelector('.rule-pattern').value.trim()
+        }))
+        .filter(rule => rule.pattern);
+
+    await save({
+        redaction: {
+            enabled: redactionEnabledInput.checked,
+            disabledDetectors: Array.from(detectorsDiv.querySelectorAll('input'))
+                .filter(checkbox => !checkbox.checked)
+                .map(checkbox => checkbox.value),
+            customRules: customRules,
+            confirmBeforeSending: confirmBeforeSendingInput.checked
+        }
+    }, 'Redaction settings saved');
+});
+
+saveHistoryButton.addEventListener('click', async () => {
+    await save({
+        history: {
+            enabled: historyEnabledInput.checked,
+            maxPerPullRequest: historyMaxPerPullRequestInput.value,
+            maxAgeDays: historyMaxAgeDaysInput.value
+        }
+    }, 'History settings saved');
+});
+
+clearHistoryButton.addEventListener('click', async () => {
+    if (!confirm('Delete every stored version of generated descriptions and release notes?')) {
+        return;
+    }
+
+    try {
+        const response = await chrome.runtime.sendMessage({ action: 'clearHistory' });
+
+        if (response.success) {
+            updateStatus('History cleared', 'success');
+        } else {
+            updateStatus(`Error clearing history: ${response.error}`, 'error');
+        }
+    } catch (error) {
+        updateStatus('Error clearing history', 'error');
+    }
+});
+
+saveCacheButton.addEventListener('click', async () => {
+    await save({
+        cache: {
+            enabled: cacheEnabledInput.checked,
+            ttlMinutes: cacheTtlMinutesInput.value
+        }
+    }, 'Cache settings saved');
+});
+
+clearCacheButton.addEventListener('click', async () => {
+    try {
+        const response = await chrome.runtime.sendMessage({ action: 'clearCache' });
+
+        if (response.success) {
+            updateStatus('Cache cleared', 'success');
+        } else {
+            updateStatus(`Error clearing cache: ${response.error}`, 'error');
+        }
+    } catch (error) {
+        updateStatus('Error clearing cache', 'error');
+    }
+});
+
+// Show this month's spending and the daily and per-repository totals
+async function showUsage() {
+    let response;
+    try {
+        response = await chrome.runtime.sendMessage({ action: 'getUsage' });
+        if (response.error) {
+            throw new Error(response.error);
+        }
+    } catch (error) {
+        usageMonthText.textContent = `Could not load the usage: ${error.message}`;
+        return;
+    }
+
+    const { summary, budget } = response;
+    const spent = `${formatCost(budget.spent)} spent this month in ${summary.month.calls} calls`;
+    usageMonthText.textContent = budget.budget ? `${spent}, of a budget of ${formatCost(budget.budget)}` : spent;
+    usageMonthText.className = `usage-month ${budget.status === 'over' ? 'over' : budget.status === 'warn' ? 'warning' : ''}`;
+
+    showUsageRows(usageDailyBody, summary.daily.map(day => [day.date, day]));
+    showUsageRows(usageRepositoriesBody, summary.repositories.map(total => [total.repository || 'Other', total]));
+}
+
+// Fill a usage table with [label, { calls, promptTokens, completionTokens, cost, unpriced }] rows
+function showUsageRows(body, rows) {
+    body.innerHTML = '';
+
+    if (rows.length === 0) {
+        const row = body.insertRow();
+        const cell = row.insertCell();
+        cell.colSpan = 5;
+        cell.textContent = 'Nothing yet';
+        return;
+    }
+
+    for (const [label, total] of rows) {
+        const row = body.insertRow();
+        const cost = total.unpriced > 0 ? `${formatCost(total.cost)} (${total.unpriced} without a price)` : formatCost(total.cost);
+        for (const value of [label, total.calls, total.promptTokens.toLocaleString(), total.completionTokens.toLocaleString(), cost]) {
+            row.insertCell().textContent = value;
+        }
+    }
+}
+
+// e.g. "$1.24", or "$0.0031" for amounts below a cent
+function formatCost(amount) {
+    return `$${amount > 0 && amount < 0.01 ? amount.toFixed(4) : amount.toFixed(2)}`;
+}
+
+// Add a row to the price table
+function addPriceRow(price = {}) {
+    const row = document.createElement('tr');
+
+    const model = document.createElement('input');
+    model.type = 'text';
+    model.className = 'price-model';
+    model.placeholder = 'e.g. gpt-4o or *:free';
+    model.value = price.model || '';
+
+    const prompt = document.createElement('input');
+    prompt.type = 'number';
+    prompt.className = 'price-prompt';
+    prompt.min = '0';
+    prompt.step = 'any';
+    prompt.value = price.prompt ?? '';
+
+    const completion = document.createElement('input');
+    completion.type = 'number';
+    completion.className = 'price-completion';
+    completion.min = '0';
+    completion.step = 'any';
+    completion.value = price.completion ?? '';
+
+    const remove = document.createElement('button');
+    remove.className = 'btn-secondary';
+    remove.textContent = '✕';
+    remove.title = 'Remove';
+    remove.addEventListener('click', () => row.remove());
+
+    for (const field of [model, prompt, completion, remove]) {
+        const cell = document.createElement('td');
+        cell.appendChild(field);
+        row.appendChild(cell);
+    }
+
+    pricesBody.appendChild(row);
+}
+
+addPriceButton.addEventListener('click', () => addPriceRow());
+
+saveUsageButton.addEventListener('click', async () => {
+    const prices = Array.from(pricesBody.querySelectorAll('tr'))
+        .map(row => ({
+            model: row.querySelector('.price-model').value.trim(),
+            prompt: row.querySelector('.price-prompt').value,
+            completion: row.querySelector('.price-completion').value
+        }))
+        .filter(price => price.model);
+
+    await save({
+        usage: {
+            prices: prices,
+            monthlyBudget: monthlyBudgetInput.value,
+            warnPercent: warnPercentInput.value
+        }
+    }, 'Usage settings saved');
+});
+
+exportUsageButton.addEventListener('click', async () => {
+    try {
+        const response = await chrome.runtime.sendMessage({ action: 'exportUsage' });
+        if (response.error) {
+            throw new Error(response.error);
+        }
+        downloadFile(response.csv, 'pr-script-usage.csv', 'text/csv');
+    } catch (error) {
+        updateStatus('Error exporting usage', 'error');
+    }
+});
+
+clearUsageButton.addEventListener('click', async () => {
+    if (!confirm('Delete the logged usage? The spending counted against the monthly budget starts again from zero.')) {
+        return;
+    }
+
+    try {
+        const response = await chrome.runtime.sendMessage({ action: 'clearUsage' });
+
+        if (response.success) {
+            updateStatus('Usage cleared', 'success');
+            await showUsage();
+        } else {
+            updateStatus(`Error clearing usage: ${response.error}`, 'error');
+        }
+    } catch (error) {
+        updateStatus('Error clearing usage', 'error');
+    }
+});
+
+exportSettingsButton.addEventListener('click', async () => {
+    try {
+        const response = await chrome.runtime.sendMessage({ action: 'exportSettings' });
+        if (response.error) {
+            throw new Error(response.error);
+        }
+        downloadJson(response.json, 'pr-script-settings.json');
+    } catch (error) {
+        updateStatus(`Error exporting settings: ${error.message}`, 'error');
+    }
+});
+
+importSettingsButton.addEventListener('click', () => {
+    settingsFileInput.click();
+});
+
+settingsFileInput.addEventListener('change', async () => {
+    const file = settingsFileInput.files[0];
+    if (!file) {
+        return;
+    }
+
+    try {
+        const response = await chrome.runtime.sendMessage({ action: 'importSettings', json: await file.text() });
+
+        if (response.success) {
+            updateStatus('Settings imported successfully!', 'success');
+            await loadSettings();
+        } else {
+            updateStatus(`Import failed: ${response.error}`, 'error');
+        }
+    } catch (error) {
+        updateStatus('Error importing settings', 'error');
+    } finally {
+        settingsFileInput.value = '';
+    }
+});
+
+resetSettingsButton.addEventListener('click', async () => {
+    if (!confirm('Reset all settings to their defaults? This also removes your API keys, tokens, passphrase and custom profiles.')) {
+        return;
+    }
+
+    try {
+        const response = await chrome.runtime.sendMessage({ action: 'resetSettings' });
+
+        if (response.success) {
+            updateStatus('Settings reset to defaults', 'success');
+            await loadSettings();
+        } else {
+            updateStatus(`Error resetting settings: ${response.error}`, 'error');
+        }
+    } catch (error) {
+        updateStatus('Error resetting settings', 'error');
+    }
+});
+
+// Save a JSON string as a file
+function downloadJson(json, filename) {
+    downloadFile(json, filename, 'application/json');
+}
+
+function downloadFile(text, filename, type) {
+    const url = URL.createObjectURL(new Blob([text], { type: type }));
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+// Update status message
+function updateStatus(message, type = 'info') {
+    statusDiv.textContent = message;
+    statusDiv.className = `status ${type}`;
+
+    // Clear status after 5 seconds for non-error messages
+    if (type !== 'error') {
+        setTimeout(() => {
+            statusDiv.textContent = '';
+            statusDiv.className = 'status';
+        }, 5000);
+    }
+}
@@ -0,0 +1,61 @@
+// What the content script needs to know about a code host's pages: which of
+// them create or show pull (merge) requests, and where the title, the
+// description and the commits are. Keyed by the "page" of the host types in
+// hosts.js; github.com and GitHub Enterprise Server share the GitHub pages.
+const PAGE_HOSTS = {
+  github: {
+    isCreatePage: path => path.includes('/compare') || path.includes('/pull/new') || (path.includes('/pull/') && path.includes('/edit')),
+    // Pages for a pull request that doesn't exist yet, where its commits are linted
+    isComparePage: path => path.includes('/compare') || path.includes('/pull/new'),
+    // Conversation and files tabs of an existing pull request
+    isReviewPage: path => /^\/[^/]+\/[^/]+\/pull\/\d+(\/files)?\/?$/.test(path),
+    // The form for drafting a new release
+    isReleasePage: path => /^\/[^/]+\/[^/]+\/releases\/new\/?$/.test(path),
+    // A repository's list of pull requests, for batch descriptions
+    isPullListPage: path => /^\/[^/]+\/[^/]+\/pulls\/?$/.test(path),
+    titleSelector: '#pull_request_title, [name="pull_request[title]"], [name="release[name]"], input[placeholder*="title" i]',
+    bodySelector: '#pull_request_body, [name="pull_request[body]"], [name="release[body]"], textarea[placeholder*="description" i], textarea[placeholder*="comment" i]',
+    // The new pull request form's sidebar menus and its option to open the
+    // pull request as a draft, where reviewer and label suggestions are picked
+    sidebarMenus: { reviewer: '#reviewers-select-menu', team: '#reviewers-select-menu', label: '#labels-select-menu' },
+    draftSelector: 'input[type="radio"][name="draft"][value="on"]',
+    commitSelectors: [
+      '.commit-message', // Main commit message container
+      '.commit-title', // Commit title
+      '[data-testid="commit-message"]', // New GitHub structure
+      '.js-commit-message', // JavaScript-loaded commits
+      '.commit-summary', // Summary commits
+      'a[href*="/commit/"]' // Links to commits
+    ]
+  },
+
+  // Review briefings, release notes, batch descriptions and suggestions need
+  // GitHub's API, so GitLab and Bitbucket only get descriptions
+  gitlab: {
+    // New merge requests (with their commits and changes tabs) and the edit form
+    isCreatePage: path => /\/-\/merge_requests\/(new(\/\w+)?|\d+\/edit)\/?$/.test(path),
+    isComparePage: path => /\/-\/merge_requests\/new(\/\w+)?\/?$/.test(path),
+    isReviewPage: () => false,
+    isReleasePage: () => false,
+    isPullListPage: () => false,
+    sidebarMenus: {},
+    draftSelector: null,
+    titleSelector: '#merge_request_title, [name="merge_request[title]"]',
+    bodySelector: '#merge_request_description, [name="merge_request[description]"]',
+    commitSelectors: ['.commit-row-message', '.commit-content .item-title']
+  },
+
+  bitbucket: {
+    isCreatePage: path => /^\/[^/]+\/[^/]+\/pull-requests\/(new|\d+\/edit)\/?$/.test(path),
+    isComparePage: path => /^\/[^/]+\/[^/]+\/pull-requests\/new\/?$/.test(path),
+    isReviewPage: () => false,
+    isReleasePage: () => false,
+    isPullListPage: () => false,
+    sidebarMenus: {},
+    draftSelector: null,
+    titleSelector: '#id_title, input[name="title"]',
+    // The description is a rich text editor rather than a textarea
+    bodySelector: '#id_description, [data-testid="description-editor"] [contenteditable="true"], .ProseMirror[contenteditable="true"]',
+    commitSelectors: ['[data-testid="commit-message"]', '.commit-message']
+  }
+};
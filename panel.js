@@ -0,0 +1,636 @@
+// In-page preview panel for generated descriptions. Lives in a shadow root
+// so GitHub's styles don't leak in, and never touches the form until the
+// user picks an action. Every change to the form can be undone.
+
+// Field contents from before each change the panel made, newest last
+const formUndoStack = [];
+
+// What the panel currently shows: { title, body, status, busy, history,
+// suggestions }, where history holds the stored versions once the History tab
+// has loaded them, and suggestions the reviewer, label and draft chips
+// ({ kind, value, label, reason, via, state, error })
+let previewState = null;
+let previewCallbacks = {};
+
+const PANEL_STYLES = `
+  :host { all: initial; }
+  .panel {
+    box-sizing: border-box;
+    width: 100%;
+    max-height: 70vh;
+    display: flex;
+    flex-direction: column;
+    background: #ffffff;
+    color: #24292f;
+    border: 1px solid #d1d9e0;
+    border-radius: 8px;
+    box-shadow: 0 8px 24px rgba(0,0,0,0.15);
+    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+    font-size: 14px;
+  }
+  header, nav, footer {
+    display: flex;
+    align-items: center;
+    gap: 6px;
+    padding: 8px 12px;
+  }
+  header { border-bottom: 1px solid #d1d9e0; }
+  header .status { flex: 1; color: #656d76; font-size: 12px; }
+  nav { padding-bottom: 0; }
+  footer { flex-wrap: wrap; border-top: 1px solid #d1d9e0; }
+  .content { overflow: auto; padding: 8px 12px; flex: 1; }
+  button, select {
+    font: inherit;
+    font-size: 12px;
+    padding: 4px 10px;
+    border: 1px solid #d1d9e0;
+    border-radius: 6px;
+    background: #f6f8fa;
+    color: #24292f;
+    cursor: pointer;
+  }
+  button:disabled { opacity: 0.5; cursor: default; }
+  button.primary { background: #238636; border-color: #238636; color: #ffffff; }
+  button.close { border: none; background: none; font-size: 16px; }
+  nav button.active { background: #ddf4ff; border-color: #0969da; }
+  .preview-title { font-size: 18px; margin: 4px 0 12px; }
+  .markdown h1, .markdown h2, .markdown h3 { font-size: 15px; margin: 12px 0 4px; }
+  .markdown p, .markdown ul, .markdown ol { margin: 4px 0 8px; }
+  .markdown pre, .diff { background: #f6f8fa; padding: 8px; border-radius: 6px; overflow: auto; font-size: 12px; }
+  .markdown .md-comment { color: #8c959f; font-size: 12px; white-space: pre-wrap; }
+  .markdown .md-task { list-style: none; margin-left: -18px; }
+  .edit-title, .edit-body { box-sizing: border-box; width: 100%; font: inherit; padding: 6px 8px; border: 1px solid #d1d9e0; border-radius: 6px; }
+  .edit-body { min-height: 260px; margin-top: 8px; font-family: ui-monospace, SFMono-Regular, Menlo, monospace; font-size: 12px; }
+  .diff { margin: 0; white-space: pre-wrap; font-family: ui-monospace, SFMono-Regular, Menlo, monospace; }
+  .diff .add { background: #dafbe1; display: block; }
+  .diff .remove { background: #ffebe9; display: block; }
+  .diff .same { color: #656d76; display: block; }
+  .redaction { padding: 8px 12px; background: #fff8c5; border-bottom: 1px solid #d4a72c; font-size: 12px; }
+  .redaction ul { margin: 4px 0; padding-left: 18px; }
+  .redaction .sources { color: #656d76; }
+  .redaction .confirm { display: flex; gap: 6px; margin-top: 6px; }
+  .history-controls { display: flex; flex-wrap: wrap; gap: 6px; align-items: center; font-size: 12px; }
+  .history-controls[hidden] { display: none; }
+  .history-controls select { max-width: 100%; }
+  .history-meta { color: #656d76; font-size: 12px; margin: 6px 0; }
+  .suggestions { display: flex; flex-wrap: wrap; gap: 6px; padding: 8px 12px 0; }
+  .suggestions[hidden] { display: none; }
+  .suggestions .chip { border-radius: 12px; }
+  .suggestions .chip.applied { background: #dafbe1; border-color: #1a7f37; }
+  .suggestions .chip.error { background: #ffebe9; border-color: #d1242f; }
+`;
+
+// Icons of the suggestion chips, by kind
+const SUGGESTION_ICONS = {
+  reviewer: '👤',
+  team: '👥',
+  label: '🏷',
+  draft: '📝',
+  ready: '✅'
+};
+
+const PANEL_HTML = `
+  <div class="panel">
+    <header>
+      <strong>🤖 Generated description</strong>
+      <span class="status"></span>
+      <button class="close" title="Discard">✕</button>
+    </header>
+    <div class="redaction" hidden></div>
+    <div class="suggestions" hidden></div>
+    <nav>
+      <button data-tab="preview" class="active">Preview</button>
+      <button data-tab="edit">Edit</button>
+      <button data-tab="diff">Changes</button>
+      <button data-tab="history">History</button>
+    </nav>
+    <div class="content">
+      <section data-panel="preview">
+        <h2 class="preview-title"></h2>
+        <div class="markdown"></div>
+      </section>
+      <section data-panel="edit" hidden>
+        <input class="edit-title" placeholder="Title">
+        <textarea class="edit-body" placeholder="Description"></textarea>
+      </section>
+      <section data-panel="diff" hidden>
+        <pre class="diff form-diff"></pre>
+      </section>
+      <section data-panel="history" hidden>
+        <p class="history-meta history-empty"></p>
+        <div class="history-controls">
+          <select class="history-version" title="Version"></select>
+          <span>compared with</span>
+          <select class="history-base" title="Version to compare with"></select>
+          <button data-action="restore" title="Show this version in the panel, ready to apply">Restore</button>
+        </div>
+        <p class="history-meta history-details"></p>
+        <pre class="diff history-diff"></pre>
+      </section>
+    </div>
+    <footer>
+      <button data-action="apply" class="primary" title="Replace the title and description">Apply</button>
+      <button data-action="append" title="Add the description below what is already there">Append</button>
+      <select class="section-select" title="Section to replace"></select>
+      <button data-action="replace-section" title="Replace only this section of the description">Replace section</button>
+      <button data-action="regenerate">Regenerate</button>
+      <button data-action="undo" title="Restore the form as it was before the last change">Undo</button>
+      <button data-action="discard">Discard</button>
+    </footer>
+  </div>
+`;
+
+function getPanelRoot() {
+  return document.getElementById('pr-script-preview-host')?.shadowRoot || null;
+}
+
+// Open the panel (or reuse the open one). onRegenerate is called for the
+// Regenerate action, onLoadHistory when the History tab needs the stored
+// versions (resolving to a list of entries, newest first), onApplySuggestion
+// with a suggestion chip that was clicked.
+function openPreviewPanel({ onRegenerate, onLoadHistory, onApplySuggestion }) {
+  previewCallbacks = { onRegenerate, onLoadHistory, onApplySuggestion };
+  previewState = { title: '', body: '', status: '', busy: true, history: null, suggestions: [] };
+
+  if (!getPanelRoot()) {
+    const host = document.createElement('div');
+    host.id = 'pr-script-preview-host';
+    host.style.cssText = 'position: absolute; z-index: 10000;';
+
+    const root = host.attachShadow({ mode: 'open' });
+    root.innerHTML = `<style>${PANEL_STYLES}</style>${PANEL_HTML}`;
+
+    root.querySelectorAll('nav button').forEach(tab => {
+      tab.addEventListener('click', () => showPanelTab(tab.dataset.tab));
+    });
+    root.querySelectorAll('[data-action]').forEach(button => {
+      button.addEventListener('click', () => handlePanelAction(button.dataset.action));
+    });
+    root.querySelector('.close').addEventListener('click', closePreviewPanel);
+
+    // Edits in the panel become what gets applied
+    root.querySelector('.edit-title').addEventListener('input', (event) => {
+      previewState.title = event.target.value;
+      renderPreviewPanel({ keepEditor: true });
+    });
+    root.querySelector('.edit-body').addEventListener('input', (event) => {
+      previewState.body = event.target.value;
+      renderPreviewPanel({ keepEditor: true });
+    });
+    root.querySelectorAll('.history-version, .history-base').forEach(select => {
+      select.addEventListener('change', () => renderHistory(root));
+    });
+
+    document.body.appendChild(host);
+    window.addEventListener('resize', positionPreviewPanel);
+  }
+
+  getPanelRoot().querySelector('.redaction').hidden = true;
+  positionPreviewPanel();
+  renderPreviewPanel();
+}
+
+// Show new content or status in the panel
+function updatePreviewPanel(changes) {
+  if (!previewState) {
+    return;
+  }
+
+  previewState = { ...previewState, ...changes };
+  renderPreviewPanel();
+}
+
+// List what was masked before the prompt was sent: { total, items: [{ label, count, sources }] }.
+// With onSend, sending waits for the user to pick Send or Cancel. Shown in the
+// preview panel unless another panel's shadow root is passed.
+function showRedactionReport(report, { root = getPanelRoot(), onSend = null, onCancel = null } = {}) {
+  const container = root?.querySelector('.redaction');
+  if (!container) {
+    return;
+  }
+
+  container.innerHTML = '';
+  container.hidden = false;
+
+  const summary = document.createElement('strong');
+  summary.textContent = `🔒 Masked ${report.total} possible secret${report.total === 1 ? '' : 's'} before sending`;
+  container.appendChild(summary);
+
+  const list = document.createElement('ul');
+  for (const item of report.items) {
+    const entry = document.createElement('li');
+    entry.textContent = `${item.count} × ${item.label} `;
+    const sources = document.createElement('span');
+    sources.className = 'sources';
+    sources.textContent = `(${item.sources.join(', ')})`;
+    entry.appendChild(sources);
+    list.appendChild(entry);
+  }
+  container.appendChild(list);
+
+  if (onSend) {
+    const confirm = document.createElement('div');
+    confirm.className = 'confirm';
+
+    const send = document.createElement('button');
+    send.className = 'primary';
+    send.textContent = 'Send';
+    const cancel = document.createElement('button');
+    cancel.textContent = 'Cancel';
+
+    send.addEventListener('click', () => {
+      confirm.remove();
+      onSend();
+    });
+    cancel.addEventListener('click', () => {
+      confirm.remove();
+      onCancel?.();
+    });
+
+    confirm.append(send, cancel);
+    container.appendChild(confirm);
+  }
+}
+
+// Change what the panel knows about one suggestion, e.g. that it was applied
+function updateSuggestion({ kind, value }, changes) {
+  if (!previewState) {
+    return;
+  }
+
+  previewState.suggestions = previewState.suggestions.map(suggestion =>
+    suggestion.kind === kind && suggestion.value === value ? { ...suggestion, ...changes } : suggestion
+  );
+  renderSuggestions(getPanelRoot());
+}
+
+// One chip per suggestion. A chip is clicked once, unless applying it failed.
+function renderSuggestions(root) {
+  const container = root?.querySelector('.suggestions');
+  if (!container) {
+    return;
+  }
+
+  const suggestions = previewState.suggestions || [];
+  container.innerHTML = '';
+  container.hidden = suggestions.length === 0;
+
+  for (const suggestion of suggestions) {
+    const chip = document.createElement('button');
+    chip.className = `chip ${suggestion.state || ''}`;
+    chip.textContent = `${suggestion.state === 'applied' ? '✓' : SUGGESTION_ICONS[suggestion.kind]} ${suggestion.label}`;
+    chip.title = suggestion.error || suggestion.reason;
+    chip.disabled = suggestion.state === 'applying' || suggestion.state === 'applied';
+    chip.addEventListener('click', () => previewCallbacks.onApplySuggestion?.(suggestion));
+    container.appendChild(chip);
+  }
+}
+
+function closePreviewPanel() {
+  document.getElementById('pr-script-preview-host')?.remove();
+  window.removeEventListener('resize', positionPreviewPanel);
+  previewState = null;
+}
+
+// Anchor the panel beside the description field, or below it if there is no room
+function positionPreviewPanel() {
+  const host = document.getElementById('pr-script-preview-host');
+  const field = findBodyTextarea();
+  if (!host) {
+    return;
+  }
+
+  if (!field) {
+    host.style.cssText = 'position: fixed; z-index: 10000; top: 70px; right: 20px; width: 480px;';
+    return;
+  }
+
+  const rect = field.getBoundingClientRect();
+  const width = 480;
+
+  if (window.innerWidth - rect.right > width + 32) {
+    host.style.cssText = `position: absolute; z-index: 10000; top: ${rect.top + window.scrollY}px; left: ${rect.right + window.scrollX + 16}px; width: ${width}px;`;
+  } else {
+    host.style.cssText = `position: absolute; z-index: 10000; top: ${rect.bottom + window.scrollY + 8}px; left: ${rect.left + window.scrollX}px; width: ${Math.max(rect.width, 360)}px;`;
+  }
+}
+
+function showPanelTab(name) {
+  const root = getPanelRoot();
+  root.querySelectorAll('nav button').forEach(tab => tab.classList.toggle('active', tab.dataset.tab === name));
+  root.querySelectorAll('[data-panel]').forEach(panel => {
+    panel.hidden = panel.dataset.panel !== name;
+  });
+
+  // Reloaded every time, a generation may have added a version since
+  if (name === 'history') {
+    loadPanelHistory();
+  }
+}
+
+async function loadPanelHistory() {
+  const root = getPanelRoot();
+  if (!previewCallbacks.onLoadHistory) {
+    return;
+  }
+
+  root.querySelector('.history-empty').textContent = 'Loading history...';
+  let history = [];
+  let failure = null;
+  try {
+    history = await previewCallbacks.onLoadHistory();
+  } catch (error) {
+    failure = error;
+  }
+
+  // The panel may have been closed in the meantime
+  if (!previewState) {
+    return;
+  }
+
+  previewState.history = history;
+  if (failure) {
+    root.querySelector('.history-empty').textContent = `Could not load the history: ${failure.message}`;
+  }
+  renderHistory(root, { keepMessage: Boolean(failure) });
+}
+
+// The History tab: a version, what changed against another version (or the
+// form) and a Restore button. The versions are sorted newest first, so the
+// default comparison is with the one before.
+function renderHistory(root, { keepMessage = false } = {}) {
+  const history = previewState?.history || [];
+  const versionSelect = root.querySelector('.history-version');
+  const baseSelect = root.querySelector('.history-base');
+
+  if (!keepMessage) {
+    root.querySelector('.history-empty').textContent = history.length === 0
+      ? 'Nothing generated for these changes yet.'
+      : `${history.length} version${history.length === 1 ? '' : 's'} kept for these changes`;
+  }
+  root.querySelector('.history-controls').hidden = history.length === 0;
+  root.querySelector('.history-details').hidden = history.length === 0;
+  root.querySelector('.history-diff').hidden = history.length === 0;
+  if (history.length === 0) {
+    return;
+  }
+
+  const selectedVersion = versionSelect.value;
+  const selectedBase = baseSelect.value;
+  versionSelect.innerHTML = '';
+  baseSelect.innerHTML = '';
+
+  const formOption = document.createElement('option');
+  formOption.value = 'form';
+  formOption.textContent = 'What the form holds now';
+  baseSelect.appendChild(formOption);
+
+  for (const entry of history) {
+    const label = `${new Date(entry.createdAt).toLocaleString()}: ${entry.title}`;
+    for (const select of [versionSelect, baseSelect]) {
+      const option = document.createElement('option');
+      option.value = String(entry.id);
+      option.textContent = label;
+      select.appendChild(option);
+    }
+  }
+
+  versionSelect.value = history.some(entry => String(entry.id) === selectedVersion) ? selectedVersion : String(history[0].id);
+  const index = history.findIndex(entry => String(entry.id) === versionSelect.value);
+  const defaultBase = history[index + 1] ? String(history[index + 1].id) : 'form';
+  baseSelect.value = selectedBase === 'form' || history.some(entry => String(entry.id) === selectedBase) ? selectedBase : defaultBase;
+
+  const version = history[index];
+  const base = baseSelect.value === 'form'
+    ? { title: getFieldValue(findTitleInput()), body: getFieldValue(findBodyTextarea()) }
+    : history.find(entry => String(entry.id) === baseSelect.value);
+
+  root.querySelector('.history-details').textContent = [
+    version.profile?.name && `"${version.profile.name}" profile`,
+    version.provider?.model,
+    `${version.inputs.commits.length} commit${version.inputs.commits.length === 1 ? '' : 's'}`,
+    version.inputs.files.length > 0 && `${version.inputs.files.length} files`
+  ].filter(Boolean).join(', ');
+
+  renderDiff(root.querySelector('.history-diff'), base, version);
+}
+
+// Put a stored version into the panel, ready to apply
+function restorePreviewVersion({ title, body, createdAt }) {
+  updatePreviewPanel({
+    title,
+    body,
+    status: `Restored the version from ${new Date(createdAt).toLocaleString()}, review and apply`,
+    busy: false
+  });
+  showPanelTab('preview');
+}
+
+function renderPreviewPanel({ keepEditor = false } = {}) {
+  const root = getPanelRoot();
+  if (!root || !previewState) {
+    return;
+  }
+
+  const { title, body, status, busy } = previewState;
+
+  root.querySelector('.status').textContent = status;
+  root.querySelector('.preview-title').textContent = title;
+  root.querySelector('.markdown').innerHTML = renderMarkdown(body);
+  renderSuggestions(root);
+
+  if (!keepEditor) {
+    root.querySelector('.edit-title').value = title;
+    root.querySelector('.edit-body').value = body;
+  }
+
+  renderDiff(root.querySelector('.form-diff'), {
+    title: getFieldValue(findTitleInput()),
+    body: getFieldValue(findBodyTextarea())
+  }, previewState);
+
+  const sectionSelect = root.querySelector('.section-select');
+  const headings = parseMarkdownSections(body).filter(section => section.heading);
+  const selected = sectionSelect.value;
+  sectionSelect.innerHTML = '';
+  for (const section of headings) {
+    const option = document.createElement('option');
+    option.value = section.key;
+    option.textContent = section.heading.replace(/^#+\s*/, '');
+    sectionSelect.appendChild(option);
+  }
+  if (headings.some(section => section.key === selected)) {
+    sectionSelect.value = selected;
+  }
+
+  const hasContent = Boolean(title || body);
+  root.querySelector('[data-action="apply"]').disabled = busy || !hasContent;
+  root.querySelector('[data-action="append"]').disabled = busy || !body;
+  root.querySelector('[data-action="replace-section"]').disabled = busy || headings.length === 0;
+  sectionSelect.disabled = busy || headings.length === 0;
+  root.querySelector('[data-action="regenerate"]').disabled = busy;
+  root.querySelector('[data-action="restore"]').disabled = busy;
+  root.querySelector('[data-action="undo"]').disabled = formUndoStack.length === 0;
+}
+
+// Line diff between two versions ({ title, body }), e.g. what the form holds
+// now and what would be applied
+function renderDiff(container, before, after) {
+  container.innerHTML = '';
+
+  function addLine(type, text) {
+    const line = document.createElement('span');
+    line.className = type;
+    line.textContent = `${type === 'add' ? '+ ' : type === 'remove' ? '- ' : '  '}${text}`;
+    container.appendChild(line);
+  }
+
+  if (before.title !== after.title) {
+    addLine('remove', `Title: ${before.title}`);
+    addLine('add', `Title: ${after.title}`);
+  } else {
+    addLine('same', `Title: ${before.title}`);
+  }
+
+  for (const { type, line } of diffLines(before.body, after.body)) {
+    addLine(type, line);
+  }
+}
+
+// Split markdown into sections, one per heading (the text before the first
+// heading has a null heading)
+function parseMarkdownSections(markdown) {
+  const sections = [{ heading: null, key: null, lines: [] }];
+  let inCodeBlock = false;
+
+  for (const line of (markdown || '').split('\n')) {
+    if (line.trim().startsWith('```')) {
+      inCodeBlock = !inCodeBlock;
+    }
+
+    const match = !inCodeBlock && line.match(/^\s{0,3}#{1,6}\s+(.+?)\s*#*\s*$/);
+    if (match) {
+      sections.push({ heading: line.trim(), key: match[1].replace(/[*_`:]/g, '').trim().toLowerCase(), lines: [] });
+    } else {
+      sections[sections.length - 1].lines.push(line);
+    }
+  }
+
+  return sections;
+}
+
+function joinMarkdownSections(sections) {
+  return sections
+    .map(section => (section.heading ? [section.heading, ...section.lines] : section.lines).join('\n'))
+    .join('\n')
+    .trim();
+}
+
+// Put one generated section into the current description, replacing the
+// section with the same heading or adding it at the end
+function replaceMarkdownSection(current, generated, key) {
+  const replacement = parseMarkdownSections(generated).find(section => section.key === key);
+  const sections = parseMarkdownSections(current);
+  const index = sections.findIndex(section => section.key === key);
+
+  if (index === -1) {
+    return `${current.trim()}\n\n${joinMarkdownSections([{ ...replacement, lines: trimEmptyLines(replacement.lines) }])}`.trim();
+  }
+
+  // Keep the blank line that separated it from the next section
+  sections[index] = { ...replacement, lines: [...trimEmptyLines(replacement.lines), ''] };
+  return joinMarkdownSections(sections);
+}
+
+function trimEmptyLines(lines) {
+  const result = [...lines];
+  while (result.length > 0 && !result[0].trim()) {
+    result.shift();
+  }
+  while (result.length > 0 && !result[result.length - 1].trim()) {
+    result.pop();
+  }
+  return result;
+}
+
+// Write to the form, remembering what was there so it can be undone
+function changeForm({ title, body }) {
+  const titleInput = findTitleInput();
+  const bodyTextarea = findBodyTextarea();
+
+  formUndoStack.push({
+    title: getFieldValue(titleInput),
+    body: getFieldValue(bodyTextarea)
+  });
+
+  if (titleInput && title !== undefined) {
+    setFieldValue(titleInput, title);
+  }
+  if (bodyTextarea && body !== undefined) {
+    setFieldValue(bodyTextarea, body);
+  }
+}
+
+function undoFormChange() {
+  const previous = formUndoStack.pop();
+  if (!previous) {
+    return;
+  }
+
+  const titleInput = findTitleInput();
+  const bodyTextarea = findBodyTextarea();
+  if (titleInput) {
+    setFieldValue(titleInput, previous.title);
+  }
+  if (bodyTextarea) {
+    setFieldValue(bodyTextarea, previous.body);
+  }
+}
+
+function handlePanelAction(action) {
+  const root = getPanelRoot();
+  const { title, body } = previewState;
+  const currentTitle = getFieldValue(findTitleInput());
+  const currentBody = getFieldValue(findBodyTextarea());
+
+  if (action === 'apply') {
+    changeForm({ title, body });
+    updatePreviewPanel({ status: 'Applied to the form' });
+  } else if (action === 'append') {
+    changeForm({
+      // Only fill in the title if there isn't one yet
+      title: currentTitle ? undefined : title,
+      body: currentBody.trim() ? `${currentBody.trim()}\n\n${body}` : body
+    });
+    updatePreviewPanel({ status: 'Appended to the description' });
+  } else if (action === 'replace-section') {
+    const key = root.querySelector('.section-select').value;
+    changeForm({ body: replaceMarkdownSection(currentBody, body, key) });
+    updatePreviewPanel({ status: 'Section replaced' });
+  } else if (action === 'regenerate') {
+    previewCallbacks.onRegenerate?.();
+  } else if (action === 'restore') {
+    const id = root.querySelector('.history-version').value;
+    const entry = previewState.history?.find(candidate => String(candidate.id) === id);
+    if (entry) {
+      restorePreviewVersion(entry);
+    }
+  } else if (action === 'undo') {
+    undoFormChange();
+    updatePreviewPanel({ status: 'Restored the previous contents' });
+  } else if (action === 'discard') {
+    closePreviewPanel();
+  }
+}
+
+// Apply the preview to the form, as the Apply button does. Returns false when
+// there is nothing to apply yet.
+function applyPreview() {
+  const button = getPanelRoot()?.querySelector('[data-action="apply"]');
+  if (!button || button.disabled) {
+    return false;
+  }
+
+  handlePanelAction('apply');
+  return true;
+}
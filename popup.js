@@ -1,54 +1,258 @@
 // DOM elements
-const apiKeyInput = document.getElementById('apiKey');
-const saveKeyButton = document.getElementById('saveKey');
+const apiStatusIcon = document.getElementById('apiStatusIcon');
+const apiStatusText = document.getElementById('apiStatusText');
+const providerSummary = document.getElementById('providerSummary');
+const openOptionsButton = document.getElementById('openOptions');
 const generateButton = document.getElementById('generate');
 const testApiButton = document.getElementById('testApi');
 const statusDiv = document.getElementById('status');
+const diffStatsText = document.getElementById('diffStats');
+const cacheStatsText = document.getElementById('cacheStats');
+const historySection = document.getElementById('historySection');
+const historyList = document.getElementById('historyList');
 
-// Load saved API key on popup open
+// Show which provider, model and profile will be used
 document.addEventListener('DOMContentLoaded', async () => {
     try {
-        const response = await chrome.runtime.sendMessage({ action: 'getApiKey' });
-        if (response.apiKey) {
-            // Only show the key in the input if it's a custom key (not the default one)
-            if (response.apiKey !== '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') {
-                apiKeyInput.value = response.apiKey;
-                updateStatus('Custom API key loaded', 'success');
-            } else {
-                updateStatus('Ready to generate PR descriptions!', 'success');
-            }
+        const response = await chrome.runtime.sendMessage({ action: 'getSettings' });
+        const { settings, providers, profiles } = response;
+        const provider = providers[settings.llmProvider];
+        const model = settings.providerSettings[settings.llmProvider]?.model || provider.model;
+        const profile = profiles.find(candidate => candidate.id === settings.defaultProfile);
+        
+        providerSummary.textContent = `Using ${provider.label} (${model}) with the "${profile?.name || settings.defaultProfile}" profile`;
+    } catch (error) {
+        console.error('Error loading settings:', error);
+    }
+
+    showApiStatus();
+    showDiffStats();
+    showCacheStats();
+    showHistory();
+});
+
+// Whether the selected provider has its API key, or what to do about it. The
+// key itself stays in the background script.
+async function showApiStatus() {
+    try {
+        const response = await chrome.runtime.sendMessage({ action: 'isConfigured' });
+        if (response.error) {
+            throw new Error(response.error);
+        }
+        
+        if (response.locked) {
+            apiStatusIcon.textContent = '🔒';
+            apiStatusText.textContent = 'Your API keys are locked. Unlock them with your passphrase in the settings.';
+        } else if (response.configured) {
+            apiStatusIcon.textContent = '✅';
+            apiStatusText.textContent = `${response.provider} is set up and ready to use!`;
         } else {
-            updateStatus('API key configured and ready!', 'success');
+            apiStatusIcon.textContent = '⚠️';
+            apiStatusText.textContent = `Add your ${response.provider} API key in the settings to get started.`;
+            openOptionsButton.textContent = 'Set Up API Key';
         }
     } catch (error) {
-        updateStatus('Error loading API key', 'error');
+        console.error('Error checking the API key:', error);
+        apiStatusIcon.textContent = '⚠️';
+        apiStatusText.textContent = 'Could not check the API key';
     }
+}
+
+// Provider, API keys, GitHub token, profiles and privacy live on the options page
+openOptionsButton.addEventListener('click', () => {
+    chrome.runtime.openOptionsPage();
 });
 
-// Save API key
-saveKeyButton.addEventListener('click', async () => {
-    const apiKey = apiKeyInput.value.trim();
-    
-    if (!apiKey) {
-        updateStatus('Please enter an API key', 'error');
-        return;
+// Show how much of the diff went into the last generation on this tab
+async function showDiffStats() {
+    try {
+        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        const response = await chrome.runtime.sendMessage({ action: 'getDiffStats', tabId: tab.id });
+        const stats = response.diffStats;
+        
+        if (!stats || stats.totalFiles === 0) {
+            return;
+        }
+        
+        const parts = [
+            `Last generation used ${stats.includedFiles} of ${stats.totalFiles} changed files`,
+            `~${formatTokens(stats.includedTokens)} of ${formatTokens(stats.totalTokens)} diff tokens`
+        ];
+        if (stats.truncatedFiles > 0) {
+            parts.push(`${stats.truncatedFiles} truncated`);
+        }
+        const withheld = stats.excludedFiles.filter(file => file.reason === 'withheld').length;
+        if (stats.excludedFiles.length > withheld) {
+            parts.push(`${stats.excludedFiles.length - withheld} skipped (lockfiles, generated, binary)`);
+        }
+        if (withheld > 0) {
+            parts.push(`${withheld} without their diff (privacy settings)`);
+        }
+        if (stats.omittedFiles.length > 0) {
+            parts.push(`${stats.omittedFiles.length} over budget`);
+        }
+        if (stats.chunks) {
+            parts.push(`summarized in ${stats.chunks} chunks`);
+        }
+        if (stats.omittedCommits > 0) {
+            parts.push(`${stats.omittedCommits} commits left out`);
+        }
+        
+        diffStatsText.textContent = parts.join(', ');
+        diffStatsText.hidden = false;
+    } catch (error) {
+        console.error('Error loading diff stats:', error);
     }
-    
+}
+
+// Show how many replies are cached and how often the cache saved a request
+async function showCacheStats() {
     try {
-        const response = await chrome.runtime.sendMessage({ 
-            action: 'setApiKey', 
-            apiKey: apiKey 
-        });
+        const response = await chrome.runtime.sendMessage({ action: 'getCacheStats' });
+        const stats = response.stats;
         
-        if (response.success) {
-            updateStatus('Custom API key saved successfully!', 'success');
-        } else {
-            updateStatus('Error saving API key', 'error');
+        if (!stats || stats.hits + stats.shared + stats.misses === 0) {
+            return;
+        }
+        
+        const parts = [
+            `Cache: ${stats.entries} ${stats.entries === 1 ? 'reply' : 'replies'} (${formatBytes(stats.bytes)})`,
+            `${stats.hits} ${stats.hits === 1 ? 'hit' : 'hits'}`,
+            `${stats.misses} sent to the model`
+        ];
+        if (stats.shared > 0) {
+            parts.push(`${stats.shared} shared with a request in flight`);
         }
+        
+        cacheStatsText.textContent = parts.join(', ');
+        cacheStatsText.hidden = false;
     } catch (error) {
-        updateStatus('Error saving API key', 'error');
+        console.error('Error loading cache stats:', error);
     }
-});
+}
+
+// Format a size as e.g. "48.2 KB"
+function formatBytes(bytes) {
+    if (bytes >= 1024 * 1024) {
+        return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    }
+    return bytes >= 1024 ? `${(bytes / 1024).toFixed(1)} KB` : `${bytes} B`;
+}
+
+// The code host a page is on (github.com or one added in the settings), null for other sites
+async function findPageHost(url) {
+    if (!url) {
+        return null;
+    }
+    const response = await chrome.runtime.sendMessage({ action: 'getHostType', pageUrl: url });
+    return response.host || null;
+}
+
+// List the versions generated for the changes on the current page
+async function showHistory() {
+    try {
+        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        if (!await findPageHost(tab.url)) {
+            return;
+        }
+        
+        const response = await chrome.runtime.sendMessage({ action: 'getHistory', pageUrl: tab.url });
+        if (response.error || response.entries.length === 0) {
+            return;
+        }
+        
+        historyList.innerHTML = '';
+        response.entries.forEach((entry, index) => {
+            historyList.appendChild(createHistoryItem(tab, entry, response.entries[index + 1]));
+        });
+        historySection.hidden = false;
+    } catch (error) {
+        console.error('Error loading history:', error);
+    }
+}
+
+// One version: its title, what it was generated with, the changes against
+// the version before it, and buttons to restore it on the page or delete it
+function createHistoryItem(tab, entry, previous) {
+    const item = document.createElement('details');
+    item.className = 'history-item';
+    
+    const summary = document.createElement('summary');
+    summary.textContent = `${new Date(entry.createdAt).toLocaleString()}: ${entry.title}`;
+    summary.title = entry.title;
+    item.appendChild(summary);
+    
+    const details = document.createElement('p');
+    details.className = 'help-text';
+    details.textContent = [
+        entry.profile?.name && `"${entry.profile.name}" profile`,
+        entry.provider?.model,
+        `${entry.inputs.commits.length} commits`,
+        previous ? 'changes since the version before:' : 'first version'
+    ].filter(Boolean).join(', ');
+    item.appendChild(details);
+    
+    if (previous) {
+        const diff = document.createElement('pre');
+        diff.className = 'history-diff';
+        const lines = [
+            ...(previous.title !== entry.title
+                ? [{ type: 'remove', line: `Title: ${previous.title}` }, { type: 'add', line: `Title: ${entry.title}` }]
+                : [{ type: 'same', line: `Title: ${entry.title}` }]),
+            ...diffLines(previous.body, entry.body)
+        ];
+        for (const { type, line } of lines) {
+            const span = document.createElement('span');
+            span.className = type;
+            span.textContent = `${type === 'add' ? '+ ' : type === 'remove' ? '- ' : '  '}${line}`;
+            diff.appendChild(span);
+        }
+        item.appendChild(diff);
+    }
+    
+    const buttons = document.createElement('div');
+    buttons.className = 'button-row';
+    
+    const restoreButton = document.createElement('button');
+    restoreButton.className = 'btn-secondary';
+    restoreButton.textContent = 'Restore';
+    restoreButton.title = 'Show this version in the preview panel on the page';
+    restoreButton.addEventListener('click', async () => {
+        try {
+            const response = await chrome.tabs.sendMessage(tab.id, { action: 'restoreGeneration', entry: entry });
+            if (!response.success) {
+                updateStatus('Wait for the generation on the page to finish first', 'error');
+                return;
+            }
+            window.close();
+        } catch (error) {
+            updateStatus('Extension not loaded on this page. Try refreshing the page.', 'error');
+        }
+    });
+    
+    const deleteButton = document.createElement('button');
+    deleteButton.className = 'btn-secondary btn-danger';
+    deleteButton.textContent = 'Delete';
+    deleteButton.addEventListener('click', async () => {
+        const response = await chrome.runtime.sendMessage({ action: 'deleteHistoryEntry', id: entry.id });
+        if (!response.success) {
+            updateStatus(`Could not delete: ${response.error}`, 'error');
+            return;
+        }
+        item.remove();
+        historySection.hidden = historyList.children.length === 0;
+    });
+    
+    buttons.append(restoreButton, deleteButton);
+    item.appendChild(buttons);
+    
+    return item;
+}
+
+// Format a token count as e.g. "12.3k"
+function formatTokens(count) {
+    return count >= 1000 ? `${(count / 1000).toFixed(1)}k` : String(count);
+}
 
 // Generate PR description for current page
 generateButton.addEventListener('click', async () => {
@@ -58,22 +262,25 @@ generateButton.addEventListener('click', async () => {
         // Get current active tab
         const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
                 
-        if (!tab.url.includes('github.com')) {
-            updateStatus('Please navigate to a GitHub page first', 'error');
-            return;
-        }
-        
-        if (!tab.url.includes('/compare') && !tab.url.includes('/pull/new') && !tab.url.includes('/pull/')) {
-            updateStatus('Please navigate to a GitHub PR creation or edit page', 'error');
+        const host = await findPageHost(tab.url);
+        if (!host) {
+            updateStatus('Please navigate to a GitHub page first, or add this site under Code Hosts in the settings', 'error');
             return;
         }
         
         updateStatus('Triggering PR generation...', 'info');
         
-        // Send message to content script to trigger generation
+        // Send message to content script to trigger generation. It knows
+        // which pages of the host it works on.
         try {
-            await chrome.tabs.sendMessage(tab.id, { action: 'triggerGeneration' });
-            updateStatus('Generation triggered! Check the GitHub page.', 'success');
+            const response = await chrome.tabs.sendMessage(tab.id, { action: 'triggerGeneration' });
+            if (!response.success) {
+                updateStatus(host.github
+                    ? `Please navigate to a ${host.label} pull request, compare, new release or pull requests list page`
+                    : `Please navigate to a new ${host.label} ${host.type === 'gitlab' ? 'merge' : 'pull'} request or its edit page`, 'error');
+                return;
+            }
+            updateStatus(`Generation triggered! Check the ${host.label} page.`, 'success');
             
             // Close popup after a short delay
             setTimeout(() => {
@@ -86,7 +293,7 @@ generateButton.addEventListener('click', async () => {
         
     } catch (error) {
         console.error('Error:', error);
-        updateStatus('Error: Make sure you\'re on a GitHub PR page and the extension is loaded', 'error');
+        updateStatus('Error: Make sure you\'re on a pull request page and the extension is loaded', 'error');
     }
 });
 
@@ -120,10 +327,3 @@ function updateStatus(message, type = 'info') {
         }, 5000);
     }
 }
-
-// Handle Enter key in API key input
-apiKeyInput.addEventListener('keypress', (e) => {
-    if (e.key === 'Enter') {
-        saveKeyButton.click();
-    }
-});
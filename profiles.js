@@ -0,0 +1,270 @@
+// Prompt profiles: the instructions, sampling parameters and output language
+// used for a generation. The user template is filled in with these variables:
+//   {{commits}}  - the commit messages (summaries of each part for very large pull requests)
+//   {{issues}}   - the issues the pull request is for, with their titles
+//   {{files}}    - the list of changed files
+//   {{diff}}     - as much of the diff as fits in the prompt
+//   {{branch}}   - the branches, e.g. "feature/x into main"
+//   {{template}} - the repository's pull request template and how to fill it in
+// Empty variables drop out. The JSON output format is always added at the end,
+// since the reply can't be read without it.
+
+const PROMPT_VARIABLES = ['commits', 'issues', 'files', 'diff', 'branch', 'template'];
+
+const DEFAULT_USER_TEMPLATE = `Based on the following commit messages and code changes, generate a concise and professional GitHub pull request title and description.
+
+Branch: {{branch}}
+
+{{commits}}
+
+{{issues}}
+
+{{files}}
+
+{{diff}}
+
+{{template}}`;
+
+export const BUILTIN_PROFILES = [
+  {
+    id: 'concise',
+    name: 'Concise',
+    systemPrompt: 'You write GitHub pull request titles and descriptions.',
+    userTemplate: DEFAULT_USER_TEMPLATE,
+    temperature: 0.7,
+    maxTokens: 1000,
+    language: ''
+  },
+  {
+    id: 'reviewer',
+    name: 'Detailed reviewer notes',
+    systemPrompt: 'You are a senior engineer preparing a pull request for code review.',
+    userTemplate: `Based on the following commit messages and code changes, write a GitHub pull request title and a detailed description for reviewers. Explain the motivation, walk through the changes area by area, point out anything risky or surprising, and say what reviewers should look at most closely.
+
+Branch: {{branch}}
+
+{{commits}}
+
+{{issues}}
+
+{{files}}
+
+{{diff}}
+
+{{template}}`,
+    temperature: 0.4,
+    maxTokens: 1800,
+    language: ''
+  },
+  {
+    id: 'conventional',
+    name: 'Conventional Commits title',
+    systemPrompt: 'You write GitHub pull request titles and descriptions for repositories that follow the Conventional Commits specification.',
+    userTemplate: `Based on the following commit messages and code changes, generate a GitHub pull request title and description. The title must follow Conventional Commits: "type(scope): summary" in the imperative mood, where type is one of feat, fix, docs, style, refactor, perf, test, build, ci or chore, and "!" after the scope marks a breaking change.
+
+Branch: {{branch}}
+
+{{commits}}
+
+{{issues}}
+
+{{files}}
+
+{{diff}}
+
+{{template}}`,
+    temperature: 0.3,
+    maxTokens: 1000,
+    language: ''
+  },
+  {
+    id: 'release-notes',
+    name: 'Release-note friendly',
+    systemPrompt: 'You write GitHub pull request descriptions that double as release notes.',
+    userTemplate: `Based on the following commit messages and code changes, generate a GitHub pull request title and description. Write the summary and the list of changes for the people using the software rather than its developers, so that they can be copied into release notes as they are: describe what changes for them, leave out internal refactoring and tooling, and call out anything they have to do when upgrading.
+
+Branch: {{branch}}
+
+{{commits}}
+
+{{issues}}
+
+{{files}}
+
+{{diff}}
+
+{{template}}`,
+    temperature: 0.5,
+    maxTokens: 1200,
+    language: ''
+  }
+];
+
+export const DEFAULT_PROFILE_ID = 'concise';
+
+// Built-in profiles with the user's own on top (a custom profile with the id
+// of a built-in one replaces it)
+export function mergeProfiles(customProfiles = []) {
+  const profiles = new Map(BUILTIN_PROFILES.map(profile => [profile.id, { ...profile, builtin: true }]));
+
+  for (const profile of customProfiles) {
+    profiles.set(profile.id, { ...profile, builtin: false, replacesBuiltin: profiles.has(profile.id) });
+  }
+
+  return [...profiles.values()];
+}
+
+// Whether a profile is exactly the built-in one with the same id, so it
+// doesn't need to be stored
+export function isBuiltinProfile(profile) {
+  const builtin = BUILTIN_PROFILES.find(candidate => candidate.id === profile.id);
+  if (!builtin) {
+    return false;
+  }
+
+  const normalized = validateProfile(builtin);
+  return Object.keys(normalized).every(key => normalized[key] === profile[key]);
+}
+
+// Check a profile from storage or an import, filling in defaults for the
+// optional fields. Throws with a message saying what is wrong.
+export function validateProfile(profile) {
+  if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+    throw new Error('Each profile must be an object');
+  }
+
+  const label = profile.name || profile.id || 'unnamed';
+
+  if (typeof profile.id !== 'string' || !/^[a-z0-9][a-z0-9_-]*$/i.test(profile.id)) {
+    throw new Error(`Profile "${label}" needs an id made of letters, digits, "-" and "_"`);
+  }
+  if (typeof profile.userTemplate !== 'string' || !profile.userTemplate.trim()) {
+    throw new Error(`Profile "${label}" needs a userTemplate`);
+  }
+
+  const unknown = [...profile.userTemplate.matchAll(/\{\{\s*(\w+)\s*\}\}/g)]
+    .map(match => match[1])
+    .filter(name => !PROMPT_VARIABLES.includes(name));
+  if (unknown.length > 0) {
+    throw new Error(`Profile "${label}" uses unknown variables: ${unknown.map(name => `{{${name}}}`).join(', ')}`);
+  }
+
+  const number = (field, min, max) => {
+    const value = profile[field];
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+    if (typeof value !== 'number' || Number.isNaN(value) || value < min || value > max) {
+      throw new Error(`Profile "${label}": ${field} must be a number from ${min} to ${max}`);
+    }
+    return value;
+  };
+
+  return {
+    id: profile.id,
+    name: typeof profile.name === 'string' && profile.name.trim() ? profile.name.trim() : profile.id,
+    systemPrompt: typeof profile.systemPrompt === 'string' ? profile.systemPrompt : '',
+    userTemplate: profile.userTemplate,
+    temperature: number('temperature', 0, 2),
+    topP: number('topP', 0, 1),
+    maxTokens: number('maxTokens', 100, 8000),
+    language: typeof profile.language === 'string' ? profile.language.trim() : ''
+  };
+}
+
+// Check repository mappings ([{ pattern: 'my-org/*', profile: 'reviewer' }])
+export function validateMappings(mappings, profiles) {
+  if (!Array.isArray(mappings)) {
+    throw new Error('Repository mappings must be a list');
+  }
+
+  const ids = new Set(profiles.map(profile => profile.id));
+
+  return mappings.map(mapping => {
+    const pattern = typeof mapping?.pattern === 'string' ? mapping.pattern.trim() : '';
+    if (!/^[^/\s]+\/[^/\s]+$/.test(pattern)) {
+      throw new Error(`"${pattern || mapping?.pattern}" is not an owner/repository pattern`);
+    }
+    if (!ids.has(mapping.profile)) {
+      throw new Error(`Unknown profile "${mapping.profile}" for ${pattern}`);
+    }
+    return { pattern, profile: mapping.profile };
+  });
+}
+
+// Whether "owner/repo" matches a glob such as "my-org/*" or "*/docs-*"
+export function matchesRepository(pattern, repository) {
+  const source = pattern
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('[^/]*');
+
+  return new RegExp(`^${source}$`, 'i').test(repository);
+}
+
+// The profile with the given id, falling back to the default one
+export function selectProfile(profiles, profileId) {
+  const byId = id => profiles.find(profile => profile.id === id);
+  return byId(profileId) || byId(DEFAULT_PROFILE_ID) || profiles[0];
+}
+
+// Fill in a profile's user template, dropping the blank lines left by empty variables
+export function renderUserPrompt(profile, variables) {
+  return profile.userTemplate
+    .replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => variables[name] || '')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// Whether the user template places a variable itself, the PR template by default
+export function usesTemplateVariable(profile, name = 'template') {
+  return new RegExp(`\\{\\{\\s*${name}\\s*\\}\\}`).test(profile.userTemplate);
+}
+
+// The system prompt, with the output language if the profile sets one
+export function renderSystemPrompt(profile) {
+  const parts = [profile.systemPrompt?.trim()];
+
+  if (profile.language) {
+    parts.push(`Write the title and description in ${profile.language}. Keep the JSON field names in English.`);
+  }
+
+  return parts.filter(Boolean).join('\n\n');
+}
+
+// JSON for sharing profiles and repository mappings with a team
+export function exportProfiles({ profiles, mappings, defaultProfile }) {
+  return JSON.stringify({
+    version: 1,
+    defaultProfile,
+    profiles: profiles.map(({ builtin, replacesBuiltin, ...profile }) => profile),
+    mappings
+  }, null, 2);
+}
+
+// Read an export (or a plain list of profiles). Returns the profiles to store,
+// leaving out unchanged built-in ones, and the mappings and default if present.
+export function importProfiles(json) {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch (error) {
+    throw new Error('The file is not valid JSON');
+  }
+
+  if (Array.isArray(data)) {
+    data = { profiles: data };
+  }
+  if (!data || !Array.isArray(data.profiles)) {
+    throw new Error('The file has no "profiles" list');
+  }
+
+  const profiles = data.profiles.map(validateProfile);
+  const all = mergeProfiles(profiles);
+
+  return {
+    profiles: profiles.filter(profile => !isBuiltinProfile(profile)),
+    mappings: data.mappings === undefined ? null : validateMappings(data.mappings, all),
+    defaultProfile: all.some(profile => profile.id === data.defaultProfile) ? data.defaultProfile : null
+  };
+}
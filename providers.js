@@ -0,0 +1,322 @@
+// LLM providers. Each adapter turns a list of chat messages into a completion.
+// Options for complete():
+//   signal   - AbortSignal to cancel the request
+//   onDelta  - stream the reply, passing each new piece of text to it
+//   json     - ask for a JSON object, using the provider's JSON mode if it has one
+//   topP     - nucleus sampling, left to the provider's default when not set
+//   onFallback - called with { from, to, error } before a fallback model is tried
+//   onUsage  - called with { model, promptTokens, completionTokens } when the
+//              provider reports the tokens used
+// Failed requests throw an ApiError (see http.js).
+import { ApiError, classifyError, FALLBACK_KINDS, fetchWithRetry } from './http.js';
+
+// contextTokens is the context window of the default model, the prompt and
+// the reply together
+export const PROVIDERS = {
+  openrouter: {
+    label: 'OpenRouter',
+    baseUrl: 'https://openrouter.ai/api/v1',
+    model: 'deepseek/deepseek-chat-v3-0324:free',
+    contextTokens: 64000,
+    requiresKey: true
+  },
+  openai: {
+    // OpenAI itself or any server with the same API (Ollama, llama.cpp, vLLM, ...)
+    label: 'OpenAI-compatible',
+    baseUrl: 'https://api.openai.com/v1',
+    model: 'gpt-4o-mini',
+    contextTokens: 128000,
+    requiresKey: false
+  },
+  anthropic: {
+    label: 'Anthropic',
+    baseUrl: 'https://api.anthropic.com/v1',
+    model: 'claude-3-5-haiku-latest',
+    contextTokens: 200000,
+    requiresKey: true
+  }
+};
+
+export const DEFAULT_PROVIDER = 'openrouter';
+
+// An error event in the middle of a stream. Providers send a status-like
+// code with it, if anything.
+function streamError(error, context) {
+  const detail = error?.message || 'Unknown error';
+  const status = Number(error?.code) || (error?.type === 'overloaded_error' ? 529 : error?.type === 'rate_limit_error' ? 429 : 500);
+  return new ApiError(classifyError(status, detail), { status, detail, context });
+}
+
+// Read a server-sent events stream, calling onEvent with each event's name and data
+async function readEventStream(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  function dispatch(block) {
+    let event = 'message';
+    const data = [];
+
+    for (const line of block.split(/\r?\n/)) {
+      // Lines starting with ":" are comments, used as keep-alives
+      if (line.startsWith('event:')) {
+        event = line.slice(6).trim();
+      } else if (line.startsWith('data:')) {
+        data.push(line.slice(5).replace(/^ /, ''));
+      }
+    }
+
+    if (data.length > 0) {
+      onEvent(event, data.join('\n'));
+    }
+  }
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) {
+      break;
+    }
+
+    buffer += decoder.decode(value, { stream: true });
+    const blocks = buffer.split(/\r?\n\r?\n/);
+    buffer = blocks.pop();
+    blocks.forEach(dispatch);
+  }
+
+  if (buffer.trim()) {
+    dispatch(buffer);
+  }
+}
+
+// OpenAI chat completions API, also spoken by OpenRouter and self-hosted servers
+function createOpenAICompatibleProvider({ baseUrl, model, apiKey, label }, post, extraHeaders = {}) {
+  return {
+    async complete({ messages, maxTokens, temperature = 0.7, topP = null, signal, onDelta, onUsage, json = false }) {
+      const headers = {
+        'Content-Type': 'application/json',
+        ...extraHeaders
+      };
+
+      // Self-hosted servers usually run without a key
+      if (apiKey) {
+        headers['Authorization'] = `Bearer ${apiKey}`;
+      }
+
+      const requestBody = {
+        model: model,
+        messages: messages,
+        temperature: temperature,
+        max_tokens: maxTokens,
+        stream: Boolean(onDelta)
+      };
+      if (onDelta) {
+        // Token counts come in a last chunk of their own
+        requestBody.stream_options = { include_usage: true };
+      }
+      if (topP !== null) {
+        requestBody.top_p = topP;
+      }
+      if (json) {
+        requestBody.response_format = { type: 'json_object' };
+      }
+
+      const response = await post(`${baseUrl}/chat/completions`, {
+        headers: headers,
+        body: JSON.stringify(requestBody),
+        signal: signal
+      });
+
+      const reportUsage = (usage) => {
+        if (usage) {
+          onUsage?.({ model, promptTokens: usage.prompt_tokens || 0, completionTokens: usage.completion_tokens || 0 });
+        }
+      };
+
+      if (!onDelta) {
+        const data = await response.json();
+        reportUsage(data.usage);
+        return data.choices[0].message.content;
+      }
+
+      let content = '';
+      await readEventStream(response, (event, data) => {
+        if (data === '[DONE]') {
+          return;
+        }
+
+        const chunk = JSON.parse(data);
+        if (chunk.error) {
+          throw streamError(chunk.error, { label, model });
+        }
+        reportUsage(chunk.usage);
+
+        const delta = chunk.choices?.[0]?.delta?.content;
+        if (delta) {
+          content += delta;
+          onDelta(delta);
+        }
+      });
+
+      return content;
+    }
+  };
+}
+
+// Anthropic messages API
+function createAnthropicProvider({ baseUrl, model, apiKey, label }, post) {
+  return {
+    async complete({ messages, maxTokens, temperature = 0.7, topP = null, signal, onDelta, onUsage, json = false }) {
+      // System prompts go in their own field rather than in the message list
+      const system = messages.filter(message => message.role === 'system').map(message => message.content).join('\n\n');
+
+      // There is no JSON mode, so start the reply with "{" for the model to continue
+      const prefill = json && messages[messages.length - 1]?.role !== 'assistant' ? '{' : '';
+      const chatMessages = messages.filter(message => message.role !== 'system');
+      if (prefill) {
+        chatMessages.push({ role: 'assistant', content: prefill });
+      }
+
+      const requestBody = {
+        model: model,
+        max_tokens: maxTokens,
+        temperature: temperature,
+        messages: chatMessages,
+        stream: Boolean(onDelta)
+      };
+      if (system) {
+        requestBody.system = system;
+      }
+      if (topP !== null) {
+        requestBody.top_p = topP;
+      }
+
+      const response = await post(`${baseUrl}/messages`, {
+        headers: {
+          'Content-Type': 'application/json',
+          'x-api-key': apiKey,
+          'anthropic-version': '2023-06-01',
+          // Needed because extension requests carry a chrome-extension:// origin
+          'anthropic-dangerous-direct-browser-access': 'true'
+        },
+        body: JSON.stringify(requestBody),
+        signal: signal
+      });
+
+      if (!onDelta) {
+        const data = await response.json();
+        onUsage?.({ model, promptTokens: data.usage?.input_tokens || 0, completionTokens: data.usage?.output_tokens || 0 });
+        return prefill + data.content
+          .filter(block => block.type === 'text')
+          .map(block => block.text)
+          .join('');
+      }
+
+      let content = prefill;
+      if (prefill) {
+        onDelta(prefill);
+      }
+
+      // Input tokens are counted when the message starts, output tokens when it ends
+      let promptTokens = 0;
+
+      await readEventStream(response, (event, data) => {
+        const chunk = JSON.parse(data);
+
+        if (chunk.type === 'error') {
+          throw streamError(chunk.error, { label, model });
+        }
+
+        if (chunk.type === 'message_start') {
+          promptTokens = chunk.message?.usage?.input_tokens || 0;
+        } else if (chunk.type === 'message_delta' && chunk.usage) {
+          onUsage?.({ model, promptTokens, completionTokens: chunk.usage.output_tokens || 0 });
+        } else if (chunk.type === 'content_block_delta' && chunk.delta?.type === 'text_delta') {
+          content += chunk.delta.text;
+          onDelta(chunk.delta.text);
+        }
+      });
+
+      return content;
+    }
+  };
+}
+
+// Create the adapter for a provider config ({ provider, baseUrl, model,
+// fallbackModels, contextTokens, apiKey }). Missing fields fall back to the
+// provider's defaults. When a request fails in a way another model may not (see
+// FALLBACK_KINDS), the fallback models are tried in order, unless part of the
+// reply was streamed already. timeout (ms per attempt) and retries go to
+// fetchWithRetry(); `fetch` and `wait` can be swapped out so the adapters can
+// run against a stub server without delays.
+export function createProvider(config, { fetch: fetchImpl, timeout, retries, wait } = {}) {
+  const provider = PROVIDERS[config.provider] ? config.provider : DEFAULT_PROVIDER;
+  const defaults = PROVIDERS[provider];
+  const doFetch = fetchImpl || globalThis.fetch.bind(globalThis);
+
+  const settings = {
+    baseUrl: (config.baseUrl || defaults.baseUrl).replace(/\/+$/, ''),
+    model: config.model || defaults.model,
+    apiKey: config.apiKey || null
+  };
+
+  if (defaults.requiresKey && !settings.apiKey) {
+    throw new Error(`API key not configured. Please set your ${defaults.label} API key in the extension settings.`);
+  }
+
+  const models = [settings.model, ...(config.fallbackModels || []).filter(model => model && model !== settings.model)];
+
+  const adapters = models.map(model => {
+    const modelSettings = { ...settings, model, label: defaults.label };
+    const post = (url, { headers, body, signal }) => fetchWithRetry(doFetch, url, { method: 'POST', headers, body }, {
+      signal,
+      timeout,
+      retries,
+      wait,
+      context: { label: defaults.label, model }
+    });
+
+    if (provider === 'anthropic') {
+      return createAnthropicProvider(modelSettings, post);
+    }
+    if (provider === 'openrouter') {
+      return createOpenAICompatibleProvider(modelSettings, post, {
+        'HTTP-Referer': 'https://github.com',
+        'X-Title': 'PR Script Extension',
+        'User-Agent': 'PR-Script-Extension/1.0'
+      });
+    }
+    return createOpenAICompatibleProvider(modelSettings, post);
+  });
+
+  async function complete(options) {
+    let streamed = false;
+    const onDelta = options.onDelta && ((delta) => {
+      streamed = true;
+      options.onDelta(delta);
+    });
+
+    for (const [index, adapter] of adapters.entries()) {
+      try {
+        return await adapter.complete({ ...options, onDelta });
+      } catch (error) {
+        const next = models[index + 1];
+        if (!next || streamed || options.signal?.aborted || !(error instanceof ApiError) || !FALLBACK_KINDS.includes(error.kind)) {
+          throw error;
+        }
+
+        console.warn(`PR Script: ${models[index]} failed (${error.kind}), falling back to ${next}`);
+        options.onFallback?.({ from: models[index], to: next, error });
+      }
+    }
+  }
+
+  // Which provider and model answer first, e.g. for the generation history,
+  // and how many tokens the prompts and replies have room for
+  return {
+    complete,
+    id: provider,
+    model: settings.model,
+    fallbackModels: models.slice(1),
+    contextTokens: Number(config.contextTokens) || defaults.contextTokens
+  };
+}
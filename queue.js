@@ -0,0 +1,39 @@
+// A queue running tasks a few at a time, for the batch descriptions and for
+// storage writes that must not overlap
+
+// Run tasks (functions returning a promise) with at most concurrency of them
+// at a time, in the order they were added. add() resolves or rejects with
+// what the task does.
+export function createQueue({ concurrency = 1 } = {}) {
+  const waiting = [];
+  let running = 0;
+
+  function next() {
+    while (running < concurrency && waiting.length > 0) {
+      const { task, resolve, reject } = waiting.shift();
+      running++;
+      Promise.resolve()
+        .then(task)
+        .then(resolve, reject)
+        .finally(() => {
+          running--;
+          next();
+        });
+    }
+  }
+
+  return {
+    add(task) {
+      return new Promise((resolve, reject) => {
+        waiting.push({ task, resolve, reject });
+        next();
+      });
+    },
+    get running() {
+      return running;
+    },
+    get waiting() {
+      return waiting.length;
+    }
+  };
+}
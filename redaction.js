@@ -0,0 +1,191 @@
+// Masking credentials and personal data in everything that goes into a
+// prompt, before any of it leaves the browser
+
+// Shannon entropy in bits per character
+function entropy(text) {
+  const counts = {};
+  for (const char of text) {
+    counts[char] = (counts[char] || 0) + 1;
+  }
+
+  return Object.values(counts).reduce((sum, count) => {
+    const p = count / text.length;
+    return sum - p * Math.log2(p);
+  }, 0);
+}
+
+// Random-looking tokens: letters mixed with digits and no structure that
+// would make the characters repeat. Git SHAs and other hex strings are left
+// alone, they are everywhere in commit messages.
+function isHighEntropy(value) {
+  return /\d/.test(value) &&
+    /[a-z]/i.test(value) &&
+    !/^[0-9a-f]+$/i.test(value) &&
+    entropy(value) >= 4.3;
+}
+
+// Code such as "password: form.password.value" rather than an actual password
+function isSecretValue(value) {
+  return /\d/.test(value) || !/^[A-Za-z_$][\w$]*(\.[\w$]+)*(\(\)?)?$/.test(value);
+}
+
+// Built-in detectors, most specific first. With `group`, only that capture
+// group is masked; `test` can turn down a match.
+export const DETECTORS = [
+  {
+    id: 'private-key',
+    label: 'Private key',
+    pattern: /-----BEGIN [A-Z0-9 ]*PRIVATE KEY-----[\s\S]*?(?:-----END [A-Z0-9 ]*PRIVATE KEY-----|$)/g
+  },
+  {
+    id: 'aws-access-key',
+    label: 'AWS access key',
+    pattern: /\b(?:AKIA|ASIA|AGPA|AIDA|AROA|ANPA)[0-9A-Z]{16}\b/g
+  },
+  {
+    id: 'aws-secret-key',
+    label: 'AWS secret key',
+    pattern: /aws_?secret_?(?:access_?)?key["']?\s*[:=]\s*["']?([A-Za-z0-9/+=]{40})/gi,
+    group: 1
+  },
+  {
+    id: 'github-token',
+    label: 'GitHub token',
+    pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,})\b/g
+  },
+  {
+    id: 'jwt',
+    label: 'JSON Web Token',
+    pattern: /\beyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}/g
+  },
+  {
+    id: 'api-key',
+    label: 'API key',
+    pattern: /\b(?:sk-(?:ant-|or-|proj-)?[A-Za-z0-9_-]{20,}|AIza[0-9A-Za-z_-]{35}|xox[abposr]-[A-Za-z0-9-]{10,}|[spr]k_(?:live|test)_[A-Za-z0-9]{16,})/g
+  },
+  {
+    id: 'credentials-url',
+    label: 'Password in a URL',
+    pattern: /\b[a-z][a-z0-9+.-]*:\/\/[^\s:/@]+:([^\s:/@]+)@/gi,
+    group: 1
+  },
+  {
+    id: 'password',
+    label: 'Password or secret',
+    pattern: /\b(?:password|passwd|pwd|secret|token|api[_-]?key|access[_-]?key|client[_-]?secret)["']?\s*[:=]\s*["']?([^\s"'`,;]{6,})/gi,
+    group: 1,
+    test: isSecretValue
+  },
+  {
+    id: 'email',
+    label: 'Email address',
+    pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g
+  },
+  {
+    id: 'internal-host',
+    label: 'Internal hostname or IP address',
+    pattern: /\b(?:[a-z0-9-]+\.)+(?:internal|corp|local|lan|intranet)\b|\b(?:10\.\d{1,3}|192\.168|172\.(?:1[6-9]|2\d|3[01]))\.\d{1,3}\.\d{1,3}\b/gi
+  },
+  {
+    id: 'high-entropy',
+    label: 'High-entropy string',
+    pattern: /[A-Za-z0-9+/_=-]{24,}/g,
+    test: isHighEntropy
+  }
+];
+
+// Compile a user-defined rule, written either as a plain pattern or as /pattern/flags
+export function compileRule(pattern) {
+  const literal = pattern.match(/^\/(.+)\/([a-z]*)$/);
+  const source = literal ? literal[1] : pattern;
+  const flags = literal ? literal[2] : '';
+
+  // Always replace every match
+  return new RegExp(source, flags.includes('g') ? flags : `${flags}g`);
+}
+
+// Create a redactor for one generation. redact() masks a piece of text and
+// records where it found something, report() summarises all of it.
+// customRules are [{ name, pattern }], disabledDetectors ids of DETECTORS.
+export function createRedactor({ disabledDetectors = [], customRules = [] } = {}) {
+  const rules = [
+    ...DETECTORS.filter(detector => !disabledDetectors.includes(detector.id)),
+    ...customRules.map((rule, index) => ({
+      id: `custom-${index + 1}`,
+      label: rule.name || `Custom rule ${index + 1}`,
+      pattern: compileRule(rule.pattern)
+    }))
+  ];
+
+  const findings = [];
+
+  function redact(text, source) {
+    if (!text) {
+      return text;
+    }
+
+    let result = text;
+    for (const rule of rules) {
+      rule.pattern.lastIndex = 0;
+      result = result.replace(rule.pattern, (match, ...groups) => {
+        const value = rule.group ? groups[rule.group - 1] : match;
+        // Leave alone what an earlier rule already masked
+        if (!value || value.includes('[REDACTED:') || (rule.test && !rule.test(value))) {
+          return match;
+        }
+
+        findings.push({ rule: rule.id, label: rule.label, source });
+
+        const placeholder = `[REDACTED:${rule.id}]`;
+        return rule.group ? match.replace(value, placeholder) : placeholder;
+      });
+    }
+
+    return result;
+  }
+
+  // { total, items: [{ label, count, sources }] } with one item per rule
+  function report() {
+    const items = new Map();
+
+    for (const finding of findings) {
+      const item = items.get(finding.rule) || { label: finding.label, count: 0, sources: [] };
+      item.count++;
+      if (!item.sources.includes(finding.source)) {
+        item.sources.push(finding.source);
+      }
+      items.set(finding.rule, item);
+    }
+
+    return { total: findings.length, items: [...items.values()] };
+  }
+
+  return { redact, report };
+}
+
+// Run the redactor over everything a generation puts into prompts: commit
+// messages, file names and patches, the branch names, the PR template, the
+// titles of linked issues and, for review briefings, the pull request's title
+// and description
+export function redactPromptInputs({ commits, files, branch, template, issues, pullRequest }, redactor) {
+  return {
+    commits: commits.map((commit, index) => ({
+      ...commit,
+      subject: redactor.redact(commit.subject, `commit ${index + 1}`),
+      body: redactor.redact(commit.body, `commit ${index + 1}`)
+    })),
+    files: files.map(file => ({
+      ...file,
+      path: redactor.redact(file.path, 'file names'),
+      previousPath: redactor.redact(file.previousPath, 'file names'),
+      patch: redactor.redact(file.patch, file.path)
+    })),
+    branch: redactor.redact(branch, 'branch name'),
+    template: template && { ...template, text: redactor.redact(template.text, 'pull request template') },
+    issues: issues && issues.map(issue => ({ ...issue, title: redactor.redact(issue.title, 'issue titles') })),
+    pullRequest: pullRequest && {
+      title: redactor.redact(pullRequest.title, 'pull request title'),
+      body: redactor.redact(pullRequest.body, 'pull request description')
+    }
+  };
+}
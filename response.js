@@ -0,0 +1,264 @@
+// Asking the model for structured output and making sense of what comes back
+
+// Fields of the JSON object the model is asked for
+const FIELDS = {
+  title: 'A clear, concise title summarizing the changes',
+  summary: 'What was changed and why, in a short paragraph',
+  changes: ['Each notable change, one per item'],
+  testing: 'How the changes were or should be tested',
+  breaking_changes: ['Each breaking change, empty if there are none'],
+  linked_issues: ['Issues this pull request relates to, e.g. "#123", empty if there are none'],
+  change_type: 'What kind of change this is: "bugfix", "feature", "docs" or "breaking"'
+};
+
+const LIST_FIELDS = ['changes', 'breaking_changes', 'linked_issues'];
+
+// Kinds of change the model classifies a pull request as
+export const CHANGE_TYPES = ['bugfix', 'feature', 'docs', 'breaking'];
+
+// Output instructions for the prompt. With a PR template the model also
+// returns the filled-in template as "body", which is used as the description.
+// Pass withTemplate: false when the template is placed elsewhere in the prompt
+// (see templateInstructions).
+export function responseFormat(template, { withTemplate = true } = {}) {
+  const fields = template
+    ? { ...FIELDS, body: 'The filled-in pull request template, as markdown' }
+    : FIELDS;
+
+  const instructions = `Respond with only a JSON object, without any other text, matching this schema:
+${JSON.stringify(fields, null, 2)}`;
+
+  if (!template || !withTemplate) {
+    return instructions;
+  }
+
+  return `${instructions}
+
+${templateInstructions(template)}`;
+}
+
+// The PR template and the rules for filling it in, empty without a template
+export function templateInstructions(template) {
+  if (!template) {
+    return '';
+  }
+
+  return `The repository has a pull request template. Fill it in for "body":
+\`\`\`markdown
+${template.text.trim()}
+\`\`\`
+
+Rules for the template:
+- Keep every heading exactly as written and in the same order
+- Write the relevant content under each heading, "N/A" if nothing applies
+- Keep checkbox lines ("- [ ] ...") and HTML comments ("<!-- ... -->") unchanged`;
+}
+
+// Follow-up message asking the model to fix a reply that didn't validate
+export function repairPrompt(errors) {
+  return `Your reply could not be used: ${errors.join('; ')}. Reply again with only the JSON object matching the schema, without any other text.`;
+}
+
+// Check a parsed object against the schema and coerce near misses
+// (a string instead of a list, null instead of an empty field)
+export function validateStructured(value) {
+  const errors = [];
+
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return { data: null, errors: ['the reply is not a JSON object'] };
+  }
+
+  const data = { ...value };
+
+  if (typeof data.title !== 'string' || !data.title.trim()) {
+    errors.push('"title" must be a non-empty string');
+  }
+
+  for (const field of ['summary', 'testing', 'body']) {
+    if (data[field] === null || data[field] === undefined) {
+      data[field] = '';
+    } else if (typeof data[field] !== 'string') {
+      errors.push(`"${field}" must be a string`);
+    }
+  }
+
+  for (const field of LIST_FIELDS) {
+    if (data[field] === null || data[field] === undefined || data[field] === '') {
+      data[field] = [];
+    } else if (typeof data[field] === 'string') {
+      data[field] = [data[field]];
+    }
+
+    if (!Array.isArray(data[field]) || data[field].some(item => typeof item !== 'string')) {
+      errors.push(`"${field}" must be a list of strings`);
+    }
+  }
+
+  // Only used for suggestions, so an unknown kind is dropped rather than
+  // sent back for repair. Breaking changes make the change breaking.
+  const changeType = String(data.change_type || '').trim().toLowerCase();
+  data.change_type = CHANGE_TYPES.includes(changeType) ? changeType : null;
+  if (Array.isArray(data.breaking_changes) && data.breaking_changes.length > 0) {
+    data.change_type = 'breaking';
+  }
+
+  if (!data.summary && !data.body && (data.changes || []).length === 0) {
+    errors.push('"summary" and "changes" are both empty');
+  }
+
+  return { data, errors };
+}
+
+// Render the description from the structured fields
+export function renderBody(data) {
+  if (data.body) {
+    return data.body.trim();
+  }
+
+  const sections = [];
+  const list = items => items.map(item => `- ${item.replace(/^\s*[-*]\s+/, '')}`).join('\n');
+
+  if (data.summary) {
+    sections.push(data.summary.trim());
+  }
+  if (data.changes.length > 0) {
+    sections.push(`## Changes\n${list(data.changes)}`);
+  }
+  if (data.testing) {
+    sections.push(`## Testing\n${data.testing.trim()}`);
+  }
+  if (data.breaking_changes.length > 0) {
+    sections.push(`## Breaking Changes\n${list(data.breaking_changes)}`);
+  }
+  if (data.linked_issues.length > 0) {
+    sections.push(`## Linked Issues\n${list(data.linked_issues)}`);
+  }
+
+  return sections.join('\n\n');
+}
+
+// The JSON object in a reply, without surrounding text or ``` fences
+export function extractJson(text) {
+  const fenced = text.match(/```(?:json)?\s*\n([\s\S]*?)\n?```/i);
+  const source = fenced ? fenced[1] : text;
+  const start = source.indexOf('{');
+  const end = source.lastIndexOf('}');
+
+  return start !== -1 && end > start ? source.slice(start, end + 1) : null;
+}
+
+// Replies in the older "Title: ... Description: ..." text format, allowing
+// for markdown decoration such as "**Title:**" or "## Description"
+const TITLE_LINE = /^\s*(?:#{1,6}\s*)?[*_]*title[*_]*\s*:?[*_]*\s*:?\s*(.*)$/i;
+const DESCRIPTION_LINE = /^\s*(?:#{1,6}\s*)?[*_]*description[*_]*\s*:?[*_]*\s*:?\s*$/i;
+
+function parseTextResponse(text) {
+  const lines = text.split('\n');
+  const titleIndex = lines.findIndex(line => TITLE_LINE.test(line) && line.match(TITLE_LINE)[1].trim());
+  if (titleIndex === -1) {
+    return null;
+  }
+
+  const title = lines[titleIndex].match(TITLE_LINE)[1].replace(/[*_]+$/, '').trim();
+  const descriptionIndex = lines.findIndex((line, index) => index > titleIndex && DESCRIPTION_LINE.test(line));
+  const body = lines.slice(descriptionIndex === -1 ? titleIndex + 1 : descriptionIndex + 1).join('\n').trim();
+
+  return { title, body };
+}
+
+// Parse a complete reply. Returns { valid, errors, title, body }, where title
+// and body are a best effort even when the reply doesn't validate.
+export function parseResponse(text) {
+  const json = extractJson(text || '');
+
+  if (json) {
+    let value = null;
+    try {
+      value = JSON.parse(json);
+    } catch (error) {
+      // Fall through to the text format below
+    }
+
+    if (value) {
+      const { data, errors } = validateStructured(value);
+      return {
+        valid: errors.length === 0,
+        errors,
+        title: typeof data?.title === 'string' ? data.title.trim() : '',
+        body: data && errors.length === 0 ? renderBody(data) : '',
+        data: errors.length === 0 ? data : null
+      };
+    }
+  }
+
+  const legacy = parseTextResponse(text || '');
+  if (legacy && legacy.body) {
+    return { valid: true, errors: [], title: legacy.title, body: legacy.body, data: null };
+  }
+
+  return {
+    valid: false,
+    errors: [json ? 'the JSON object could not be parsed' : 'no JSON object was found in the reply'],
+    title: legacy?.title || '',
+    body: legacy?.body || '',
+    data: null
+  };
+}
+
+// Close whatever strings, objects and arrays are still open in a truncated
+// JSON document so that it can be parsed
+function closePartialJson(json) {
+  const stack = [];
+  let inString = false;
+  let escaped = false;
+
+  for (const char of json) {
+    if (inString) {
+      if (escaped) {
+        escaped = false;
+      } else if (char === '\\') {
+        escaped = true;
+      } else if (char === '"') {
+        inString = false;
+      }
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '{' || char === '[') {
+      stack.push(char === '{' ? '}' : ']');
+    } else if (char === '}' || char === ']') {
+      stack.pop();
+    }
+  }
+
+  let closed = inString ? `${json}"` : json;
+  closed = closed.replace(/:\s*$/, ': null').replace(/,\s*$/, '');
+
+  return closed + stack.reverse().join('');
+}
+
+// Best-effort title and body from a reply that is still streaming in
+export function parsePartialResponse(text) {
+  const start = (text || '').indexOf('{');
+
+  if (start === -1) {
+    return parseTextResponse(text || '') || { title: '', body: '' };
+  }
+
+  let json = text.slice(start).replace(/\s*```\s*$/, '');
+
+  // A key or literal cut off half way can't be closed, so back off a
+  // character at a time until the rest parses
+  for (let attempt = 0; attempt < 200 && json.length > 1; attempt++) {
+    try {
+      const { data } = validateStructured(JSON.parse(closePartialJson(json)));
+      return {
+        title: typeof data?.title === 'string' ? data.title.trim() : '',
+        body: data ? renderBody(data) : ''
+      };
+    } catch (error) {
+      json = json.slice(0, -1);
+    }
+  }
+
+  return { title: '', body: '' };
+}
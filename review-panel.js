@@ -0,0 +1,114 @@
+// Side panel with the reviewer briefing on pull request pages. Shares the
+// look of the preview panel (panel.js) and lives in its own shadow root.
+
+// What the panel currently shows: { markdown, headSha, status, busy }
+let reviewState = null;
+let reviewCallbacks = {};
+
+const REVIEW_PANEL_STYLES = `
+  .panel { height: 100%; max-height: none; border-radius: 0; border-width: 0 0 0 1px; }
+  .meta { padding: 0 12px; color: #656d76; font-size: 12px; }
+  .markdown code { background: #f6f8fa; padding: 1px 4px; border-radius: 4px; font-size: 12px; }
+`;
+
+const REVIEW_PANEL_HTML = `
+  <div class="panel">
+    <header>
+      <strong>📋 Review briefing</strong>
+      <span class="status"></span>
+      <button class="close" title="Close">✕</button>
+    </header>
+    <div class="redaction" hidden></div>
+    <p class="meta"></p>
+    <div class="content">
+      <div class="markdown"></div>
+    </div>
+    <footer>
+      <button data-action="post" class="primary" title="Post the briefing as a comment on the pull request">Post as comment</button>
+      <button data-action="copy">Copy</button>
+      <button data-action="regenerate" title="Write a new briefing instead of the cached one">Regenerate</button>
+    </footer>
+  </div>
+`;
+
+function getReviewPanelRoot() {
+  return document.getElementById('pr-script-review-host')?.shadowRoot || null;
+}
+
+// Open the panel (or reuse the open one). onRegenerate and onPost are called for those actions.
+function openReviewPanel({ onRegenerate, onPost }) {
+  reviewCallbacks = { onRegenerate, onPost };
+  reviewState = { markdown: '', headSha: null, createdAt: null, cached: false, status: '', busy: true };
+
+  if (!getReviewPanelRoot()) {
+    const host = document.createElement('div');
+    host.id = 'pr-script-review-host';
+    host.style.cssText = 'position: fixed; z-index: 10000; top: 0; right: 0; bottom: 0; width: 420px; max-width: 100vw;';
+
+    const root = host.attachShadow({ mode: 'open' });
+    root.innerHTML = `<style>${PANEL_STYLES}${REVIEW_PANEL_STYLES}</style>${REVIEW_PANEL_HTML}`;
+
+    root.querySelectorAll('[data-action]').forEach(button => {
+      button.addEventListener('click', () => handleReviewPanelAction(button.dataset.action));
+    });
+    root.querySelector('.close').addEventListener('click', closeReviewPanel);
+
+    document.body.appendChild(host);
+  }
+
+  getReviewPanelRoot().querySelector('.redaction').hidden = true;
+  renderReviewPanel();
+}
+
+// Show new content or status in the panel
+function updateReviewPanel(changes) {
+  if (!reviewState) {
+    return;
+  }
+
+  reviewState = { ...reviewState, ...changes };
+  renderReviewPanel();
+}
+
+function closeReviewPanel() {
+  document.getElementById('pr-script-review-host')?.remove();
+  reviewState = null;
+}
+
+function renderReviewPanel() {
+  const root = getReviewPanelRoot();
+  if (!root || !reviewState) {
+    return;
+  }
+
+  const { markdown, headSha, createdAt, cached, status, busy } = reviewState;
+
+  root.querySelector('.status').textContent = status;
+  root.querySelector('.markdown').innerHTML = renderMarkdown(markdown);
+
+  const meta = root.querySelector('.meta');
+  meta.hidden = !headSha;
+  if (headSha) {
+    const written = new Date(createdAt).toLocaleString();
+    meta.textContent = `For commit ${headSha.slice(0, 7)}, ${cached ? `cached from ${written}` : `written ${written}`}`;
+  }
+
+  root.querySelector('[data-action="post"]').disabled = busy || !markdown;
+  root.querySelector('[data-action="copy"]').disabled = busy || !markdown;
+  root.querySelector('[data-action="regenerate"]').disabled = busy;
+}
+
+async function handleReviewPanelAction(action) {
+  if (action === 'post') {
+    reviewCallbacks.onPost?.(reviewState);
+  } else if (action === 'copy') {
+    try {
+      await navigator.clipboard.writeText(reviewState.markdown);
+      updateReviewPanel({ status: 'Copied to the clipboard' });
+    } catch (error) {
+      updateReviewPanel({ status: 'Could not copy to the clipboard' });
+    }
+  } else if (action === 'regenerate') {
+    reviewCallbacks.onRegenerate?.();
+  }
+}
@@ -0,0 +1,178 @@
+// Reviewer briefings for pull requests opened by someone else: the prompt,
+// the structured reply, the markdown shown in the side panel and posted as a
+// comment, and a cache keyed by the pull request's head commit
+import { extractJson } from './response.js';
+
+export const REVIEW_SYSTEM_PROMPT = 'You are an experienced code reviewer preparing a briefing for a colleague who is about to review a pull request. Be specific and name files, do not praise the changes or restate the diff line by line.';
+
+// Fields of the JSON object the model is asked for
+const REVIEW_FIELDS = {
+  overview: 'What the pull request does, in two or three sentences',
+  areas: [{ area: 'A part of the code base, e.g. a module or directory', changes: 'What changed there' }],
+  risky_files: [{ path: 'A file that deserves a careful look', reason: 'Why' }],
+  missing_tests: ['Changed behaviour no test covers, empty if there is none'],
+  breaking_changes: ['Possible breaking changes for users or callers, empty if there are none'],
+  questions: ['Questions to ask the author']
+};
+
+// Reply fields holding lists of strings, and their names in the parsed briefing
+const LIST_FIELDS = {
+  missing_tests: 'missingTests',
+  breaking_changes: 'breakingChanges',
+  questions: 'questions'
+};
+
+// Briefings kept in chrome.storage.local, the oldest go first
+const CACHE_KEY = 'reviewCache';
+const MAX_CACHED_REVIEWS = 50;
+
+// Prompt for a briefing. Every part is already formatted for the prompt and
+// may be empty: the PR's title and description, branches, commits, changed files and diff.
+export function buildReviewPrompt({ title, description, branch, commits, files, diff }) {
+  const parts = [
+    `Prepare a review briefing for this GitHub pull request.
+
+Title: ${title}${branch ? `\nBranch: ${branch}` : ''}`,
+    description ? `Description by the author:\n${description}` : '',
+    commits,
+    files,
+    diff,
+    `Respond with only a JSON object, without any other text, matching this schema:
+${JSON.stringify(REVIEW_FIELDS, null, 2)}`
+  ];
+
+  return parts.filter(Boolean).join('\n\n');
+}
+
+// Coerce a list that should hold objects with the given keys, accepting plain
+// strings for the first key
+function normalizeItems(items, [first, second], field, errors) {
+  if (items === null || items === undefined || items === '') {
+    return [];
+  }
+  if (!Array.isArray(items)) {
+    errors.push(`"${field}" must be a list`);
+    return [];
+  }
+
+  return items
+    .map(item => (typeof item === 'string' ? { [first]: item, [second]: '' } : item))
+    .filter(item => {
+      const valid = item && typeof item[first] === 'string' && (item[second] === undefined || typeof item[second] === 'string');
+      if (!valid) {
+        errors.push(`"${field}" must be a list of objects with "${first}" and "${second}"`);
+      }
+      return valid;
+    })
+    .map(item => ({ [first]: item[first].trim(), [second]: (item[second] || '').trim() }));
+}
+
+// Parse a complete reply. Returns { valid, errors, review }, where review is
+// null unless the reply matches the schema.
+export function parseReview(text) {
+  const json = extractJson(text || '');
+  if (!json) {
+    return { valid: false, errors: ['no JSON object was found in the reply'], review: null };
+  }
+
+  let value;
+  try {
+    value = JSON.parse(json);
+  } catch (error) {
+    return { valid: false, errors: ['the JSON object could not be parsed'], review: null };
+  }
+
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return { valid: false, errors: ['the reply is not a JSON object'], review: null };
+  }
+
+  const errors = [];
+  const review = {
+    overview: typeof value.overview === 'string' ? value.overview.trim() : '',
+    areas: normalizeItems(value.areas, ['area', 'changes'], 'areas', errors),
+    riskyFiles: normalizeItems(value.risky_files, ['path', 'reason'], 'risky_files', errors)
+  };
+
+  for (const [field, name] of Object.entries(LIST_FIELDS)) {
+    const items = typeof value[field] === 'string' ? [value[field]] : value[field] || [];
+    if (!Array.isArray(items) || items.some(item => typeof item !== 'string')) {
+      errors.push(`"${field}" must be a list of strings`);
+      review[name] = [];
+    } else {
+      review[name] = items.map(item => item.trim()).filter(Boolean);
+    }
+  }
+
+  if (!review.overview && review.areas.length === 0) {
+    errors.push('"overview" and "areas" are both empty');
+  }
+
+  return { valid: errors.length === 0, errors, review: errors.length === 0 ? review : null };
+}
+
+// Markdown for a briefing, as shown in the side panel
+export function renderReview(review) {
+  const sections = [];
+  const list = items => items.map(item => `- ${item.replace(/^\s*[-*]\s+/, '')}`).join('\n');
+
+  if (review.overview) {
+    sections.push(`## Overview\n${review.overview}`);
+  }
+  if (review.areas.length > 0) {
+    sections.push(`## Changes by area\n${review.areas.map(({ area, changes }) => `- **${area}**${changes ? `: ${changes}` : ''}`).join('\n')}`);
+  }
+  if (review.riskyFiles.length > 0) {
+    sections.push(`## Risky files\n${review.riskyFiles.map(({ path, reason }) => `- \`${path}\`${reason ? `: ${reason}` : ''}`).join('\n')}`);
+  }
+  if (review.missingTests.length > 0) {
+    sections.push(`## Missing tests\n${list(review.missingTests)}`);
+  }
+  if (review.breakingChanges.length > 0) {
+    sections.push(`## Possible breaking changes\n${list(review.breakingChanges)}`);
+  }
+  if (review.questions.length > 0) {
+    sections.push(`## Questions for the author\n${list(review.questions)}`);
+  }
+
+  return sections.join('\n\n');
+}
+
+// A briefing as a pull request comment, saying which commit it describes
+export function formatReviewComment(markdown, headSha) {
+  // Smaller headings under the comment's own
+  const body = markdown.replace(/^## /gm, '#### ');
+
+  return `### 🤖 Review briefing
+
+${body}
+
+<sub>Generated by PR Script for ${headSha.slice(0, 7)}, may contain mistakes.</sub>`;
+}
+
+// Cache key for a pull request
+export function reviewCacheKey({ owner, repo, number }) {
+  return `${owner}/${repo}#${number}`.toLowerCase();
+}
+
+// The cached briefing for a pull request, or null when there is none for its current head commit.
+// Returns { review, headSha, createdAt }.
+export async function getCachedReview(storage, key, headSha) {
+  const { [CACHE_KEY]: cache = {} } = await storage.get(CACHE_KEY);
+  const entry = cache[key];
+
+  return entry && entry.headSha === headSha ? entry : null;
+}
+
+// Remember a briefing, replacing the one for an older head commit
+export async function cacheReview(storage, key, headSha, review) {
+  const { [CACHE_KEY]: cache = {} } = await storage.get(CACHE_KEY);
+  cache[key] = { review, headSha, createdAt: Date.now() };
+
+  const keys = Object.keys(cache).sort((a, b) => cache[b].createdAt - cache[a].createdAt);
+  for (const stale of keys.slice(MAX_CACHED_REVIEWS)) {
+    delete cache[stale];
+  }
+
+  await storage.set({ [CACHE_KEY]: cache });
+  return cache[key];
+}
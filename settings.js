@@ -0,0 +1,601 @@
+// Settings store. Settings live in chrome.storage.sync under one key each,
+// with "settingsVersion" recording the schema they were written with. Older
+// settings are brought up to date by the migrations below the first time
+// they are loaded. API keys and tokens are not settings, they live in the
+// credential vault (see vault.js).
+import { DEFAULT_PROVIDER, PROVIDERS } from './providers.js';
+import { HOST_TYPES } from './hosts.js';
+import { DEFAULT_PROFILE_ID, matchesRepository, mergeProfiles, validateProfile } from './profiles.js';
+import { compileRule, DETECTORS } from './redaction.js';
+import { GITHUB_SECRET, hostSecret, providerSecret } from './vault.js';
+
+export const SETTINGS_VERSION = 2;
+
+export const DEFAULT_SETTINGS = {
+  // Selected LLM provider, and { baseUrl, model, fallbackModels,
+  // contextTokens } for each provider. The fallback models are tried in order
+  // when the model fails. contextTokens overrides the provider's context
+  // window (null for its default), e.g. for small self-hosted models.
+  llmProvider: DEFAULT_PROVIDER,
+  providerSettings: {},
+  // Requests to the model give up after timeoutSeconds per attempt and are
+  // retried up to maxRetries times on rate limits and server errors
+  network: {
+    timeoutSeconds: 60,
+    maxRetries: 3
+  },
+  // Code hosts besides github.com (see hosts.js): [{ type, url }] with url
+  // the host's origin, e.g. "https://gitlab.example.com"
+  hosts: [],
+  // Custom prompt profiles (the built-in ones live in profiles.js)
+  promptProfiles: [],
+  defaultProfile: DEFAULT_PROFILE_ID,
+  // Settings for repositories matching an "owner/repo" glob, first match wins:
+  // [{ pattern, profile, provider, model, sendDiff, excludedPaths, confidential }],
+  // empty fields keep the defaults. Nothing is sent for confidential repositories.
+  repositoryOverrides: [],
+  // What may be sent to the model: the diff at all, and paths never to mention
+  privacy: {
+    sendDiff: true,
+    excludedPaths: []
+  },
+  // Masking of credentials and personal data in the prompt (see redaction.js).
+  // customRules are [{ name, pattern }]. With confirmBeforeSending, nothing is
+  // sent after something was masked until the user has seen the report.
+  redaction: {
+    enabled: true,
+    disabledDetectors: [],
+    customRules: [],
+    confirmBeforeSending: false
+  },
+  // Issue references from branch names and commits (see issues.js). jiraProjects
+  // are key prefixes such as "PROJ", jiraUrl links a key, with {key} in its place.
+  issues: {
+    enabled: true,
+    jiraProjects: [],
+    jiraUrl: ''
+  },
+  // Conventional Commits titles and grouped changes (see conventional.js):
+  // 'auto' when most commits follow the convention, 'always' or 'off'
+  conventionalCommits: 'auto',
+  // Generation history in IndexedDB (see history.js): how many versions are
+  // kept per base...head and for how many days
+  history: {
+    enabled: true,
+    maxPerPullRequest: 20,
+    maxAgeDays: 90
+  },
+  // Model replies cached by request (see cache.js), for ttlMinutes
+  cache: {
+    enabled: true,
+    ttlMinutes: 60
+  },
+  // Token usage and cost tracking (see usage.js). prices are
+  // [{ model, prompt, completion }] in USD per million tokens, "*" matching
+  // anything in the model. Past warnPercent of monthlyBudget (USD, 0 for
+  // none) generations warn, once all of it is used they are refused.
+  usage: {
+    prices: [
+      { model: '*:free', prompt: 0, completion: 0 },
+      { model: 'gpt-4o-mini', prompt: 0.15, completion: 0.6 },
+      { model: 'gpt-4o', prompt: 2.5, completion: 10 },
+      { model: 'claude-3-5-haiku*', prompt: 0.8, completion: 4 },
+      { model: 'claude-3-5-sonnet*', prompt: 3, completion: 15 }
+    ],
+    monthlyBudget: 0,
+    warnPercent: 80
+  }
+};
+
+// Each migration takes the stored data of one version to the next.
+// MIGRATIONS[0] goes from the unversioned settings to version 1.
+const MIGRATIONS = [
+  (data) => {
+    const migrated = { ...data };
+
+    // The OpenRouter key used to be stored on its own
+    if (data.openrouterApiKey) {
+      const providerSettings = { ...data.providerSettings };
+      providerSettings.openrouter = {
+        ...providerSettings.openrouter,
+        apiKey: providerSettings.openrouter?.apiKey || data.openrouterApiKey
+      };
+      migrated.providerSettings = providerSettings;
+    }
+    delete migrated.openrouterApiKey;
+
+    // Per-repository profiles became general repository overrides
+    if (Array.isArray(data.profileMappings)) {
+      migrated.repositoryOverrides = data.profileMappings.map(mapping => ({
+        pattern: mapping.pattern,
+        profile: mapping.profile
+      }));
+    }
+    delete migrated.profileMappings;
+
+    return migrated;
+  },
+  // API keys and tokens moved to the vault, see extractSecrets()
+  (data) => {
+    const migrated = { ...data };
+
+    if (data.providerSettings) {
+      migrated.providerSettings = {};
+      for (const [id, config] of Object.entries(data.providerSettings)) {
+        const { apiKey, ...rest } = config || {};
+        migrated.providerSettings[id] = rest;
+      }
+    }
+    if (Array.isArray(data.hosts)) {
+      migrated.hosts = data.hosts.map(({ token, ...host }) => host);
+    }
+    delete migrated.githubToken;
+
+    return migrated;
+  }
+];
+
+// Keys the migrations remove from storage
+const RETIRED_KEYS = ['openrouterApiKey', 'profileMappings', 'githubToken'];
+
+// The API keys and tokens in stored or exported settings, as { name: value }
+// for the vault: the fields settings before version 2 kept them in
+export function extractSecrets(data) {
+  const secrets = {};
+
+  const add = (name, value) => {
+    if (typeof value === 'string' && value.trim()) {
+      secrets[name] = value.trim();
+    }
+  };
+
+  add(providerSecret('openrouter'), data.openrouterApiKey);
+  for (const [id, config] of Object.entries(data.providerSettings || {})) {
+    if (PROVIDERS[id]) {
+      add(providerSecret(id), config?.apiKey);
+    }
+  }
+  add(GITHUB_SECRET, data.githubToken);
+  for (const host of Array.isArray(data.hosts) ? data.hosts : []) {
+    try {
+      add(hostSecret(host.url), host.token);
+    } catch (error) {
+      // Not a URL, the host is rejected when the settings are validated
+    }
+  }
+
+  return secrets;
+}
+
+// Run the migrations a set of stored (or imported) settings still needs
+export function migrateSettings(data) {
+  let migrated = { ...data };
+
+  for (let version = data.settingsVersion || 0; version < SETTINGS_VERSION; version++) {
+    migrated = MIGRATIONS[version](migrated);
+  }
+
+  migrated.settingsVersion = SETTINGS_VERSION;
+  return migrated;
+}
+
+// Check settings before they are stored, filling in defaults for anything
+// missing. Throws with a message saying what is wrong.
+export function validateSettings(settings) {
+  const valid = { ...DEFAULT_SETTINGS };
+
+  if (settings.llmProvider !== undefined) {
+    if (!PROVIDERS[settings.llmProvider]) {
+      throw new Error(`Unknown provider: ${settings.llmProvider}`);
+    }
+    valid.llmProvider = settings.llmProvider;
+  }
+
+  if (settings.providerSettings !== undefined) {
+    valid.providerSettings = {};
+    for (const [id, config] of Object.entries(settings.providerSettings || {})) {
+      if (!PROVIDERS[id]) {
+        throw new Error(`Unknown provider: ${id}`);
+      }
+      valid.providerSettings[id] = {
+        baseUrl: validateBaseUrl(config?.baseUrl),
+        model: typeof config?.model === 'string' ? config.model.trim() : '',
+        fallbackModels: validateModelList(config?.fallbackModels),
+        contextTokens: validateLimit(config?.contextTokens, null, 2000000, 'Context window', 2048)
+      };
+    }
+  }
+
+  if (settings.network !== undefined) {
+    valid.network = {
+      timeoutSeconds: validateLimit(settings.network?.timeoutSeconds, DEFAULT_SETTINGS.network.timeoutSeconds, 600, 'Timeout'),
+      maxRetries: validateLimit(settings.network?.maxRetries, DEFAULT_SETTINGS.network.maxRetries, 10, 'Retries', 0)
+    };
+  }
+
+  if (settings.hosts !== undefined) {
+    valid.hosts = validateHosts(settings.hosts);
+  }
+
+  if (settings.promptProfiles !== undefined) {
+    if (!Array.isArray(settings.promptProfiles)) {
+      throw new Error('Prompt profiles must be a list');
+    }
+    valid.promptProfiles = settings.promptProfiles.map(validateProfile);
+  }
+
+  const profileIds = new Set(mergeProfiles(valid.promptProfiles).map(profile => profile.id));
+
+  if (settings.defaultProfile !== undefined) {
+    if (!profileIds.has(settings.defaultProfile)) {
+      throw new Error(`Unknown profile: ${settings.defaultProfile}`);
+    }
+    valid.defaultProfile = settings.defaultProfile;
+  }
+
+  if (settings.repositoryOverrides !== undefined) {
+    valid.repositoryOverrides = validateRepositoryOverrides(settings.repositoryOverrides, profileIds);
+  }
+
+  if (settings.privacy !== undefined) {
+    valid.privacy = {
+      sendDiff: settings.privacy?.sendDiff !== false,
+      excludedPaths: validatePathPatterns(settings.privacy?.excludedPaths)
+    };
+  }
+
+  if (settings.redaction !== undefined) {
+    valid.redaction = validateRedaction(settings.redaction || {});
+  }
+
+  if (settings.issues !== undefined) {
+    valid.issues = validateIssueSettings(settings.issues || {});
+  }
+
+  if (settings.conventionalCommits !== undefined) {
+    if (!['auto', 'always', 'off'].includes(settings.conventionalCommits)) {
+      throw new Error('Conventional Commits must be "auto", "always" or "off"');
+    }
+    valid.conventionalCommits = settings.conventionalCommits;
+  }
+
+  if (settings.history !== undefined) {
+    valid.history = validateHistorySettings(settings.history || {});
+  }
+
+  if (settings.cache !== undefined) {
+    valid.cache = validateCacheSettings(settings.cache || {});
+  }
+
+  if (settings.usage !== undefined) {
+    valid.usage = validateUsageSettings(settings.usage || {});
+  }
+
+  return valid;
+}
+
+function validatePathPatterns(patterns = []) {
+  if (!Array.isArray(patterns) || patterns.some(pattern => typeof pattern !== 'string')) {
+    throw new Error('Excluded paths must be a list of patterns');
+  }
+
+  return patterns.map(pattern => pattern.trim()).filter(Boolean);
+}
+
+// A whole number from min to max, the fallback when it is left empty
+function validateLimit(value, fallback, max, name, min = 1) {
+  if (value === undefined || value === null || value === '') {
+    return fallback;
+  }
+
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new Error(`${name} must be a whole number from ${min} to ${max}`);
+  }
+  return number;
+}
+
+function validateModelList(models = []) {
+  if (!Array.isArray(models) || models.some(model => typeof model !== 'string')) {
+    throw new Error('Fallback models must be a list of model names');
+  }
+
+  return [...new Set(models.map(model => model.trim()).filter(Boolean))];
+}
+
+function validateCacheSettings(cache) {
+  return {
+    enabled: cache.enabled !== false,
+    // Up to a week
+    ttlMinutes: validateLimit(cache.ttlMinutes, DEFAULT_SETTINGS.cache.ttlMinutes, 10080, 'Cache lifetime')
+  };
+}
+
+// An amount of money from 0, the fallback when it is left empty
+function validateAmount(value, fallback, name) {
+  if (value === undefined || value === null || value === '') {
+    return fallback;
+  }
+
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) {
+    throw new Error(`${name} must be a number from 0`);
+  }
+  return number;
+}
+
+function validateUsageSettings(usage) {
+  const prices = usage.prices ?? DEFAULT_SETTINGS.usage.prices;
+  if (!Array.isArray(prices) || prices.some(price => typeof price?.model !== 'string' || !price.model.trim())) {
+    throw new Error('Prices must be a list of models with a price per million tokens');
+  }
+
+  return {
+    prices: prices.map(price => ({
+      model: price.model.trim(),
+      prompt: validateAmount(price.prompt, 0, `The input price of ${price.model.trim()}`),
+      completion: validateAmount(price.completion, 0, `The output price of ${price.model.trim()}`)
+    })),
+    monthlyBudget: validateAmount(usage.monthlyBudget, DEFAULT_SETTINGS.usage.monthlyBudget, 'The monthly budget'),
+    warnPercent: validateLimit(usage.warnPercent, DEFAULT_SETTINGS.usage.warnPercent, 100, 'The warning threshold')
+  };
+}
+
+function validateHistorySettings(history) {
+  return {
+    enabled: history.enabled !== false,
+    maxPerPullRequest: validateLimit(history.maxPerPullRequest, DEFAULT_SETTINGS.history.maxPerPullRequest, 100, 'Versions kept per pull request'),
+    maxAgeDays: validateLimit(history.maxAgeDays, DEFAULT_SETTINGS.history.maxAgeDays, 3650, 'Days to keep the history')
+  };
+}
+
+function validateIssueSettings(issues) {
+  const jiraProjects = issues.jiraProjects || [];
+  const jiraUrl = typeof issues.jiraUrl === 'string' ? issues.jiraUrl.trim() : '';
+
+  if (!Array.isArray(jiraProjects) || jiraProjects.some(project => typeof project !== 'string' || !/^[A-Za-z][A-Za-z0-9_]*$/.test(project.trim()))) {
+    throw new Error('Jira projects must be keys such as PROJ');
+  }
+  if (jiraUrl && (!/^https?:\/\//.test(jiraUrl) || !jiraUrl.includes('{key}'))) {
+    throw new Error('The Jira URL must start with http:// or https:// and contain {key}');
+  }
+
+  return {
+    enabled: issues.enabled !== false,
+    jiraProjects: jiraProjects.map(project => project.trim().toUpperCase()),
+    jiraUrl: jiraUrl
+  };
+}
+
+function validateRedaction(redaction) {
+  const detectorIds = DETECTORS.map(detector => detector.id);
+  const disabledDetectors = redaction.disabledDetectors || [];
+  const customRules = redaction.customRules || [];
+
+  if (!Array.isArray(disabledDetectors) || disabledDetectors.some(id => !detectorIds.includes(id))) {
+    throw new Error(`Disabled detectors must be some of: ${detectorIds.join(', ')}`);
+  }
+  if (!Array.isArray(customRules)) {
+    throw new Error('Custom redaction rules must be a list');
+  }
+
+  return {
+    enabled: redaction.enabled !== false,
+    disabledDetectors: disabledDetectors,
+    customRules: customRules.map((rule, index) => {
+      const name = typeof rule?.name === 'string' ? rule.name.trim() : '';
+      const pattern = typeof rule?.pattern === 'string' ? rule.pattern.trim() : '';
+      let compiled;
+      try {
+        compiled = compileRule(pattern);
+      } catch (error) {
+        throw new Error(`Redaction rule ${name || index + 1} is not a valid regular expression: ${error.message}`);
+      }
+      // An empty match would put placeholders between every character
+      if (compiled.test('')) {
+        throw new Error(`Redaction rule ${name || index + 1} must not match empty text`);
+      }
+
+      return { name, pattern };
+    }),
+    confirmBeforeSending: redaction.confirmBeforeSending === true
+  };
+}
+
+function validateBaseUrl(baseUrl) {
+  if (!baseUrl) {
+    return '';
+  }
+
+  let url;
+  try {
+    url = new URL(baseUrl);
+  } catch (error) {
+    throw new Error(`Invalid base URL: ${baseUrl}`);
+  }
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+    throw new Error(`Invalid base URL: ${baseUrl}`);
+  }
+
+  return baseUrl.trim().replace(/\/+$/, '');
+}
+
+function validateHosts(hosts) {
+  if (!Array.isArray(hosts)) {
+    throw new Error('Hosts must be a list');
+  }
+
+  const origins = new Set();
+  return hosts.map((host) => {
+    if (!HOST_TYPES[host?.type]) {
+      throw new Error(`Unknown host type: ${host?.type}`);
+    }
+
+    let url;
+    try {
+      url = new URL(String(host.url).trim());
+    } catch (error) {
+      throw new Error(`Invalid host URL: ${host.url}`);
+    }
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+      throw new Error(`Invalid host URL: ${host.url}`);
+    }
+    if (url.hostname === 'github.com') {
+      throw new Error('github.com is always supported, use the GitHub token for it');
+    }
+    if (origins.has(url.origin)) {
+      throw new Error(`${url.origin} is listed twice`);
+    }
+    origins.add(url.origin);
+
+    return {
+      type: host.type,
+      url: url.origin
+    };
+  });
+}
+
+function validateRepositoryOverrides(overrides, profileIds) {
+  if (!Array.isArray(overrides)) {
+    throw new Error('Repository overrides must be a list');
+  }
+
+  return overrides.map(override => {
+    const pattern = typeof override?.pattern === 'string' ? override.pattern.trim() : '';
+    if (!/^[^/\s]+\/[^/\s]+$/.test(pattern)) {
+      throw new Error(`"${pattern}" is not an owner/repository pattern`);
+    }
+    if (override.profile && !profileIds.has(override.profile)) {
+      throw new Error(`Unknown profile "${override.profile}" for ${pattern}`);
+    }
+    if (override.provider && !PROVIDERS[override.provider]) {
+      throw new Error(`Unknown provider "${override.provider}" for ${pattern}`);
+    }
+
+    return {
+      pattern,
+      profile: override.profile || '',
+      provider: override.provider || '',
+      model: typeof override.model === 'string' ? override.model.trim() : '',
+      // null keeps the global privacy setting
+      sendDiff: typeof override.sendDiff === 'boolean' ? override.sendDiff : null,
+      // Added to the global excluded paths
+      excludedPaths: validatePathPatterns(override.excludedPaths),
+      confidential: override.confidential === true
+    };
+  });
+}
+
+// Load the settings, migrating older ones in storage first. API keys and
+// tokens stored by older versions go to saveSecrets(secrets) on the way,
+// before they are removed from storage.
+export async function loadSettings(storage, { saveSecrets = null } = {}) {
+  const stored = await storage.get(null);
+
+  if ((stored.settingsVersion || 0) < SETTINGS_VERSION) {
+    const secrets = extractSecrets(stored);
+    if (saveSecrets && Object.keys(secrets).length > 0) {
+      await saveSecrets(secrets);
+    }
+
+    const migrated = migrateSettings(stored);
+    await storage.set(migrated);
+    await storage.remove(RETIRED_KEYS);
+    return readSettings(migrated);
+  }
+
+  return readSettings(stored);
+}
+
+// Stored values over the defaults, ignoring anything that doesn't validate
+function readSettings(stored) {
+  const settings = {};
+
+  // In key order, so the custom profiles are read before the settings that refer to them
+  for (const key of Object.keys(DEFAULT_SETTINGS)) {
+    if (stored[key] === undefined) {
+      settings[key] = structuredClone(DEFAULT_SETTINGS[key]);
+      continue;
+    }
+
+    try {
+      settings[key] = validateSettings({ promptProfiles: settings.promptProfiles, [key]: stored[key] })[key];
+    } catch (error) {
+      console.error(`PR Script: Ignoring invalid setting "${key}":`, error);
+      settings[key] = structuredClone(DEFAULT_SETTINGS[key]);
+    }
+  }
+
+  return settings;
+}
+
+// Validate and store changed settings, returning the full settings
+export async function saveSettings(storage, changes, options = {}) {
+  const current = await loadSettings(storage, options);
+  const valid = validateSettings({ ...current, ...changes });
+
+  const update = { settingsVersion: SETTINGS_VERSION };
+  for (const key of Object.keys(changes)) {
+    if (key in DEFAULT_SETTINGS) {
+      update[key] = valid[key];
+    }
+  }
+
+  await storage.set(update);
+  return { ...current, ...update };
+}
+
+// Put every setting back to its default
+export async function resetSettings(storage) {
+  await storage.clear();
+  await storage.set({ settingsVersion: SETTINGS_VERSION });
+}
+
+// JSON backup of the settings. API keys and tokens stay in the vault, so the
+// file can be shared.
+export function exportSettings(settings) {
+  const data = {};
+  for (const key of Object.keys(DEFAULT_SETTINGS)) {
+    data[key] = settings[key];
+  }
+
+  return JSON.stringify({ settingsVersion: SETTINGS_VERSION, ...data }, null, 2);
+}
+
+// Read a backup made with exportSettings(), migrating it if it comes from an
+// older version. Returns { settings, secrets } with the API keys and tokens
+// in the file for the vault; the ones it doesn't have stay as they are.
+export function importSettings(json, currentSettings) {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch (error) {
+    throw new Error('The file is not valid JSON');
+  }
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('The file does not contain settings');
+  }
+  if ((data.settingsVersion || 0) > SETTINGS_VERSION) {
+    throw new Error('The file comes from a newer version of the extension');
+  }
+
+  const migrated = migrateSettings(data);
+  const imported = {};
+  for (const key of Object.keys(DEFAULT_SETTINGS)) {
+    if (migrated[key] !== undefined) {
+      imported[key] = migrated[key];
+    }
+  }
+
+  return {
+    settings: validateSettings({ ...currentSettings, ...imported }),
+    secrets: extractSecrets(data)
+  };
+}
+
+// The override for a repository ("owner/repo"), or an empty one
+export function findRepositoryOverride(settings, repository) {
+  const override = repository && settings.repositoryOverrides.find(candidate => matchesRepository(candidate.pattern, repository));
+  return override || { pattern: null, profile: '', provider: '', model: '', sendDiff: null, excludedPaths: [], confidential: false };
+}
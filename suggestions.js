@@ -0,0 +1,220 @@
+// Reviewer, label and draft suggestions for a pull request, from the
+// repository's CODEOWNERS, the changed paths and the model's classification
+// of the change (see CHANGE_TYPES in response.js)
+
+// Where GitHub looks for CODEOWNERS, in order
+const CODEOWNERS_FILES = ['.github/CODEOWNERS', 'CODEOWNERS', 'docs/CODEOWNERS'];
+
+// Reviewers suggested at most
+export const MAX_REVIEWERS = 3;
+
+// Names repositories give the label for each kind of change, compared
+// without case, punctuation or a prefix such as "type:" or "kind/"
+const CHANGE_LABELS = {
+  bugfix: ['bug', 'bugfix', 'fix', 'defect'],
+  feature: ['feature', 'enhancement', 'newfeature', 'feat'],
+  docs: ['docs', 'documentation'],
+  breaking: ['breaking', 'breakingchange', 'major', 'semvermajor']
+};
+
+const CHANGE_DESCRIPTIONS = {
+  bugfix: 'a bug fix',
+  feature: 'a feature',
+  docs: 'documentation',
+  breaking: 'a breaking change'
+};
+
+// Labels for pull requests that only touch one kind of file
+const PATH_LABELS = [
+  { names: CHANGE_LABELS.docs, test: path => /\.(md|mdx|markdown|rst|adoc)$/i.test(path) || /(^|\/)docs?\//i.test(path) },
+  { names: ['tests', 'test', 'testing'], test: path => /(^|\/)(tests?|__tests__|spec)\/|\.(test|spec)\.[^/]+$|_test\.[^/]+$/i.test(path) },
+  { names: ['dependencies', 'deps'], test: path => /(^|\/)(package(-lock)?\.json|yarn\.lock|pnpm-lock\.yaml|Gemfile(\.lock)?|go\.(mod|sum)|Cargo\.(toml|lock)|requirements[^/]*\.txt|poetry\.lock|composer\.(json|lock))$/.test(path) },
+  { names: ['ci', 'githubactions'], test: path => path.startsWith('.github/workflows/') }
+];
+
+// Titles and commit subjects of work that isn't ready for review
+const WORK_IN_PROGRESS = /^\s*(\[(wip|draft)\]|\(wip\)|wip\b|do not merge\b|dnm\b)/i;
+const FIXUP = /^(fixup|squash|amend)! /;
+
+// The repository's CODEOWNERS text, null if it has none
+export async function fetchCodeowners(client, owner, repo) {
+  for (const path of CODEOWNERS_FILES) {
+    const text = await client.getFileText(owner, repo, path);
+    if (text) {
+      return text;
+    }
+  }
+
+  return null;
+}
+
+// Parse CODEOWNERS into [{ pattern, owners }], in file order. Owners are
+// "@user", "@org/team" or email addresses, as written.
+export function parseCodeowners(text) {
+  const rules = [];
+
+  for (const line of (text || '').split('\n')) {
+    // A "#" starts a comment unless it is escaped
+    const [pattern, ...owners] = line.replace(/(^|\s)#.*$/, '').trim().split(/\s+/);
+    if (pattern) {
+      rules.push({ pattern: pattern.replace(/\\#/g, '#'), owners });
+    }
+  }
+
+  return rules;
+}
+
+// A CODEOWNERS pattern as a regular expression for repository paths. Patterns
+// follow .gitignore: a slash at the start or in the middle anchors them to the
+// root, and a pattern naming a directory covers everything in it, except that
+// "dir/*" only covers the files directly in dir.
+function codeownersPattern(pattern) {
+  const anchored = pattern.startsWith('/') || pattern.slice(0, -1).includes('/');
+  const directory = pattern.endsWith('/');
+  const source = pattern.replace(/^\//, '').replace(/\/$/, '');
+
+  const regex = source.split(/(\*\*\/|\*\*|\*|\?)/).map((part) => {
+    if (part === '**/') {
+      return '(?:.*/)?';
+    }
+    if (part === '**') {
+      return '.*';
+    }
+    if (part === '*') {
+      return '[^/]*';
+    }
+    if (part === '?') {
+      return '[^/]';
+    }
+    return part.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  }).join('');
+
+  const end = directory ? '/' : source.endsWith('/*') ? '$' : '(?:/|$)';
+  return new RegExp(`^${anchored ? '' : '(?:.*/)?'}${regex}${end}`);
+}
+
+// Owners of a path: those of the last rule that matches it, as in GitHub.
+// A rule without owners leaves the path unowned.
+export function findOwners(rules, path) {
+  for (let index = rules.length - 1; index >= 0; index--) {
+    if (codeownersPattern(rules[index].pattern).test(path)) {
+      return rules[index].owners;
+    }
+  }
+
+  return [];
+}
+
+// Code owners of the changed paths who can be asked for a review, those
+// owning the most files first. The author can't review their own pull
+// request, and email owners can't be requested through GitHub.
+// Returns [{ kind: 'reviewer' | 'team', value, label, reason }].
+export function suggestReviewers(rules, paths, { author = null, requested = [], limit = MAX_REVIEWERS } = {}) {
+  const counts = new Map();
+  const skip = new Set([author, ...requested].filter(Boolean).map(name => name.toLowerCase()));
+
+  for (const path of paths) {
+    for (const owner of findOwners(rules, path)) {
+      if (owner.startsWith('@')) {
+        counts.set(owner, (counts.get(owner) || 0) + 1);
+      }
+    }
+  }
+
+  return [...counts.entries()]
+    .map(([owner, count]) => {
+      const team = owner.includes('/');
+      return {
+        kind: team ? 'team' : 'reviewer',
+        // Teams are requested by their slug, without the organization
+        value: team ? owner.split('/')[1] : owner.slice(1),
+        label: owner,
+        reason: `Code owner of ${count} of the ${paths.length} changed file${paths.length === 1 ? '' : 's'}`,
+        count
+      };
+    })
+    .filter(suggestion => !skip.has(suggestion.value.toLowerCase()))
+    .sort((a, b) => b.count - a.count)
+    .slice(0, limit)
+    .map(({ count, ...suggestion }) => suggestion);
+}
+
+function normalizeLabel(name) {
+  return name.toLowerCase().replace(/^[^:/]*[:/]\s*(?=\S)/, '').replace(/[^a-z0-9]/g, '');
+}
+
+// Labels of the repository that fit the kind of change and the changed
+// paths, skipping the ones the pull request already has. labels are names.
+// Returns [{ kind: 'label', value, label, reason }].
+export function suggestLabels(labels, { changeType = null, paths = [], applied = [] } = {}) {
+  const wanted = [];
+  if (CHANGE_LABELS[changeType]) {
+    wanted.push({ names: CHANGE_LABELS[changeType], reason: `Classified as ${CHANGE_DESCRIPTIONS[changeType]}` });
+  }
+  for (const { names, test } of PATH_LABELS) {
+    if (paths.length > 0 && paths.every(test)) {
+      wanted.push({ names, reason: 'Only touches these files' });
+    }
+  }
+
+  const skip = new Set(applied.map(name => name.toLowerCase()));
+  const suggestions = [];
+  for (const { names, reason } of wanted) {
+    // The repository's first label of that kind
+    const label = labels.find(name => names.includes(normalizeLabel(name)));
+    if (label && !skip.has(label.toLowerCase()) && !suggestions.some(suggestion => suggestion.value === label)) {
+      suggestions.push({ kind: 'label', value: label, label, reason });
+    }
+  }
+
+  return suggestions;
+}
+
+// Whether the pull request looks like work in progress, from its title and
+// commits ({ subject }). Returns { draft, reason }.
+export function suggestDraft({ title = '', commits = [] } = {}) {
+  if (WORK_IN_PROGRESS.test(title)) {
+    return { draft: true, reason: 'The title marks it as work in progress' };
+  }
+  if (commits.some(commit => WORK_IN_PROGRESS.test(commit.subject))) {
+    return { draft: true, reason: 'A commit is marked as work in progress' };
+  }
+  if (commits.some(commit => FIXUP.test(commit.subject))) {
+    return { draft: true, reason: 'Some commits are still to be squashed (fixup! or squash!)' };
+  }
+
+  return { draft: false, reason: 'Nothing marks it as work in progress' };
+}
+
+// All suggestions for a pull request, chips in the order they are shown.
+// files are the changed files ({ path }) and commits ({ subject }) as
+// collected for the description. pullRequest is the existing pull request as
+// GitHub's API returns it, null for one that is still being created, which
+// can only become a draft.
+export function buildSuggestions({ codeowners = null, labels = [], files = [], commits = [], title = '', changeType = null, author = null, pullRequest = null }) {
+  const paths = files.map(file => file.path);
+  const draft = suggestDraft({ title, commits });
+
+  const suggestions = [
+    ...suggestReviewers(parseCodeowners(codeowners), paths, {
+      author: pullRequest?.user?.login || author,
+      requested: [
+        ...(pullRequest?.requested_reviewers || []).map(user => user.login),
+        ...(pullRequest?.requested_teams || []).map(team => team.slug)
+      ]
+    }),
+    ...suggestLabels(labels, {
+      changeType,
+      paths,
+      applied: (pullRequest?.labels || []).map(label => label.name)
+    })
+  ];
+
+  if (pullRequest ? draft.draft !== Boolean(pullRequest.draft) : draft.draft) {
+    suggestions.push(draft.draft
+      ? { kind: 'draft', value: true, label: 'Draft', reason: draft.reason }
+      : { kind: 'ready', value: false, label: 'Ready for review', reason: draft.reason });
+  }
+
+  return suggestions;
+}
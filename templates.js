@@ -0,0 +1,184 @@
+// Repository pull request templates
+
+// Where GitHub looks for a single pull request template, in order
+const TEMPLATE_FILES = [
+  '.github/pull_request_template.md',
+  '.github/PULL_REQUEST_TEMPLATE.md',
+  'pull_request_template.md',
+  'PULL_REQUEST_TEMPLATE.md',
+  'docs/pull_request_template.md',
+  'docs/PULL_REQUEST_TEMPLATE.md'
+];
+
+// Directories that can hold several templates, picked with "?template=name.md"
+const TEMPLATE_DIRECTORIES = [
+  '.github/PULL_REQUEST_TEMPLATE',
+  'PULL_REQUEST_TEMPLATE',
+  'docs/PULL_REQUEST_TEMPLATE'
+];
+
+// How long a repository's template (or that it has none) is remembered, ms
+export const TEMPLATE_CACHE_TTL = 30 * 60 * 1000;
+
+const HEADING = /^\s{0,3}(#{1,6})\s+(.+?)\s*#*\s*$/;
+const CHECKBOX = /^\s*[-*]\s+\[[ xX]\]\s+/;
+const UNTICKED = /^\s*[-*]\s+\[ \]\s+/;
+const HTML_COMMENT = /<!--[\s\S]*?-->/g;
+
+// Whether the text GitHub pre-filled into the body field looks like a
+// template rather than something the user wrote
+export function looksLikeTemplate(text) {
+  return Boolean(text) && text.split('\n').some(line =>
+    HEADING.test(line) || CHECKBOX.test(line) || line.trim().startsWith('<!--')
+  );
+}
+
+// Whether a description is empty or still just the template: nothing but
+// headings, unticked checkboxes, HTML comments and lines of the template
+export function isTemplateOnly(text, template = null) {
+  const templateLines = new Set((template || '').split('\n').map(line => line.trim()).filter(Boolean));
+
+  return (text || '').replace(HTML_COMMENT, '').split('\n').every((line) => {
+    const trimmed = line.trim();
+    return !trimmed || HEADING.test(line) || UNTICKED.test(line) || templateLines.has(trimmed);
+  });
+}
+
+// Fetch the repository's pull request template. With several templates in a
+// PULL_REQUEST_TEMPLATE/ directory, the one named in the page's "template"
+// query parameter wins, otherwise the first one in alphabetical order.
+export async function fetchPullRequestTemplate(client, owner, repo, templateName = null) {
+  for (const directory of TEMPLATE_DIRECTORIES) {
+    const listing = await client.getContents(owner, repo, directory);
+    if (!Array.isArray(listing)) {
+      continue;
+    }
+
+    const templates = listing
+      .filter(entry => entry.type === 'file' && /\.(md|markdown|txt)$/i.test(entry.name))
+      .sort((a, b) => a.name.localeCompare(b.name));
+
+    const chosen = templates.find(entry => entry.name.toLowerCase() === (templateName || '').toLowerCase());
+
+    if (chosen || (!templateName && templates.length > 0)) {
+      const entry = chosen || templates[0];
+      return { path: entry.path, text: await client.getFileText(owner, repo, entry.path) };
+    }
+  }
+
+  for (const path of TEMPLATE_FILES) {
+    const text = await client.getFileText(owner, repo, path);
+    if (text) {
+      return { path, text };
+    }
+  }
+
+  return null;
+}
+
+// fetchPullRequestTemplate() through a cache in storage (chrome.storage.session),
+// as looking in every place a template can be takes up to nine API calls.
+// key names the repository and template, e.g. "github.com/octo/app?bug.md".
+// Each key has its own entry, so lookups running at the same time don't
+// overwrite each other.
+export async function fetchCachedTemplate(storage, key, fetchTemplate, { ttl = TEMPLATE_CACHE_TTL, now = Date.now() } = {}) {
+  const storageKey = `prTemplate:${key}`;
+  const { [storageKey]: entry } = await storage.get(storageKey);
+  if (entry && now - entry.createdAt < ttl) {
+    return entry.template;
+  }
+
+  const template = await fetchTemplate();
+  await storage.set({ [storageKey]: { template, createdAt: now } });
+  return template;
+}
+
+// Split markdown into sections, one per heading. Text before the first
+// heading ends up in a section with a null heading.
+export function parseSections(markdown) {
+  const sections = [{ heading: null, key: null, lines: [] }];
+  let inCodeBlock = false;
+
+  for (const line of markdown.split('\n')) {
+    if (line.trim().startsWith('```')) {
+      inCodeBlock = !inCodeBlock;
+    }
+
+    const match = !inCodeBlock && line.match(HEADING);
+    if (match) {
+      sections.push({ heading: line.trim(), key: normalizeHeading(match[2]), lines: [] });
+    } else {
+      sections[sections.length - 1].lines.push(line);
+    }
+  }
+
+  return sections;
+}
+
+function normalizeHeading(text) {
+  return text.replace(/[*_`:]/g, '').trim().toLowerCase();
+}
+
+// Headings of a template that are missing from a generated body
+export function findMissingHeadings(template, body) {
+  const present = new Set(parseSections(body).map(section => section.key));
+
+  return parseSections(template)
+    .filter(section => section.heading && !present.has(section.key))
+    .map(section => section.heading);
+}
+
+// Make sure a generated body still follows the template: every template
+// heading is present in the template's order (missing ones are restored
+// with their original template content), and checkbox lines and HTML
+// comments the model dropped are put back. Sections the model added are kept
+// at the end.
+export function applyTemplateStructure(template, body) {
+  const templateSections = parseSections(template);
+  const bodySections = parseSections(body);
+  const bodyByKey = new Map(bodySections.filter(section => section.heading).map(section => [section.key, section]));
+  const templateKeys = new Set(templateSections.map(section => section.key));
+
+  const output = [];
+
+  for (const section of templateSections) {
+    const generated = section.heading ? bodyByKey.get(section.key) : bodySections[0];
+    const lines = generated && generated.lines.join('\n').trim() ? [...generated.lines] : [...section.lines];
+
+    // Checkbox lines are for the author to tick, so they must survive
+    const missingCheckboxes = section.lines.filter(line =>
+      CHECKBOX.test(line) && !lines.some(existing => existing.replace(CHECKBOX, '').trim() === line.replace(CHECKBOX, '').trim())
+    );
+
+    // So are comments, which are instructions to the author and not rendered
+    const text = lines.join('\n');
+    const missingComments = (section.lines.join('\n').match(HTML_COMMENT) || []).filter(comment => !text.includes(comment));
+
+    if (section.heading) {
+      output.push(generated ? generated.heading : section.heading);
+    }
+    output.push(...missingComments, ...trimBlankLines(lines), ...missingCheckboxes, '');
+  }
+
+  for (const section of bodySections) {
+    if (section.heading && !templateKeys.has(section.key)) {
+      output.push(section.heading, ...trimBlankLines(section.lines), '');
+    }
+  }
+
+  return trimBlankLines(output).join('\n');
+}
+
+function trimBlankLines(lines) {
+  let start = 0;
+  let end = lines.length;
+
+  while (start < end && !lines[start].trim()) {
+    start++;
+  }
+  while (end > start && !lines[end - 1].trim()) {
+    end--;
+  }
+
+  return lines.slice(start, end);
+}
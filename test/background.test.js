@@ -0,0 +1,126 @@
+// Message routing in the service worker, with chrome.* from the shim
+import assert from 'node:assert/strict';
+import { beforeEach, describe, it } from 'node:test';
+import { createChrome } from './helpers/chrome.js';
+import { waitFor } from './helpers/page.js';
+
+const { chrome, sendMessage, harness } = createChrome();
+globalThis.chrome = chrome;
+await import('../background.js');
+
+beforeEach(async () => {
+  await chrome.storage.sync.clear();
+  await chrome.storage.local.clear();
+  await chrome.storage.session.clear();
+});
+
+describe('settings', () => {
+  it('answers getSettings with the defaults', async () => {
+    const response = await sendMessage({ action: 'getSettings' });
+
+    assert.equal(response.settings.llmProvider, 'openrouter');
+    assert.ok(response.providers.openai);
+    assert.ok(response.hostTypes.gitlab);
+    assert.ok(response.profiles.length > 0);
+  });
+
+  it('saves valid settings', async () => {
+    const response = await sendMessage({ action: 'saveSettings', changes: { llmProvider: 'openai' } });
+
+    assert.deepEqual(response, { success: true });
+    const { settings } = await sendMessage({ action: 'getSettings' });
+    assert.equal(settings.llmProvider, 'openai');
+  });
+
+  it('refuses invalid settings and keeps what was stored', async () => {
+    const response = await sendMessage({ action: 'saveSettings', changes: { llmProvider: 'nobody' } });
+
+    assert.deepEqual(response, { success: false, error: 'Unknown provider: nobody' });
+    assert.equal((await chrome.storage.sync.get('llmProvider')).llmProvider, undefined);
+  });
+
+  it('moves the API key of old settings into the vault', async () => {
+    await chrome.storage.sync.set({ openrouterApiKey: 'sk-or-old-key', githubToken: 'ghp_oldtoken' });
+
+    await sendMessage({ action: 'getSettings' });
+
+    const sync = await chrome.storage.sync.get(null);
+    assert.equal(sync.openrouterApiKey, undefined);
+    assert.equal(sync.githubToken, undefined);
+    assert.doesNotMatch(JSON.stringify(await chrome.storage.local.get(null)), /sk-or-old-key|ghp_oldtoken/);
+    const { status } = await sendMessage({ action: 'getVaultStatus' });
+    assert.deepEqual(status.secrets.sort(), ['github', 'provider:openrouter']);
+  });
+});
+
+describe('vault', () => {
+  it('is not configured until the provider has an API key', async () => {
+    assert.deepEqual(await sendMessage({ action: 'isConfigured' }), { configured: false, locked: false, provider: 'OpenRouter' });
+
+    assert.deepEqual(await sendMessage({ action: 'saveSecret', name: 'provider:openrouter', value: ' sk-or-test ' }), { success: true });
+
+    assert.equal((await sendMessage({ action: 'isConfigured' })).configured, true);
+    assert.doesNotMatch(JSON.stringify(await chrome.storage.local.get(null)), /sk-or-test/);
+  });
+
+  it('refuses secrets it doesn\'t know', async () => {
+    const response = await sendMessage({ action: 'saveSecret', name: 'password', value: 'hunter2' });
+
+    assert.deepEqual(response, { success: false, error: 'Unknown secret: password' });
+  });
+
+  it('locks and unlocks with a passphrase', async () => {
+    await sendMessage({ action: 'saveSecret', name: 'github', value: 'ghp_token' });
+    assert.deepEqual(await sendMessage({ action: 'setPassphrase', passphrase: 'correct horse' }), { success: true });
+    await sendMessage({ action: 'lockVault' });
+
+    assert.equal((await sendMessage({ action: 'getVaultStatus' })).status.locked, true);
+    assert.deepEqual(await sendMessage({ action: 'unlockVault', passphrase: 'wrong' }), { success: false, error: 'Wrong passphrase' });
+    assert.deepEqual(await sendMessage({ action: 'unlockVault', passphrase: 'correct horse' }), { success: true });
+    assert.equal((await sendMessage({ action: 'getVaultStatus' })).status.locked, false);
+  });
+
+  it('keeps secrets out of the settings export', async () => {
+    await sendMessage({ action: 'saveSecret', name: 'provider:openrouter', value: 'sk-or-test' });
+    await sendMessage({ action: 'saveSecret', name: 'github', value: 'ghp_token' });
+
+    const { json } = await sendMessage({ action: 'exportSettings' });
+
+    assert.equal(JSON.parse(json).llmProvider, 'openrouter');
+    assert.doesNotMatch(json, /sk-or-test|ghp_token|"secrets"/);
+  });
+});
+
+describe('code hosts', () => {
+  it('tells pages which host they are on', async () => {
+    const github = await sendMessage({ action: 'getHostType', pageUrl: 'https://github.com/octo/app/compare/main...feature' });
+    const unknown = await sendMessage({ action: 'getHostType', pageUrl: 'https://gitlab.example.com/group/app/-/merge_requests/new' });
+
+    assert.deepEqual(github, { host: { type: 'github', label: 'GitHub', page: 'github', github: true } });
+    assert.deepEqual(unknown, { host: null });
+  });
+
+  it('registers the content scripts for added hosts it has permission for', async () => {
+    harness.grantedOrigins.add('https://gitlab.example.com/*');
+
+    await sendMessage({ action: 'saveSettings', changes: { hosts: [{ type: 'gitlab', url: 'https://gitlab.example.com/' }] } });
+
+    const host = await sendMessage({ action: 'getHostType', pageUrl: 'https://gitlab.example.com/group/app/-/merge_requests/new' });
+    assert.deepEqual(host, { host: { type: 'gitlab', label: 'GitLab', page: 'gitlab', github: false } });
+
+    const [script] = await waitFor(() => harness.registeredScripts.length > 0 && harness.registeredScripts);
+    assert.equal(script.id, 'custom-hosts');
+    assert.deepEqual(script.matches, ['https://gitlab.example.com/*']);
+    assert.deepEqual(script.js, chrome.runtime.getManifest().content_scripts[0].js);
+  });
+});
+
+describe('installation', () => {
+  it('opens the settings and adds the context menu', async () => {
+    chrome.runtime.onInstalled.dispatch({ reason: 'install' });
+
+    await waitFor(() => harness.menus.size > 0);
+    assert.equal(harness.optionsPageOpened, 1);
+    assert.ok(harness.menus.has('rewrite-concise'));
+  });
+});
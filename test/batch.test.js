@@ -0,0 +1,52 @@
+// Which pull requests get a batch description
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { findBatchCandidates } from '../batch.js';
+import { isTemplateOnly } from '../templates.js';
+
+describe('isTemplateOnly', () => {
+  const template = '## What\n\n## Why\n\n<!-- Link the issue -->\n- [ ] Tests added\nDescribe the change here.';
+
+  it('takes empty descriptions and untouched templates', () => {
+    assert.equal(isTemplateOnly(null), true);
+    assert.equal(isTemplateOnly('  \n'), true);
+    assert.equal(isTemplateOnly(template, template), true);
+    assert.equal(isTemplateOnly('## What\r\n\r\n## Why\r\n', template), true);
+  });
+
+  it('leaves descriptions someone wrote', () => {
+    assert.equal(isTemplateOnly('Fixes the login redirect.'), false);
+    assert.equal(isTemplateOnly(`${template}\nRetries failed requests.`, template), false);
+    assert.equal(isTemplateOnly('- [x] Tests added', template), false);
+  });
+});
+
+describe('findBatchCandidates', () => {
+  const pull = (number, changes = {}) => ({
+    number,
+    title: `Pull request ${number}`,
+    body: '',
+    state: 'open',
+    draft: false,
+    user: { login: 'octocat' },
+    html_url: `https://github.com/octo/app/pull/${number}`,
+    base: { ref: 'main' },
+    head: { ref: `feature-${number}` },
+    ...changes
+  });
+
+  it('lists the user\'s open pull requests without a description', () => {
+    const candidates = findBatchCandidates([
+      pull(1),
+      pull(2, { body: 'Already described.' }),
+      pull(3, { user: { login: 'hubot' } }),
+      pull(4, { state: 'closed' }),
+      pull(5, { body: '## Summary\n', draft: true })
+    ], { login: 'OctoCat' });
+
+    assert.deepEqual(candidates, [
+      { number: 1, title: 'Pull request 1', url: 'https://github.com/octo/app/pull/1', base: 'main', head: 'feature-1', draft: false, empty: true },
+      { number: 5, title: 'Pull request 5', url: 'https://github.com/octo/app/pull/5', base: 'main', head: 'feature-5', draft: true, empty: false }
+    ]);
+  });
+});
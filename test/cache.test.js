@@ -0,0 +1,100 @@
+// The reply cache in chrome.storage.local, and identical requests in flight
+// sharing one call
+import assert from 'node:assert/strict';
+import { beforeEach, describe, it } from 'node:test';
+import { createChrome } from './helpers/chrome.js';
+import { cacheResponse, createRequestDeduplicator, getCachedResponse, getCacheStats, recordCacheLookup } from '../cache.js';
+
+const { chrome } = createChrome();
+const storage = chrome.storage.local;
+
+beforeEach(async () => {
+  await storage.clear();
+});
+
+describe('the reply cache', () => {
+  it('keeps every reply and count of lookups at the same time', async () => {
+    await Promise.all(Array.from({ length: 10 }, (_, index) => Promise.all([
+      cacheResponse(storage, `key-${index}`, `reply ${index}`),
+      recordCacheLookup(storage, index % 2 === 0 ? 'miss' : 'hit')
+    ])));
+
+    const stats = await getCacheStats(storage);
+    assert.equal(stats.entries, 10);
+    assert.deepEqual([stats.hits, stats.misses], [5, 5]);
+    assert.equal(await getCachedResponse(storage, 'key-3', 60000), 'reply 3');
+  });
+});
+
+describe('createRequestDeduplicator', () => {
+  // A call whose reply is streamed and finished from the test. It fails
+  // with "Stopped" when its signal aborts.
+  function startCall() {
+    const call = { starts: 0 };
+    call.start = ({ signal, onDelta }) => {
+      call.starts++;
+      call.signal = signal;
+      call.send = onDelta;
+      return new Promise((resolve, reject) => {
+        call.finish = resolve;
+        signal.addEventListener('abort', () => reject(new Error('Stopped')), { once: true });
+      });
+    };
+    return call;
+  }
+
+  it('shares one call between identical requests at the same time', async () => {
+    const deduplicate = createRequestDeduplicator();
+    const call = startCall();
+
+    const first = deduplicate('key', call.start);
+    const second = deduplicate('key', call.start);
+    call.finish('Retry failed requests');
+
+    assert.deepEqual(await first, { text: 'Retry failed requests', joined: false });
+    assert.deepEqual(await second, { text: 'Retry failed requests', joined: true });
+    assert.equal(call.starts, 1);
+
+    // Once it has finished, the next request makes a call of its own
+    const third = deduplicate('key', call.start);
+    call.finish('Retry failed requests again');
+    assert.deepEqual(await third, { text: 'Retry failed requests again', joined: false });
+    assert.equal(call.starts, 2);
+  });
+
+  it('gives a caller that joins late the text streamed so far', async () => {
+    const deduplicate = createRequestDeduplicator();
+    const call = startCall();
+    const early = [];
+    const late = [];
+
+    const first = deduplicate('key', call.start, { onDelta: delta => early.push(delta) });
+    call.send('Retry ');
+    call.send('failed ');
+    const second = deduplicate('key', call.start, { onDelta: delta => late.push(delta) });
+    call.send('requests');
+    call.finish('Retry failed requests');
+    await Promise.all([first, second]);
+
+    assert.deepEqual(early, ['Retry ', 'failed ', 'requests']);
+    assert.deepEqual(late, ['Retry failed ', 'requests']);
+  });
+
+  it('aborts the call only once every caller has left', async () => {
+    const deduplicate = createRequestDeduplicator();
+    const call = startCall();
+    const stopFirst = new AbortController();
+    const stopSecond = new AbortController();
+
+    const first = deduplicate('key', call.start, { signal: stopFirst.signal });
+    const second = deduplicate('key', call.start, { signal: stopSecond.signal });
+
+    stopFirst.abort();
+    await assert.rejects(first, { message: 'Stopped' });
+    assert.equal(call.signal.aborted, false);
+
+    stopSecond.abort();
+    await assert.rejects(second, { message: 'Stopped' });
+    assert.equal(call.signal.aborted, true);
+  });
+});
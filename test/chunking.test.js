@@ -0,0 +1,38 @@
+// Packing the commits and diffs of a large pull request into chunks
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { planChunks } from '../chunking.js';
+import { estimateTokens } from '../diff.js';
+
+// Numbered commit lines as background.js formats them, with a body
+function commitLines(count) {
+  return Array.from({ length: count }, (_, index) => `${index + 1}. Tune setting ${index}\n   Raises the limit for setting ${index} so that larger requests go through.`);
+}
+
+function chunkTokens(chunk) {
+  return chunk.commits.reduce((sum, line) => sum + estimateTokens(line) + 1, 0) + chunk.diffs.reduce((sum, diff) => sum + diff.tokens, 0);
+}
+
+describe('planChunks', () => {
+  it('keeps the commit bodies when the commits fit', () => {
+    const lines = commitLines(10);
+    const { chunks, omittedCommits } = planChunks(lines, [], { tokenBudget: 100, maxChunks: 8 });
+
+    assert.deepEqual(chunks.flatMap(chunk => chunk.commits), lines);
+    assert.equal(omittedCommits, 0);
+  });
+
+  it('keeps more commits than fit within maxChunks, by their subjects and then by leaving the last ones out', () => {
+    // About 3,000 tokens of commits for 3 chunks of 200
+    const lines = commitLines(100);
+    const { chunks, omittedCommits } = planChunks(lines, [], { tokenBudget: 200, maxChunks: 3 });
+    const kept = chunks.flatMap(chunk => chunk.commits);
+
+    assert.equal(chunks.length, 3);
+    assert.ok(chunks.every(chunk => chunkTokens(chunk) <= 200));
+    assert.ok(kept.every(line => !line.includes('\n')));
+    assert.deepEqual(kept, lines.slice(0, kept.length).map(line => line.split('\n')[0]));
+    assert.equal(kept.length + omittedCommits, 100);
+    assert.ok(omittedCommits > 0);
+  });
+});
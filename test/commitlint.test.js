@@ -0,0 +1,121 @@
+// The commit lint on compare pages: the rules, the model's new subjects and
+// the todo list for `git rebase -i`
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { buildRebasePlan, buildRewritePrompt, lintCommits, parseRewrites } from '../commitlint.js';
+
+// Rules a subject breaks, by commit
+function rules(subjects, options) {
+  return lintCommits(subjects.map(subject => ({ subject })), options).map(result => result.issues.map(issue => issue.rule));
+}
+
+describe('lintCommits', () => {
+  it('leaves clear imperative subjects alone', () => {
+    assert.deepEqual(rules(['Add retries to the API client', 'Time out requests after 30 seconds']), [[], []]);
+  });
+
+  it('flags vague and overlong subjects', () => {
+    assert.deepEqual(rules(['wip', 'Update stuff', 'misc.', `Retry ${'requests '.repeat(10)}`]), [['vague'], ['vague'], ['vague'], ['overlong']]);
+  });
+
+  it('suggests the imperative for other verb forms', () => {
+    const [added, fixes, updating] = lintCommits([{ subject: 'Added retries' }, { subject: 'fixes the timeout' }, { subject: 'Updating docs' }]);
+
+    assert.equal(added.issues[0].message, 'Use the imperative mood: "Add" rather than "Added"');
+    assert.equal(fixes.issues[0].message, 'Use the imperative mood: "fix" rather than "fixes"');
+    assert.equal(updating.issues[0].message, 'Use the imperative mood: "Update" rather than "Updating"');
+    assert.deepEqual(rules(['Address book sync', 'Make the cache optional']), [[], []]);
+  });
+
+  it('holds subjects to Conventional Commits when most follow them', () => {
+    assert.deepEqual(rules(['feat: add retries', 'fix(api): time out requests', 'Document the settings']), [[], [], ['conventional']]);
+    assert.deepEqual(rules(['Add retries', 'Document the settings'], { conventional: 'on' }), [['conventional'], ['conventional']]);
+    assert.deepEqual(rules(['feat: add retries', 'Document the settings'], { conventional: 'off' }), [[], []]);
+    assert.deepEqual(rules(['feat: stuff', 'fix: added retries']), [['vague'], ['imperative']]);
+  });
+
+  it('folds fixup! and squash! commits into the commit they name', () => {
+    const results = lintCommits([
+      { subject: 'Add retries' },
+      { subject: 'squash! Add retries' },
+      { subject: 'fixup! fixup! Add retries' },
+      { subject: 'fixup! Something from main' }
+    ]);
+
+    assert.deepEqual(results.map(result => [result.squashInto, result.action]), [[null, null], [0, 'squash'], [0, 'fixup'], [null, null]]);
+    assert.equal(results[3].issues[0].message, 'Marked with fixup! for a commit that isn\'t in this pull request');
+    assert.equal(results.some(result => result.rewrite), false);
+  });
+
+  it('spots follow-ups and repeated subjects as squash candidates', () => {
+    const results = lintCommits([
+      { subject: 'Add retries' },
+      { subject: 'Fix typo' },
+      { subject: 'Address review comments' },
+      { subject: 'add retries.' }
+    ]);
+
+    assert.deepEqual(results.map(result => result.squashInto), [null, 0, 1, 0]);
+    assert.deepEqual(results.map(result => result.issues.map(issue => issue.rule)), [[], ['squash'], ['squash'], ['squash']]);
+    // Not a follow-up when there is nothing before it
+    assert.deepEqual(rules(['Fix typo']), [[]]);
+  });
+});
+
+describe('new subjects', () => {
+  const results = lintCommits([{ subject: 'Add retries' }, { subject: 'Updated stuff' }]);
+
+  it('are only asked for the flagged commits', () => {
+    const prompt = buildRewritePrompt(results, { commits: 'Commit messages:\n- Add retries\n- Updated stuff', conventional: true });
+
+    assert.match(prompt, /Write a new subject for each of these commits:\n2\. Updated stuff\n {3}Problems: /);
+    assert.doesNotMatch(prompt, /1\. Add retries/);
+    assert.match(prompt, /Follow Conventional Commits/);
+  });
+
+  it('are read from the reply by commit number', () => {
+    assert.deepEqual(parseRewrites('```json\n{"rewrites": [{"commit": 2, "subject": "Document the retry settings."}]}\n```', 2), {
+      valid: true,
+      errors: [],
+      rewrites: { 1: 'Document the retry settings' }
+    });
+  });
+
+  it('reject replies that don\'t match the schema', () => {
+    assert.equal(parseRewrites('Sure!', 2).valid, false);
+    assert.deepEqual(parseRewrites('{"rewrites": {}}', 2).errors, ['"rewrites" must be a list']);
+
+    const parsed = parseRewrites('{"rewrites": [{"commit": 3, "subject": "Out of range"}, {"commit": "2", "subject": "Document the settings"}]}', 2);
+    assert.equal(parsed.valid, false);
+    assert.deepEqual(parsed.rewrites, { 1: 'Document the settings' });
+  });
+});
+
+describe('buildRebasePlan', () => {
+  const commits = [
+    { sha: 'aaaaaaa111', subject: 'Added retries' },
+    { sha: 'bbbbbbb222', subject: 'Time out requests' },
+    { sha: 'ccccccc333', subject: 'fixup! Added retries' },
+    { sha: 'ddddddd444', subject: 'Fix lint' }
+  ];
+
+  it('rewords, and moves the fixups after the commit they end up in', () => {
+    const plan = buildRebasePlan(lintCommits(commits), { rewrites: { 0: 'Add retries' }, base: 'main' });
+
+    assert.equal(plan, [
+      '# git rebase -i $(git merge-base origin/main HEAD)',
+      '# Replace the todo list git opens with this one, then force-push the branch.',
+      'reword aaaaaaa Added retries',
+      '#   new subject: Add retries',
+      'fixup ccccccc fixup! Added retries',
+      // A follow-up to the fixup goes where the fixup goes
+      'fixup ddddddd Fix lint',
+      'pick bbbbbbb Time out requests'
+    ].join('\n'));
+  });
+
+  it('is left out when there is nothing to do or no commit hashes', () => {
+    assert.equal(buildRebasePlan(lintCommits(commits.slice(0, 2)), { rewrites: { 0: 'Added retries' } }), null);
+    assert.equal(buildRebasePlan(lintCommits(commits.map(({ subject }) => ({ subject }))), { rewrites: { 0: 'Add retries' } }), null);
+  });
+});
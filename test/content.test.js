@@ -0,0 +1,136 @@
+// The content scripts on saved GitHub pages: finding the commits and the form
+// fields, and applying a description from the preview panel
+import assert from 'node:assert/strict';
+import { afterEach, describe, it } from 'node:test';
+import { createChrome } from './helpers/chrome.js';
+import { loadPage } from './helpers/page.js';
+
+const SUBJECTS = [
+  'Add retries to the API client',
+  'Time out requests after 30 seconds',
+  'Document the retry settings'
+];
+
+// Each page with its address and the fields the title and description go in
+const PAGES = [
+  {
+    name: 'classic compare page',
+    fixture: 'github/compare-classic.html',
+    url: 'https://github.com/octo/app/compare/main...feature/retry',
+    title: '#pull_request_title',
+    body: '#pull_request_body',
+    bodies: ['Rate limits and server errors are retried\nup to three times with a growing delay.', '', 'Closes #41']
+  },
+  {
+    name: 'classic new pull request page',
+    fixture: 'github/new-pull-classic.html',
+    url: 'https://github.com/octo/app/pull/new/feature/retry',
+    title: '#pull_request_title',
+    body: '#pull_request_body'
+  },
+  {
+    name: 'classic edit page',
+    fixture: 'github/edit-pull-classic.html',
+    url: 'https://github.com/octo/app/pull/12/edit',
+    title: 'input[name="pull_request[title]"]',
+    body: 'textarea[name="pull_request[body]"]'
+  },
+  {
+    name: 'React compare page',
+    fixture: 'github/compare-react.html',
+    url: 'https://github.com/octo/app/compare/main...feature/retry',
+    title: 'input[aria-label="Add a title"]',
+    body: 'textarea[placeholder="Add your description here..."]'
+  },
+  {
+    name: 'React new pull request page',
+    fixture: 'github/new-pull-react.html',
+    url: 'https://github.com/octo/app/pull/new/feature/retry',
+    title: 'input[aria-label="Add a title"]',
+    body: 'textarea[placeholder="Add your description here..."]'
+  },
+  {
+    name: 'React edit page',
+    fixture: 'github/edit-pull-react.html',
+    url: 'https://github.com/octo/app/pull/12/edit',
+    title: 'input[aria-label="Edit title"]',
+    body: 'textarea[placeholder="Leave a comment"]'
+  }
+];
+
+let page = null;
+
+async function open(fixture, url) {
+  const { openTab } = createChrome();
+  page = await loadPage(fixture, { url, chrome: openTab(url).chrome });
+  return page;
+}
+
+afterEach(() => {
+  page?.close();
+  page = null;
+});
+
+for (const { name, fixture, url, title, body, bodies = ['', '', ''] } of PAGES) {
+  describe(name, () => {
+    it('is a page the toolbar is shown on', async () => {
+      const { evaluate, errors } = await open(fixture, url);
+
+      assert.equal(evaluate('pageHost === PAGE_HOSTS.github'), true);
+      assert.equal(evaluate('isSupportedPage()'), true);
+      assert.equal(evaluate('isReviewPage()'), false);
+      assert.deepEqual(errors, []);
+    });
+
+    it('extracts the commit messages', async () => {
+      const { evaluate } = await open(fixture, url);
+
+      // Copied out of the page's realm so deepEqual compares the values
+      const commits = structuredClone(evaluate('extractCommitMessages()'));
+      assert.deepEqual(commits, SUBJECTS.map((subject, index) => ({ subject, body: bodies[index] })));
+    });
+
+    it('finds the title and description fields', async () => {
+      const { evaluate, document } = await open(fixture, url);
+
+      assert.equal(evaluate('findTitleInput()'), document.querySelector(title));
+      assert.equal(evaluate('findBodyTextarea()'), document.querySelector(body));
+    });
+
+    it('applies the description from the preview panel', async () => {
+      const { evaluate, document, window } = await open(fixture, url);
+      const events = [];
+      document.querySelector(body).addEventListener('input', event => events.push(event.type));
+
+      evaluate('openPreviewPanel({ onRegenerate: () => {}, onLoadHistory: async () => [] })');
+      window.updatePreviewPanel({ title: 'Retry failed API requests', body: '## Changes\n- Retries', status: 'Ready', busy: false });
+
+      assert.equal(evaluate('applyPreview()'), true);
+      assert.equal(document.querySelector(title).value, 'Retry failed API requests');
+      assert.equal(document.querySelector(body).value, '## Changes\n- Retries');
+      assert.deepEqual(events, ['input']);
+    });
+  });
+}
+
+describe('other GitHub pages', () => {
+  it('has no toolbar on the list of issues', async () => {
+    const { evaluate } = await open('github/pulls.html', 'https://github.com/octo/app/issues');
+
+    assert.equal(evaluate('isSupportedPage()'), false);
+  });
+
+  it('takes batch descriptions on the list of pull requests', async () => {
+    const { evaluate } = await open('github/pulls.html', 'https://github.com/octo/app/pulls?q=is%3Apr+is%3Aopen');
+
+    assert.equal(evaluate('isPullListPage()'), true);
+    assert.equal(evaluate('toolbarButtonFor()[0]'), '🗂 Batch Descriptions');
+  });
+
+  it('takes the review briefing on an open pull request', async () => {
+    const { evaluate } = await open('github/edit-pull-react.html', 'https://github.com/octo/app/pull/12');
+
+    assert.equal(evaluate('isReviewPage()'), true);
+    assert.equal(evaluate('toolbarButtonFor()[0]'), '📋 Review Briefing');
+  });
+});
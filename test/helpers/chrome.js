@@ -0,0 +1,308 @@
+// A stand-in for the chrome.* APIs the extension uses, so background.js and
+// the content scripts run in Node. createChrome() returns the background's
+// chrome object and openTab(url), which gives a tab the chrome object of its
+// content scripts, wired to the background like the real messaging: messages
+// are copied and arrive asynchronously.
+import { readFileSync } from 'node:fs';
+
+export const MANIFEST = JSON.parse(readFileSync(new URL('../../manifest.json', import.meta.url), 'utf8'));
+
+function clone(value) {
+  return value === undefined ? undefined : structuredClone(value);
+}
+
+// chrome.events.Event, plus dispatch() to fire it from a test
+export function createEvent() {
+  const listeners = [];
+
+  return {
+    addListener: listener => void listeners.push(listener),
+    removeListener: (listener) => {
+      const index = listeners.indexOf(listener);
+      if (index !== -1) {
+        listeners.splice(index, 1);
+      }
+    },
+    hasListener: listener => listeners.includes(listener),
+    hasListeners: () => listeners.length > 0,
+    listeners: () => [...listeners],
+    dispatch: (...args) => listeners.slice().map(listener => listener(...args))
+  };
+}
+
+// A chrome.storage area. Changes fire onChanged with the area's name.
+function createStorageArea(areaName, onChanged) {
+  let items = {};
+
+  function notify(changes) {
+    if (Object.keys(changes).length > 0) {
+      onChanged.dispatch(clone(changes), areaName);
+    }
+  }
+
+  return {
+    async get(keys = null) {
+      if (keys === null) {
+        return clone(items);
+      }
+
+      const defaults = typeof keys === 'string'
+        ? { [keys]: undefined }
+        : Array.isArray(keys) ? Object.fromEntries(keys.map(key => [key, undefined])) : keys;
+
+      const result = {};
+      for (const [key, fallback] of Object.entries(defaults)) {
+        if (key in items) {
+          result[key] = clone(items[key]);
+        } else if (fallback !== undefined) {
+          result[key] = fallback;
+        }
+      }
+      return result;
+    },
+
+    async set(values) {
+      const changes = {};
+      for (const [key, value] of Object.entries(clone(values))) {
+        changes[key] = { oldValue: items[key], newValue: value };
+        items[key] = value;
+      }
+      notify(changes);
+    },
+
+    async remove(keys) {
+      const changes = {};
+      for (const key of [].concat(keys)) {
+        if (key in items) {
+          changes[key] = { oldValue: items[key] };
+          delete items[key];
+        }
+      }
+      notify(changes);
+    },
+
+    async clear() {
+      const changes = Object.fromEntries(Object.entries(items).map(([key, value]) => [key, { oldValue: value }]));
+      items = {};
+      notify(changes);
+    }
+  };
+}
+
+// Send a message to the listeners of an onMessage event. Resolves with what
+// the first listener passes to sendResponse, or undefined once it's clear none
+// will (no listener returned true). Rejects like Chrome when nothing listens.
+function deliver(event, message, sender) {
+  const copy = clone(message);
+
+  return new Promise((resolve, reject) => {
+    setImmediate(() => {
+      const listeners = event.listeners();
+      if (listeners.length === 0) {
+        reject(new Error('Could not establish connection. Receiving end does not exist.'));
+        return;
+      }
+
+      let responded = false;
+      let waiting = false;
+      const sendResponse = (response) => {
+        if (!responded) {
+          responded = true;
+          resolve(clone(response));
+        }
+      };
+
+      for (const listener of listeners) {
+        if (listener(clone(copy), sender, sendResponse) === true) {
+          waiting = true;
+        }
+      }
+
+      if (!waiting && !responded) {
+        resolve(undefined);
+      }
+    });
+  });
+}
+
+// Both ends of a runtime.connect() channel. Disconnecting one end fires
+// onDisconnect on the other.
+function createPortPair(name, sender) {
+  let connected = true;
+
+  function createPort(portSender) {
+    const port = {
+      name,
+      sender: portSender,
+      onMessage: createEvent(),
+      onDisconnect: createEvent(),
+      postMessage(message) {
+        if (!connected) {
+          throw new Error('Attempting to use a disconnected port object');
+        }
+        const copy = clone(message);
+        setImmediate(() => connected && port.peer.onMessage.dispatch(clone(copy), port.peer));
+      },
+      disconnect() {
+        if (connected) {
+          connected = false;
+          setImmediate(() => port.peer.onDisconnect.dispatch(port.peer));
+        }
+      }
+    };
+    return port;
+  }
+
+  const page = createPort(undefined);
+  const background = createPort(sender);
+  page.peer = background;
+  background.peer = page;
+  return { page, background };
+}
+
+// The background's chrome object, with the tabs opened with openTab().
+// Calls to openOptionsPage() are counted in optionsPageOpened.
+export function createChrome() {
+  const tabs = new Map();
+  let nextTabId = 1;
+
+  const registeredScripts = [];
+  const grantedOrigins = new Set(MANIFEST.host_permissions);
+  const menus = new Map();
+  const storageChanged = createEvent();
+
+  const harness = {
+    optionsPageOpened: 0,
+    menus,
+    registeredScripts,
+    grantedOrigins
+  };
+
+  // Callbacks are called asynchronously, as in Chrome
+  const later = callback => callback && setImmediate(callback);
+
+  const chrome = {
+    runtime: {
+      id: 'test-extension',
+      lastError: undefined,
+      getManifest: () => clone(MANIFEST),
+      getURL: path => `chrome-extension://test-extension/${path.replace(/^\//, '')}`,
+      openOptionsPage: async () => {
+        harness.optionsPageOpened++;
+      },
+      onMessage: createEvent(),
+      onConnect: createEvent(),
+      onInstalled: createEvent(),
+      onStartup: createEvent()
+    },
+
+    storage: {
+      sync: createStorageArea('sync', storageChanged),
+      local: createStorageArea('local', storageChanged),
+      session: createStorageArea('session', storageChanged),
+      onChanged: storageChanged
+    },
+
+    tabs: {
+      async query({ active, url } = {}) {
+        return [...tabs.values()]
+          .map(({ tab }) => clone(tab))
+          .filter(tab => (active === undefined || tab.active === active) && (url === undefined || tab.url === url));
+      },
+      async sendMessage(tabId, message) {
+        const entry = tabs.get(tabId);
+        if (!entry) {
+          throw new Error(`No tab with id: ${tabId}.`);
+        }
+        return deliver(entry.chrome.runtime.onMessage, message, { id: chrome.runtime.id });
+      }
+    },
+
+    contextMenus: {
+      create: (properties, callback) => {
+        menus.set(properties.id, clone(properties));
+        later(callback);
+      },
+      update: (id, properties, callback) => {
+        if (menus.has(id)) {
+          Object.assign(menus.get(id), clone(properties));
+        }
+        later(callback);
+      },
+      removeAll: (callback) => {
+        menus.clear();
+        later(callback);
+      },
+      onClicked: createEvent()
+    },
+
+    commands: {
+      onCommand: createEvent()
+    },
+
+    permissions: {
+      contains: async ({ origins = [] }) => origins.every(origin => grantedOrigins.has(origin)),
+      onAdded: createEvent(),
+      onRemoved: createEvent()
+    },
+
+    scripting: {
+      getRegisteredContentScripts: async ({ ids } = {}) => clone(registeredScripts.filter(script => !ids || ids.includes(script.id))),
+      registerContentScripts: async (scripts) => {
+        registeredScripts.push(...clone(scripts));
+      },
+      unregisterContentScripts: async ({ ids } = {}) => {
+        for (let index = registeredScripts.length - 1; index >= 0; index--) {
+          if (!ids || ids.includes(registeredScripts[index].id)) {
+            registeredScripts.splice(index, 1);
+          }
+        }
+      }
+    }
+  };
+
+  // Open a tab on url. Returns { tab, chrome, close() } where chrome is for
+  // the content scripts in the tab.
+  function openTab(url) {
+    const tab = { id: nextTabId++, url, active: true };
+    const sender = { id: chrome.runtime.id, tab: clone(tab), url };
+    const ports = [];
+
+    for (const entry of tabs.values()) {
+      entry.tab.active = false;
+    }
+
+    const pageChrome = {
+      runtime: {
+        id: chrome.runtime.id,
+        getURL: chrome.runtime.getURL,
+        onMessage: createEvent(),
+        sendMessage: message => deliver(chrome.runtime.onMessage, message, sender),
+        connect: ({ name = '' } = {}) => {
+          const pair = createPortPair(name, sender);
+          ports.push(pair.page);
+          setImmediate(() => chrome.runtime.onConnect.dispatch(pair.background));
+          return pair.page;
+        }
+      }
+    };
+
+    tabs.set(tab.id, { tab, chrome: pageChrome });
+
+    return {
+      tab,
+      chrome: pageChrome,
+      close() {
+        ports.forEach(port => port.disconnect());
+        tabs.delete(tab.id);
+      }
+    };
+  }
+
+  // Send a message as the popup or options page would
+  function sendMessage(message) {
+    return deliver(chrome.runtime.onMessage, message, { id: chrome.runtime.id, url: chrome.runtime.getURL('options.html') });
+  }
+
+  return { chrome, openTab, sendMessage, harness };
+}
@@ -0,0 +1,297 @@
+// An HTTP server standing in for GitHub and the model, so generation runs
+// offline. GitHub's API is served under /github-api and its web pages under
+// /github-web (routeFetch() sends the extension's requests there); the model
+// is an OpenAI-compatible API under /v1, and Anthropic's messages API at
+// /v1/messages.
+import { createServer } from 'node:http';
+
+// repositories are { "owner/repo": { defaultBranch, comparisons, pulls,
+// labels, contents } } with comparisons as { "base...head": { commits, files } },
+// pulls as { number: { base, head, commits, files, title, body, author, draft,
+// labels } }, labels as names and contents as { path: text }.
+// Commits are { sha, message, author } and files as GitHub's API lists them.
+// user is who a token belongs to, and the author of pull requests without
+// one. reply(request) returns the model's answer to a chat completion
+// request, a string or an object that is sent as JSON. Everything the model
+// is sent ends up in completions, changes to pull requests (their fields,
+// reviewers, labels and draft status) in updates.
+// Faults pushed to faults are used up by the next model requests, one each:
+//   { status, message, retryAfter } - an error response, with a Retry-After header if given
+//   { stall: 'headers' }            - never answers
+//   { stall: 'body', after }        - streams `after` chunks of the reply, then nothing more
+export async function startFakeServer({ repositories = {}, user = 'octocat', reply = () => '' } = {}) {
+  const completions = [];
+  const requests = [];
+  const updates = [];
+  const faults = [];
+
+  const apiCommit = ({ sha, message, author = 'Octo Cat' }) => ({
+    sha,
+    commit: { message, author: { name: author } },
+    author: { login: author.toLowerCase().replace(/\s+/g, '') }
+  });
+
+  const apiPull = (owner, repo, number, pull) => ({
+    number: Number(number),
+    title: pull.title || '',
+    body: pull.body ?? null,
+    state: pull.state || 'open',
+    draft: Boolean(pull.draft),
+    user: { login: pull.author || user },
+    node_id: `PR_${owner}_${repo}_${number}`,
+    html_url: `https://github.com/${owner}/${repo}/pull/${number}`,
+    base: { ref: pull.base },
+    head: { ref: pull.head },
+    labels: (pull.labels || []).map(name => ({ name })),
+    requested_reviewers: [],
+    requested_teams: []
+  });
+
+  // The draft mutations of GitHub's GraphQL API, which name the pull request by its node_id
+  function graphql({ query, variables }) {
+    const [, owner, repo, number] = String(variables.id).split('_');
+    const pull = repositories[`${owner}/${repo}`]?.pulls?.[number];
+    const draft = query.includes('convertPullRequestToDraft');
+    if (!pull || (!draft && !query.includes('markPullRequestReadyForReview'))) {
+      return { errors: [{ type: 'NOT_FOUND', message: 'Could not resolve to a node' }] };
+    }
+
+    pull.draft = draft;
+    updates.push({ repository: `${owner}/${repo}`, number: Number(number), draft });
+    return { data: { pullRequest: { isDraft: draft } } };
+  }
+
+  // The API's answer to a GET, or to a PATCH or POST with body that changes a
+  // pull request
+  function github(path, { method = 'GET', body = null, authorized = false } = {}) {
+    const [, owner, repo, kind, ...rest] = path.split('?')[0].split('/').filter(Boolean).map(decodeURIComponent);
+    const page = Number(new URL(path, 'http://localhost').searchParams.get('page') || 1);
+    if (path === '/user') {
+      return authorized ? { login: user } : { status: 401, message: 'Requires authentication' };
+    }
+    if (path === '/graphql' && method === 'POST') {
+      return graphql(body);
+    }
+
+    const repository = repositories[`${owner}/${repo}`];
+    if (!repository) {
+      return null;
+    }
+
+    if (method === 'PATCH') {
+      const pull = kind === 'pulls' && repository.pulls?.[rest[0]];
+      if (!pull || rest.length !== 1) {
+        return null;
+      }
+      Object.assign(pull, body);
+      updates.push({ repository: `${owner}/${repo}`, number: Number(rest[0]), ...body });
+      return apiPull(owner, repo, rest[0], pull);
+    }
+
+    if (method === 'POST') {
+      const pull = ['pulls', 'issues'].includes(kind) && repository.pulls?.[rest[0]];
+      const action = `${kind}/${rest[1]}`;
+      if (!pull || !['pulls/requested_reviewers', 'issues/labels'].includes(action)) {
+        return null;
+      }
+      updates.push({ repository: `${owner}/${repo}`, number: Number(rest[0]), ...body });
+      if (action === 'issues/labels') {
+        pull.labels = [...new Set([...(pull.labels || []), ...body.labels])];
+        return pull.labels.map(name => ({ name }));
+      }
+      return apiPull(owner, repo, rest[0], pull);
+    }
+
+    if (!kind) {
+      return { full_name: `${owner}/${repo}`, default_branch: repository.defaultBranch || 'main' };
+    }
+
+    if (kind === 'labels') {
+      return page === 1 ? (repository.labels || []).map(name => ({ name })) : [];
+    }
+
+    if (kind === 'contents') {
+      const text = repository.contents?.[rest.join('/')];
+      return text === undefined ? null : { type: 'file', path: rest.join('/'), encoding: 'base64', content: Buffer.from(text).toString('base64') };
+    }
+
+    if (kind === 'compare') {
+      const comparison = repository.comparisons?.[rest.join('/')];
+      if (!comparison) {
+        return null;
+      }
+      // Everything fits on the first page
+      return {
+        total_commits: comparison.commits.length,
+        commits: page === 1 ? comparison.commits.map(apiCommit) : [],
+        files: comparison.files || []
+      };
+    }
+
+    if (kind === 'pulls' && rest.length === 0) {
+      const pulls = Object.entries(repository.pulls || {}).map(([number, pull]) => apiPull(owner, repo, number, pull));
+      return page === 1 ? pulls : [];
+    }
+
+    if (kind === 'pulls') {
+      const pull = repository.pulls?.[rest[0]];
+      if (!pull) {
+        return null;
+      }
+      if (rest[1] === 'commits') {
+        return page === 1 ? pull.commits.map(apiCommit) : [];
+      }
+      if (rest[1] === 'files') {
+        return page === 1 ? pull.files || [] : [];
+      }
+      return apiPull(owner, repo, rest[0], pull);
+    }
+
+    return null;
+  }
+
+  function send(response, status, body, headers = {}) {
+    response.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    response.end(typeof body === 'string' ? body : JSON.stringify(body));
+  }
+
+  // The reply as a stream of OpenAI chunks, with the token counts in a last
+  // chunk of their own. With stallAfter, only that many chunks are sent and
+  // the response is left open.
+  function stream(response, content, usage, stallAfter = null) {
+    response.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    const pieces = content.match(/[\s\S]{1,40}/g) || [];
+    for (const piece of stallAfter === null ? pieces : pieces.slice(0, stallAfter)) {
+      response.write(`data: ${JSON.stringify({ choices: [{ index: 0, delta: { content: piece } }] })}\n\n`);
+    }
+    if (stallAfter !== null) {
+      return;
+    }
+    response.write(`data: ${JSON.stringify({ choices: [], usage })}\n\n`);
+    response.end('data: [DONE]\n\n');
+  }
+
+  // The reply as Anthropic's stream of events: the prompt tokens when the
+  // message starts, the reply in text deltas and the reply's tokens at the end
+  function streamAnthropic(response, content, usage, stallAfter = null) {
+    response.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    const event = (type, data = {}) => response.write(`event: ${type}\ndata: ${JSON.stringify({ type, ...data })}\n\n`);
+
+    event('message_start', { message: { role: 'assistant', content: [], usage: { input_tokens: usage.prompt_tokens, output_tokens: 1 } } });
+    event('ping');
+    event('content_block_start', { index: 0, content_block: { type: 'text', text: '' } });
+    const pieces = content.match(/[\s\S]{1,40}/g) || [];
+    for (const piece of stallAfter === null ? pieces : pieces.slice(0, stallAfter)) {
+      event('content_block_delta', { index: 0, delta: { type: 'text_delta', text: piece } });
+    }
+    if (stallAfter !== null) {
+      return;
+    }
+    event('content_block_stop', { index: 0 });
+    event('message_delta', { delta: { stop_reason: 'end_turn' }, usage: { output_tokens: usage.completion_tokens } });
+    event('message_stop');
+    response.end();
+  }
+
+  const server = createServer(async (request, response) => {
+    let body = '';
+    for await (const chunk of request) {
+      body += chunk;
+    }
+    requests.push({ method: request.method, url: request.url, headers: request.headers });
+
+    if (request.url.startsWith('/github-api/')) {
+      const data = ['GET', 'PATCH', 'POST'].includes(request.method)
+        ? github(request.url.slice('/github-api'.length), {
+          method: request.method,
+          body: body ? JSON.parse(body) : null,
+          authorized: Boolean(request.headers.authorization)
+        })
+        : null;
+      const status = data?.status || (data ? 200 : 404);
+      send(response, status, data && !data.status ? data : { message: data?.message || 'Not Found' });
+      return;
+    }
+
+    if (request.method === 'POST' && ['/v1/chat/completions', '/v1/messages'].includes(request.url)) {
+      const anthropic = request.url === '/v1/messages';
+      const completion = JSON.parse(body);
+      completions.push(completion);
+
+      const fault = faults.shift();
+      if (fault?.status) {
+        send(response, fault.status, { error: { message: fault.message || `Fault ${fault.status}` } }, fault.retryAfter === undefined ? {} : { 'Retry-After': String(fault.retryAfter) });
+        return;
+      }
+      if (fault?.stall === 'headers') {
+        return;
+      }
+
+      const answer = await reply(completion);
+      let content = typeof answer === 'string' ? answer : JSON.stringify(answer);
+      const usage = { prompt_tokens: 100, completion_tokens: 50, total_tokens: 150 };
+
+      if (anthropic) {
+        // Claude continues a reply the request started (prefill)
+        const last = completion.messages[completion.messages.length - 1];
+        if (last?.role === 'assistant' && content.startsWith(last.content)) {
+          content = content.slice(last.content.length);
+        }
+
+        if (completion.stream) {
+          streamAnthropic(response, content, usage, fault?.stall === 'body' ? fault.after || 0 : null);
+        } else {
+          send(response, 200, {
+            type: 'message',
+            role: 'assistant',
+            content: [{ type: 'text', text: content }],
+            usage: { input_tokens: usage.prompt_tokens, output_tokens: usage.completion_tokens }
+          });
+        }
+        return;
+      }
+
+      if (completion.stream) {
+        stream(response, content, usage, fault?.stall === 'body' ? fault.after || 0 : null);
+      } else {
+        send(response, 200, { choices: [{ index: 0, message: { role: 'assistant', content } }], usage });
+      }
+      return;
+    }
+
+    send(response, 404, { message: 'Not Found' });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    url,
+    completions,
+    requests,
+    updates,
+    faults,
+    close: () => new Promise((resolve) => {
+      server.close(resolve);
+      // fetch() keeps connections open
+      server.closeAllConnections();
+    })
+  };
+}
+
+// Send fetch() calls for GitHub to the fake server instead. Returns a
+// function that puts the real fetch back.
+export function routeFetch(server) {
+  const realFetch = globalThis.fetch;
+
+  globalThis.fetch = (input, init) => {
+    const url = String(input instanceof Request ? input.url : input)
+      .replace(/^https:\/\/api\.github\.com/, `${server.url}/github-api`)
+      .replace(/^https:\/\/github\.com/, `${server.url}/github-web`);
+    return realFetch(url, init);
+  };
+
+  return () => {
+    globalThis.fetch = realFetch;
+  };
+}
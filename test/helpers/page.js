@@ -0,0 +1,52 @@
+// Load a saved page into jsdom and inject the content scripts listed in the
+// manifest, in order, as Chrome does. They are added as <script> elements so
+// they share one global scope, like content scripts in their isolated world.
+import { readFile } from 'node:fs/promises';
+import { JSDOM, VirtualConsole } from 'jsdom';
+import { MANIFEST } from './chrome.js';
+
+// fixture is a path under test/fixtures, url the page's address and chrome
+// the tab's chrome object from openTab(). Returns { window, document, errors,
+// evaluate(code), close() } where errors are the uncaught script errors and
+// evaluate() runs code in the content scripts' scope.
+export async function loadPage(fixture, { url, chrome }) {
+  const html = await readFile(new URL(`../fixtures/${fixture}`, import.meta.url), 'utf8');
+  const errors = [];
+
+  const virtualConsole = new VirtualConsole();
+  virtualConsole.on('jsdomError', error => errors.push(error));
+
+  const dom = new JSDOM(html, { url, runScripts: 'dangerously', pretendToBeVisual: true, virtualConsole });
+  const { window } = dom;
+  window.chrome = chrome;
+
+  for (const file of MANIFEST.content_scripts[0].js) {
+    const script = window.document.createElement('script');
+    script.textContent = `${await readFile(new URL(`../../${file}`, import.meta.url), 'utf8')}\n//# sourceURL=${file}`;
+    window.document.head.appendChild(script);
+  }
+
+  return {
+    window,
+    document: window.document,
+    errors,
+    evaluate: code => window.eval(code),
+    close: () => window.close()
+  };
+}
+
+// Poll until check() returns something truthy, which is returned
+export async function waitFor(check, { timeout = 5000, interval = 20 } = {}) {
+  const start = Date.now();
+
+  while (true) {
+    const value = await check();
+    if (value) {
+      return value;
+    }
+    if (Date.now() - start > timeout) {
+      throw new Error(`Timed out after ${timeout}ms waiting for ${check}`);
+    }
+    await new Promise(resolve => setTimeout(resolve, interval));
+  }
+}
@@ -0,0 +1,131 @@
+// Retries, fallback models and timeouts for the model APIs, against a fake
+// server that fails on purpose
+import assert from 'node:assert/strict';
+import { getEventListeners } from 'node:events';
+import { after, afterEach, before, describe, it } from 'node:test';
+import { startFakeServer } from './helpers/fake-server.js';
+import { ApiError } from '../http.js';
+import { createProvider } from '../providers.js';
+
+const REPLY = 'Retry failed requests, and give up on them after thirty seconds without an answer.';
+const MESSAGES = [{ role: 'user', content: 'Describe the changes' }];
+
+let server;
+const waits = [];
+
+before(async () => {
+  server = await startFakeServer({ reply: () => REPLY });
+});
+
+afterEach(() => {
+  server.completions.length = 0;
+  server.faults.length = 0;
+  waits.length = 0;
+});
+
+after(async () => {
+  await server.close();
+});
+
+function provider(options = {}, fallbackModels = []) {
+  return createProvider({ provider: 'openai', baseUrl: `${server.url}/v1`, model: 'main-model', fallbackModels }, {
+    wait: async (ms) => {
+      waits.push(ms);
+    },
+    ...options
+  });
+}
+
+describe('retries', () => {
+  it('waits as long as Retry-After asks after a rate limit', async () => {
+    server.faults.push({ status: 429, retryAfter: 2 });
+
+    assert.equal(await provider().complete({ messages: MESSAGES, maxTokens: 100 }), REPLY);
+    assert.equal(server.completions.length, 2);
+    assert.deepEqual(waits, [2000]);
+  });
+
+  it('backs off after server errors', async () => {
+    server.faults.push({ status: 502 }, { status: 503 });
+
+    assert.equal(await provider().complete({ messages: MESSAGES, maxTokens: 100 }), REPLY);
+    assert.equal(server.completions.length, 3);
+    assert.equal(waits.length, 2);
+    assert.ok(waits[1] > 0 && waits[1] <= 2000);
+  });
+
+  it('doesn\'t retry requests the provider refused', async () => {
+    server.faults.push({ status: 400, message: 'This model\'s maximum context length is 8192 tokens' });
+
+    await assert.rejects(provider().complete({ messages: MESSAGES, maxTokens: 100 }), { kind: 'context-length', status: 400 });
+    assert.equal(server.completions.length, 1);
+  });
+});
+
+describe('fallback models', () => {
+  it('are tried once the retries are used up', async () => {
+    server.faults.push({ status: 503 }, { status: 503 });
+    const fallbacks = [];
+
+    const reply = await provider({ retries: 1 }, ['backup-model']).complete({
+      messages: MESSAGES,
+      maxTokens: 100,
+      onFallback: ({ from, to, error }) => fallbacks.push([from, to, error.kind])
+    });
+
+    assert.equal(reply, REPLY);
+    assert.deepEqual(server.completions.map(completion => completion.model), ['main-model', 'main-model', 'backup-model']);
+    assert.deepEqual(fallbacks, [['main-model', 'backup-model', 'server']]);
+  });
+
+  it('are not tried once part of the reply was streamed', async () => {
+    server.faults.push({ stall: 'body', after: 1 });
+    const deltas = [];
+
+    await assert.rejects(
+      provider({ timeout: 200, retries: 0 }, ['backup-model']).complete({ messages: MESSAGES, maxTokens: 100, onDelta: delta => deltas.push(delta) }),
+      error => error instanceof ApiError && error.kind === 'timeout'
+    );
+    assert.deepEqual(deltas, [REPLY.slice(0, 40)]);
+    assert.equal(server.completions.length, 1);
+  });
+});
+
+describe('timeouts', () => {
+  it('give up on a server that doesn\'t answer', async () => {
+    server.faults.push({ stall: 'headers' });
+
+    await assert.rejects(provider({ timeout: 200, retries: 0 }).complete({ messages: MESSAGES, maxTokens: 100 }), { kind: 'timeout' });
+  });
+
+  it('give up on a stream that stops partway', async () => {
+    server.faults.push({ stall: 'body', after: 1 });
+    const started = Date.now();
+
+    await assert.rejects(provider({ timeout: 200, retries: 0 }).complete({ messages: MESSAGES, maxTokens: 100, onDelta: () => {} }), { kind: 'timeout' });
+    assert.ok(Date.now() - started < 5000);
+  });
+
+  it('leave streams that keep sending alone', async () => {
+    assert.equal(await provider({ timeout: 200 }).complete({ messages: MESSAGES, maxTokens: 100, onDelta: () => {} }), REPLY);
+  });
+});
+
+describe('aborting', () => {
+  it('sends nothing when the signal was aborted before', async () => {
+    const controller = new AbortController();
+    controller.abort();
+
+    await assert.rejects(provider().complete({ messages: MESSAGES, maxTokens: 100, signal: controller.signal }), { message: 'Stopped' });
+    assert.equal(server.completions.length, 0);
+  });
+
+  it('leaves no listeners on the signal once the reply has been read', async () => {
+    server.faults.push({ status: 503 }, { status: 503 });
+    const controller = new AbortController();
+
+    assert.equal(await provider().complete({ messages: MESSAGES, maxTokens: 100, signal: controller.signal, onDelta: () => {} }), REPLY);
+    assert.equal(server.completions.length, 3);
+    assert.equal(getEventListeners(controller.signal, 'abort').length, 0);
+  });
+});
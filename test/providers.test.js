@@ -0,0 +1,173 @@
+// The provider adapters against the fake server: what each sends, and how
+// replies and token counts are read back, streamed or not
+import assert from 'node:assert/strict';
+import { after, afterEach, before, describe, it } from 'node:test';
+import { startFakeServer } from './helpers/fake-server.js';
+import { createProvider } from '../providers.js';
+
+const REPLY = { title: 'Retry failed API requests', summary: 'Rate limits and server errors are retried up to three times.' };
+const MESSAGES = [
+  { role: 'system', content: 'You write pull request descriptions.' },
+  { role: 'user', content: 'Describe the changes' }
+];
+
+let server;
+
+before(async () => {
+  server = await startFakeServer({ reply: () => REPLY });
+});
+
+afterEach(() => {
+  server.completions.length = 0;
+  server.requests.length = 0;
+});
+
+after(async () => {
+  await server.close();
+});
+
+// Headers of the last request to the model
+function lastHeaders() {
+  return server.requests[server.requests.length - 1].headers;
+}
+
+describe('OpenRouter', () => {
+  it('sends the key and the headers OpenRouter ranks apps by', async () => {
+    const provider = createProvider({ provider: 'openrouter', baseUrl: `${server.url}/v1`, apiKey: 'sk-or-test' });
+
+    assert.equal(await provider.complete({ messages: MESSAGES, maxTokens: 100 }), JSON.stringify(REPLY));
+    assert.equal(lastHeaders().authorization, 'Bearer sk-or-test');
+    assert.equal(lastHeaders()['http-referer'], 'https://github.com');
+    assert.equal(lastHeaders()['x-title'], 'PR Script Extension');
+    assert.equal(server.completions[0].model, 'deepseek/deepseek-chat-v3-0324:free');
+  });
+
+  it('needs an API key', () => {
+    assert.throws(() => createProvider({ provider: 'openrouter' }), /set your OpenRouter API key/);
+  });
+
+  it('has the context window of its default model unless one is set', () => {
+    assert.equal(createProvider({ provider: 'openrouter', apiKey: 'sk-or-test' }).contextTokens, 64000);
+    assert.equal(createProvider({ provider: 'openrouter', apiKey: 'sk-or-test', contextTokens: 8192 }).contextTokens, 8192);
+  });
+});
+
+describe('OpenAI-compatible servers', () => {
+  // Ollama serves the OpenAI API under /v1, without a key
+  const ollama = () => createProvider({ provider: 'openai', baseUrl: `${server.url}/v1/`, model: 'llama3.1:8b' });
+
+  it('send no key to a self-hosted server such as Ollama', async () => {
+    await ollama().complete({ messages: MESSAGES, maxTokens: 100 });
+
+    assert.equal(server.requests[0].url, '/v1/chat/completions');
+    assert.equal(lastHeaders().authorization, undefined);
+  });
+
+  it('ask for JSON and the usual sampling parameters', async () => {
+    await ollama().complete({ messages: MESSAGES, maxTokens: 300, temperature: 0.2, topP: 0.9, json: true });
+
+    const [completion] = server.completions;
+    assert.deepEqual(completion.messages, MESSAGES);
+    assert.deepEqual(completion.response_format, { type: 'json_object' });
+    assert.deepEqual([completion.model, completion.max_tokens, completion.temperature, completion.top_p, completion.stream], ['llama3.1:8b', 300, 0.2, 0.9, false]);
+  });
+
+  it('read the token counts of a reply', async () => {
+    const usage = [];
+    await ollama().complete({ messages: MESSAGES, maxTokens: 100, onUsage: counts => usage.push(counts) });
+
+    assert.deepEqual(usage, [{ model: 'llama3.1:8b', promptTokens: 100, completionTokens: 50 }]);
+  });
+
+  it('stream the reply, with the token counts from the last chunk', async () => {
+    const deltas = [];
+    const usage = [];
+    const reply = await ollama().complete({ messages: MESSAGES, maxTokens: 100, onDelta: delta => deltas.push(delta), onUsage: counts => usage.push(counts) });
+
+    assert.equal(reply, JSON.stringify(REPLY));
+    assert.ok(deltas.length > 1);
+    assert.equal(deltas.join(''), reply);
+    assert.deepEqual(server.completions[0].stream_options, { include_usage: true });
+    assert.deepEqual(usage, [{ model: 'llama3.1:8b', promptTokens: 100, completionTokens: 50 }]);
+  });
+});
+
+describe('Anthropic', () => {
+  const anthropic = () => createProvider({ provider: 'anthropic', baseUrl: `${server.url}/v1`, model: 'claude-test', apiKey: 'sk-ant-test' });
+
+  it('puts the system prompt in its own field', async () => {
+    await anthropic().complete({ messages: MESSAGES, maxTokens: 100 });
+
+    const [completion] = server.completions;
+    assert.equal(server.requests[0].url, '/v1/messages');
+    assert.equal(completion.system, 'You write pull request descriptions.');
+    assert.deepEqual(completion.messages, [{ role: 'user', content: 'Describe the changes' }]);
+    assert.equal(lastHeaders()['x-api-key'], 'sk-ant-test');
+    assert.equal(lastHeaders()['anthropic-version'], '2023-06-01');
+    assert.equal(lastHeaders().authorization, undefined);
+  });
+
+  it('starts JSON replies with "{" and keeps it in the reply', async () => {
+    const reply = await anthropic().complete({ messages: MESSAGES, maxTokens: 100, json: true });
+
+    assert.deepEqual(server.completions[0].messages.at(-1), { role: 'assistant', content: '{' });
+    assert.deepEqual(JSON.parse(reply), REPLY);
+  });
+
+  it('leaves a reply the conversation already started alone', async () => {
+    const messages = [...MESSAGES, { role: 'assistant', content: '{"title":' }];
+    await anthropic().complete({ messages, maxTokens: 100, json: true });
+
+    assert.deepEqual(server.completions[0].messages.at(-1), { role: 'assistant', content: '{"title":' });
+  });
+
+  it('streams the reply after the prefill, with the tokens from the start and end events', async () => {
+    const deltas = [];
+    const usage = [];
+    const reply = await anthropic().complete({ messages: MESSAGES, maxTokens: 100, json: true, onDelta: delta => deltas.push(delta), onUsage: counts => usage.push(counts) });
+
+    assert.deepEqual(JSON.parse(reply), REPLY);
+    assert.equal(deltas[0], '{');
+    assert.equal(deltas.join(''), reply);
+    assert.deepEqual(usage, [{ model: 'claude-test', promptTokens: 100, completionTokens: 50 }]);
+  });
+});
+
+describe('server-sent events', () => {
+  // A response whose body arrives in the given pieces
+  function eventStream(pieces) {
+    const encoder = new TextEncoder();
+    return new Response(new ReadableStream({
+      start(controller) {
+        pieces.forEach(piece => controller.enqueue(encoder.encode(piece)));
+        controller.close();
+      }
+    }), { status: 200, headers: { 'Content-Type': 'text/event-stream' } });
+  }
+
+  it('are read across chunk boundaries, CRLF line endings and keep-alive comments', async () => {
+    const chunk = (content) => `data: ${JSON.stringify({ choices: [{ index: 0, delta: { content } }] })}`;
+    const pieces = [
+      ': keep-alive\r\n\r\n',
+      `${chunk('Retry ')}\r\n\r\n${chunk('failed').slice(0, 20)}`,
+      `${chunk('failed').slice(20)}\r\n\r\n`,
+      `data: ${JSON.stringify({ choices: [], usage: { prompt_tokens: 7, completion_tokens: 2 } })}\n\n`,
+      'data: [DONE]'
+    ];
+    const provider = createProvider({ provider: 'openai', model: 'local' }, { fetch: async () => eventStream(pieces) });
+    const usage = [];
+
+    const reply = await provider.complete({ messages: MESSAGES, maxTokens: 100, onDelta: () => {}, onUsage: counts => usage.push(counts) });
+
+    assert.equal(reply, 'Retry failed');
+    assert.deepEqual(usage, [{ model: 'local', promptTokens: 7, completionTokens: 2 }]);
+  });
+
+  it('turn an error event into an error with its status', async () => {
+    const provider = createProvider({ provider: 'openai', model: 'local' }, {
+      fetch: async () => eventStream([`data: ${JSON.stringify({ error: { message: 'Overloaded', code: 503 } })}\n\n`])
+    });
+
+    await assert.rejects(provider.complete({ messages: MESSAGES, maxTokens: 100, onDelta: () => {} }), { kind: 'server', status: 503 });
+  });
+});
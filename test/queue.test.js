@@ -0,0 +1,40 @@
+// The queue batch descriptions and storage writes take turns in
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { createQueue } from '../queue.js';
+
+describe('createQueue', () => {
+  it('runs at most concurrency tasks at a time, in order', async () => {
+    const queue = createQueue({ concurrency: 2 });
+    const started = [];
+    let running = 0;
+    let mostRunning = 0;
+
+    const results = await Promise.all([1, 2, 3, 4, 5].map(number => queue.add(async () => {
+      started.push(number);
+      running++;
+      mostRunning = Math.max(mostRunning, running);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      running--;
+      return number * 10;
+    })));
+
+    assert.deepEqual(results, [10, 20, 30, 40, 50]);
+    assert.deepEqual(started, [1, 2, 3, 4, 5]);
+    assert.equal(mostRunning, 2);
+    assert.equal(queue.running, 0);
+    assert.equal(queue.waiting, 0);
+  });
+
+  it('keeps going after a task fails', async () => {
+    const queue = createQueue({ concurrency: 1 });
+
+    const failed = queue.add(async () => {
+      throw new Error('Rate limited');
+    });
+    const next = queue.add(async () => 'done');
+
+    await assert.rejects(failed, /Rate limited/);
+    assert.equal(await next, 'done');
+  });
+});
@@ -0,0 +1,127 @@
+// Reviewers from CODEOWNERS, labels from the kind of change and the changed
+// paths, and whether a pull request looks like a draft
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { buildSuggestions, findOwners, parseCodeowners, suggestDraft, suggestLabels, suggestReviewers } from '../suggestions.js';
+import { parseResponse } from '../response.js';
+
+const CODEOWNERS = `# Everything else
+*       @octo/core
+
+*.md    @octo/docs docs@example.com
+/src/   @alice
+src/api/**/*.js @bob @alice
+docs/*  @carol
+/build/logs/
+apps/ @dave   # inline comment
+`;
+
+describe('CODEOWNERS', () => {
+  const rules = parseCodeowners(CODEOWNERS);
+
+  it('reads the rules in file order, without comments', () => {
+    assert.deepEqual(rules.map(rule => rule.pattern), ['*', '*.md', '/src/', 'src/api/**/*.js', 'docs/*', '/build/logs/', 'apps/']);
+    assert.deepEqual(rules[1].owners, ['@octo/docs', 'docs@example.com']);
+    assert.deepEqual(rules[6].owners, ['@dave']);
+  });
+
+  it('gives a path the owners of the last rule that matches it', () => {
+    assert.deepEqual(findOwners(rules, 'package.json'), ['@octo/core']);
+    assert.deepEqual(findOwners(rules, 'src/README.md'), ['@alice']);
+    assert.deepEqual(findOwners(rules, 'lib/README.md'), ['@octo/docs', 'docs@example.com']);
+    assert.deepEqual(findOwners(rules, 'src/api/v2/users.js'), ['@bob', '@alice']);
+    assert.deepEqual(findOwners(rules, 'src/api/users.js'), ['@bob', '@alice']);
+    assert.deepEqual(findOwners(rules, 'packages/web/apps/index.js'), ['@dave']);
+  });
+
+  it('only covers the files directly in dir for "dir/*"', () => {
+    assert.deepEqual(findOwners(rules, 'docs/setup.txt'), ['@carol']);
+    assert.deepEqual(findOwners(rules, 'docs/guides/setup.txt'), ['@octo/core']);
+  });
+
+  it('leaves paths of a rule without owners unowned', () => {
+    assert.deepEqual(findOwners(rules, 'build/logs/today.log'), []);
+    assert.deepEqual(findOwners([], 'src/index.js'), []);
+  });
+
+  it('suggests the owners of the most files, other than the author', () => {
+    const paths = ['src/api/users.js', 'src/api/teams.js', 'src/index.js', 'README.md'];
+
+    assert.deepEqual(suggestReviewers(rules, paths, { author: 'Alice' }), [
+      { kind: 'reviewer', value: 'bob', label: '@bob', reason: 'Code owner of 2 of the 4 changed files' },
+      { kind: 'team', value: 'docs', label: '@octo/docs', reason: 'Code owner of 1 of the 4 changed files' }
+    ]);
+    assert.deepEqual(suggestReviewers(rules, paths, { requested: ['bob', 'docs'] }).map(suggestion => suggestion.label), ['@alice']);
+  });
+});
+
+describe('suggestLabels', () => {
+  const labels = ['good first issue', 'type: bug', 'kind/feature', '📝 Documentation', 'dependencies'];
+
+  it('takes the repository\'s label for the kind of change', () => {
+    assert.deepEqual(suggestLabels(labels, { changeType: 'bugfix', paths: ['src/index.js'] }), [
+      { kind: 'label', value: 'type: bug', label: 'type: bug', reason: 'Classified as a bug fix' }
+    ]);
+    assert.deepEqual(suggestLabels(labels, { changeType: 'feature' }).map(suggestion => suggestion.value), ['kind/feature']);
+    assert.deepEqual(suggestLabels(labels, { changeType: 'breaking' }), []);
+  });
+
+  it('adds labels for pull requests that only touch one kind of file', () => {
+    assert.deepEqual(suggestLabels(labels, { changeType: 'docs', paths: ['README.md', 'docs/setup.md'] }).map(suggestion => suggestion.value), ['📝 Documentation']);
+    assert.deepEqual(suggestLabels(labels, { changeType: 'bugfix', paths: ['package.json', 'package-lock.json'] }).map(suggestion => suggestion.value), ['type: bug', 'dependencies']);
+  });
+
+  it('skips labels the pull request has', () => {
+    assert.deepEqual(suggestLabels(labels, { changeType: 'bugfix', applied: ['Type: Bug'] }), []);
+  });
+});
+
+describe('suggestDraft', () => {
+  it('marks work in progress as a draft', () => {
+    assert.equal(suggestDraft({ title: '[WIP] Retry failed requests' }).draft, true);
+    assert.equal(suggestDraft({ title: 'Retry', commits: [{ subject: 'wip' }] }).draft, true);
+    assert.equal(suggestDraft({ title: 'Retry', commits: [{ subject: 'fixup! Add retries' }] }).draft, true);
+  });
+
+  it('leaves the rest ready for review', () => {
+    assert.equal(suggestDraft({ title: 'Draft release notes from tags', commits: [{ subject: 'Wipe the cache on logout' }] }).draft, false);
+  });
+});
+
+describe('buildSuggestions', () => {
+  const files = [{ path: 'src/index.js' }];
+
+  it('only suggests a draft for a new pull request', () => {
+    const suggestions = buildSuggestions({ codeowners: '* @alice', labels: ['bug'], files, commits: [{ subject: 'WIP: retries' }], changeType: 'bugfix' });
+
+    assert.deepEqual(suggestions.map(suggestion => [suggestion.kind, suggestion.value]), [['reviewer', 'alice'], ['label', 'bug'], ['draft', true]]);
+    assert.deepEqual(buildSuggestions({ codeowners: null, files, commits: [{ subject: 'Add retries' }] }), []);
+  });
+
+  it('suggests what an existing pull request doesn\'t have yet', () => {
+    const pullRequest = {
+      draft: true,
+      user: { login: 'alice' },
+      labels: [{ name: 'bug' }],
+      requested_reviewers: [],
+      requested_teams: [{ slug: 'core' }]
+    };
+    const suggestions = buildSuggestions({ codeowners: '* @alice @bob @octo/core', labels: ['bug'], files, commits: [{ subject: 'Add retries' }], changeType: 'bugfix', pullRequest });
+
+    assert.deepEqual(suggestions.map(suggestion => [suggestion.kind, suggestion.value]), [['reviewer', 'bob'], ['ready', false]]);
+  });
+});
+
+describe('change_type in replies', () => {
+  const reply = fields => JSON.stringify({ title: 'Retry requests', summary: 'Retries.', changes: [], ...fields });
+
+  it('is kept when it is a known kind', () => {
+    assert.equal(parseResponse(reply({ change_type: 'Bugfix' })).data.change_type, 'bugfix');
+    assert.equal(parseResponse(reply({ change_type: 'refactor' })).data.change_type, null);
+    assert.equal(parseResponse(reply({})).valid, true);
+  });
+
+  it('is breaking when there are breaking changes', () => {
+    assert.equal(parseResponse(reply({ change_type: 'feature', breaking_changes: ['Drops Node 18'] })).data.change_type, 'breaking');
+  });
+});
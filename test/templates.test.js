@@ -0,0 +1,63 @@
+// Generated descriptions that keep to the repository's pull request template,
+// and the template cache
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { createChrome } from './helpers/chrome.js';
+import { applyTemplateStructure, fetchCachedTemplate } from '../templates.js';
+
+const TEMPLATE = `<!-- Link the issue this fixes -->
+
+## Summary
+<!--
+  What changed and why
+-->
+
+## Checklist
+- [ ] Tests added
+`;
+
+describe('applyTemplateStructure', () => {
+  it('puts back the comments and checkboxes the model dropped', () => {
+    const body = applyTemplateStructure(TEMPLATE, '## Summary\nRetries failed requests.\n\n## Checklist\n- [x] Tests added');
+
+    assert.equal(body, [
+      '<!-- Link the issue this fixes -->',
+      '',
+      '## Summary',
+      '<!--\n  What changed and why\n-->',
+      'Retries failed requests.',
+      '',
+      '## Checklist',
+      '- [x] Tests added'
+    ].join('\n'));
+  });
+
+  it('leaves the comments the model kept where they are', () => {
+    const body = applyTemplateStructure(TEMPLATE, '<!-- Link the issue this fixes -->\nCloses #4\n\n## Summary\nRetries.\n<!--\n  What changed and why\n-->\n\n## Checklist\n- [ ] Tests added');
+
+    assert.equal(body.match(/<!--/g).length, 2);
+    assert.match(body, /^<!-- Link the issue this fixes -->\nCloses #4\n/);
+    assert.match(body, /Retries\.\n<!--\n {2}What changed and why\n-->/);
+  });
+});
+
+describe('fetchCachedTemplate', () => {
+  const storage = createChrome().chrome.storage.session;
+
+  it('looks a repository\'s template up once while it is fresh', async () => {
+    let fetches = 0;
+    const fetchTemplate = async () => {
+      fetches++;
+      return fetches === 1 ? null : { path: 'PULL_REQUEST_TEMPLATE.md', text: '## Summary' };
+    };
+
+    // Repositories without a template are remembered too
+    assert.equal(await fetchCachedTemplate(storage, 'github.com/octo/app?', fetchTemplate, { now: 0 }), null);
+    assert.equal(await fetchCachedTemplate(storage, 'github.com/octo/app?', fetchTemplate, { now: 1000 }), null);
+    assert.equal(fetches, 1);
+
+    const template = await fetchCachedTemplate(storage, 'github.com/octo/app?', fetchTemplate, { ttl: 1000, now: 1000 });
+    assert.deepEqual(template, { path: 'PULL_REQUEST_TEMPLATE.md', text: '## Summary' });
+    assert.equal(fetches, 2);
+  });
+});
@@ -0,0 +1,46 @@
+// The usage log in chrome.storage.local, written to by calls that finish at
+// the same time
+import assert from 'node:assert/strict';
+import { beforeEach, describe, it } from 'node:test';
+import { createChrome } from './helpers/chrome.js';
+import { checkBudget, clearUsage, getUsageRecords, recordUsage } from '../usage.js';
+
+const { chrome } = createChrome();
+const storage = chrome.storage.local;
+
+const PRICES = [{ model: 'test-model', prompt: 1, completion: 2 }];
+
+function record(index) {
+  return { provider: 'openai', model: 'test-model', repository: 'octo/app', kind: 'description', promptTokens: index, completionTokens: 1, latencyMs: 10, estimated: false };
+}
+
+beforeEach(async () => {
+  await storage.clear();
+});
+
+describe('recordUsage', () => {
+  it('keeps every record of calls logged at the same time', async () => {
+    await Promise.all(Array.from({ length: 20 }, (_, index) => recordUsage(storage, record(index), PRICES)));
+
+    const records = await getUsageRecords(storage);
+    assert.equal(records.length, 20);
+    assert.deepEqual(records.map(entry => entry.promptTokens).sort((a, b) => a - b), Array.from({ length: 20 }, (_, index) => index));
+  });
+
+  it('clears after the calls logged before it', async () => {
+    await Promise.all([recordUsage(storage, record(1), PRICES), clearUsage(storage), recordUsage(storage, record(2), PRICES)]);
+
+    assert.deepEqual((await getUsageRecords(storage)).map(entry => entry.promptTokens), [2]);
+  });
+});
+
+describe('checkBudget', () => {
+  const settings = { monthlyBudget: 1, warnPercent: 80 };
+  const records = [{ createdAt: Date.now(), cost: 0.5 }];
+
+  it('counts what the calls still running may cost as spent', () => {
+    assert.deepEqual(checkBudget(records, settings), { spent: 0.5, reserved: 0, budget: 1, status: 'ok' });
+    assert.equal(checkBudget(records, settings, { reserved: 0.3 }).status, 'warn');
+    assert.equal(checkBudget(records, settings, { reserved: 0.5 }).status, 'over');
+  });
+});
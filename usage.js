@@ -0,0 +1,161 @@
+// Token usage and estimated cost of every call to the model, kept in
+// chrome.storage.local, with totals per day, repository and month
+import { createQueue } from './queue.js';
+
+const USAGE_KEY = 'usageLog';
+
+// Changes to the log, one at a time: calls finishing together (batches,
+// several tabs) would otherwise each write back the log without the others
+const writes = createQueue({ concurrency: 1 });
+
+// Calls kept, the oldest go first
+const MAX_USAGE_RECORDS = 5000;
+
+const CSV_COLUMNS = ['date', 'provider', 'model', 'repository', 'kind', 'prompt_tokens', 'completion_tokens', 'latency_ms', 'cost_usd', 'estimated'];
+
+// Prices are [{ model, prompt, completion }] in USD per million tokens. A "*"
+// in the model matches anything, e.g. "*:free" or "gpt-4o*".
+function matchesModel(pattern, model) {
+  const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${source}$`, 'i').test(model);
+}
+
+// The price for a model: an exact match, otherwise the first pattern that matches. null if none does.
+export function findPrice(prices, model) {
+  return prices.find(price => price.model.toLowerCase() === String(model).toLowerCase())
+    || prices.find(price => price.model.includes('*') && matchesModel(price.model, model))
+    || null;
+}
+
+// Estimated cost of a call in USD, null when the model has no price
+export function estimateCost(prices, model, promptTokens, completionTokens) {
+  const price = findPrice(prices, model);
+  if (!price) {
+    return null;
+  }
+  return (promptTokens * price.prompt + completionTokens * price.completion) / 1e6;
+}
+
+// Log a call. record is
+//   { provider, model, repository, kind, promptTokens, completionTokens, latencyMs, estimated }
+// where kind is 'description', 'review', 'release', 'rewrite' or 'lint', and estimated says the
+// token counts are our own rather than the provider's. The cost is worked out
+// with today's prices, so changing them later leaves past calls alone.
+export async function recordUsage(storage, record, prices, now = Date.now()) {
+  const stored = {
+    ...record,
+    createdAt: now,
+    cost: estimateCost(prices, record.model, record.promptTokens, record.completionTokens)
+  };
+
+  await writes.add(async () => {
+    const { [USAGE_KEY]: log = [] } = await storage.get(USAGE_KEY);
+    log.push(stored);
+    await storage.set({ [USAGE_KEY]: log.slice(-MAX_USAGE_RECORDS) });
+  });
+
+  return stored;
+}
+
+// Every logged call, oldest first
+export async function getUsageRecords(storage) {
+  const { [USAGE_KEY]: log = [] } = await storage.get(USAGE_KEY);
+  return log;
+}
+
+export async function clearUsage(storage) {
+  await writes.add(() => storage.remove(USAGE_KEY));
+}
+
+// "2024-05-31" in local time
+function dayKey(time) {
+  const date = new Date(time);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+function startOfMonth(now) {
+  const date = new Date(now);
+  return new Date(date.getFullYear(), date.getMonth(), 1).getTime();
+}
+
+// Add records up to { calls, promptTokens, completionTokens, cost, unpriced },
+// where unpriced counts the calls to models without a price
+function total(records) {
+  return records.reduce((sum, record) => ({
+    calls: sum.calls + 1,
+    promptTokens: sum.promptTokens + record.promptTokens,
+    completionTokens: sum.completionTokens + record.completionTokens,
+    cost: sum.cost + (record.cost || 0),
+    unpriced: sum.unpriced + (record.cost === null ? 1 : 0)
+  }), { calls: 0, promptTokens: 0, completionTokens: 0, cost: 0, unpriced: 0 });
+}
+
+// Totals for the dashboard: this month, each of the last `days` days with
+// calls (newest first) and each repository this month (most expensive first)
+export function summarizeUsage(records, { days = 30, now = Date.now() } = {}) {
+  const monthRecords = records.filter(record => record.createdAt >= startOfMonth(now));
+
+  const firstDay = dayKey(now - (days - 1) * 24 * 60 * 60 * 1000);
+  const byDay = new Map();
+  for (const record of records) {
+    const day = dayKey(record.createdAt);
+    if (day >= firstDay) {
+      byDay.set(day, [...(byDay.get(day) || []), record]);
+    }
+  }
+
+  const byRepository = new Map();
+  for (const record of monthRecords) {
+    const repository = record.repository || '';
+    byRepository.set(repository, [...(byRepository.get(repository) || []), record]);
+  }
+
+  return {
+    month: total(monthRecords),
+    daily: [...byDay.entries()]
+      .map(([date, dayRecords]) => ({ date, ...total(dayRecords) }))
+      .sort((a, b) => b.date.localeCompare(a.date)),
+    repositories: [...byRepository.entries()]
+      .map(([repository, repositoryRecords]) => ({ repository, ...total(repositoryRecords) }))
+      .sort((a, b) => b.cost - a.cost || b.calls - a.calls)
+  };
+}
+
+// Where this month's spending stands against the budget ({ monthlyBudget,
+// warnPercent }, no budget when it is 0): { spent, reserved, budget, status }
+// with status 'ok', 'warn' (past warnPercent) or 'over' (all of it used).
+// reserved is what the calls still running may cost, counted as spent.
+export function checkBudget(records, { monthlyBudget, warnPercent }, { now = Date.now(), reserved = 0 } = {}) {
+  const spent = total(records.filter(record => record.createdAt >= startOfMonth(now))).cost;
+
+  if (!monthlyBudget) {
+    return { spent, reserved, budget: 0, status: 'ok' };
+  }
+
+  const used = spent + reserved;
+  const status = used >= monthlyBudget ? 'over' : used >= monthlyBudget * warnPercent / 100 ? 'warn' : 'ok';
+  return { spent, reserved, budget: monthlyBudget, status };
+}
+
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// The logged calls as CSV, one row per call
+export function usageToCsv(records) {
+  const rows = records.map(record => [
+    new Date(record.createdAt).toISOString(),
+    record.provider,
+    record.model,
+    record.repository,
+    record.kind,
+    record.promptTokens,
+    record.completionTokens,
+    record.latencyMs,
+    record.cost === null ? '' : record.cost.toFixed(6),
+    record.estimated ? 'yes' : 'no'
+  ]);
+
+  return [CSV_COLUMNS, ...rows].map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
@@ -0,0 +1,200 @@
+// Credential vault: API keys and tokens encrypted with AES-GCM in
+// chrome.storage.local, which (unlike the settings) is never synced. The key
+// is a random one kept next to the secrets, or, with a passphrase, derived
+// from it with PBKDF2 and only held in chrome.storage.session while the vault
+// is unlocked. Secrets never leave the background script in cleartext.
+const VAULT_KEY = 'vault';
+const SESSION_KEY = 'vaultKey';
+
+const PBKDF2_ITERATIONS = 600000;
+// Encrypted with the key, so a wrong passphrase can be told apart
+const CHECK_VALUE = 'pr-script-vault';
+
+// Names of the secrets: the GitHub token, an API key per provider and a token
+// per code host added in the settings
+export const GITHUB_SECRET = 'github';
+
+export function providerSecret(provider) {
+  return `provider:${provider}`;
+}
+
+export function hostSecret(url) {
+  return `host:${new URL(url).origin}`;
+}
+
+export function isSecretName(name) {
+  return typeof name === 'string' && /^(github|provider:[\w-]+|host:https?:\/\/[^/\s]+)$/.test(name);
+}
+
+function toBase64(bytes) {
+  return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+// The stored vault: { salt, key, check, secrets } with salt set when there is
+// a passphrase and key (the raw device key) when there is none
+async function readVault(local) {
+  const { [VAULT_KEY]: vault } = await local.get(VAULT_KEY);
+  return vault || { salt: null, key: null, check: null, secrets: {} };
+}
+
+function importKey(raw) {
+  return crypto.subtle.importKey('raw', raw, 'AES-GCM', true, ['encrypt', 'decrypt']);
+}
+
+async function deriveKey(passphrase, salt) {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt: salt, iterations: PBKDF2_ITERATIONS, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    true,
+    ['encrypt', 'decrypt']
+  );
+}
+
+async function encrypt(key, text) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv: iv }, key, new TextEncoder().encode(text));
+  return { iv: toBase64(iv), data: toBase64(data) };
+}
+
+async function decrypt(key, { iv, data }) {
+  const text = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(iv) }, key, fromBase64(data));
+  return new TextDecoder().decode(text);
+}
+
+function lockedError() {
+  const error = new Error('The credential vault is locked. Unlock it with your passphrase in the extension settings.');
+  error.locked = true;
+  return error;
+}
+
+// The key of the vault. A new vault gets a random device key.
+async function getKey(session, vault) {
+  if (vault.salt) {
+    const { [SESSION_KEY]: raw } = await session.get(SESSION_KEY);
+    if (!raw) {
+      throw lockedError();
+    }
+    return importKey(fromBase64(raw));
+  }
+
+  if (!vault.key) {
+    vault.key = toBase64(crypto.getRandomValues(new Uint8Array(32)));
+  }
+  return importKey(fromBase64(vault.key));
+}
+
+// { passphrase, locked, secrets } with the names of the stored secrets
+export async function getVaultStatus(local, session) {
+  const vault = await readVault(local);
+  const { [SESSION_KEY]: raw } = await session.get(SESSION_KEY);
+
+  return {
+    passphrase: Boolean(vault.salt),
+    locked: Boolean(vault.salt) && !raw,
+    secrets: Object.keys(vault.secrets)
+  };
+}
+
+// A secret in cleartext, '' when it isn't set. Throws when it is set but the
+// vault is locked.
+export async function getSecret(local, session, name) {
+  const vault = await readVault(local);
+  if (!vault.secrets[name]) {
+    return '';
+  }
+
+  return decrypt(await getKey(session, vault), vault.secrets[name]);
+}
+
+// Every secret in cleartext, as { name: value }
+export async function getSecrets(local, session) {
+  const vault = await readVault(local);
+  const names = Object.keys(vault.secrets);
+  if (names.length === 0) {
+    return {};
+  }
+
+  const key = await getKey(session, vault);
+  const secrets = {};
+  for (const name of names) {
+    secrets[name] = await decrypt(key, vault.secrets[name]);
+  }
+  return secrets;
+}
+
+// Store secrets given as { name: value }; an empty value removes the secret
+export async function setSecrets(local, session, secrets) {
+  const vault = await readVault(local);
+  const key = await getKey(session, vault);
+
+  for (const [name, value] of Object.entries(secrets)) {
+    if (!isSecretName(name)) {
+      throw new Error(`Unknown secret: ${name}`);
+    }
+    if (value) {
+      vault.secrets[name] = await encrypt(key, value);
+    } else {
+      delete vault.secrets[name];
+    }
+  }
+
+  await local.set({ [VAULT_KEY]: vault });
+}
+
+// Unlock a vault with a passphrase until the browser is closed (or lockVault())
+export async function unlockVault(local, session, passphrase) {
+  const vault = await readVault(local);
+  if (!vault.salt) {
+    return;
+  }
+
+  const key = await deriveKey(passphrase, fromBase64(vault.salt));
+  try {
+    await decrypt(key, vault.check);
+  } catch (error) {
+    throw new Error('Wrong passphrase');
+  }
+
+  await session.set({ [SESSION_KEY]: toBase64(await crypto.subtle.exportKey('raw', key)) });
+}
+
+export async function lockVault(session) {
+  await session.remove(SESSION_KEY);
+}
+
+// Encrypt the secrets with a key from a new passphrase, or with a device key
+// again when passphrase is empty. The vault has to be unlocked.
+export async function setPassphrase(local, session, passphrase) {
+  const secrets = await getSecrets(local, session);
+  const vault = { salt: null, key: null, check: null, secrets: {} };
+  let key;
+
+  if (passphrase) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    key = await deriveKey(passphrase, salt);
+    vault.salt = toBase64(salt);
+    vault.check = await encrypt(key, CHECK_VALUE);
+    await session.set({ [SESSION_KEY]: toBase64(await crypto.subtle.exportKey('raw', key)) });
+  } else {
+    key = await getKey(session, vault);
+    await session.remove(SESSION_KEY);
+  }
+
+  for (const [name, value] of Object.entries(secrets)) {
+    vault.secrets[name] = await encrypt(key, value);
+  }
+
+  await local.set({ [VAULT_KEY]: vault });
+}
+
+// Forget every secret and the passphrase
+export async function clearVault(local, session) {
+  await local.remove(VAULT_KEY);
+  await session.remove(SESSION_KEY);
+}